@@ -14,12 +14,23 @@ import {IVoter} from "./interfaces/IVoter.sol";
  * @title GovernanceToken
  * @author heesho
  * @notice Non-transferable staked governance token with ERC20Votes support for DAO compatibility.
- *         Stake underlying 1:1, clear votes before unstaking.
+ *         Stake underlying 1:1, clear votes before unstaking; unstaked underlying is claimable after withdrawalDelay.
+ *         Or lock it until a chosen time for up to 2x Voter power, decaying linearly to 1x at unlock.
  *         Compatible with Aragon, Tally, Snapshot, and OpenZeppelin Governor.
  */
 contract GovernanceToken is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard, Ownable {
     using SafeERC20 for IERC20;
 
+    /*//////////////////////////////////////////////////////////////
+                                CONSTANTS
+    //////////////////////////////////////////////////////////////*/
+
+    uint256 public constant WEEK = 7 days;                  // lock ends are rounded down to whole weeks
+    uint256 public constant MAX_LOCK_DURATION = 104 weeks;  // a lock this long doubles voting power
+    uint256 public constant MIN_WITHDRAWAL_DELAY = WEEK;    // one voting epoch, so unstaked tokens vote at most once per epoch
+    uint256 public constant MAX_WITHDRAWAL_DELAY = 30 days;
+    uint256 public constant MAX_VOTERS = 10;  // bounds the used-weight checks on every unstake
+
     /*//////////////////////////////////////////////////////////////
                                 IMMUTABLES
     //////////////////////////////////////////////////////////////*/
@@ -30,7 +41,16 @@ contract GovernanceToken is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard, Own
                                 STATE
     //////////////////////////////////////////////////////////////*/
 
-    address public voter;  // voter contract that tracks votes
+    address public voter;  // current voter contract, the one new votes go to
+    address[] internal voters;  // every voter ever set, current one last; never removed
+    uint256 public withdrawalDelay = MIN_WITHDRAWAL_DELAY;  // seconds between an unstake and claiming its underlying
+
+    mapping(address => bool) public voter_IsRegistered;  // voter => in voters, so unstake checks its votes
+    mapping(address => bool) public account_AutoPoke;  // account => re-apply votes to the new balance on stake
+    mapping(address => uint256) public account_LockedAmount;  // account => part of its balance that is locked
+    mapping(address => uint256) public account_LockEnd;       // account => unlock timestamp
+    mapping(address => uint256) public account_PendingWithdrawal;  // account => unstaked underlying not yet claimed
+    mapping(address => uint256) public account_WithdrawableAt;     // account => when the pending withdrawal unlocks
 
     /*//////////////////////////////////////////////////////////////
                                 ERRORS
@@ -40,6 +60,20 @@ contract GovernanceToken is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard, Own
     error GovernanceToken__VotesNotCleared();
     error GovernanceToken__InvalidZeroAddress();
     error GovernanceToken__InvalidZeroAmount();
+    error GovernanceToken__LockExists();
+    error GovernanceToken__NoLock();
+    error GovernanceToken__LockExpired();
+    error GovernanceToken__LockNotExpired();
+    error GovernanceToken__InvalidLockEnd();
+    error GovernanceToken__AmountLocked();
+    error GovernanceToken__WithdrawalDelayBelowMin();
+    error GovernanceToken__WithdrawalDelayExceedsMax();
+    error GovernanceToken__NoPendingWithdrawal();
+    error GovernanceToken__WithdrawalNotReady();
+    error GovernanceToken__VoterAlreadySet();
+    error GovernanceToken__VoterNotSet();
+    error GovernanceToken__VoterAlreadyRegistered();
+    error GovernanceToken__TooManyVoters();
 
     /*//////////////////////////////////////////////////////////////
                                 EVENTS
@@ -48,6 +82,13 @@ contract GovernanceToken is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard, Own
     event GovernanceToken__Staked(address indexed account, uint256 amount);
     event GovernanceToken__Unstaked(address indexed account, uint256 amount);
     event GovernanceToken__VoterSet(address indexed voter);
+    event GovernanceToken__VoterMigrated(address indexed oldVoter, address indexed newVoter);
+    event GovernanceToken__AutoPokeSet(address indexed account, bool enabled);
+    event GovernanceToken__Locked(address indexed account, uint256 amount, uint256 lockEnd);
+    event GovernanceToken__LockWithdrawn(address indexed account, uint256 amount);
+    event GovernanceToken__WithdrawalRequested(address indexed account, uint256 amount, uint256 withdrawableAt);
+    event GovernanceToken__WithdrawalClaimed(address indexed account, uint256 amount);
+    event GovernanceToken__WithdrawalDelaySet(uint256 withdrawalDelay);
 
     /*//////////////////////////////////////////////////////////////
                               CONSTRUCTOR
@@ -68,44 +109,195 @@ contract GovernanceToken is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard, Own
 
     /// @notice Stakes underlying tokens 1:1 for governance tokens
     /// @param amount Amount of underlying tokens to stake
-    /// @dev Auto-delegates to self on first stake for ERC20Votes compatibility
+    /// @dev Auto-delegates to self on first stake for ERC20Votes compatibility.
+    ///      With auto-poke enabled, the account's existing votes grow with the new balance.
     function stake(uint256 amount) external nonReentrant {
         if (amount == 0) revert GovernanceToken__InvalidZeroAmount();
-        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
-        _mint(msg.sender, amount);
-        if (delegates(msg.sender) == address(0)) {
-            _delegate(msg.sender, msg.sender);
-        }
+        _mintStaked(amount);
         emit GovernanceToken__Staked(msg.sender, amount);
+        _autoPoke();
     }
 
     /// @notice Unstakes governance tokens 1:1 for underlying tokens
     /// @param amount Amount to unstake
-    /// @dev Requires all votes to be cleared first (account_UsedWeights == 0)
+    /// @dev Requires all votes to be cleared first (account_UsedWeights == 0 in every registered voter). Locked
+    ///      tokens cannot be unstaked, see withdrawLock. The voting power goes at once; the underlying is queued
+    ///      for claimWithdrawal.
     function unstake(uint256 amount) external nonReentrant {
         if (amount == 0) revert GovernanceToken__InvalidZeroAmount();
-        if (voter != address(0) && IVoter(voter).account_UsedWeights(msg.sender) != 0) {
-            revert GovernanceToken__VotesNotCleared();
-        }
-        _burn(msg.sender, amount);
-        IERC20(token).safeTransfer(msg.sender, amount);
+        uint256 _locked = account_LockedAmount[msg.sender];
+        if (_locked != 0 && amount > balanceOf(msg.sender) - _locked) revert GovernanceToken__AmountLocked();
+        _burnStaked(amount);
         emit GovernanceToken__Unstaked(msg.sender, amount);
     }
 
+    /*//////////////////////////////////////////////////////////////
+                            LOCKING FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Stakes and locks underlying tokens until `lockEnd` for boosted voting power
+    /// @param amount Amount of underlying tokens to lock
+    /// @param lockEnd Unlock time, rounded down to a whole week; at most MAX_LOCK_DURATION from now
+    /// @dev Locked tokens are minted 1:1 like staked ones (ERC20Votes counts them 1:1); only votingPower is boosted
+    function createLock(uint256 amount, uint256 lockEnd) external nonReentrant {
+        if (amount == 0) revert GovernanceToken__InvalidZeroAmount();
+        if (account_LockedAmount[msg.sender] != 0) revert GovernanceToken__LockExists();
+        uint256 _lockEnd = _checkLockEnd(lockEnd);
+
+        account_LockedAmount[msg.sender] = amount;
+        account_LockEnd[msg.sender] = _lockEnd;
+        _mintStaked(amount);
+        emit GovernanceToken__Locked(msg.sender, amount, _lockEnd);
+        _autoPoke();
+    }
+
+    /// @notice Adds underlying tokens to the caller's unexpired lock, keeping its end
+    function increaseLockAmount(uint256 amount) external nonReentrant {
+        if (amount == 0) revert GovernanceToken__InvalidZeroAmount();
+        _checkActiveLock();
+
+        account_LockedAmount[msg.sender] += amount;
+        _mintStaked(amount);
+        emit GovernanceToken__Locked(msg.sender, account_LockedAmount[msg.sender], account_LockEnd[msg.sender]);
+        _autoPoke();
+    }
+
+    /// @notice Moves the end of the caller's unexpired lock to a later `lockEnd`
+    function extendLock(uint256 lockEnd) external nonReentrant {
+        _checkActiveLock();
+        uint256 _lockEnd = _checkLockEnd(lockEnd);
+        if (_lockEnd <= account_LockEnd[msg.sender]) revert GovernanceToken__InvalidLockEnd();
+
+        account_LockEnd[msg.sender] = _lockEnd;
+        emit GovernanceToken__Locked(msg.sender, account_LockedAmount[msg.sender], _lockEnd);
+        _autoPoke();
+    }
+
+    /// @notice Unstakes the caller's whole lock once it has ended
+    /// @dev Requires all votes to be cleared first and queues the underlying, like unstake
+    function withdrawLock() external nonReentrant {
+        uint256 amount = account_LockedAmount[msg.sender];
+        if (amount == 0) revert GovernanceToken__NoLock();
+        if (block.timestamp < account_LockEnd[msg.sender]) revert GovernanceToken__LockNotExpired();
+
+        delete account_LockedAmount[msg.sender];
+        delete account_LockEnd[msg.sender];
+        _burnStaked(amount);
+        emit GovernanceToken__LockWithdrawn(msg.sender, amount);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                          WITHDRAWAL FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Sends the caller its pending withdrawal once account_WithdrawableAt has passed
+    function claimWithdrawal() external nonReentrant {
+        uint256 amount = account_PendingWithdrawal[msg.sender];
+        if (amount == 0) revert GovernanceToken__NoPendingWithdrawal();
+        if (block.timestamp < account_WithdrawableAt[msg.sender]) revert GovernanceToken__WithdrawalNotReady();
+
+        delete account_PendingWithdrawal[msg.sender];
+        delete account_WithdrawableAt[msg.sender];
+        IERC20(token).safeTransfer(msg.sender, amount);
+        emit GovernanceToken__WithdrawalClaimed(msg.sender, amount);
+    }
+
+    /// @notice Enables or disables re-applying the caller's votes to its new balance on every stake
+    function setAutoPoke(bool enabled) external {
+        account_AutoPoke[msg.sender] = enabled;
+        emit GovernanceToken__AutoPokeSet(msg.sender, enabled);
+    }
+
     /*//////////////////////////////////////////////////////////////
                             ADMIN FUNCTIONS
     //////////////////////////////////////////////////////////////*/
 
-    /// @notice Sets the voter contract address
+    /// @notice Binds the first voter contract; it can only be replaced through migrateVoter
     function setVoter(address _voter) external onlyOwner {
-        voter = _voter;
+        if (_voter == address(0)) revert GovernanceToken__InvalidZeroAddress();
+        if (voter != address(0)) revert GovernanceToken__VoterAlreadySet();
+        _registerVoter(_voter);
         emit GovernanceToken__VoterSet(_voter);
     }
 
+    /// @notice Moves new votes and auto-pokes to `_newVoter`
+    /// @dev The old voter stays registered for good: accounts with votes there must reset them there before
+    ///      they can unstake, so migrating never frees locked votes
+    function migrateVoter(address _newVoter) external onlyOwner {
+        if (_newVoter == address(0)) revert GovernanceToken__InvalidZeroAddress();
+        address _oldVoter = voter;
+        if (_oldVoter == address(0)) revert GovernanceToken__VoterNotSet();
+        if (voter_IsRegistered[_newVoter]) revert GovernanceToken__VoterAlreadyRegistered();
+        if (voters.length >= MAX_VOTERS) revert GovernanceToken__TooManyVoters();
+        _registerVoter(_newVoter);
+        emit GovernanceToken__VoterMigrated(_oldVoter, _newVoter);
+    }
+
+    /// @notice Sets how long unstaked underlying waits before it can be claimed
+    /// @dev Applies to later unstakes; withdrawals already pending keep their account_WithdrawableAt
+    function setWithdrawalDelay(uint256 _withdrawalDelay) external onlyOwner {
+        if (_withdrawalDelay < MIN_WITHDRAWAL_DELAY) revert GovernanceToken__WithdrawalDelayBelowMin();
+        if (_withdrawalDelay > MAX_WITHDRAWAL_DELAY) revert GovernanceToken__WithdrawalDelayExceedsMax();
+        withdrawalDelay = _withdrawalDelay;
+        emit GovernanceToken__WithdrawalDelaySet(_withdrawalDelay);
+    }
+
     /*//////////////////////////////////////////////////////////////
                           INTERNAL FUNCTIONS
     //////////////////////////////////////////////////////////////*/
 
+    /// @dev Pulls underlying from the caller and mints it governance tokens
+    /// @dev Auto-delegates to self on first stake for ERC20Votes compatibility
+    function _mintStaked(uint256 amount) internal {
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        _mint(msg.sender, amount);
+        if (delegates(msg.sender) == address(0)) {
+            _delegate(msg.sender, msg.sender);
+        }
+    }
+
+    /// @dev Burns the caller's governance tokens once its votes are cleared in every registered voter, then adds
+    ///      the underlying to the pending withdrawal, restarting the delay for the whole of it
+    function _burnStaked(uint256 amount) internal {
+        for (uint256 i = 0; i < voters.length; i++) {
+            if (IVoter(voters[i]).account_UsedWeights(msg.sender) != 0) revert GovernanceToken__VotesNotCleared();
+        }
+        _burn(msg.sender, amount);
+        uint256 _pending = account_PendingWithdrawal[msg.sender] + amount;
+        uint256 _withdrawableAt = block.timestamp + withdrawalDelay;
+        account_PendingWithdrawal[msg.sender] = _pending;
+        account_WithdrawableAt[msg.sender] = _withdrawableAt;
+        emit GovernanceToken__WithdrawalRequested(msg.sender, _pending, _withdrawableAt);
+    }
+
+    /// @dev Makes `_voter` the current voter and adds it to the voters unstake checks
+    function _registerVoter(address _voter) internal {
+        voter_IsRegistered[_voter] = true;
+        voters.push(_voter);
+        voter = _voter;
+    }
+
+    /// @dev With auto-poke enabled, re-applies the caller's votes to its new voting power
+    function _autoPoke() internal {
+        if (account_AutoPoke[msg.sender] && voter != address(0)) {
+            IVoter(voter).poke(msg.sender);
+        }
+    }
+
+    /// @dev Reverts unless the caller has a lock that has not ended
+    function _checkActiveLock() internal view {
+        if (account_LockedAmount[msg.sender] == 0) revert GovernanceToken__NoLock();
+        if (block.timestamp >= account_LockEnd[msg.sender]) revert GovernanceToken__LockExpired();
+    }
+
+    /// @dev Rounds lockEnd down to a whole week and checks it is in the future, at most MAX_LOCK_DURATION away
+    function _checkLockEnd(uint256 lockEnd) internal view returns (uint256 _lockEnd) {
+        _lockEnd = (lockEnd / WEEK) * WEEK;
+        if (_lockEnd <= block.timestamp || _lockEnd > block.timestamp + MAX_LOCK_DURATION) {
+            revert GovernanceToken__InvalidLockEnd();
+        }
+    }
+
     /// @dev Prevents transfers between accounts (only mint/burn allowed)
     function _beforeTokenTransfer(address from, address to, uint256 amount) internal override {
         super._beforeTokenTransfer(from, to, amount);
@@ -135,4 +327,19 @@ contract GovernanceToken is ERC20, ERC20Permit, ERC20Votes, ReentrancyGuard, Own
     function underlying() external view returns (address) {
         return token;
     }
+
+    /// @notice Every voter ever set, oldest first; unstake requires cleared votes in all of them
+    function getVoters() external view returns (address[] memory) {
+        return voters;
+    }
+
+    /// @notice Voting power the Voter allocates: the balance, plus a boost on the locked part
+    /// @dev The boost is lockedAmount * timeLeft / MAX_LOCK_DURATION, so a maximum lock counts 2x and decays
+    ///      linearly to 1x at its end. Votes keep the power they were cast with until the account votes again or
+    ///      is poked (Voter.poke), which anyone can do.
+    function votingPower(address account) public view returns (uint256) {
+        uint256 _lockEnd = account_LockEnd[account];
+        if (_lockEnd <= block.timestamp) return balanceOf(account);
+        return balanceOf(account) + account_LockedAmount[account] * (_lockEnd - block.timestamp) / MAX_LOCK_DURATION;
+    }
 }
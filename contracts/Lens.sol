@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import "./interfaces/IVoter.sol";
+import "./interfaces/IGovernanceToken.sol";
+
+/// @title Lens
+/// @notice Read-only views over a Voter and its GovernanceToken: locks, withdrawals, delegation and archived
+///         strategies. Multicall keeps the strategy, bribe and dashboard views and the batched calls; new views go
+///         here, as Multicall is close to the contract size limit.
+contract Lens {
+
+    /*----------  STATE VARIABLES  --------------------------------------*/
+
+    address public immutable voter;
+
+    /*----------  STRUCTS  ----------------------------------------------*/
+
+    struct StakeData {
+        uint256 lockedAmount;       // part of the balance locked until lockEnd
+        uint256 lockEnd;            // 0 without a lock
+        uint256 votingPower;        // balance plus the lock boost, what the Voter allocates
+        uint256 pendingWithdrawal;  // unstaked underlying waiting for claimWithdrawal
+        uint256 withdrawableAt;     // when pendingWithdrawal can be claimed
+    }
+
+    struct DelegateData {
+        address delegate;
+        uint256 ownPower;           // delegate's own voting power
+        uint256 delegatedPower;     // sum of its delegators' voting power
+        uint256 votingPower;        // ownPower + delegatedPower
+
+        address[] delegators;
+        uint256[] delegatorPowers;
+    }
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    constructor(address _voter) {
+        voter = _voter;
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /// @notice An account's lock, pending withdrawal and the voting power the Voter would allocate for it now
+    function getStakeData(address account) external view returns (StakeData memory data) {
+        address governanceToken = IVoter(voter).governanceToken();
+        data.lockedAmount = IGovernanceToken(governanceToken).account_LockedAmount(account);
+        data.lockEnd = IGovernanceToken(governanceToken).account_LockEnd(account);
+        data.votingPower = IGovernanceToken(governanceToken).votingPower(account);
+        data.pendingWithdrawal = IGovernanceToken(governanceToken).account_PendingWithdrawal(account);
+        data.withdrawableAt = IGovernanceToken(governanceToken).account_WithdrawableAt(account);
+    }
+
+    /// @notice A delegate's voting power and the accounts delegating to it
+    function getDelegateData(address delegate) external view returns (DelegateData memory data) {
+        address governanceToken = IVoter(voter).governanceToken();
+        data.delegate = delegate;
+        data.ownPower = IGovernanceToken(governanceToken).votingPower(delegate);
+        data.delegators = IVoter(voter).getDelegators(delegate);
+        data.delegatorPowers = new uint256[](data.delegators.length);
+
+        for (uint256 i = 0; i < data.delegators.length; i++) {
+            data.delegatorPowers[i] = IGovernanceToken(governanceToken).votingPower(data.delegators[i]);
+            data.delegatedPower += data.delegatorPowers[i];
+        }
+        data.votingPower = data.ownPower + data.delegatedPower;
+    }
+
+    /*----------  HELPER FUNCTIONS  -------------------------------------*/
+
+    function getArchivedStrategies() external view returns (address[] memory) {
+        return IVoter(voter).getArchivedStrategies();
+    }
+
+    function getArchivedStrategyCount() external view returns (uint256) {
+        return IVoter(voter).archivedLength();
+    }
+}
@@ -27,6 +27,7 @@ contract Multicall {
         address paymentReceiver;
 
         bool isAlive;
+        bool isPaused;
         uint8 paymentTokenDecimals;
 
         uint256 strategyWeight;
@@ -55,6 +56,7 @@ contract Multicall {
         address strategy;
         address bribe;
         bool isAlive;
+        bool isPaused;
 
         address[] rewardTokens;
         uint8[] rewardTokenDecimals;
@@ -121,6 +123,8 @@ contract Multicall {
         string paymentTokenSymbol;
         uint8 paymentTokenDecimals;
         bool isAlive;
+        bool isPaused;
+        bool isArchived;
 
         // WETH in strategy
         uint256 strategyWethBalance;
@@ -170,7 +174,9 @@ contract Multicall {
             data.accountGovernanceTokenBalance = IGovernanceToken(data.governanceToken).balanceOf(account);
             data.accountUnderlyingTokenBalance = IERC20(data.underlyingToken).balanceOf(account);
             data.accountUsedWeights = IVoter(voter).account_UsedWeights(account);
+            uint256 _lastVotedByDelegate = IVoter(voter).account_LastVotedByDelegate(account);
             data.accountLastVoted = IVoter(voter).account_LastVoted(account);
+            if (_lastVotedByDelegate > data.accountLastVoted) data.accountLastVoted = _lastVotedByDelegate;
         }
 
         return data;
@@ -184,19 +190,18 @@ contract Multicall {
         data.paymentReceiver = IStrategy(strategy).paymentReceiver();
 
         data.isAlive = IVoter(voter).strategy_IsAlive(strategy);
+        data.isPaused = IVoter(voter).strategy_IsPaused(strategy);
         data.paymentTokenDecimals = IERC20Metadata(data.paymentToken).decimals();
 
         data.strategyWeight = IVoter(voter).strategy_Weight(strategy);
-        uint256 totalWeight = IVoter(voter).totalWeight();
+        // Dead and paused strategy weight is not part of totalWeight and earns nothing
+        uint256 totalWeight = data.isAlive && !data.isPaused ? IVoter(voter).totalWeight() : 0;
         data.votePercent = totalWeight == 0 ? 0 : (100 * data.strategyWeight * 1e18) / totalWeight;
         data.claimable = IVoter(voter).strategy_Claimable(strategy);
 
         // Pending revenue calculations
         data.pendingRevenue = IVoter(voter).getStrategyPendingRevenue(strategy);
-        address revenueSource = IVoter(voter).revenueSource();
-        address revenueToken = IVoter(voter).revenueToken();
-        uint256 routerBalance = IERC20(revenueToken).balanceOf(revenueSource);
-        data.routerRevenue = totalWeight == 0 ? 0 : (routerBalance * data.strategyWeight) / totalWeight;
+        data.routerRevenue = _routerShare(data.strategyWeight, totalWeight);
 
         // Auction data
         data.epochPeriod = IStrategy(strategy).epochPeriod();
@@ -243,6 +248,7 @@ contract Multicall {
         data.strategy = strategy;
         data.bribe = IVoter(voter).strategy_Bribe(strategy);
         data.isAlive = IVoter(voter).strategy_IsAlive(strategy);
+        data.isPaused = IVoter(voter).strategy_IsPaused(strategy);
 
         data.rewardTokens = IBribe(data.bribe).getRewardTokens();
         data.totalSupply = IBribe(data.bribe).totalSupply();
@@ -283,7 +289,7 @@ contract Multicall {
 
         // Vote data
         data.voteWeight = IVoter(voter).strategy_Weight(strategy);
-        uint256 totalWeight = IVoter(voter).totalWeight();
+        uint256 totalWeight = data.isAlive && !data.isPaused ? IVoter(voter).totalWeight() : 0;
         data.votePercent = totalWeight == 0 ? 0 : (100 * data.voteWeight * 1e18) / totalWeight;
 
         // Account vote (virtual balance in bribe)
@@ -360,6 +366,8 @@ contract Multicall {
         data.paymentTokenSymbol = IERC20Metadata(data.paymentToken).symbol();
         data.paymentTokenDecimals = IERC20Metadata(data.paymentToken).decimals();
         data.isAlive = IVoter(voter).strategy_IsAlive(strategy);
+        data.isPaused = IVoter(voter).strategy_IsPaused(strategy);
+        data.isArchived = IVoter(voter).strategy_IsArchived(strategy);
 
         // WETH balances
         data.strategyWethBalance = IStrategy(strategy).getRevenueBalance();
@@ -367,12 +375,9 @@ contract Multicall {
         data.strategyPendingRevenue = IVoter(voter).getStrategyPendingRevenue(strategy);
 
         // Calculate router portion of pending WETH
-        address revenueSource = IVoter(voter).revenueSource();
-        address revenueToken = IVoter(voter).revenueToken();
-        uint256 routerBalance = IERC20(revenueToken).balanceOf(revenueSource);
-        uint256 totalWeight = IVoter(voter).totalWeight();
+        uint256 totalWeight = data.isAlive && !data.isPaused ? IVoter(voter).totalWeight() : 0;
         uint256 strategyWeight = IVoter(voter).strategy_Weight(strategy);
-        uint256 routerPortion = totalWeight == 0 ? 0 : (routerBalance * strategyWeight) / totalWeight;
+        uint256 routerPortion = _routerShare(strategyWeight, totalWeight);
         data.strategyTotalPotentialWeth = data.strategyWethBalance + data.strategyClaimable + data.strategyPendingRevenue + routerPortion;
 
         // Strategy tokens in bribe router
@@ -416,6 +421,24 @@ contract Multicall {
         return dataArray;
     }
 
+    /// @notice One page of active (archived = false) or archived strategy overviews, [start, stop) clamped to the list
+    /// @return data Overviews of the page
+    /// @return total Number of active or archived strategies
+    function getStrategyOverviewsPage(bool archived, uint256 start, uint256 stop)
+        external
+        view
+        returns (StrategyOverview[] memory data, uint256 total)
+    {
+        total = archived ? IVoter(voter).archivedLength() : IVoter(voter).length();
+        if (stop > total) stop = total;
+        if (start > stop) start = stop;
+        data = new StrategyOverview[](stop - start);
+        for (uint256 i = start; i < stop; i++) {
+            address strategy = archived ? IVoter(voter).archivedStrategies(i) : IVoter(voter).strategies(i);
+            data[i - start] = getStrategyOverview(strategy);
+        }
+    }
+
     function getFullSystemView() external view returns (
         SystemOverview memory system,
         StrategyOverview[] memory strategies
@@ -448,6 +471,15 @@ contract Multicall {
         return IVoter(voter).length();
     }
 
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /// @dev A strategy's share of the revenue still in the revenue router
+    function _routerShare(uint256 strategyWeight, uint256 totalWeight) internal view returns (uint256) {
+        if (totalWeight == 0) return 0;
+        address revenueToken = IVoter(voter).revenueToken();
+        return (IERC20(revenueToken).balanceOf(IVoter(voter).revenueSource()) * strategyWeight) / totalWeight;
+    }
+
     /*----------  DISTRIBUTE FUNCTIONS  ----------------------------------*/
 
     /// @notice Distributes pending revenue to a single strategy
@@ -486,6 +518,17 @@ contract Multicall {
         }
     }
 
+    /*----------  POKE FUNCTIONS  ---------------------------------------*/
+
+    /// @notice Re-applies each account's vote split to its current balance
+    /// @dev For keepers keeping vote weights in line with stake; accounts without votes are skipped by the Voter
+    /// @param accounts The accounts to poke
+    function poke(address[] calldata accounts) external {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            IVoter(voter).poke(accounts[i]);
+        }
+    }
+
     /*----------  BUY FUNCTIONS  ----------------------------------------*/
 
     /// @notice Distributes pending revenue to a strategy then executes buy
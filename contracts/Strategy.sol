@@ -65,6 +65,7 @@ contract Strategy is ReentrancyGuard {
     error Strategy__MinInitPriceBelowMin();
     error Strategy__MinInitPriceExceedsAbsMaxInitPrice();
     error Strategy__PaymentReceiverIsThis();
+    error Strategy__Paused();
 
     /*//////////////////////////////////////////////////////////////
                                 EVENTS
@@ -127,6 +128,7 @@ contract Strategy is ReentrancyGuard {
     {
         if (block.timestamp > deadline) revert Strategy__DeadlinePassed();
         if (_epochId != epochId) revert Strategy__EpochIdMismatch();
+        if (IVoter(voter).strategy_IsPaused(address(this))) revert Strategy__Paused();
 
         uint256 revenueBalance = revenueToken.balanceOf(address(this));
         if (revenueBalance == 0) revert Strategy__EmptyAssets();
@@ -5,7 +5,10 @@ import {ReentrancyGuard} from "@openzeppelin/contracts/security/ReentrancyGuard.
 import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import {IGovernanceToken} from "./interfaces/IGovernanceToken.sol";
+import {IVoter} from "./interfaces/IVoter.sol";
 import {IBribe} from "./interfaces/IBribe.sol";
 import {IBribeFactory} from "./interfaces/IBribeFactory.sol";
 import {IStrategyFactory} from "./interfaces/IStrategyFactory.sol";
@@ -16,8 +19,10 @@ import {IStrategyFactory} from "./interfaces/IStrategyFactory.sol";
  * @notice Core governance contract that manages voting on strategies and distributes revenue proportionally.
  *         Users vote with their governance token balance to direct revenue to strategies.
  *         Revenue is distributed pro-rata based on strategy weight (total votes).
+ *         Holders may delegate their allocation to another account, whose vote is applied to their balance too.
+ *         Votes and resets can also be signed (EIP-712) and submitted by a relayer.
  */
-contract Voter is ReentrancyGuard, Ownable {
+contract Voter is ReentrancyGuard, Ownable, EIP712 {
     using SafeERC20 for IERC20;
 
     /*//////////////////////////////////////////////////////////////
@@ -27,6 +32,12 @@ contract Voter is ReentrancyGuard, Ownable {
     uint256 public constant DURATION = 7 days;       // epoch duration for voting
     uint256 public constant MAX_BRIBE_SPLIT = 5000;  // max 50% to bribes
     uint256 public constant DIVISOR = 10000;         // basis points divisor
+    uint256 public constant MAX_DELEGATORS = 20;     // max accounts delegating to one delegate (bounds vote gas)
+
+    bytes32 public constant VOTE_TYPEHASH = keccak256(
+        "Vote(address account,address[] strategies,uint256[] weights,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant RESET_TYPEHASH = keccak256("Reset(address account,uint256 nonce,uint256 deadline)");
 
     /*//////////////////////////////////////////////////////////////
                                 IMMUTABLES
@@ -44,8 +55,9 @@ contract Voter is ReentrancyGuard, Ownable {
 
     address public revenueSource;    // authorized to notify revenue
     uint256 public bribeSplit;       // % of revenue to bribes (in basis points)
-    uint256 public totalWeight;      // sum of all strategy weights
-    address[] public strategies;     // list of all strategies
+    uint256 public totalWeight;      // sum of all live, unpaused strategy weights
+    address[] public strategies;     // active strategies (archived ones are moved out)
+    address[] public archivedStrategies; // drained dead strategies, kept for lookups
 
     /*//////////////////////////////////////////////////////////////
                             STRATEGY MAPPINGS
@@ -57,6 +69,9 @@ contract Voter is ReentrancyGuard, Ownable {
     mapping(address => uint256) public strategy_Weight;        // strategy => total votes
     mapping(address => bool) public strategy_IsValid;          // strategy => exists
     mapping(address => bool) public strategy_IsAlive;          // strategy => not killed
+    mapping(address => bool) public strategy_IsPaused;         // strategy => paused (alive, earns no revenue)
+    mapping(address => bool) public strategy_IsArchived;       // strategy => moved to archivedStrategies
+    mapping(address => uint256) internal strategy_Index;       // strategy => position in strategies
 
     /*//////////////////////////////////////////////////////////////
                             ACCOUNT MAPPINGS
@@ -66,6 +81,12 @@ contract Voter is ReentrancyGuard, Ownable {
     mapping(address => address[]) public account_StrategyVote;   // account => strategies voted for
     mapping(address => uint256) public account_UsedWeights;      // account => total votes used (must be 0 to unstake)
     mapping(address => uint256) public account_LastVoted;        // account => last vote timestamp
+    mapping(address => uint256) public account_LastVotedByDelegate; // account => last time its delegate voted or reset for it
+    mapping(address => address) public account_Delegate;         // account => delegate voting its balance
+    mapping(address => address[]) public delegate_Delegators;    // delegate => accounts delegating to it
+    mapping(address => uint256) internal account_DelegatorIndex; // account => position in its delegate's list
+    mapping(address => mapping(address => bool)) public delegate_Account_IsApproved; // delegate => account => may delegate to it
+    mapping(address => uint256) public nonces;                   // account => next vote/reset signature nonce
 
     /*//////////////////////////////////////////////////////////////
                         REVENUE DISTRIBUTION STATE
@@ -85,11 +106,25 @@ contract Voter is ReentrancyGuard, Ownable {
     error Voter__NotAuthorizedRevenueSource();
     error Voter__InvalidZeroAddress();
     error Voter__StrategyIsDead();
+    error Voter__StrategyIsPaused();
+    error Voter__StrategyNotPaused();
+    error Voter__StrategyIsAlive();
+    error Voter__StrategyIsArchived();
+    error Voter__StrategyNotDrained();
     error Voter__NotStrategy();
     error Voter__BribeSplitExceedsMax();
     error Voter__AlreadyVotedForStrategy();
     error Voter__ZeroWeight();
     error Voter__ZeroTotalWeight();
+    error Voter__InvalidDelegate();
+    error Voter__TooManyDelegators();
+    error Voter__DelegatorNotApproved();
+    error Voter__NotDelegated();
+    error Voter__VotingPowerDelegated();
+    error Voter__SignatureExpired();
+    error Voter__InvalidSignature();
+    error Voter__NotCurrentVoter();
+    error Voter__VotesInOtherVoter();
 
     /*//////////////////////////////////////////////////////////////
                                 EVENTS
@@ -103,8 +138,14 @@ contract Voter is ReentrancyGuard, Ownable {
         address paymentReceiver
     );
     event Voter__StrategyKilled(address indexed strategy);
+    event Voter__StrategyPaused(address indexed strategy);
+    event Voter__StrategyUnpaused(address indexed strategy);
+    event Voter__StrategyArchived(address indexed strategy);
     event Voter__Voted(address indexed voter, address indexed strategy, uint256 weight);
     event Voter__Abstained(address indexed account, address indexed strategy, uint256 weight);
+    event Voter__Delegated(address indexed account, address indexed delegate);
+    event Voter__Undelegated(address indexed account, address indexed delegate);
+    event Voter__DelegatorApproved(address indexed delegate, address indexed account, bool approved);
     event Voter__NotifyRevenue(address indexed sender, uint256 amount);
     event Voter__DistributeRevenue(address indexed sender, address indexed strategy, uint256 amount);
     event Voter__BribeRewardAdded(address indexed bribe, address indexed reward);
@@ -117,9 +158,7 @@ contract Voter is ReentrancyGuard, Ownable {
 
     /// @notice Ensures account can only vote/reset once per epoch
     modifier onlyNewEpoch(address account) {
-        if ((block.timestamp / DURATION) * DURATION <= account_LastVoted[account]) {
-            revert Voter__AlreadyVotedThisEpoch();
-        }
+        if (_votedThisEpoch(account)) revert Voter__AlreadyVotedThisEpoch();
         _;
     }
 
@@ -139,7 +178,7 @@ contract Voter is ReentrancyGuard, Ownable {
         address _treasury,
         address _bribeFactory,
         address _strategyFactory
-    ) {
+    ) EIP712("Voter", "1") {
         governanceToken = _governanceToken;
         revenueToken = _revenueToken;
         treasury = _treasury;
@@ -152,18 +191,139 @@ contract Voter is ReentrancyGuard, Ownable {
     //////////////////////////////////////////////////////////////*/
 
     /// @notice Resets caller's votes, withdrawing from all bribes
+    /// @dev A delegate's reset also resets its delegators
     function reset() external onlyNewEpoch(msg.sender) {
-        account_LastVoted[msg.sender] = block.timestamp;
-        _reset(msg.sender);
+        _castReset(msg.sender);
     }
 
     /// @notice Distributes caller's voting power across strategies
+    /// @dev A delegate's split is applied to its own balance and to each delegator's balance separately, so bribe
+    ///      balances and rewards stay with the delegators pro-rata. Shares of a delegator that round to zero are
+    ///      skipped instead of reverting. Only the GovernanceToken's current voter takes votes.
     /// @param _strategies Strategies to vote for
     /// @param _weights Relative weights for each strategy (normalized internally)
     function vote(address[] calldata _strategies, uint256[] calldata _weights) external onlyNewEpoch(msg.sender) {
-        if (_strategies.length != _weights.length) revert Voter__StrategyLengthNotEqualToWeightLength();
+        _castVote(msg.sender, _strategies, _weights);
+    }
+
+    /// @notice vote() on behalf of `account`, authorized by its EIP-712 `Vote` signature
+    /// @dev Lets a relayer pay the gas. The signature covers the strategies, weights, the account's nonce and
+    ///      a deadline, and is good for one use. The once-per-epoch rule applies to `account` as usual.
+    function voteBySig(
+        address account,
+        address[] calldata _strategies,
+        uint256[] calldata _weights,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external onlyNewEpoch(account) {
+        bytes32 _structHash = keccak256(
+            abi.encode(
+                VOTE_TYPEHASH,
+                account,
+                keccak256(abi.encodePacked(_strategies)),
+                keccak256(abi.encodePacked(_weights)),
+                nonces[account]++,
+                deadline
+            )
+        );
+        _checkSignature(account, _structHash, deadline, v, r, s);
+        _castVote(account, _strategies, _weights);
+    }
+
+    /// @notice reset() on behalf of `account`, authorized by its EIP-712 `Reset` signature
+    function resetBySig(address account, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        onlyNewEpoch(account)
+    {
+        bytes32 _structHash = keccak256(abi.encode(RESET_TYPEHASH, account, nonces[account]++, deadline));
+        _checkSignature(account, _structHash, deadline, v, r, s);
+        _castReset(account);
+    }
+
+    /// @notice Hands the caller's allocation to `_delegate`, whose next vote is applied to the caller's balance
+    /// @dev Resets the caller's votes and counts as its vote for the epoch, so it can be revoked from the next
+    ///      epoch. Chains are not allowed: the delegate cannot delegate itself, nor can a delegate delegate.
+    ///      The delegate has to approve the caller first (approveDelegator).
+    /// @param _delegate Account that will vote for the caller
+    function delegate(address _delegate) external onlyNewEpoch(msg.sender) nonZeroAddress(_delegate) {
+        if (
+            _delegate == msg.sender || account_Delegate[_delegate] != address(0)
+                || delegate_Delegators[msg.sender].length != 0
+        ) revert Voter__InvalidDelegate();
+        if (!delegate_Account_IsApproved[_delegate][msg.sender]) revert Voter__DelegatorNotApproved();
+
         account_LastVoted[msg.sender] = block.timestamp;
-        _vote(msg.sender, _strategies, _weights);
+        _reset(msg.sender);
+        address _previous = account_Delegate[msg.sender];
+        if (_previous != address(0)) {
+            _removeDelegator(msg.sender);
+            emit Voter__Undelegated(msg.sender, _previous);
+        }
+
+        if (delegate_Delegators[_delegate].length >= MAX_DELEGATORS) revert Voter__TooManyDelegators();
+        account_Delegate[msg.sender] = _delegate;
+        account_DelegatorIndex[msg.sender] = delegate_Delegators[_delegate].length;
+        delegate_Delegators[_delegate].push(msg.sender);
+        emit Voter__Delegated(msg.sender, _delegate);
+    }
+
+    /// @notice Revokes the caller's delegation, withdrawing the votes its delegate placed with its balance
+    /// @dev Always allowed, so a delegate voting early every epoch cannot hold the caller. If the caller or its
+    ///      delegate already voted this epoch, the votes stay until the caller resets or votes in the next epoch;
+    ///      otherwise they are withdrawn now and this counts as the caller's reset for the epoch.
+    function undelegate() external {
+        address _delegate = account_Delegate[msg.sender];
+        if (_delegate == address(0)) revert Voter__NotDelegated();
+
+        _removeDelegator(msg.sender);
+        emit Voter__Undelegated(msg.sender, _delegate);
+        if (!_votedThisEpoch(msg.sender)) {
+            account_LastVoted[msg.sender] = block.timestamp;
+            _reset(msg.sender);
+        }
+    }
+
+    /// @notice Lets `account` delegate to the caller, or takes that back
+    /// @dev Delegation is opt-in so that accounts the caller does not know, e.g. dust stakes, cannot fill its
+    ///      MAX_DELEGATORS slots. Taking it back from a current delegator drops it and clears the votes the caller
+    ///      placed with its balance; the delegator keeps the epoch's vote it already used.
+    /// @param account Account that may delegate to the caller
+    /// @param approved True to approve, false to revoke and drop it
+    function approveDelegator(address account, bool approved) external nonZeroAddress(account) {
+        delegate_Account_IsApproved[msg.sender][account] = approved;
+        emit Voter__DelegatorApproved(msg.sender, account, approved);
+        if (!approved && account_Delegate[account] == msg.sender) {
+            _reset(account);
+            _removeDelegator(account);
+            emit Voter__Undelegated(account, msg.sender);
+        }
+    }
+
+    /// @notice Re-applies an account's current strategy split using its current voting power
+    /// @dev Callable by anyone and not limited to once per epoch: the split is the account's own, only the amounts
+    ///      follow its balance. Votes on dead strategies are dropped; if none are alive the votes are cleared.
+    ///      Like vote(), only while this is the GovernanceToken's current voter.
+    /// @param account Account to poke
+    function poke(address account) external {
+        _checkCurrentVoter();
+        address[] memory _strategyVote = account_StrategyVote[account];
+        uint256 _strategyCnt = _strategyVote.length;
+        if (_strategyCnt == 0) return;
+
+        uint256[] memory _weights = new uint256[](_strategyCnt);
+        uint256 _aliveWeight = 0;
+        for (uint256 i = 0; i < _strategyCnt; i++) {
+            _weights[i] = account_Strategy_Votes[account][_strategyVote[i]];
+            if (strategy_IsAlive[_strategyVote[i]]) _aliveWeight += _weights[i];
+        }
+
+        if (_aliveWeight == 0) {
+            _reset(account);
+        } else {
+            _vote(account, _strategyVote, _weights, false);
+        }
     }
 
     /// @notice Claims accumulated bribe rewards from multiple bribes
@@ -193,9 +353,11 @@ contract Voter is ReentrancyGuard, Ownable {
     }
 
     /// @notice Sends accumulated revenue to a strategy
+    /// @dev A paused strategy's claimable stays in the Voter until it is unpaused
     /// @param _strategy Strategy to distribute revenue to
     function distribute(address _strategy) public nonReentrant {
         _updateFor(_strategy);
+        if (strategy_IsPaused[_strategy]) return;
         uint256 _claimable = strategy_Claimable[_strategy];
         if (_claimable > 0) {
             strategy_Claimable[_strategy] = 0;
@@ -284,6 +446,7 @@ contract Voter is ReentrancyGuard, Ownable {
             _minInitPrice
         );
 
+        strategy_Index[strategy] = strategies.length;
         strategies.push(strategy);
         strategy_IsValid[strategy] = true;
         strategy_IsAlive[strategy] = true;
@@ -296,7 +459,8 @@ contract Voter is ReentrancyGuard, Ownable {
     }
 
     /// @notice Deactivates a strategy, sending pending revenue to treasury
-    /// @dev Weight is NOT zeroed here - users must reset/vote to reclaim their votes
+    /// @dev The strategy's weight leaves totalWeight right away so live strategies are not diluted.
+    ///      strategy_Weight and account votes stay until each voter resets/votes, which then skips totalWeight.
     function killStrategy(address _strategy) external onlyOwner {
         if (!strategy_IsAlive[_strategy]) revert Voter__StrategyIsDead();
 
@@ -308,10 +472,62 @@ contract Voter is ReentrancyGuard, Ownable {
             IERC20(revenueToken).safeTransfer(treasury, _claimable);
         }
 
+        // a paused strategy's weight already left totalWeight in pauseStrategy
+        if (!strategy_IsPaused[_strategy]) totalWeight -= strategy_Weight[_strategy];
+        strategy_IsPaused[_strategy] = false;
         strategy_IsAlive[_strategy] = false;
         emit Voter__StrategyKilled(_strategy);
     }
 
+    /// @notice Suspends a strategy: it earns no new revenue and its auction rejects buys until unpaused
+    /// @dev Votes and bribes stay and voters may keep voting for it, but its weight leaves totalWeight.
+    ///      Revenue it earned before the pause stays claimable in the Voter.
+    function pauseStrategy(address _strategy) external onlyOwner {
+        if (!strategy_IsAlive[_strategy]) revert Voter__StrategyIsDead();
+        if (strategy_IsPaused[_strategy]) revert Voter__StrategyIsPaused();
+
+        _updateFor(_strategy);
+
+        totalWeight -= strategy_Weight[_strategy];
+        strategy_IsPaused[_strategy] = true;
+        emit Voter__StrategyPaused(_strategy);
+    }
+
+    /// @notice Resumes a paused strategy with its votes and bribes intact
+    /// @dev Its weight rejoins totalWeight; revenue notified while it was paused is not owed to it.
+    function unpauseStrategy(address _strategy) external onlyOwner {
+        if (!strategy_IsPaused[_strategy]) revert Voter__StrategyNotPaused();
+
+        _updateFor(_strategy);
+
+        totalWeight += strategy_Weight[_strategy];
+        strategy_IsPaused[_strategy] = false;
+        emit Voter__StrategyUnpaused(_strategy);
+    }
+
+    /// @notice Moves a drained dead strategy out of `strategies` so distribution and updates stop iterating it
+    /// @dev Callable by anyone once the strategy is dead with no votes left and no claimable revenue. The last
+    ///      active strategy takes its slot, so positions in `strategies` change. Mappings keyed by address stay.
+    function archiveStrategy(address _strategy) external {
+        if (!strategy_IsValid[_strategy]) revert Voter__NotStrategy();
+        if (strategy_IsAlive[_strategy]) revert Voter__StrategyIsAlive();
+        if (strategy_IsArchived[_strategy]) revert Voter__StrategyIsArchived();
+
+        _updateFor(_strategy);
+        if (strategy_Weight[_strategy] != 0 || strategy_Claimable[_strategy] != 0) revert Voter__StrategyNotDrained();
+
+        uint256 _index = strategy_Index[_strategy];
+        address _last = strategies[strategies.length - 1];
+        strategies[_index] = _last;
+        strategy_Index[_last] = _index;
+        strategies.pop();
+        delete strategy_Index[_strategy];
+
+        archivedStrategies.push(_strategy);
+        strategy_IsArchived[_strategy] = true;
+        emit Voter__StrategyArchived(_strategy);
+    }
+
     /// @notice Adds a new reward token to a bribe contract
     function addBribeReward(address _bribe, address _rewardToken) external onlyOwner nonZeroAddress(_rewardToken) {
         IBribe(_bribe).addReward(_rewardToken);
@@ -322,6 +538,70 @@ contract Voter is ReentrancyGuard, Ownable {
                           INTERNAL FUNCTIONS
     //////////////////////////////////////////////////////////////*/
 
+    /// @dev True if account, or its delegate for it, voted or reset in the current epoch
+    function _votedThisEpoch(address account) internal view returns (bool) {
+        uint256 _epochStart = (block.timestamp / DURATION) * DURATION;
+        return _epochStart <= account_LastVoted[account] || _epochStart <= account_LastVotedByDelegate[account];
+    }
+
+    /// @dev reset() for account: its own votes and, for a delegate, its delegators'
+    function _castReset(address account) internal {
+        if (account_Delegate[account] != address(0)) revert Voter__VotingPowerDelegated();
+        account_LastVoted[account] = block.timestamp;
+        _reset(account);
+
+        address[] memory _delegators = delegate_Delegators[account];
+        for (uint256 i = 0; i < _delegators.length; i++) {
+            account_LastVotedByDelegate[_delegators[i]] = block.timestamp;
+            _reset(_delegators[i]);
+        }
+    }
+
+    /// @dev vote() for account: its own balance and, for a delegate, each delegator's
+    function _castVote(address account, address[] calldata _strategies, uint256[] calldata _weights) internal {
+        _checkCurrentVoter();
+        if (_strategies.length != _weights.length) revert Voter__StrategyLengthNotEqualToWeightLength();
+        if (account_Delegate[account] != address(0)) revert Voter__VotingPowerDelegated();
+        address[] memory _voters = IGovernanceToken(governanceToken).getVoters();
+        if (_hasVotesElsewhere(_voters, account)) revert Voter__VotesInOtherVoter();
+        account_LastVoted[account] = block.timestamp;
+
+        address[] memory _delegators = delegate_Delegators[account];
+        _vote(account, _strategies, _weights, _delegators.length > 0);
+        for (uint256 i = 0; i < _delegators.length; i++) {
+            // a delegator still voting in an old voter is left out until it resets there
+            if (_hasVotesElsewhere(_voters, _delegators[i])) continue;
+            account_LastVotedByDelegate[_delegators[i]] = block.timestamp;
+            _vote(_delegators[i], _strategies, _weights, true);
+        }
+    }
+
+    /// @dev Reverts once the GovernanceToken has migrated to another voter: the same voting power would otherwise
+    ///      count here and in the new voter. Resets stay open so accounts can clear their votes and unstake.
+    function _checkCurrentVoter() internal view {
+        if (IGovernanceToken(governanceToken).voter() != address(this)) revert Voter__NotCurrentVoter();
+    }
+
+    /// @dev True if account has votes in one of the GovernanceToken's other voters. Its voting power already counts
+    ///      there, and an old voter keeps its votes and bribe balances until it resets them, so voting here too would
+    ///      count the same balance twice.
+    function _hasVotesElsewhere(address[] memory _voters, address account) internal view returns (bool) {
+        for (uint256 i = 0; i < _voters.length; i++) {
+            if (_voters[i] != address(this) && IVoter(_voters[i]).account_UsedWeights(account) != 0) return true;
+        }
+        return false;
+    }
+
+    /// @dev Reverts unless the EIP-712 digest of structHash was signed by account before deadline
+    function _checkSignature(address account, bytes32 structHash, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        internal
+        view
+    {
+        if (block.timestamp > deadline) revert Voter__SignatureExpired();
+        (address _signer, ECDSA.RecoverError _error) = ECDSA.tryRecover(_hashTypedDataV4(structHash), v, r, s);
+        if (_error != ECDSA.RecoverError.NoError || _signer != account) revert Voter__InvalidSignature();
+    }
+
     /// @dev Removes all votes for an account, withdraws from bribes
     function _reset(address account) internal {
         address[] storage _strategyVote = account_StrategyVote[account];
@@ -339,7 +619,8 @@ contract Voter is ReentrancyGuard, Ownable {
                 IBribe(strategy_Bribe[_strategy])._withdraw(
                     IBribe(strategy_Bribe[_strategy]).account_Balance(account), account
                 );
-                _totalWeight += _votes;
+                // dead and paused strategy weight already left totalWeight in killStrategy/pauseStrategy
+                if (_isActive(_strategy)) _totalWeight += _votes;
                 emit Voter__Abstained(account, _strategy, _votes);
             }
         }
@@ -350,13 +631,17 @@ contract Voter is ReentrancyGuard, Ownable {
     }
 
     /// @dev Allocates account's voting power to strategies based on weights
-    function _vote(address account, address[] memory _strategyVote, uint256[] memory _weights) internal {
+    /// @dev With `_skipZero`, strategies whose share rounds to zero are left out instead of reverting
+    function _vote(address account, address[] memory _strategyVote, uint256[] memory _weights, bool _skipZero)
+        internal
+    {
         _reset(account);
 
         uint256 _strategyCnt = _strategyVote.length;
-        uint256 _weight = IGovernanceToken(governanceToken).balanceOf(account); // voting power
+        uint256 _weight = IGovernanceToken(governanceToken).votingPower(account); // balance plus lock boost
         uint256 _totalVoteWeight = 0;
         uint256 _usedWeight = 0;
+        uint256 _activeWeight = 0;
 
         // sum weights for valid strategies to normalize
         for (uint256 i = 0; i < _strategyCnt; i++) {
@@ -373,7 +658,10 @@ contract Voter is ReentrancyGuard, Ownable {
             if (strategy_IsValid[_strategy] && strategy_IsAlive[_strategy]) {
                 uint256 _strategyWeight = _weights[i] * _weight / _totalVoteWeight;
                 if (account_Strategy_Votes[account][_strategy] != 0) revert Voter__AlreadyVotedForStrategy();
-                if (_strategyWeight == 0) revert Voter__ZeroWeight();
+                if (_strategyWeight == 0) {
+                    if (_skipZero) continue;
+                    revert Voter__ZeroWeight();
+                }
 
                 _updateFor(_strategy);
                 account_StrategyVote[account].push(_strategy);
@@ -382,61 +670,96 @@ contract Voter is ReentrancyGuard, Ownable {
                 account_Strategy_Votes[account][_strategy] += _strategyWeight;
                 IBribe(strategy_Bribe[_strategy])._deposit(_strategyWeight, account);
                 _usedWeight += _strategyWeight;
+                if (!strategy_IsPaused[_strategy]) _activeWeight += _strategyWeight;
 
                 emit Voter__Voted(account, _strategy, _strategyWeight);
             }
         }
 
-        totalWeight += _usedWeight;
+        totalWeight += _activeWeight;
         account_UsedWeights[account] = _usedWeight;
     }
 
+    /// @dev Takes account out of its delegate's delegator list (swap-and-pop) and clears its delegate
+    function _removeDelegator(address account) internal {
+        address[] storage _delegators = delegate_Delegators[account_Delegate[account]];
+        uint256 _index = account_DelegatorIndex[account];
+        address _last = _delegators[_delegators.length - 1];
+        _delegators[_index] = _last;
+        account_DelegatorIndex[_last] = _index;
+        _delegators.pop();
+        delete account_DelegatorIndex[account];
+        delete account_Delegate[account];
+    }
+
     /// @dev Updates strategy's claimable revenue based on global index
+    /// @dev Dead and paused strategies earn nothing: their weight is not in totalWeight, so the index holds no share
+    ///      for them
     function _updateFor(address _strategy) internal {
         uint256 _supplied = strategy_Weight[_strategy];
-        if (_supplied > 0) {
+        if (_supplied > 0 && _isActive(_strategy)) {
             uint256 _supplyIndex = strategy_SupplyIndex[_strategy];
             uint256 _index = index;
             strategy_SupplyIndex[_strategy] = _index;
 
             uint256 _delta = _index - _supplyIndex;
             if (_delta > 0) {
-                uint256 _share = _supplied * _delta / 1e18;
-                if (strategy_IsAlive[_strategy]) {
-                    strategy_Claimable[_strategy] += _share;
-                } else {
-                    IERC20(revenueToken).safeTransfer(treasury, _share);
-                }
+                strategy_Claimable[_strategy] += _supplied * _delta / 1e18;
             }
         } else {
             strategy_SupplyIndex[_strategy] = index;
         }
     }
 
+    /// @dev Alive and not paused: the strategy's weight counts in totalWeight
+    function _isActive(address _strategy) internal view returns (bool) {
+        return strategy_IsAlive[_strategy] && !strategy_IsPaused[_strategy];
+    }
+
     /*//////////////////////////////////////////////////////////////
                             VIEW FUNCTIONS
     //////////////////////////////////////////////////////////////*/
 
-    /// @notice Returns all strategy addresses
+    /// @notice Returns active strategy addresses (archived ones are left out)
     function getStrategies() external view returns (address[] memory) {
         return strategies;
     }
 
-    /// @notice Returns the number of strategies
+    /// @notice Returns the number of active strategies
     function length() external view returns (uint256) {
         return strategies.length;
     }
 
+    /// @notice Returns archived strategy addresses, in the order they were archived
+    function getArchivedStrategies() external view returns (address[] memory) {
+        return archivedStrategies;
+    }
+
+    /// @notice Returns the number of archived strategies
+    function archivedLength() external view returns (uint256) {
+        return archivedStrategies.length;
+    }
+
     /// @notice Returns strategies an account has voted for
     function getStrategyVote(address account) external view returns (address[] memory) {
         return account_StrategyVote[account];
     }
 
+    /// @notice Returns the EIP-712 domain separator of voteBySig and resetBySig signatures
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /// @notice Returns the accounts delegating to `_delegate`
+    function getDelegators(address _delegate) external view returns (address[] memory) {
+        return delegate_Delegators[_delegate];
+    }
+
     /// @notice Returns pending revenue from index delta (not yet added to claimable)
     /// @dev This is revenue that has been notified but not yet updated for this strategy
     function getStrategyPendingRevenue(address strategy) external view returns (uint256) {
         uint256 _supplied = strategy_Weight[strategy];
-        if (_supplied == 0) return 0;
+        if (_supplied == 0 || !_isActive(strategy)) return 0;
 
         uint256 _delta = index - strategy_SupplyIndex[strategy];
         if (_delta == 0) return 0;
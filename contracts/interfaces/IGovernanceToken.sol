@@ -5,9 +5,26 @@ interface IGovernanceToken {
     function token() external view returns (address);
     function underlying() external view returns (address);
     function voter() external view returns (address);
+    function getVoters() external view returns (address[] memory);
+    function voter_IsRegistered(address _voter) external view returns (bool);
+    function account_AutoPoke(address account) external view returns (bool);
     function balanceOf(address account) external view returns (uint256);
+    function votingPower(address account) external view returns (uint256);
+    function account_LockedAmount(address account) external view returns (uint256);
+    function account_LockEnd(address account) external view returns (uint256);
+    function withdrawalDelay() external view returns (uint256);
+    function account_PendingWithdrawal(address account) external view returns (uint256);
+    function account_WithdrawableAt(address account) external view returns (uint256);
     function totalSupply() external view returns (uint256);
     function stake(uint256 amount) external;
     function unstake(uint256 amount) external;
+    function createLock(uint256 amount, uint256 lockEnd) external;
+    function increaseLockAmount(uint256 amount) external;
+    function extendLock(uint256 lockEnd) external;
+    function withdrawLock() external;
+    function claimWithdrawal() external;
+    function setAutoPoke(bool enabled) external;
     function setVoter(address _voter) external;
+    function migrateVoter(address _newVoter) external;
+    function setWithdrawalDelay(uint256 _withdrawalDelay) external;
 }
@@ -11,6 +11,7 @@ interface IVoter {
     function bribeSplit() external view returns (uint256);
     function totalWeight() external view returns (uint256);
     function strategies(uint256 index) external view returns (address);
+    function archivedStrategies(uint256 index) external view returns (address);
 
     function strategy_Bribe(address strategy) external view returns (address);
     function strategy_BribeRouter(address strategy) external view returns (address);
@@ -18,14 +19,35 @@ interface IVoter {
     function strategy_Weight(address strategy) external view returns (uint256);
     function strategy_IsValid(address strategy) external view returns (bool);
     function strategy_IsAlive(address strategy) external view returns (bool);
+    function strategy_IsPaused(address strategy) external view returns (bool);
+    function strategy_IsArchived(address strategy) external view returns (bool);
     function strategy_Claimable(address strategy) external view returns (uint256);
     function getStrategyPendingRevenue(address strategy) external view returns (uint256);
     function account_Strategy_Votes(address account, address strategy) external view returns (uint256);
     function account_UsedWeights(address account) external view returns (uint256);
     function account_LastVoted(address account) external view returns (uint256);
+    function account_LastVotedByDelegate(address account) external view returns (uint256);
+    function account_Delegate(address account) external view returns (address);
+    function nonces(address account) external view returns (uint256);
+    function delegate_Delegators(address delegate, uint256 index) external view returns (address);
+    function delegate_Account_IsApproved(address delegate, address account) external view returns (bool);
 
     function reset() external;
     function vote(address[] calldata strategies, uint256[] calldata weights) external;
+    function voteBySig(
+        address account,
+        address[] calldata strategies,
+        uint256[] calldata weights,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+    function resetBySig(address account, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external;
+    function poke(address account) external;
+    function delegate(address delegate) external;
+    function undelegate() external;
+    function approveDelegator(address account, bool approved) external;
     function claimBribes(address[] memory bribes) external;
     function notifyRevenue(uint256 amount) external;
     function distribute(address strategy) external;
@@ -46,11 +68,19 @@ interface IVoter {
         uint256 minInitPrice
     ) external returns (address strategy, address bribe, address bribeRouter);
     function killStrategy(address strategy) external;
+    function pauseStrategy(address strategy) external;
+    function unpauseStrategy(address strategy) external;
+    function archiveStrategy(address strategy) external;
     function addBribeReward(address bribe, address rewardToken) external;
     function getStrategies() external view returns (address[] memory);
     function length() external view returns (uint256);
+    function getArchivedStrategies() external view returns (address[] memory);
+    function archivedLength() external view returns (uint256);
     function getStrategyVote(address account) external view returns (address[] memory);
+    function getDelegators(address delegate) external view returns (address[] memory);
 
     function MAX_BRIBE_SPLIT() external pure returns (uint256);
     function DIVISOR() external pure returns (uint256);
+    function MAX_DELEGATORS() external pure returns (uint256);
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
 }
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/// @title MockPriceOracle
+/// @notice Settable token prices for local testing of the buyer bot
+/// @dev Prices are in ETH per whole token with 18 decimals, 0 means no price
+contract MockPriceOracle {
+    mapping(address => uint256) public token_Price;
+
+    event MockPriceOracle__PriceSet(address indexed token, uint256 price);
+
+    function setPrice(address token, uint256 price) external {
+        token_Price[token] = price;
+        emit MockPriceOracle__PriceSet(token, price);
+    }
+
+    function getPrice(address token) external view returns (uint256) {
+        return token_Price[token];
+    }
+}
@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadConfig, runBacktests, renderBacktests } = require("./lib/backtest");
+const { argValue } = require("./lib/args");
+
+// Usage:
+//   node scripts/backtest.js --config backtests/usdc-buyback.json [--json data/backtests/usdc-buyback.json]
+// Env fallbacks: BACKTEST_CONFIG, BACKTEST_JSON.
+// Replays a historical revenue inflow series and a payment/revenue price series through the Strategy auction for
+// every parameter set in the config (see scripts/lib/backtest.js for the format) and prints, per set, the number of
+// buys, the average and value-weighted discount buyers captured, auction durations and the payment tokens realized.
+// Runs offline: no network or deployment is needed. --json also writes every buy of every set.
+
+function parseOptions(argv = process.argv.slice(2), env = process.env) {
+  const value = (name) => {
+    const raw = argValue(argv, name, env[`BACKTEST_${name.toUpperCase()}`]);
+    if (raw === true) throw new Error(`Missing value for --${name}`);
+    return raw;
+  };
+  const options = { config: value("config"), json: value("json") };
+  if (!options.config) throw new Error("Pass the backtest config: --config <file>");
+  return options;
+}
+
+// BigNumbers as decimal strings, so the JSON output keeps full precision
+function serialize(value) {
+  return JSON.parse(
+    JSON.stringify(value, (key, v) => (v && v.type === "BigNumber" ? ethers.BigNumber.from(v.hex).toString() : v))
+  );
+}
+
+async function main() {
+  const options = parseOptions();
+  const config = loadConfig(options.config);
+  const runs = runBacktests(config);
+  console.log(
+    `Backtesting ${runs.length} parameter sets over ${config.revenue.length} ${config.revenueToken.symbol} inflows ` +
+      `and ${config.prices.length} prices\n`
+  );
+  console.log(renderBacktests(runs, config));
+
+  if (options.json) {
+    fs.mkdirSync(path.dirname(options.json), { recursive: true });
+    fs.writeFileSync(options.json, JSON.stringify(serialize(runs), null, 2) + "\n");
+    console.log(`\nWrote ${options.json}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseOptions };
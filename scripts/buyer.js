@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const {
+  requireManifest,
+  contractAddress,
+  strategiesByAddress,
+  checkManifest,
+} = require("./lib/manifest");
+const { DEFAULTS, createBuyer, renderResults } = require("./lib/buyer");
+const { jsonPriceSource, oraclePriceSource } = require("./lib/prices");
+const { argValue } = require("./lib/args");
+const { describeError } = require("../sdk");
+
+// Usage:
+//   HARDHAT_NETWORK=mainnet node scripts/buyer.js --prices prices.json [--strategy "USDC Buyback"] [--min-profit 0.01]
+//   HARDHAT_NETWORK=localhost node scripts/buyer.js --oracle 0x... [--once] [--dry-run]
+// Other flags: --interval 15, --slippage-bps 50, --deadline 120, --gas-limit 400000, --approve-max,
+// --trades data/trades.jsonl, --retries 3, --retry-delay 5.
+// Env fallbacks for `hardhat run`: BUYER_<FLAG> with dashes as underscores, e.g. BUYER_PRICES, BUYER_MIN_PROFIT.
+// Prices are ETH per whole token, from a JSON file ({ "USDC": "0.0004" }, re-read on every tick) or an oracle with
+// getPrice(token) such as contracts/mocks/MockPriceOracle.sol. Buys are sent from the first configured account
+// (PRIVATE_KEY) and every completed buy is appended to the --trades file as one JSON line.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseOptions(argv = process.argv.slice(2), env = process.env) {
+  const value = (name, fallback) => argValue(argv, name, env[`BUYER_${name.toUpperCase().replace(/-/g, "_")}`] ?? fallback);
+  const number = (name, fallback, { integer = false } = {}) => {
+    const raw = value(name, fallback);
+    const parsed = Number(raw);
+    if (raw === true || !Number.isFinite(parsed) || parsed < 0 || (integer && !Number.isInteger(parsed))) {
+      throw new Error(`Invalid --${name} "${raw}"`);
+    }
+    return parsed;
+  };
+  const flag = (name) => {
+    const raw = value(name);
+    return raw === true || ["1", "true", "yes"].includes(String(raw).toLowerCase());
+  };
+
+  const options = {
+    prices: value("prices"),
+    oracle: value("oracle"),
+    strategy: value("strategy"),
+    interval: number("interval", DEFAULTS.interval, { integer: true }),
+    minProfit: String(number("min-profit", DEFAULTS.minProfit)),
+    slippageBps: number("slippage-bps", DEFAULTS.slippageBps, { integer: true }),
+    deadline: number("deadline", DEFAULTS.deadline, { integer: true }),
+    gasLimit: number("gas-limit", DEFAULTS.gasLimit, { integer: true }),
+    approveMax: flag("approve-max"),
+    trades: value("trades"),
+    retries: number("retries", DEFAULTS.retries, { integer: true }),
+    retryDelay: number("retry-delay", DEFAULTS.retryDelay / 1000) * 1000,
+    once: flag("once"),
+    dryRun: flag("dry-run"),
+  };
+  if (!options.prices === !options.oracle) {
+    throw new Error("Pass exactly one price source: --prices <file> or --oracle <address>");
+  }
+  if (options.oracle && !ethers.utils.isAddress(options.oracle)) {
+    throw new Error(`Invalid --oracle "${options.oracle}"`);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseOptions();
+
+  // Addresses and strategy names come from deployments/<network>.json
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = requireManifest(hre.network.name, chainId);
+  await checkManifest(manifest);
+  const names = Object.fromEntries(
+    Object.entries(strategiesByAddress(manifest)).map(([address, entry]) => [address, entry.name])
+  );
+
+  const prices = options.oracle
+    ? oraclePriceSource(await ethers.getContractAt("MockPriceOracle", options.oracle))
+    : jsonPriceSource(options.prices);
+
+  const onTrade = (trade) => {
+    if (!options.trades) return;
+    fs.mkdirSync(path.dirname(options.trades), { recursive: true });
+    fs.appendFileSync(options.trades, JSON.stringify({ time: new Date().toISOString(), ...trade }) + "\n");
+  };
+
+  const [signer] = await ethers.getSigners();
+  const buyer = createBuyer({
+    signer,
+    voter: await ethers.getContractAt("contracts/Voter.sol:Voter", contractAddress(manifest, "Voter")),
+    multicall: await ethers.getContractAt("contracts/Multicall.sol:Multicall", contractAddress(manifest, "Multicall")),
+    prices,
+    names,
+    only: options.strategy ? [options.strategy] : null,
+    minProfit: options.minProfit,
+    slippageBps: options.slippageBps,
+    deadline: options.deadline,
+    gasLimit: options.gasLimit,
+    approveMax: options.approveMax,
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    dryRun: options.dryRun,
+    log: console.log,
+    onTrade,
+  });
+
+  console.log(
+    `Buyer on ${hre.network.name} as ${signer.address}${options.dryRun ? " (dry run)" : ""}, ` +
+      `minimum profit ${options.minProfit} ETH`
+  );
+  let realized = ethers.BigNumber.from(0);
+  for (;;) {
+    try {
+      const results = await buyer.tick();
+      console.log(`[${new Date().toISOString()}] block ${await ethers.provider.getBlockNumber()}`);
+      console.log(renderResults(results));
+      for (const { trade } of results) {
+        if (trade) realized = realized.add(trade.profit);
+      }
+      if (results.some((r) => r.trade)) console.log(`  realized profit this session: ${ethers.utils.formatEther(realized)} ETH`);
+    } catch (error) {
+      // A failed tick is logged and retried on the next one, the buyer keeps running
+      if (options.once) throw error;
+      console.error(`[${new Date().toISOString()}] tick failed:`, describeError(error) || error.message);
+    }
+    if (options.once) return;
+    await sleep(options.interval * 1000);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(describeError(error) || error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseOptions };
@@ -1,578 +1,606 @@
 const { ethers } = require("hardhat");
 const hre = require("hardhat");
+const { loadSpec, resolveAddress } = require("./lib/spec");
+const {
+  loadManifest,
+  saveManifest,
+  manifestPath,
+  findStrategy,
+  serializeArgs,
+  deploymentRecord,
+  isCurrentBuild,
+  checkManifest,
+} = require("./lib/manifest");
+const { toUnits, divDec, describeError } = require("../sdk");
+
+// Usage:
+//   npx hardhat run ./scripts/deploy.js --network <network>
+//
+// Reads deployments/specs/<network>.json, works out which steps are already done
+// on-chain, runs only the missing ones and records the result in deployments/<network>.json.
+//
+// Environment:
+//   DEPLOY_SPEC     path to an alternative spec (e.g. the mainnet spec against a fork)
+//   DEPLOY_DRY_RUN  print the plan without sending transactions
+//   DEPLOY_MIGRATE_VOTER  move a GovernanceToken already bound to a Voter over to the Voter in the manifest.
+//                   Permanent: the old Voter stays registered, and at most MAX_VOTERS can ever be bound.
+//                   Also needed to replace a Voter from before strategy pausing and archiving
+//   DEPLOY_REPLACE_GOVERNANCE_TOKEN  replace a GovernanceToken from before the Voter registry, and everything
+//                   built on it. Stakers have to move their stake to the new GovernanceToken themselves
 
 // Constants
 const sleep = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
-const convert = (amount, decimals) => ethers.utils.parseUnits(amount, decimals);
-const divDec = (amount, decimals = 18) => amount / 10 ** decimals;
-const one = convert("1", 18);
-const onePointTwo = convert("1.2", 18);
-const oneThousand = convert("1000", 18);
-const ADDRESS_ZERO = "0x0000000000000000000000000000000000000000";
-
-// External Addresses (Base Mainnet)
-const DAO_ADDRESS = "0x690C2e187c8254a887B35C0B4477ce6787F92855";
-const GLAZE_CORP_ADDRESS = "";
-
-// Token Addresses (Base Mainnet)
-const DONUT = "0xae4a37d554c6d6f3e398546d8566b25052e0169c";
-const WETH = "0x4200000000000000000000000000000000000006";
-const USDC = "0x833589fcd6edb6e08f4c7c32d4f71b54bda02913";
-const CBBTC = "0xcbb7c0000ab88b473b1f5afd9ef808440eed33bf";
-const DONUT_ETH_LP = "0xD1DbB2E56533C55C3A637D13C53aeEf65c5D5703";
-
-// Deployed Contract Addresses (paste after deployment)
-const BRIBE_FACTORY = "0x29121AF2744D354A9ce9EdCC4E13Bbd89C995Bb7";
-const STRATEGY_FACTORY = "0x6C561686394C5915b877b60aC442aD7aa81F5726";
-const GOVERNANCE_TOKEN = "0xC78B6e362cB0f48b59E573dfe7C99d92153a16d3";
-const VOTER = "0x9C5Cf3246d7142cdAeBBD5f653d95ACB73DdabA6";
-const REVENUE_ROUTER = "0x4cDF668bFa0563C9D0fc5D5bD33191f0a2aE2571";
-const MULTICALL = "0xdaB6BD3473cC29893f768D695B3214D2d5567B2f";
-
-// STRATEGY 0
-// Buy DONUT and send to DAO
-const STRATEGY_DESCRIPTION_0 = "Buy DONUT and send to DAO";
-const PAYMENT_TOKEN_0 = DONUT;
-const PAYMENT_RECEIVER_0 = DAO_ADDRESS;
-const INIT_PRICE_0 = convert("40000", 18); // 40000 DONUT
-const EPOCH_PERIOD_0 = 24 * 60 * 60; // 1 Day
-const PRICE_MULTIPLIER_0 = convert("1.2", 18); // 120%
-const MIN_INIT_PRICE_0 = convert("40000", 18); // 40000 DONUT
-const STRATEGY_0 = "0xfb02712c5daa614f7d331D7bcbB8Be254A3ecc3F";
-const BRIBE_0 = "0x91556898904c118c0Ae49F1F19c69c49201FB4f1";
-const BRIBE_ROUTER_0 = "0xd81333E47544119829cb9A611C0E6170B316f503";
-
-// STRATEGY 1
-// Buy DONUT-ETH LP and send to DAO
-const STRATEGY_DESCRIPTION_1 = "Buy DONUT-ETH LP and send to DAO";
-const PAYMENT_TOKEN_1 = DONUT_ETH_LP;
-const PAYMENT_RECEIVER_1 = DAO_ADDRESS;
-const INIT_PRICE_1 = convert("100", 18); // 100 DONUT-ETH LP
-const EPOCH_PERIOD_1 = 24 * 60 * 60; // 1 Day
-const PRICE_MULTIPLIER_1 = convert("1.2", 18); // 120%
-const MIN_INIT_PRICE_1 = convert("100", 18); // 100 DONUT-ETH LP
-const STRATEGY_1 = "0x26799141c31B051f13A239324c26ef72d82413E5";
-const BRIBE_1 = "0x9A03A63fFf50f86a6D3C37e0aBD1c75f8cAa4151";
-const BRIBE_ROUTER_1 = "0x0A72F0982016f2FDBc88e314049F82EC9c030Fd8";
-
-// STRATEGY 2
-// Buy USDC and send to DAO
-const STRATEGY_DESCRIPTION_2 = "Buy USDC and send to DAO";
-const PAYMENT_TOKEN_2 = USDC;
-const PAYMENT_RECEIVER_2 = DAO_ADDRESS;
-const INIT_PRICE_2 = convert("4000", 6); // 4000 USDC
-const EPOCH_PERIOD_2 = 24 * 60 * 60; // 1 Day
-const PRICE_MULTIPLIER_2 = convert("1.2", 18); // 120%
-const MIN_INIT_PRICE_2 = convert("4000", 6); // 4000 USDC
-const STRATEGY_2 = "0xdc4c547EDef2156875E9C1632D00a0B456cfc834";
-const BRIBE_2 = "0x39A52a04b596Fb51d0962Ec6b4287d1Ec844C3f9";
-const BRIBE_ROUTER_2 = "0x1bB79f8896a9C693579acC4f0B69ae4F50DA7d7F";
-
-// STRATEGY 3
-// Buy cbBTC and send to DAO
-const STRATEGY_DESCRIPTION_3 = "Buy cbBTC and send to DAO";
-const PAYMENT_TOKEN_3 = CBBTC;
-const PAYMENT_RECEIVER_3 = DAO_ADDRESS;
-const INIT_PRICE_3 = convert("0.04", 8); // 0.04 cbBTC
-const EPOCH_PERIOD_3 = 24 * 60 * 60; // 1 Day
-const PRICE_MULTIPLIER_3 = convert("1.2", 18); // 120%
-const MIN_INIT_PRICE_3 = convert("0.04", 8); // 0.04 cbBTC
-const STRATEGY_3 = "0x4eBa1Ee0A1DAdbd2CdFfc4056fe1e20330A9806A";
-const BRIBE_3 = "0x210a77C8b52FfD7d72a86f565e7C2d18F2BF9fef";
-const BRIBE_ROUTER_3 = "0xa2d691F0176c99843961E0424934499945cc0A9C";
-
-// Default Strategy and Bribe
-const PAYMENT_TOKEN = PAYMENT_TOKEN_3;
-const PAYMENT_RECEIVER = PAYMENT_RECEIVER_3;
-const INIT_PRICE = INIT_PRICE_3;
-const EPOCH_PERIOD = EPOCH_PERIOD_3;
-const PRICE_MULTIPLIER = PRICE_MULTIPLIER_3;
-const MIN_INIT_PRICE = MIN_INIT_PRICE_3;
-const STRATEGY = STRATEGY_3;
-const BRIBE = BRIBE_3;
-const BRIBE_ROUTER = BRIBE_ROUTER_3;
-
-// Contract Variables
-let bribeFactory, strategyFactory;
-let governanceToken, voter;
-let revenueRouter, multicall;
-let strategy, bribe, bribeRouter;
-
-async function getContracts() {
-  if (BRIBE_FACTORY) {
-    bribeFactory = await ethers.getContractAt(
-      "contracts/BribeFactory.sol:BribeFactory",
-      BRIBE_FACTORY
-    );
-  }
-  if (STRATEGY_FACTORY) {
-    strategyFactory = await ethers.getContractAt(
-      "contracts/StrategyFactory.sol:StrategyFactory",
-      STRATEGY_FACTORY
-    );
-  }
-  if (GOVERNANCE_TOKEN) {
-    governanceToken = await ethers.getContractAt(
-      "contracts/GovernanceToken.sol:GovernanceToken",
-      GOVERNANCE_TOKEN
-    );
-  }
-  if (VOTER) {
-    voter = await ethers.getContractAt("contracts/Voter.sol:Voter", VOTER);
-  }
-  if (REVENUE_ROUTER) {
-    revenueRouter = await ethers.getContractAt(
-      "contracts/RevenueRouter.sol:RevenueRouter",
-      REVENUE_ROUTER
-    );
-  }
-  if (MULTICALL) {
-    multicall = await ethers.getContractAt(
-      "contracts/Multicall.sol:Multicall",
-      MULTICALL
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Core contracts in deployment order, with the contracts their constructor depends on
+const CORE_CONTRACTS = {
+  BribeFactory: [],
+  StrategyFactory: [],
+  GovernanceToken: [],
+  Voter: ["GovernanceToken", "BribeFactory", "StrategyFactory"],
+  RevenueRouter: ["Voter"],
+  Multicall: ["Voter"],
+  Lens: ["Voter"],
+};
+
+// =============================================================================
+// CONTEXT
+// =============================================================================
+
+function createContext({
+  spec,
+  manifest,
+  deployer,
+  network,
+  file,
+  dryRun = false,
+  migrateVoter = false,
+  replaceGovernanceToken = false,
+}) {
+  const live = !LOCAL_NETWORKS.includes(network);
+  return {
+    spec,
+    manifest,
+    deployer,
+    network,
+    live,
+    dryRun,
+    migrateVoter,
+    replaceGovernanceToken,
+    verify: live && spec.verify !== false,
+    executed: [],
+    save() {
+      if (!dryRun && file) saveManifest(manifest, file);
+    },
+  };
+}
+
+function resolve(ctx, ref) {
+  return resolveAddress(ctx.spec, ref, {
+    deployer: ctx.deployer.address,
+    mocks: Object.fromEntries(
+      Object.entries(ctx.manifest.mocks).map(([key, entry]) => [key, entry.address])
+    ),
+  });
+}
+
+function address(ctx, name) {
+  return ctx.manifest.contracts[name]?.address;
+}
+
+async function contractAt(ctx, name) {
+  return ethers.getContractAt(`contracts/${name}.sol:${name}`, address(ctx, name));
+}
+
+async function hasCode(addr) {
+  return !!addr && (await ethers.provider.getCode(addr)) !== "0x";
+}
+
+async function isDeployed(ctx, name) {
+  return hasCode(address(ctx, name));
+}
+
+// Core contracts from an older build are replaced. The Multicall and Lens only read; a new Voter takes the GovernanceToken
+// over from the old one, and a new GovernanceToken leaves the stake behind in the old one, so those have to be asked for
+async function isUpToDate(ctx, name) {
+  if (!(await isDeployed(ctx, name))) return false;
+  if (await isCurrentBuild(name, address(ctx, name))) return true;
+  if (name === "GovernanceToken" && !ctx.replaceGovernanceToken) {
+    throw new Error(
+      `GovernanceToken ${address(ctx, "GovernanceToken")} predates the Voter registry and votingPower, so a current ` +
+        "Voter can neither vote on it nor be migrated to safely. Replacing it deploys a new GovernanceToken, Voter, " +
+        "RevenueRouter, Multicall and Lens and adds the spec's strategies; stakers move by resetting their votes, " +
+        "unstaking from the old GovernanceToken and staking in the new one. " +
+        "Rerun with DEPLOY_REPLACE_GOVERNANCE_TOKEN=1 to replace it"
     );
   }
-  if (STRATEGY) {
-    strategy = await ethers.getContractAt(
-      "contracts/Strategy.sol:Strategy",
-      STRATEGY
+  if (name === "Voter" && !ctx.migrateVoter) {
+    throw new Error(
+      `Voter ${address(ctx, "Voter")} predates strategy pausing and archiving. Replacing it deploys a new Voter, ` +
+        "RevenueRouter, Multicall and Lens, adds the spec's strategies to it and migrates the GovernanceToken; " +
+        "rerun with DEPLOY_MIGRATE_VOTER=1 to replace it"
     );
   }
-  if (BRIBE) {
-    bribe = await ethers.getContractAt("contracts/Bribe.sol:Bribe", BRIBE);
+  console.log(`  ${name} ${address(ctx, name)} is from an older build, it will be redeployed`);
+  return false;
+}
+
+function sameAddress(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+// Drops manifest entries built on top of a contract that is about to be replaced
+function invalidateDependents(ctx, name) {
+  for (const [contract, dependencies] of Object.entries(CORE_CONTRACTS)) {
+    if (dependencies.includes(name) && ctx.manifest.contracts[contract]) {
+      console.log(`  ${contract} depends on ${name}, it will be redeployed`);
+      delete ctx.manifest.contracts[contract];
+      invalidateDependents(ctx, contract);
+    }
   }
-  if (BRIBE_ROUTER) {
-    bribeRouter = await ethers.getContractAt(
-      "contracts/BribeRouter.sol:BribeRouter",
-      BRIBE_ROUTER
+  if (name === "Voter") ctx.manifest.strategies = [];
+}
+
+async function requireOwner(ctx, contract, name, action) {
+  const owner = await contract.owner();
+  if (!sameAddress(owner, ctx.deployer.address)) {
+    throw new Error(
+      `Cannot ${action}: ${name} is owned by ${owner}, not the deployer ${ctx.deployer.address}. ` +
+        "Submit it as a governance proposal instead."
     );
   }
-
-  console.log("Contracts Retrieved");
 }
 
 // =============================================================================
 // DEPLOY FUNCTIONS
 // =============================================================================
 
-async function deployBribeFactory() {
-  console.log("Starting BribeFactory Deployment");
-  const bribeFactoryArtifact = await ethers.getContractFactory("BribeFactory");
-  const bribeFactoryContract = await bribeFactoryArtifact.deploy({
-    gasPrice: ethers.gasPrice,
-  });
-  bribeFactory = await bribeFactoryContract.deployed();
-  await sleep(5000);
-  console.log("BribeFactory Deployed at:", bribeFactory.address);
+function constructorArgs(ctx, name) {
+  const { spec } = ctx;
+  switch (name) {
+    case "GovernanceToken":
+      return [
+        resolve(ctx, spec.governanceToken.underlying),
+        spec.governanceToken.name,
+        spec.governanceToken.symbol,
+      ];
+    case "Voter":
+      return [
+        address(ctx, "GovernanceToken"),
+        resolve(ctx, spec.voter.revenueToken),
+        resolve(ctx, spec.voter.treasury),
+        address(ctx, "BribeFactory"),
+        address(ctx, "StrategyFactory"),
+      ];
+    case "RevenueRouter":
+      return [resolve(ctx, spec.voter.revenueToken), address(ctx, "Voter")];
+    case "Multicall":
+    case "Lens":
+      return [address(ctx, "Voter")];
+    default:
+      return [];
+  }
 }
 
-async function verifyBribeFactory() {
-  console.log("Starting BribeFactory Verification");
-  await hre.run("verify:verify", {
-    address: bribeFactory.address,
-    contract: "contracts/BribeFactory.sol:BribeFactory",
-  });
-  console.log("BribeFactory Verified");
+async function deployMock(ctx, key) {
+  const { name, symbol, decimals } = ctx.spec.mocks[key];
+  const args = [name, symbol, decimals];
+  console.log(`Starting MockERC20 ${symbol} Deployment`);
+  const mockArtifact = await ethers.getContractFactory("MockERC20");
+  const mock = await (await mockArtifact.deploy(...args)).deployed();
+  const receipt = await mock.deployTransaction.wait();
+  ctx.manifest.mocks[key] = { address: mock.address, args, ...deploymentRecord(receipt) };
+  console.log(`MockERC20 ${symbol} Deployed at:`, mock.address);
 }
 
-async function deployStrategyFactory() {
-  console.log("Starting StrategyFactory Deployment");
-  const strategyFactoryArtifact = await ethers.getContractFactory(
-    "StrategyFactory"
-  );
-  const strategyFactoryContract = await strategyFactoryArtifact.deploy({
-    gasPrice: ethers.gasPrice,
-  });
-  strategyFactory = await strategyFactoryContract.deployed();
-  await sleep(5000);
-  console.log("StrategyFactory Deployed at:", strategyFactory.address);
+async function deployContract(ctx, name) {
+  console.log(`Starting ${name} Deployment`);
+  invalidateDependents(ctx, name);
+  const args = constructorArgs(ctx, name);
+  const artifact = await ethers.getContractFactory(name);
+  const contract = await (await artifact.deploy(...args)).deployed();
+  const receipt = await contract.deployTransaction.wait();
+  if (ctx.live) await sleep(5000);
+  ctx.manifest.contracts[name] = {
+    address: contract.address,
+    args: serializeArgs(args),
+    ...deploymentRecord(receipt),
+  };
+  console.log(`${name} Deployed at:`, contract.address);
 }
 
-async function verifyStrategyFactory() {
-  console.log("Starting StrategyFactory Verification");
-  await hre.run("verify:verify", {
-    address: strategyFactory.address,
-    contract: "contracts/StrategyFactory.sol:StrategyFactory",
-  });
-  console.log("StrategyFactory Verified");
-}
+// =============================================================================
+// VERIFY FUNCTIONS
+// =============================================================================
 
-async function deployGovernanceToken() {
-  console.log("Starting GovernanceToken Deployment");
-  const governanceTokenArtifact = await ethers.getContractFactory(
-    "GovernanceToken"
-  );
-  const governanceTokenContract = await governanceTokenArtifact.deploy(
-    DONUT,
-    "Governance Donut",
-    "gDONUT",
-    { gasPrice: ethers.gasPrice }
-  );
-  governanceToken = await governanceTokenContract.deployed();
-  await sleep(5000);
-  console.log("GovernanceToken Deployed at:", governanceToken.address);
+async function verifyContract(addr, name, constructorArguments) {
+  console.log(`Starting ${name} Verification`);
+  try {
+    await hre.run("verify:verify", {
+      address: addr,
+      contract: `contracts/${name}.sol:${name}`,
+      constructorArguments,
+    });
+  } catch (error) {
+    if (!/already verified/i.test(error.message)) throw error;
+  }
+  console.log(`${name} Verified`);
 }
 
-async function verifyGovernanceToken() {
-  console.log("Starting GovernanceToken Verification");
-  await hre.run("verify:verify", {
-    address: governanceToken.address,
-    contract: "contracts/GovernanceToken.sol:GovernanceToken",
-    constructorArguments: [DONUT, "Governance Donut", "gDONUT"],
-  });
-  console.log("GovernanceToken Verified");
-}
-
-async function deployVoter() {
-  console.log("Starting Voter Deployment");
-  const voterArtifact = await ethers.getContractFactory("Voter");
-  const voterContract = await voterArtifact.deploy(
-    governanceToken.address,
-    WETH,
-    DAO_ADDRESS,
-    bribeFactory.address,
-    strategyFactory.address,
-    { gasPrice: ethers.gasPrice }
-  );
-  voter = await voterContract.deployed();
-  await sleep(5000);
-  console.log("Voter Deployed at:", voter.address);
-}
-
-async function verifyVoter() {
-  console.log("Starting Voter Verification");
-  await hre.run("verify:verify", {
-    address: voter.address,
-    contract: "contracts/Voter.sol:Voter",
-    constructorArguments: [
-      governanceToken.address,
-      WETH,
-      DAO_ADDRESS,
-      bribeFactory.address,
-      strategyFactory.address,
-    ],
-  });
-  console.log("Voter Verified");
+async function verifyCore(ctx, name) {
+  const entry = ctx.manifest.contracts[name];
+  await verifyContract(entry.address, name, entry.args || constructorArgs(ctx, name));
+  ctx.manifest.contracts[name].verified = true;
 }
 
-async function deployRevenueRouter() {
-  console.log("Starting RevenueRouter Deployment");
-  const revenueRouterArtifact = await ethers.getContractFactory(
-    "RevenueRouter"
-  );
-  const revenueRouterContract = await revenueRouterArtifact.deploy(
-    WETH,
-    voter.address,
-    { gasPrice: ethers.gasPrice }
-  );
-  revenueRouter = await revenueRouterContract.deployed();
-  await sleep(5000);
-  console.log("RevenueRouter Deployed at:", revenueRouter.address);
+async function verifyStrategy(ctx, strategySpec) {
+  const entry = findStrategy(ctx.manifest, strategySpec.name);
+  const voter = address(ctx, "Voter");
+  const args = entry.args || (await strategyArgs(ctx, strategySpec));
+
+  await verifyContract(entry.strategy, "Strategy", args);
+  await verifyContract(entry.bribe, "Bribe", [voter]);
+  await verifyContract(entry.bribeRouter, "BribeRouter", [voter, entry.strategy, entry.paymentToken]);
+  entry.verified = true;
 }
 
-async function verifyRevenueRouter() {
-  console.log("Starting RevenueRouter Verification");
-  await hre.run("verify:verify", {
-    address: revenueRouter.address,
-    contract: "contracts/RevenueRouter.sol:RevenueRouter",
-    constructorArguments: [WETH, voter.address],
-  });
-  console.log("RevenueRouter Verified");
+// =============================================================================
+// CONFIGURATION FUNCTIONS
+// =============================================================================
+
+async function setVoterOnGovernanceToken(ctx) {
+  const governanceToken = await contractAt(ctx, "GovernanceToken");
+  await requireOwner(ctx, governanceToken, "GovernanceToken", "set the Voter");
+  const current = await governanceToken.voter();
+  if (current === ethers.constants.AddressZero) {
+    console.log("Setting Voter on GovernanceToken...");
+    await (await governanceToken.setVoter(address(ctx, "Voter"))).wait();
+    console.log("Voter set on GovernanceToken");
+    return;
+  }
+
+  // The GovernanceToken binds its first Voter for good; moving to another one is permanent, so it has to be asked for
+  if (!ctx.migrateVoter) {
+    throw new Error(
+      `GovernanceToken is bound to Voter ${current}, not to the manifest's Voter ${address(ctx, "Voter")}. ` +
+        "Migrating cannot be undone and registers one of at most 10 Voters; rerun with DEPLOY_MIGRATE_VOTER=1 to migrate"
+    );
+  }
+  console.log(`Migrating GovernanceToken from Voter ${current}...`);
+  await (await governanceToken.migrateVoter(address(ctx, "Voter"))).wait();
+  console.log("GovernanceToken migrated to the new Voter");
 }
 
-async function deployMulticall() {
-  console.log("Starting Multicall Deployment");
-  const multicallArtifact = await ethers.getContractFactory("Multicall");
-  const multicallContract = await multicallArtifact.deploy(voter.address, {
-    gasPrice: ethers.gasPrice,
-  });
-  multicall = await multicallContract.deployed();
-  await sleep(5000);
-  console.log("Multicall Deployed at:", multicall.address);
+async function setWithdrawalDelay(ctx) {
+  const withdrawalDelay = ctx.spec.governanceToken.withdrawalDelay;
+  const governanceToken = await contractAt(ctx, "GovernanceToken");
+  await requireOwner(ctx, governanceToken, "GovernanceToken", "set the withdrawal delay");
+  console.log(`Setting Withdrawal Delay to ${withdrawalDelay}s...`);
+  await (await governanceToken.setWithdrawalDelay(withdrawalDelay)).wait();
+  console.log(`Withdrawal Delay set to ${withdrawalDelay}s`);
 }
 
-async function verifyMulticall() {
-  console.log("Starting Multicall Verification");
-  await hre.run("verify:verify", {
-    address: multicall.address,
-    contract: "contracts/Multicall.sol:Multicall",
-    constructorArguments: [voter.address],
-  });
-  console.log("Multicall Verified");
-}
-
-async function verifyStrategy() {
-  console.log("Starting Strategy Verification");
-  await hre.run("verify:verify", {
-    address: STRATEGY,
-    contract: "contracts/Strategy.sol:Strategy",
-    constructorArguments: [
-      VOTER,
-      WETH,
-      PAYMENT_TOKEN,
-      PAYMENT_RECEIVER,
-      INIT_PRICE,
-      EPOCH_PERIOD,
-      PRICE_MULTIPLIER,
-      MIN_INIT_PRICE,
-    ],
-  });
-  console.log("Strategy Verified");
+async function setRevenueSource(ctx) {
+  const voter = await contractAt(ctx, "Voter");
+  await requireOwner(ctx, voter, "Voter", "set the revenue source");
+  console.log("Setting Revenue Source on Voter...");
+  await (await voter.setRevenueSource(address(ctx, "RevenueRouter"))).wait();
+  console.log("Revenue Source set on Voter");
 }
 
-async function verifyBribe() {
-  console.log("Starting Bribe Verification");
-  await hre.run("verify:verify", {
-    address: BRIBE,
-    contract: "contracts/Bribe.sol:Bribe",
-    constructorArguments: [VOTER],
-  });
-  console.log("Bribe Verified");
+async function setBribeSplit(ctx) {
+  const bribeSplit = ctx.spec.voter.bribeSplit;
+  const voter = await contractAt(ctx, "Voter");
+  await requireOwner(ctx, voter, "Voter", "set the bribe split");
+  console.log(`Setting Bribe Split to ${bribeSplit / 100}%...`);
+  await (await voter.setBribeSplit(bribeSplit)).wait();
+  console.log(`Bribe Split set to ${bribeSplit / 100}%`);
 }
 
-async function verifyBribeRouter() {
-  console.log("Starting BribeRouter Verification");
-  await hre.run("verify:verify", {
-    address: BRIBE_ROUTER,
-    contract: "contracts/BribeRouter.sol:BribeRouter",
-    constructorArguments: [VOTER, STRATEGY, PAYMENT_TOKEN],
-  });
-  console.log("BribeRouter Verified");
+async function strategyParams(ctx, strategySpec) {
+  const paymentToken = resolve(ctx, strategySpec.paymentToken);
+  const token = await ethers.getContractAt(
+    "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+    paymentToken
+  );
+  const decimals = await token.decimals();
+  return {
+    paymentToken,
+    paymentReceiver: resolve(ctx, strategySpec.paymentReceiver),
+    initPrice: toUnits(String(strategySpec.initPrice), decimals),
+    epochPeriod: strategySpec.epochPeriod,
+    priceMultiplier: toUnits(String(strategySpec.priceMultiplier), 18),
+    minInitPrice: toUnits(String(strategySpec.minInitPrice), decimals),
+  };
 }
 
-// =============================================================================
-// CONFIGURATION FUNCTIONS
-// =============================================================================
+// Strategy constructor args, as passed through StrategyFactory by Voter.addStrategy
+async function strategyArgs(ctx, strategySpec) {
+  const params = await strategyParams(ctx, strategySpec);
+  return serializeArgs([
+    address(ctx, "Voter"),
+    resolve(ctx, ctx.spec.voter.revenueToken),
+    params.paymentToken,
+    params.paymentReceiver,
+    params.initPrice,
+    params.epochPeriod,
+    params.priceMultiplier,
+    params.minInitPrice,
+  ]);
+}
 
-async function setVoterOnGovernanceToken() {
-  console.log("Setting Voter on GovernanceToken...");
-  const tx = await governanceToken.setVoter(voter.address);
-  await tx.wait();
-  console.log("Voter set on GovernanceToken");
+function strategyEntry(strategySpec, params, fields) {
+  return {
+    name: strategySpec.name,
+    description: strategySpec.description || "",
+    paymentToken: params.paymentToken,
+    paymentReceiver: params.paymentReceiver,
+    ...fields,
+  };
 }
 
-async function setRevenueSource() {
-  console.log("Setting Revenue Source on Voter...");
-  const tx = await voter.setRevenueSource(revenueRouter.address);
-  await tx.wait();
-  console.log("Revenue Source set on Voter");
+// Finds the Voter__StrategyAdded log of a strategy deployed outside of this pipeline
+async function findStrategyAdded(voter, strategy, fromBlock) {
+  try {
+    const [log] = await voter.queryFilter(voter.filters.Voter__StrategyAdded(strategy), fromBlock);
+    return log ? deploymentRecord(log) : { blockNumber: null, txHash: null };
+  } catch (error) {
+    // providers with limited log ranges; the record stays empty
+    return { blockNumber: null, txHash: null };
+  }
 }
 
-async function setBribeSplit() {
-  console.log("Setting Bribe Split to 20%...");
-  const tx = await voter.setBribeSplit(2000); // 2000 = 20% in basis points
-  await tx.wait();
-  console.log("Bribe Split set to 20%");
+// Adopts a strategy that already exists on the Voter with matching parameters
+async function locateStrategy(ctx, strategySpec) {
+  const entry = findStrategy(ctx.manifest, strategySpec.name);
+  if (!(await isDeployed(ctx, "Voter"))) return false;
+  const voter = await contractAt(ctx, "Voter");
+  if (entry) return voter.strategy_IsValid(entry.strategy);
+
+  const params = await strategyParams(ctx, strategySpec);
+  const claimed = ctx.manifest.strategies.map((s) => s.strategy.toLowerCase());
+  for (const addr of await voter.getStrategies()) {
+    if (claimed.includes(addr.toLowerCase())) continue;
+    const strategy = await ethers.getContractAt("contracts/Strategy.sol:Strategy", addr);
+    if (
+      sameAddress(await strategy.paymentToken(), params.paymentToken) &&
+      sameAddress(await strategy.paymentReceiver(), params.paymentReceiver) &&
+      (await strategy.epochPeriod()).eq(params.epochPeriod) &&
+      (await strategy.priceMultiplier()).eq(params.priceMultiplier) &&
+      (await strategy.minInitPrice()).eq(params.minInitPrice)
+    ) {
+      console.log(`  Found existing strategy "${strategySpec.name}" at ${addr}`);
+      ctx.manifest.strategies.push(
+        strategyEntry(strategySpec, params, {
+          strategy: addr,
+          bribe: await voter.strategy_Bribe(addr),
+          bribeRouter: await voter.strategy_BribeRouter(addr),
+          args: await strategyArgs(ctx, strategySpec),
+          ...(await findStrategyAdded(voter, addr, ctx.manifest.contracts.Voter.blockNumber || 0)),
+        })
+      );
+      return true;
+    }
+  }
+  return false;
 }
 
-async function addStrategy() {
-  console.log("Adding Strategy (Auction)...");
+async function addStrategy(ctx, strategySpec) {
+  const voter = await contractAt(ctx, "Voter");
+  await requireOwner(ctx, voter, "Voter", `add strategy "${strategySpec.name}"`);
+  const params = await strategyParams(ctx, strategySpec);
+
+  console.log(`Adding Strategy "${strategySpec.name}" (Auction)...`);
   const tx = await voter.addStrategy(
-    PAYMENT_TOKEN, // paymentToken
-    PAYMENT_RECEIVER, // paymentReceiver
-    INIT_PRICE, // initPrice
-    EPOCH_PERIOD, // epochPeriod
-    PRICE_MULTIPLIER, // priceMultiplier
-    MIN_INIT_PRICE // minInitPrice
+    params.paymentToken,
+    params.paymentReceiver,
+    params.initPrice,
+    params.epochPeriod,
+    params.priceMultiplier,
+    params.minInitPrice
   );
   const receipt = await tx.wait();
   const event = receipt.events?.find((e) => e.event === "Voter__StrategyAdded");
-  strategy = await ethers.getContractAt(
-    "contracts/Strategy.sol:Strategy",
-    event?.args?.strategy
-  );
-  bribe = await ethers.getContractAt(
-    "contracts/Bribe.sol:Bribe",
-    event?.args?.bribe
-  );
-  bribeRouter = await ethers.getContractAt(
-    "contracts/BribeRouter.sol:BribeRouter",
-    event?.args?.bribeRouter
+  ctx.manifest.strategies.push(
+    strategyEntry(strategySpec, params, {
+      strategy: event.args.strategy,
+      bribe: event.args.bribe,
+      bribeRouter: event.args.bribeRouter,
+      args: await strategyArgs(ctx, strategySpec),
+      ...deploymentRecord(receipt),
+    })
   );
-  console.log("Strategy Deployed at:", strategy.address);
-  console.log("Bribe Deployed at:", bribe.address);
-  console.log("BribeRouter Deployed at:", bribeRouter.address);
+  console.log("Strategy Deployed at:", event.args.strategy);
+  console.log("Bribe Deployed at:", event.args.bribe);
+  console.log("BribeRouter Deployed at:", event.args.bribeRouter);
 }
 
-async function transferOwnershipToDAO() {
-  console.log("Transferring Voter ownership to DAO...");
-  const tx1 = await voter.transferOwnership(DAO_ADDRESS);
-  await tx1.wait();
-  console.log("Voter ownership transferred to:", DAO_ADDRESS);
-
-  console.log("Transferring GovernanceToken ownership to DAO...");
-  const tx2 = await governanceToken.transferOwnership(DAO_ADDRESS);
-  await tx2.wait();
-  console.log("GovernanceToken ownership transferred to:", DAO_ADDRESS);
+async function killStrategy(ctx, strategySpec) {
+  const voter = await contractAt(ctx, "Voter");
+  await requireOwner(ctx, voter, "Voter", `kill strategy "${strategySpec.name}"`);
+  const { strategy } = findStrategy(ctx.manifest, strategySpec.name);
+  console.log("Killing Strategy:", strategy);
+  await (await voter.killStrategy(strategy)).wait();
+  console.log("Strategy Killed:", strategy);
 }
 
-async function killStrategy(strategyAddress) {
-  console.log("Killing Strategy:", strategyAddress);
-  const tx = await voter.killStrategy(strategyAddress);
-  await tx.wait();
-  console.log("Strategy Killed:", strategyAddress);
+async function transferOwnership(ctx, name) {
+  const target = resolve(ctx, ctx.spec.owner);
+  const contract = await contractAt(ctx, name);
+  await requireOwner(ctx, contract, name, `transfer ${name} ownership`);
+  console.log(`Transferring ${name} ownership to ${target}...`);
+  await (await contract.transferOwnership(target)).wait();
+  console.log(`${name} ownership transferred to:`, target);
 }
 
-async function distributeAndBuyDonut() {
-  console.log("Calling distributeAndBuy on Donut Strategy...");
+// =============================================================================
+// PIPELINE
+// =============================================================================
 
-  // Get strategy data from Multicall
-  const [wallet] = await ethers.getSigners();
-  const strategyData = await multicall.getStrategyData(
-    STRATEGY_0,
-    wallet.address
-  );
+// Each step reports whether it is already reflected on-chain; only pending steps run
+function buildSteps(ctx) {
+  const { spec } = ctx;
+  const steps = [];
+
+  for (const key of Object.keys(spec.mocks || {})) {
+    steps.push({
+      name: `deploy mock ${key}`,
+      done: () => hasCode(ctx.manifest.mocks[key]?.address),
+      run: () => deployMock(ctx, key),
+    });
+  }
 
-  const epochId = strategyData.epochId;
-  const deadline = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
-  const maxPaymentAmount = strategyData.currentPrice;
+  for (const name of Object.keys(CORE_CONTRACTS)) {
+    steps.push({
+      name: `deploy ${name}`,
+      done: () => isUpToDate(ctx, name),
+      run: () => deployContract(ctx, name),
+    });
+  }
 
-  // Print parameters
-  console.log("**************************************************************");
-  console.log("Strategy:          ", STRATEGY_0);
-  console.log("Epoch ID:          ", epochId.toString());
-  console.log("Deadline:          ", deadline);
-  console.log(
-    "Current Price:     ",
-    divDec(strategyData.currentPrice).toFixed(4),
-    "DONUT"
-  );
-  console.log(
-    "Init Price:        ",
-    divDec(strategyData.initPrice).toFixed(4),
-    "DONUT"
-  );
-  console.log(
-    "Revenue Balance:   ",
-    divDec(strategyData.revenueBalance).toFixed(4),
-    "WETH"
-  );
-  console.log(
-    "Max Payment:       ",
-    divDec(maxPaymentAmount).toFixed(4),
-    "DONUT"
-  );
-  console.log("**************************************************************");
-
-  // Approve Multicall to spend DONUT
-  // const donut = await ethers.getContractAt(
-  //   "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20",
-  //   DONUT
-  // );
-  // console.log("Approving Multicall to spend DONUT...");
-  // const approveTx = await donut.approve(MULTICALL, maxPaymentAmount);
-  // await approveTx.wait();
-  // console.log("Approval complete");
-
-  const tx = await multicall.distributeAndBuy(
-    STRATEGY_0,
-    epochId,
-    deadline,
-    maxPaymentAmount
-  );
-  await tx.wait();
-  console.log("distributeAndBuy executed on Donut Strategy");
-}
+  if (ctx.verify) {
+    for (const name of Object.keys(CORE_CONTRACTS)) {
+      steps.push({
+        name: `verify ${name}`,
+        done: async () => !!ctx.manifest.contracts[name]?.verified,
+        run: () => verifyCore(ctx, name),
+      });
+    }
+  }
 
-// =============================================================================
-// PRINT FUNCTIONS
-// =============================================================================
+  steps.push({
+    name: ctx.migrateVoter ? "migrateVoter on GovernanceToken" : "setVoter on GovernanceToken",
+    done: async () =>
+      (await isDeployed(ctx, "GovernanceToken")) &&
+      sameAddress(await (await contractAt(ctx, "GovernanceToken")).voter(), address(ctx, "Voter")),
+    run: () => setVoterOnGovernanceToken(ctx),
+  });
 
-async function printCoreAddresses() {
-  console.log("**************************************************************");
-  console.log("BribeFactory:     ", bribeFactory.address);
-  console.log("StrategyFactory:  ", strategyFactory.address);
-  console.log("GovernanceToken:  ", governanceToken.address);
-  console.log("Voter:            ", voter.address);
-  console.log("RevenueRouter:    ", revenueRouter.address);
-  console.log("Multicall:        ", multicall.address);
-  console.log("**************************************************************");
-}
+  if (spec.governanceToken.withdrawalDelay !== undefined) {
+    steps.push({
+      name: `setWithdrawalDelay ${spec.governanceToken.withdrawalDelay}`,
+      done: async () =>
+        (await isDeployed(ctx, "GovernanceToken")) &&
+        (await (await contractAt(ctx, "GovernanceToken")).withdrawalDelay()).eq(spec.governanceToken.withdrawalDelay),
+      run: () => setWithdrawalDelay(ctx),
+    });
+  }
+
+  steps.push({
+    name: "setRevenueSource on Voter",
+    done: async () =>
+      (await isDeployed(ctx, "Voter")) &&
+      sameAddress(await (await contractAt(ctx, "Voter")).revenueSource(), address(ctx, "RevenueRouter")),
+    run: () => setRevenueSource(ctx),
+  });
+
+  if (spec.voter.bribeSplit !== undefined) {
+    steps.push({
+      name: `setBribeSplit ${spec.voter.bribeSplit}`,
+      done: async () =>
+        (await isDeployed(ctx, "Voter")) &&
+        (await (await contractAt(ctx, "Voter")).bribeSplit()).eq(spec.voter.bribeSplit),
+      run: () => setBribeSplit(ctx),
+    });
+  }
+
+  for (const strategySpec of spec.strategies) {
+    steps.push({
+      name: `addStrategy "${strategySpec.name}"`,
+      done: () => locateStrategy(ctx, strategySpec),
+      run: () => addStrategy(ctx, strategySpec),
+    });
+    if (ctx.verify) {
+      steps.push({
+        name: `verify strategy "${strategySpec.name}"`,
+        done: async () => !!findStrategy(ctx.manifest, strategySpec.name)?.verified,
+        run: () => verifyStrategy(ctx, strategySpec),
+      });
+    }
+    if (strategySpec.killed) {
+      steps.push({
+        name: `killStrategy "${strategySpec.name}"`,
+        done: async () => {
+          const entry = findStrategy(ctx.manifest, strategySpec.name);
+          return !!entry && !(await (await contractAt(ctx, "Voter")).strategy_IsAlive(entry.strategy));
+        },
+        run: () => killStrategy(ctx, strategySpec),
+      });
+    }
+  }
+
+  if (spec.owner) {
+    for (const name of ["Voter", "GovernanceToken"]) {
+      steps.push({
+        name: `transferOwnership of ${name}`,
+        done: async () =>
+          (await isDeployed(ctx, name)) &&
+          sameAddress(await (await contractAt(ctx, name)).owner(), resolve(ctx, spec.owner)),
+        run: () => transferOwnership(ctx, name),
+      });
+    }
+  }
 
-async function printStrategyAddresses() {
-  console.log("**************************************************************");
-  console.log("Strategy:         ", strategy?.address || "Not deployed");
-  console.log("Bribe:            ", bribe?.address || "Not deployed");
-  console.log("BribeRouter:      ", bribeRouter?.address || "Not deployed");
-  console.log("**************************************************************");
+  return steps;
 }
 
-async function printExternalAddresses() {
-  console.log("**************************************************************");
-  console.log("DONUT:            ", DONUT);
-  console.log("WETH:             ", WETH);
-  console.log("USDC:             ", USDC);
-  console.log("DONUT_ETH_LP:     ", DONUT_ETH_LP);
-  console.log("DAO:              ", DAO_ADDRESS);
-  console.log("**************************************************************");
+async function runDeployment(ctx) {
+  for (const step of buildSteps(ctx)) {
+    if (await step.done()) {
+      console.log(`[done]    ${step.name}`);
+      continue;
+    }
+    if (ctx.dryRun) {
+      console.log(`[pending] ${step.name}`);
+      continue;
+    }
+    console.log(`[run]     ${step.name}`);
+    await step.run();
+    ctx.executed.push(step.name);
+    ctx.save();
+  }
+  ctx.save();
+  if (!ctx.dryRun) await checkManifest(ctx.manifest);
+  return ctx.executed;
 }
 
-async function printAllAddresses() {
+// =============================================================================
+// PRINT FUNCTIONS
+// =============================================================================
+
+async function printDeployment(ctx) {
   console.log(
     "\n==================== LIQUID SIGNAL DEPLOYMENT ====================\n"
   );
 
-  console.log("--- External Addresses ---");
-  console.log("DAO:              ", DAO_ADDRESS);
-  console.log("DONUT:            ", DONUT);
-  console.log("WETH:             ", WETH);
-  console.log("USDC:             ", USDC);
-  console.log("DONUT_ETH_LP:     ", DONUT_ETH_LP);
-
-  console.log("\n--- Core Contracts ---");
-  console.log("BribeFactory:     ", BRIBE_FACTORY);
-  console.log("StrategyFactory:  ", STRATEGY_FACTORY);
-  console.log("GovernanceToken:  ", GOVERNANCE_TOKEN);
-  console.log("Voter:            ", VOTER);
-  console.log("RevenueRouter:    ", REVENUE_ROUTER);
-  console.log("Multicall:        ", MULTICALL);
+  console.log("--- Core Contracts ---");
+  for (const name of Object.keys(CORE_CONTRACTS)) {
+    console.log(`${(name + ":").padEnd(18)}`, address(ctx, name) || "Not deployed");
+  }
 
   // Print on-chain parameters if contracts are available
-  if (voter && governanceToken) {
+  if ((await isDeployed(ctx, "Voter")) && (await isDeployed(ctx, "GovernanceToken"))) {
+    const voter = await contractAt(ctx, "Voter");
+    const governanceToken = await contractAt(ctx, "GovernanceToken");
     console.log("\n--- On-Chain Parameters ---");
-    const voterOwner = await voter.owner();
-    const govTokenOwner = await governanceToken.owner();
-    const bribeSplit = await voter.bribeSplit();
-    const revenueSource = await voter.revenueSource();
-    const underlying = await governanceToken.underlying();
-    const totalWeight = await voter.totalWeight();
-    const strategies = await voter.getStrategies();
-    const strategyCount = strategies.length;
-    const govTokenName = await governanceToken.name();
-    const govTokenSymbol = await governanceToken.symbol();
-    const revenueToken = await voter.revenueToken();
-
-    console.log("Voter Owner:      ", voterOwner);
-    console.log("GovToken Owner:   ", govTokenOwner);
-    console.log("GovToken Name:    ", govTokenName);
-    console.log("GovToken Symbol:  ", govTokenSymbol);
-    console.log("Bribe Split:      ", bribeSplit.toString() / 100 + "%");
-    console.log("Revenue Source:   ", revenueSource);
-    console.log("Revenue Token:    ", revenueToken);
-    console.log("Underlying Token: ", underlying);
-    console.log("Total Weight:     ", divDec(totalWeight).toFixed(4));
-    console.log("Strategy Count:   ", strategyCount.toString());
+    console.log("Voter Owner:      ", await voter.owner());
+    console.log("GovToken Owner:   ", await governanceToken.owner());
+    console.log("GovToken Name:    ", await governanceToken.name());
+    console.log("GovToken Symbol:  ", await governanceToken.symbol());
+    console.log("Bribe Split:      ", (await voter.bribeSplit()).toNumber() / 100 + "%");
+    console.log("Revenue Source:   ", await voter.revenueSource());
+    console.log("Revenue Token:    ", await voter.revenueToken());
+    console.log("Underlying Token: ", await governanceToken.underlying());
+    console.log("Total Weight:     ", divDec(await voter.totalWeight()).toFixed(4));
+    console.log("Strategy Count:   ", (await voter.length()).toString());
   }
 
-  console.log("\n--- Strategy 0: " + STRATEGY_DESCRIPTION_0 + " ---");
-  console.log("Strategy:         ", STRATEGY_0);
-  console.log("Bribe:            ", BRIBE_0);
-  console.log("BribeRouter:      ", BRIBE_ROUTER_0);
-
-  console.log("\n--- Strategy 1: " + STRATEGY_DESCRIPTION_1 + " ---");
-  console.log("Strategy:         ", STRATEGY_1);
-  console.log("Bribe:            ", BRIBE_1);
-  console.log("BribeRouter:      ", BRIBE_ROUTER_1);
-
-  console.log("\n--- Strategy 2: " + STRATEGY_DESCRIPTION_2 + " ---");
-  console.log("Strategy:         ", STRATEGY_2);
-  console.log("Bribe:            ", BRIBE_2);
-  console.log("BribeRouter:      ", BRIBE_ROUTER_2);
-
-  console.log("\n--- Strategy 3: " + STRATEGY_DESCRIPTION_3 + " ---");
-  console.log("Strategy:         ", STRATEGY_3);
-  console.log("Bribe:            ", BRIBE_3);
-  console.log("BribeRouter:      ", BRIBE_ROUTER_3);
+  for (const [i, entry] of ctx.manifest.strategies.entries()) {
+    console.log(`\n--- Strategy ${i}: ${entry.description || entry.name} ---`);
+    console.log("Strategy:         ", entry.strategy);
+    console.log("Bribe:            ", entry.bribe);
+    console.log("BribeRouter:      ", entry.bribeRouter);
+  }
 
   console.log(
     "\n===================================================================\n"
@@ -588,94 +616,36 @@ async function main() {
   console.log("Using wallet:", wallet.address);
   console.log("Account balance:", (await wallet.getBalance()).toString());
 
-  await getContracts();
-
-  //===================================================================
-  // Deploy Core Contracts
-  //===================================================================
-
-  // console.log("Starting Core Deployment");
-  // await deployBribeFactory();
-  // await deployStrategyFactory();
-  // await deployGovernanceToken();
-  // await deployVoter();
-  // await deployRevenueRouter();
-  // await deployMulticall();
-  // await printCoreAddresses();
-
-  //===================================================================
-  // Verify Core Contracts
-  //===================================================================
-
-  // console.log("Starting Core Verification");
-  // await verifyBribeFactory();
-  // await verifyStrategyFactory();
-  // await verifyGovernanceToken();
-  // await verifyVoter();
-  // await verifyRevenueRouter();
-  await verifyMulticall();
-  // console.log("Core Contracts Verified");
-
-  //===================================================================
-  // Configure Contracts
-  //===================================================================
-
-  // console.log("Starting Configuration");
-  // await setVoterOnGovernanceToken();
-  // await setRevenueSource();
-  // await setBribeSplit();
-  // console.log("Configuration Complete");
-
-  //===================================================================
-  // Add Strategy
-  //===================================================================
-
-  // console.log("Starting Strategy Deployment");
-  // await addStrategy();
-  // await printStrategyAddresses();
-
-  //===================================================================
-  // Verify Strategy Contracts
-  //===================================================================
-
-  // console.log("Starting Strategy Verification");
-  // await verifyStrategy();
-  // await verifyBribe();
-  // await verifyBribeRouter();
-  // console.log("Strategy Contracts Verified");
-
-  //===================================================================
-  // Transfer Ownership
-  //===================================================================
-
-  // console.log("Starting Ownership Transfer");
-  // await transferOwnershipToDAO();
-  // console.log("Ownership Transfer Complete");
-
-  //===================================================================
-  // Kill Strategy
-  //===================================================================
-
-  // await killStrategy(STRATEGY_0); // Kill DONUT strategy
-  // await killStrategy(STRATEGY_1); // Kill DONUT-ETH LP strategy
-  // await killStrategy(STRATEGY_2); // Kill USDC strategy
-
-  //===================================================================
-  // Distribute and Buy
-  //===================================================================
-
-  // await distributeAndBuyDonut();
-
-  //===================================================================
-  // Print Deployment
-  //===================================================================
-
-  // await printAllAddresses();
-}
-
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
+  const network = hre.network.name;
+  const { chainId } = await ethers.provider.getNetwork();
+  const ctx = createContext({
+    spec: loadSpec(network),
+    manifest: loadManifest(network, chainId),
+    deployer: wallet,
+    network,
+    file: manifestPath(network),
+    dryRun: !!process.env.DEPLOY_DRY_RUN,
+    migrateVoter: !!process.env.DEPLOY_MIGRATE_VOTER,
+    replaceGovernanceToken: !!process.env.DEPLOY_REPLACE_GOVERNANCE_TOKEN,
   });
+
+  const executed = await runDeployment(ctx);
+  console.log(`\n${executed.length} step(s) executed`);
+  await printDeployment(ctx);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(describeError(error) || error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  CORE_CONTRACTS,
+  createContext,
+  buildSteps,
+  runDeployment,
+};
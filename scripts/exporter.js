@@ -0,0 +1,273 @@
+const http = require("http");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const {
+  requireManifest,
+  contractAddress,
+  strategiesByAddress,
+  checkManifest,
+  archivedStrategies,
+} = require("./lib/manifest");
+const { metricFamily, addSample, renderMetrics, negotiate } = require("./lib/metrics");
+const { argValue } = require("./lib/args");
+const { describeError } = require("../sdk");
+
+// Usage:
+//   HARDHAT_NETWORK=mainnet node scripts/exporter.js [--port 9464]
+//   EXPORTER_PORT=9464 npx hardhat run ./scripts/exporter.js --network localhost
+// Serves Prometheus metrics on http://localhost:<port>/metrics. Counters are rebuilt from Strategy__Buy and
+// Voter__NotifyRevenue events, scanned from the Voter deploy block in the manifest (or EXPORTER_FROM_BLOCK).
+// Buys are read from the Voter's strategies only, archived ones included, whose buy counters stay exported.
+
+const DEFAULT_PORT = 9464;
+const LOG_CHUNK = 5000;
+
+const units = (amount, decimals = 18) => Number(ethers.utils.formatUnits(amount, decimals));
+
+function parsePort(argv = process.argv.slice(2), env = process.env) {
+  const value = argValue(argv, "port", env.EXPORTER_PORT || DEFAULT_PORT);
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port "${value}"`);
+  }
+  return port;
+}
+
+/**
+ * Returns a function that reads the current system state and returns the metric families.
+ * Event counters are accumulated across calls, each call only scans the blocks mined since the last one.
+ * Strategy__Buy logs are queried per strategy of the Voter, active and archived, so look-alike events from
+ * other contracts are never fetched.
+ */
+async function createCollector({ multicall, provider = ethers.provider, names = {}, fromBlock = 0, chunkSize = LOG_CHUNK }) {
+  const voterInterface = new ethers.utils.Interface((await hre.artifacts.readArtifact("contracts/Voter.sol:Voter")).abi);
+  const strategyInterface = new ethers.utils.Interface(
+    (await hre.artifacts.readArtifact("contracts/Strategy.sol:Strategy")).abi
+  );
+  const buyTopic = strategyInterface.getEventTopic("Strategy__Buy");
+  const notifyTopic = voterInterface.getEventTopic("Voter__NotifyRevenue");
+
+  const buys = {}; // strategy (lowercase) => { count, paymentAmount, revenueAmount }
+  const notified = { count: 0, amount: ethers.BigNumber.from(0) };
+  const paymentTokens = {}; // archived strategy (lowercase) => { paymentTokenSymbol, paymentTokenDecimals }
+  let nextBlock = fromBlock;
+  let running = null;
+
+  // Counts each chunk only once its logs are in and moves nextBlock past it, so a failed request leaves the
+  // chunks already counted behind and the next scan resumes at the failed one
+  async function scan(voter, strategies, toBlock) {
+    while (nextBlock <= toBlock) {
+      const start = nextBlock;
+      const end = Math.min(start + chunkSize - 1, toBlock);
+
+      const buyLogs = [];
+      for (const strategy of strategies) {
+        buyLogs.push(...(await provider.getLogs({ address: strategy, fromBlock: start, toBlock: end, topics: [buyTopic] })));
+      }
+      const notifyLogs = await provider.getLogs({ address: voter, fromBlock: start, toBlock: end, topics: [notifyTopic] });
+
+      for (const log of buyLogs) {
+        const strategy = log.address.toLowerCase();
+        const { args } = strategyInterface.parseLog(log);
+        if (!buys[strategy]) {
+          buys[strategy] = { count: 0, paymentAmount: ethers.BigNumber.from(0), revenueAmount: ethers.BigNumber.from(0) };
+        }
+        const entry = buys[strategy];
+        entry.count += 1;
+        entry.paymentAmount = entry.paymentAmount.add(args.paymentAmount);
+        entry.revenueAmount = entry.revenueAmount.add(args.revenueAmount);
+      }
+      for (const log of notifyLogs) {
+        notified.count += 1;
+        notified.amount = notified.amount.add(voterInterface.parseLog(log).args.amount);
+      }
+      nextBlock = end + 1;
+    }
+  }
+
+  async function collect() {
+    const blockNumber = await provider.getBlockNumber();
+    const system = await multicall.getSystemOverview({ blockTag: blockNumber });
+    const strategies = await multicall.getAllStrategyOverviews({ blockTag: blockNumber });
+    const archived = await archivedPaymentTokens(system.voterAddress, blockNumber);
+    await scan(system.voterAddress, [...strategies, ...archived].map((s) => s.strategy), blockNumber);
+    return buildFamilies(system, strategies, { archived, buys, notified, names, blockNumber });
+  }
+
+  // Archived strategies have no overview; their payment token is read once, it is immutable
+  async function archivedPaymentTokens(voterAddress, blockNumber) {
+    const voter = await ethers.getContractAt("contracts/Voter.sol:Voter", voterAddress);
+    const archived = [];
+    for (const strategy of await archivedStrategies(voter, { blockTag: blockNumber })) {
+      const key = strategy.toLowerCase();
+      if (!paymentTokens[key]) {
+        const token = await ethers.getContractAt(
+          "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+          await (await ethers.getContractAt("Strategy", strategy)).paymentToken()
+        );
+        paymentTokens[key] = { paymentTokenSymbol: await token.symbol(), paymentTokenDecimals: await token.decimals() };
+      }
+      archived.push({ strategy, ...paymentTokens[key] });
+    }
+    return archived;
+  }
+
+  // Concurrent scrapes share one collection so events are never counted twice
+  return () => {
+    if (!running) running = collect().finally(() => (running = null));
+    return running;
+  };
+}
+
+function buildFamilies(system, strategies, { archived = [], buys, notified, names, blockNumber }) {
+  const gauge = (name, help) => metricFamily(name, "gauge", help);
+  const counter = (name, help) => metricFamily(name, "counter", help);
+
+  const revenueRouterBalance = gauge("lsg_revenue_router_balance_weth", "WETH waiting in the RevenueRouter");
+  const voterClaimable = gauge("lsg_voter_claimable_weth", "WETH claimable by strategies in the Voter");
+  const totalWeight = gauge("lsg_total_weight", "Total vote weight across strategies");
+  const governanceSupply = gauge("lsg_governance_token_supply", "Staked governance token supply");
+  const bribeSplit = gauge("lsg_bribe_split_ratio", "Share of auction payments routed to bribes");
+  const epochRemaining = gauge("lsg_epoch_remaining_seconds", "Seconds until the next voting epoch");
+  const alive = gauge("lsg_strategy_alive", "1 if the strategy is alive, 0 if killed");
+  const paused = gauge("lsg_strategy_paused", "1 if the strategy is paused, 0 otherwise");
+  const weight = gauge("lsg_strategy_weight", "Vote weight on the strategy");
+  const votePercent = gauge("lsg_strategy_vote_percent", "Share of total vote weight on the strategy, in percent");
+  const wethBalance = gauge("lsg_strategy_weth_balance", "WETH held by the strategy for auction");
+  const auctionEpoch = gauge("lsg_strategy_auction_epoch_id", "Current auction epoch id");
+  const auctionPrice = gauge("lsg_strategy_auction_price", "Current auction price in payment tokens");
+  const auctionRemaining = gauge("lsg_strategy_auction_remaining_seconds", "Seconds until the auction price reaches zero");
+  const bribeRouterBalance = gauge("lsg_strategy_bribe_router_balance", "Payment tokens waiting in the BribeRouter");
+  const bribeLeft = gauge("lsg_strategy_bribe_tokens_left", "Payment tokens left to stream in the Bribe");
+  const buyCount = counter("lsg_strategy_buys", "Auction buys (Strategy__Buy events)");
+  const buyPayment = counter("lsg_strategy_buy_payment", "Payment tokens paid in auction buys");
+  const buyRevenue = counter("lsg_strategy_buy_revenue_weth", "WETH sold in auction buys");
+  const notifyCount = counter("lsg_voter_revenue_notifications", "Revenue notifications (Voter__NotifyRevenue events)");
+  const notifyAmount = counter("lsg_voter_notified_revenue_weth", "WETH notified to the Voter as revenue");
+  const scannedBlock = gauge("lsg_exporter_scanned_block", "Last block scanned for events");
+
+  addSample(revenueRouterBalance, {}, units(system.revenueRouterWethBalance));
+  addSample(voterClaimable, {}, units(system.voterTotalClaimable));
+  addSample(totalWeight, {}, units(system.totalWeight));
+  addSample(governanceSupply, {}, units(system.governanceTokenTotalSupply));
+  addSample(bribeSplit, {}, Number(system.bribeSplit) / 10000);
+  addSample(epochRemaining, {}, Number(system.timeUntilNextEpoch));
+
+  strategies.forEach((s, i) => {
+    const decimals = Number(s.paymentTokenDecimals);
+    const key = s.strategy.toLowerCase();
+    const labels = { strategy: s.strategy, name: names[key] || `Strategy ${i}`, token: s.paymentTokenSymbol };
+    const bought = buys[key] || { count: 0, paymentAmount: 0, revenueAmount: 0 };
+
+    addSample(alive, labels, s.isAlive ? 1 : 0);
+    addSample(paused, labels, s.isPaused ? 1 : 0);
+    addSample(weight, labels, units(s.strategyWeight));
+    addSample(votePercent, labels, units(s.votePercent));
+    addSample(wethBalance, labels, units(s.strategyWethBalance));
+    addSample(auctionEpoch, labels, Number(s.epochId));
+    addSample(auctionPrice, labels, units(s.currentPrice, decimals));
+    addSample(auctionRemaining, labels, Number(s.timeUntilAuctionEnd));
+    addSample(bribeRouterBalance, labels, units(s.bribeRouterTokenBalance, decimals));
+    addSample(bribeLeft, labels, units(s.bribeTokensLeft, decimals));
+    addSample(buyCount, labels, bought.count);
+    addSample(buyPayment, labels, units(bought.paymentAmount, decimals));
+    addSample(buyRevenue, labels, units(bought.revenueAmount));
+  });
+  // Archived strategies only keep their buy counters, so the series do not vanish
+  archived.forEach((s, i) => {
+    const decimals = Number(s.paymentTokenDecimals);
+    const key = s.strategy.toLowerCase();
+    const labels = { strategy: s.strategy, name: names[key] || `Archived strategy ${i}`, token: s.paymentTokenSymbol };
+    const bought = buys[key] || { count: 0, paymentAmount: 0, revenueAmount: 0 };
+
+    addSample(buyCount, labels, bought.count);
+    addSample(buyPayment, labels, units(bought.paymentAmount, decimals));
+    addSample(buyRevenue, labels, units(bought.revenueAmount));
+  });
+
+  addSample(notifyCount, {}, notified.count);
+  addSample(notifyAmount, {}, units(notified.amount));
+  addSample(scannedBlock, {}, blockNumber);
+
+  return [
+    revenueRouterBalance,
+    voterClaimable,
+    totalWeight,
+    governanceSupply,
+    bribeSplit,
+    epochRemaining,
+    alive,
+    paused,
+    weight,
+    votePercent,
+    wethBalance,
+    auctionEpoch,
+    auctionPrice,
+    auctionRemaining,
+    bribeRouterBalance,
+    bribeLeft,
+    buyCount,
+    buyPayment,
+    buyRevenue,
+    notifyCount,
+    notifyAmount,
+    scannedBlock,
+  ];
+}
+
+// Serves GET /metrics, a failed collection answers 500 so the scrape shows up as down
+function createServer(collect, { log = console.error } = {}) {
+  return http.createServer(async (req, res) => {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found, metrics are served on /metrics\n");
+      return;
+    }
+    try {
+      const families = await collect();
+      const { openMetrics, contentType } = negotiate(req.headers.accept);
+      res.writeHead(200, { "Content-Type": contentType });
+      res.end(renderMetrics(families, { openMetrics }));
+    } catch (error) {
+      log(error);
+      res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end(`Collection failed: ${describeError(error) || error.message}\n`);
+    }
+  });
+}
+
+async function main() {
+  const port = parsePort();
+
+  // Addresses and strategy names come from deployments/<network>.json
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = requireManifest(hre.network.name, chainId);
+  await checkManifest(manifest);
+  const MULTICALL = contractAddress(manifest, "Multicall");
+  const names = Object.fromEntries(
+    Object.entries(strategiesByAddress(manifest)).map(([address, entry]) => [address, entry.name])
+  );
+  const fromBlock = Number(process.env.EXPORTER_FROM_BLOCK || manifest.contracts.Voter.blockNumber || 0);
+
+  const multicall = await ethers.getContractAt("contracts/Multicall.sol:Multicall", MULTICALL);
+  const collect = await createCollector({ multicall, names, fromBlock });
+
+  // Scan the event history before accepting scrapes
+  await collect();
+
+  const server = createServer(collect);
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`Serving ${hre.network.name} metrics on http://localhost:${server.address().port}/metrics`);
+  await new Promise((resolve) => server.on("close", resolve));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(describeError(error) || error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parsePort, createCollector, buildFamilies, createServer };
@@ -0,0 +1,77 @@
+const path = require("path");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { requireManifest, contractAddress, checkManifest } = require("./lib/manifest");
+const { openDatabase, createIndexer, DEFAULT_CONFIRMATIONS } = require("./lib/indexer");
+const { argValue } = require("./lib/args");
+
+// Usage:
+//   HARDHAT_NETWORK=mainnet node scripts/indexer.js [--db data/mainnet.sqlite] [--confirmations 12] [--from-block N]
+//   npx hardhat run ./scripts/indexer.js --network localhost
+// Env fallbacks for `hardhat run`: INDEXER_DB, INDEXER_CONFIRMATIONS, INDEXER_FROM_BLOCK.
+// Rerunning resumes after the last indexed block. The first run starts at --from-block, or else at the Voter
+// deploy block from the manifest, and fails when neither is known. Runs index up to --confirmations blocks
+// behind the chain head.
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+const databasePath = (network) => path.join(DATA_DIR, `${network}.sqlite`);
+
+function parseOptions(argv = process.argv.slice(2), env = process.env) {
+  const integer = (name, value) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) throw new Error(`Invalid --${name} "${value}"`);
+    return number;
+  };
+  return {
+    db: argValue(argv, "db", env.INDEXER_DB),
+    confirmations: integer("confirmations", argValue(argv, "confirmations", env.INDEXER_CONFIRMATIONS)),
+    fromBlock: integer("from-block", argValue(argv, "from-block", env.INDEXER_FROM_BLOCK)),
+  };
+}
+
+// Opens the network's index database and an indexer for the manifest's deployment
+function openNetworkIndex(manifest, chainId, options = {}) {
+  const file = options.db || databasePath(hre.network.name);
+  const db = openDatabase(file);
+  const indexer = createIndexer({
+    db,
+    chainId,
+    voter: contractAddress(manifest, "Voter"),
+    governanceToken: contractAddress(manifest, "GovernanceToken"),
+    fromBlock: options.fromBlock ?? manifest.contracts.Voter.blockNumber,
+    confirmations: options.confirmations ?? DEFAULT_CONFIRMATIONS,
+    strategies: manifest.strategies,
+    log: options.log || (() => {}),
+  });
+  return { file, db, indexer };
+}
+
+async function main() {
+  const options = parseOptions();
+
+  // Addresses come from deployments/<network>.json
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = requireManifest(hre.network.name, chainId);
+  await checkManifest(manifest);
+
+  const { file, db, indexer } = openNetworkIndex(manifest, chainId, { ...options, log: console.log });
+  const { fromBlock, toBlock, events, rewound, backfilled } = await indexer.run();
+  if (rewound > 0) console.log(`Rewound ${rewound} blocks after a reorg`);
+  if (backfilled > 0) console.log(`Backfilled ${backfilled} events into tables added since the last run`);
+  if (fromBlock > toBlock) console.log(`${file} is up to date at block ${toBlock}`);
+  else console.log(`Indexed ${events} events from blocks ${fromBlock}-${toBlock} into ${file}`);
+  db.close();
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { DATA_DIR, databasePath, parseOptions, openNetworkIndex };
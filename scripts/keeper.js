@@ -0,0 +1,131 @@
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const {
+  requireManifest,
+  contractAddress,
+  strategiesByAddress,
+  checkManifest,
+} = require("./lib/manifest");
+const { DEFAULTS, createKeeper, renderJobs } = require("./lib/keeper");
+const { jsonPriceSource } = require("./lib/prices");
+const { argValue } = require("./lib/args");
+const { describeError } = require("../sdk");
+
+// Usage:
+//   HARDHAT_NETWORK=mainnet node scripts/keeper.js [--interval 300] [--once] [--dry-run]
+//       [--gas-multiple 2] [--prices prices.json] [--retries 3] [--retry-delay 5]
+//       [--from-block 17000000] [--poke-threshold 100]
+//   KEEPER_ONCE=1 KEEPER_DRY_RUN=1 npx hardhat run ./scripts/keeper.js --network localhost
+// Env fallbacks for `hardhat run`: KEEPER_INTERVAL, KEEPER_ONCE, KEEPER_DRY_RUN, KEEPER_GAS_MULTIPLE,
+// KEEPER_PRICES, KEEPER_RETRIES, KEEPER_RETRY_DELAY, KEEPER_FROM_BLOCK, KEEPER_POKE_THRESHOLD.
+// Every tick flushes the RevenueRouter, distributes Voter claimables and pushes BribeRouter balances into their
+// Bribes, each only when its value is at least --gas-multiple times the estimated gas cost. The price file maps
+// payment token symbols or addresses to ETH per token, e.g. { "USDC": "0.0004" }. It then pokes the lockers whose
+// votes exceed their decayed voting power by more than --poke-threshold basis points, found from the
+// GovernanceToken's lock events since --from-block (default: its deployment block in the manifest). Transactions
+// are sent from the first configured account (PRIVATE_KEY).
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseOptions(argv = process.argv.slice(2), env = process.env) {
+  const number = (name, value, { integer = false } = {}) => {
+    const parsed = Number(value);
+    if (value === true || !Number.isFinite(parsed) || parsed < 0 || (integer && !Number.isInteger(parsed))) {
+      throw new Error(`Invalid --${name} "${value}"`);
+    }
+    return parsed;
+  };
+  const flag = (name, fallback) => {
+    const value = argValue(argv, name, fallback);
+    return value === true || ["1", "true", "yes"].includes(String(value).toLowerCase());
+  };
+  const fromBlock = argValue(argv, "from-block", env.KEEPER_FROM_BLOCK);
+  return {
+    interval: number("interval", argValue(argv, "interval", env.KEEPER_INTERVAL ?? DEFAULTS.interval), { integer: true }),
+    once: flag("once", env.KEEPER_ONCE),
+    dryRun: flag("dry-run", env.KEEPER_DRY_RUN),
+    gasMultiple: number("gas-multiple", argValue(argv, "gas-multiple", env.KEEPER_GAS_MULTIPLE ?? DEFAULTS.gasMultiple)),
+    prices: argValue(argv, "prices", env.KEEPER_PRICES),
+    retries: number("retries", argValue(argv, "retries", env.KEEPER_RETRIES ?? DEFAULTS.retries), { integer: true }),
+    retryDelay:
+      number("retry-delay", argValue(argv, "retry-delay", env.KEEPER_RETRY_DELAY ?? DEFAULTS.retryDelay / 1000)) * 1000,
+    fromBlock: fromBlock === undefined ? undefined : number("from-block", fromBlock, { integer: true }),
+    pokeThreshold: number(
+      "poke-threshold",
+      argValue(argv, "poke-threshold", env.KEEPER_POKE_THRESHOLD ?? DEFAULTS.pokeThreshold),
+      { integer: true }
+    ),
+  };
+}
+
+async function main() {
+  const options = parseOptions();
+
+  // Addresses and strategy names come from deployments/<network>.json
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = requireManifest(hre.network.name, chainId);
+  await checkManifest(manifest);
+  const names = Object.fromEntries(
+    Object.entries(strategiesByAddress(manifest)).map(([address, entry]) => [address, entry.name])
+  );
+
+  // Lockers are found from lock events, which needs a block to start from
+  const fromBlock = options.fromBlock ?? manifest.contracts.GovernanceToken?.blockNumber ?? undefined;
+  const governanceToken =
+    fromBlock === undefined
+      ? undefined
+      : await ethers.getContractAt("GovernanceToken", contractAddress(manifest, "GovernanceToken"));
+  if (!governanceToken) {
+    console.log("Not poking decayed locks: the manifest has no GovernanceToken deployment block, pass --from-block");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const keeper = createKeeper({
+    signer,
+    voter: await ethers.getContractAt("contracts/Voter.sol:Voter", contractAddress(manifest, "Voter")),
+    revenueRouter: await ethers.getContractAt(
+      "contracts/RevenueRouter.sol:RevenueRouter",
+      contractAddress(manifest, "RevenueRouter")
+    ),
+    multicall: await ethers.getContractAt("contracts/Multicall.sol:Multicall", contractAddress(manifest, "Multicall")),
+    governanceToken,
+    fromBlock,
+    pokeThreshold: options.pokeThreshold,
+    prices: jsonPriceSource(options.prices || {}),
+    names,
+    gasMultiple: options.gasMultiple,
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    dryRun: options.dryRun,
+    log: console.log,
+  });
+
+  console.log(
+    `Keeper on ${hre.network.name} as ${signer.address}${options.dryRun ? " (dry run)" : ""}, ` +
+      `acting when value >= ${options.gasMultiple}x gas cost`
+  );
+  for (;;) {
+    try {
+      const jobs = await keeper.tick();
+      console.log(`[${new Date().toISOString()}] block ${await ethers.provider.getBlockNumber()}`);
+      console.log(renderJobs(jobs));
+    } catch (error) {
+      // A failed tick is logged and retried on the next one, the keeper keeps running
+      if (options.once) throw error;
+      console.error(`[${new Date().toISOString()}] tick failed:`, describeError(error) || error.message);
+    }
+    if (options.once) return;
+    await sleep(options.interval * 1000);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(describeError(error) || error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseOptions };
@@ -0,0 +1,13 @@
+// Command line flags for scripts run with `node scripts/<name>.js`
+// `hardhat run` does not forward arguments, so every flag also has an environment variable fallback.
+
+// Value of --name, --name=value or the fallback; true when the flag is given without a value
+function argValue(argv, name, fallback) {
+  const i = argv.findIndex((arg) => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (i === -1) return fallback;
+  if (argv[i].includes("=")) return argv[i].slice(name.length + 3);
+  const next = argv[i + 1];
+  return next === undefined || next.startsWith("--") ? true : next;
+}
+
+module.exports = { argValue };
@@ -0,0 +1,86 @@
+const { ethers } = require("ethers");
+
+// JS model of Strategy.sol's Dutch auction: the constructor checks, getPrice() and the state changes of buy(),
+// in the same integer math. tests/Backtest.test.js checks it against the deployed contract.
+
+const { BigNumber } = ethers;
+
+const STRATEGY_BOUNDS = {
+  MIN_EPOCH_PERIOD: 3600,
+  MAX_EPOCH_PERIOD: 365 * 86400,
+  MIN_PRICE_MULTIPLIER: ethers.utils.parseEther("1.1"),
+  MAX_PRICE_MULTIPLIER: ethers.utils.parseEther("3"),
+  ABS_MIN_INIT_PRICE: BigNumber.from(1000000),
+  ABS_MAX_INIT_PRICE: BigNumber.from(2).pow(192).sub(1),
+};
+const PRICE_MULTIPLIER_SCALE = ethers.utils.parseEther("1");
+
+/**
+ * A Strategy auction as of its constructor at `startTime`. Throws the contract's custom error name when a
+ * parameter would make the constructor revert.
+ *   { initPrice, epochPeriod, priceMultiplier, minInitPrice, startTime }   amounts in payment token base units
+ */
+function createAuction({ initPrice, epochPeriod, priceMultiplier, minInitPrice, startTime }) {
+  const b = STRATEGY_BOUNDS;
+  const params = {
+    initPrice: BigNumber.from(initPrice),
+    epochPeriod: Number(epochPeriod),
+    priceMultiplier: BigNumber.from(priceMultiplier),
+    minInitPrice: BigNumber.from(minInitPrice),
+  };
+  const checks = [
+    [params.initPrice.lt(params.minInitPrice), "Strategy__InitPriceBelowMin"],
+    [params.initPrice.gt(b.ABS_MAX_INIT_PRICE), "Strategy__InitPriceExceedsMax"],
+    [params.epochPeriod < b.MIN_EPOCH_PERIOD, "Strategy__EpochPeriodBelowMin"],
+    [params.epochPeriod > b.MAX_EPOCH_PERIOD, "Strategy__EpochPeriodExceedsMax"],
+    [params.priceMultiplier.lt(b.MIN_PRICE_MULTIPLIER), "Strategy__PriceMultiplierBelowMin"],
+    [params.priceMultiplier.gt(b.MAX_PRICE_MULTIPLIER), "Strategy__PriceMultiplierExceedsMax"],
+    [params.minInitPrice.lt(b.ABS_MIN_INIT_PRICE), "Strategy__MinInitPriceBelowMin"],
+    [params.minInitPrice.gt(b.ABS_MAX_INIT_PRICE), "Strategy__MinInitPriceExceedsAbsMaxInitPrice"],
+  ];
+  const failed = checks.find(([bad]) => bad);
+  if (failed) throw new Error(failed[1]);
+
+  const auction = {
+    ...params,
+    epochId: 0,
+    startTime: Number(startTime),
+
+    // Strategy.getPrice() at `timestamp`
+    getPrice(timestamp) {
+      const timePassed = timestamp - auction.startTime;
+      if (timePassed < 0) throw new Error(`Timestamp ${timestamp} is before the epoch start ${auction.startTime}`);
+      if (timePassed > auction.epochPeriod) return BigNumber.from(0);
+      return auction.initPrice.sub(auction.initPrice.mul(timePassed).div(auction.epochPeriod));
+    },
+
+    // First timestamp at which getPrice() is at or below `price` (the price falls to 0 within the epoch period)
+    timeAtPrice(price) {
+      const target = BigNumber.from(price);
+      if (target.gte(auction.initPrice)) return auction.startTime;
+      if (target.lt(0)) return null;
+      const elapsed = auction.initPrice.sub(target).mul(auction.epochPeriod).add(auction.initPrice).sub(1).div(auction.initPrice);
+      return auction.startTime + elapsed.toNumber();
+    },
+
+    // Strategy.buy() at `timestamp` for a `revenueBalance` of revenue tokens; starts the next epoch
+    buy(timestamp, revenueBalance, maxPaymentAmount = ethers.constants.MaxUint256) {
+      if (BigNumber.from(revenueBalance).isZero()) throw new Error("Strategy__EmptyAssets");
+      const paymentAmount = auction.getPrice(timestamp);
+      if (paymentAmount.gt(maxPaymentAmount)) throw new Error("Strategy__MaxPaymentAmountExceeded");
+
+      let newInitPrice = paymentAmount.mul(auction.priceMultiplier).div(PRICE_MULTIPLIER_SCALE);
+      if (newInitPrice.gt(b.ABS_MAX_INIT_PRICE)) newInitPrice = b.ABS_MAX_INIT_PRICE;
+      else if (newInitPrice.lt(auction.minInitPrice)) newInitPrice = auction.minInitPrice;
+
+      const result = { epochId: auction.epochId, paymentAmount, revenueAmount: BigNumber.from(revenueBalance) };
+      auction.epochId++;
+      auction.initPrice = newInitPrice;
+      auction.startTime = timestamp;
+      return result;
+    },
+  };
+  return auction;
+}
+
+module.exports = { STRATEGY_BOUNDS, PRICE_MULTIPLIER_SCALE, createAuction };
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { createAuction } = require("./auction");
+const { parseAmount, parseDuration, parseMultiplier, parseBasisPoints } = require("./parse");
+const { padRight, padLeft, formatTime } = require("./format");
+
+// Backtests Strategy auction parameters against historical series with the model in ./auction.js.
+//
+// A config file (see backtests/) looks like
+//   {
+//     "revenueToken": { "symbol": "WETH", "decimals": 18 },
+//     "paymentToken": { "symbol": "USDC", "decimals": 6 },
+//     "revenue": "data/weth-inflows.csv",    time,amount: whole revenue tokens reaching the strategy
+//     "prices": "data/eth-usdc.csv",         time,price: payment tokens per revenue token
+//     "buyer": { "minDiscount": "1%", "minProfit": "2 USDC" },
+//     "parameters": [{ "name": "live", "initPrice": "4000 USDC", "epochPeriod": "1 day", "priceMultiplier": "1.2x",
+//                      "minInitPrice": "4000 USDC" }],
+//     "grid": { "initPrice": ["1000 USDC"], "epochPeriod": ["12h", "1 day"], "priceMultiplier": ["1.2x", "2x"],
+//               "minInitPrice": ["1000 USDC"] }
+//   }
+// Series are CSV files with a header row, JSON files or inline arrays of { time, amount | price }, where time is
+// unix seconds or an ISO date. Paths are relative to the config file. "parameters" and "grid" (every combination)
+// can be used together. The buyer buys as soon as the auction price is at least minDiscount below the market value of
+// the strategy's balance, less minProfit for gas and profit; a price that fell further before revenue arrived is taken.
+
+const BPS = 10000;
+const PRICE_SCALE = ethers.utils.parseEther("1");
+
+function parseTime(value, where) {
+  const text = String(value).trim();
+  const time = /^\d+$/.test(text) ? Number(text) : Math.floor(Date.parse(text) / 1000);
+  if (!Number.isFinite(time)) throw new Error(`Invalid time "${value}" in ${where}`);
+  return time;
+}
+
+// Rows of a series as [{ time, value }] sorted by time. `field` names the value column ("amount" or "price").
+function loadSeries(source, field, baseDir = ".") {
+  let rows = source;
+  let where = "inline series";
+  if (typeof source === "string") {
+    const file = path.resolve(baseDir, source);
+    where = file;
+    const text = fs.readFileSync(file, "utf8");
+    if (file.endsWith(".json")) {
+      rows = JSON.parse(text);
+    } else {
+      const [header, ...lines] = text.split(/\r?\n/).filter((line) => line.trim() !== "" && !line.startsWith("#"));
+      const columns = header.split(",").map((c) => c.trim());
+      if (!columns.includes("time") || !columns.includes(field)) {
+        throw new Error(`${file} needs "time" and "${field}" columns, has ${columns.join(", ")}`);
+      }
+      rows = lines.map((line) => Object.fromEntries(line.split(",").map((cell, i) => [columns[i], cell.trim()])));
+    }
+  }
+  if (!Array.isArray(rows)) throw new Error(`Series ${where} must be an array of { time, ${field} }`);
+  return rows
+    .map((row) => {
+      if (row[field] === undefined) throw new Error(`Row ${JSON.stringify(row)} in ${where} has no "${field}"`);
+      return { time: parseTime(row.time, where), value: String(row[field]) };
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+// Every combination of the grid's values, in order
+function expandGrid(grid = {}) {
+  const keys = ["initPrice", "epochPeriod", "priceMultiplier", "minInitPrice"];
+  for (const key of keys) {
+    if (!Array.isArray(grid[key]) || grid[key].length === 0) throw new Error(`grid.${key} must be a non-empty array`);
+  }
+  let sets = [{}];
+  for (const key of keys) sets = sets.flatMap((set) => grid[key].map((value) => ({ ...set, [key]: value })));
+  return sets;
+}
+
+function loadConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, "utf8"));
+  const baseDir = path.dirname(path.resolve(file));
+  for (const key of ["revenueToken", "paymentToken", "revenue", "prices"]) {
+    if (config[key] === undefined) throw new Error(`Backtest config is missing "${key}"`);
+  }
+  if (!config.parameters && !config.grid) throw new Error(`Backtest config needs "parameters" or "grid"`);
+  const { revenueToken, paymentToken } = config;
+  const buyer = config.buyer || {};
+
+  return {
+    revenueToken,
+    paymentToken,
+    revenue: loadSeries(config.revenue, "amount", baseDir).map((r) => ({
+      time: r.time,
+      amount: parseAmount(r.value, revenueToken),
+    })),
+    prices: loadSeries(config.prices, "price", baseDir).map((r) => ({
+      time: r.time,
+      price: ethers.utils.parseUnits(r.value, 18),
+    })),
+    buyer: {
+      minDiscountBps: buyer.minDiscount === undefined ? 0 : parseBasisPoints(buyer.minDiscount),
+      minProfit: buyer.minProfit === undefined ? ethers.BigNumber.from(0) : parseAmount(buyer.minProfit, paymentToken),
+    },
+    start: config.start === undefined ? undefined : parseTime(config.start, file),
+    end: config.end === undefined ? undefined : parseTime(config.end, file),
+    parameterSets: [...(config.parameters || []), ...(config.grid ? expandGrid(config.grid) : [])].map((set) => ({
+      name: set.name || [set.initPrice, set.epochPeriod, set.priceMultiplier, set.minInitPrice].join(" / "),
+      initPrice: parseAmount(set.initPrice, paymentToken),
+      epochPeriod: parseDuration(set.epochPeriod),
+      priceMultiplier: parseMultiplier(set.priceMultiplier),
+      minInitPrice: parseAmount(set.minInitPrice, paymentToken),
+    })),
+  };
+}
+
+// Market value in payment token base units of `amount` revenue token base units at `price` (scaled by 1e18)
+function marketValue(amount, price, revenueDecimals, paymentDecimals) {
+  return amount
+    .mul(price)
+    .mul(ethers.BigNumber.from(10).pow(paymentDecimals))
+    .div(PRICE_SCALE.mul(ethers.BigNumber.from(10).pow(revenueDecimals)));
+}
+
+/**
+ * Replays the revenue and price series through one auction. The auction starts at `start` (default: the first
+ * event) and the run stops at `end` (default: the last event). Returns { buys, unsold, unsoldValue } where each buy
+ * is { epochId, time, duration, paymentAmount, revenueAmount, marketValue, discountBps }.
+ */
+function backtest({ params, revenue, prices, revenueToken, paymentToken, buyer = {}, start, end }) {
+  const times = [...revenue, ...prices].map((e) => e.time);
+  if (times.length === 0) throw new Error("Backtest needs at least one revenue or price point");
+  const from = start ?? Math.min(...times);
+  const until = end ?? Math.max(...times);
+  const minDiscountBps = buyer.minDiscountBps || 0;
+  const minProfit = ethers.BigNumber.from(buyer.minProfit || 0);
+  const value = (amount, price) => marketValue(amount, price, revenueToken.decimals, paymentToken.decimals);
+
+  const auction = createAuction({ ...params, startTime: from });
+  const buys = [];
+  let balance = ethers.BigNumber.from(0);
+  let price = null;
+  let r = 0;
+  let p = 0;
+  for (let t = from; ; ) {
+    while (r < revenue.length && revenue[r].time <= t) balance = balance.add(revenue[r++].amount);
+    while (p < prices.length && prices[p].time <= t) price = prices[p++].price;
+    const next = Math.min(revenue[r]?.time ?? Infinity, prices[p]?.time ?? Infinity, until);
+
+    if (!balance.isZero() && price !== null) {
+      const worth = value(balance, price);
+      const target = worth
+        .mul(BPS - minDiscountBps)
+        .div(BPS)
+        .sub(minProfit);
+      const at = target.lt(0) ? null : Math.max(t, auction.timeAtPrice(target));
+      // At the next event the balance or price changes, so buy strictly before it (or at the very end)
+      if (at !== null && (at < next || (at === until && next === until))) {
+        const startTime = auction.startTime;
+        const result = auction.buy(at, balance);
+        buys.push({
+          ...result,
+          time: at,
+          duration: at - startTime,
+          marketValue: worth,
+          discountBps: worth.isZero() ? 0 : worth.sub(result.paymentAmount).mul(BPS).div(worth).toNumber(),
+        });
+        balance = ethers.BigNumber.from(0);
+        t = at;
+        continue;
+      }
+    }
+    if (t >= until) break;
+    t = next;
+  }
+  return { buys, unsold: balance, unsoldValue: price === null ? ethers.BigNumber.from(0) : value(balance, price) };
+}
+
+// Nearest-rank percentile of sorted numbers
+function percentile(sorted, q) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1))];
+}
+
+function summarize({ buys, unsold, unsoldValue }, params) {
+  const sum = (key) => buys.reduce((total, b) => total.add(b[key]), ethers.BigNumber.from(0));
+  const realized = sum("paymentAmount");
+  const worth = sum("marketValue");
+  const durations = buys.map((b) => b.duration).sort((a, b) => a - b);
+  return {
+    buys: buys.length,
+    revenueSold: sum("revenueAmount"),
+    realized,
+    marketValue: worth,
+    // Mean of each buy's discount, and the discount on everything sold (larger buys weigh more)
+    averageDiscountBps:
+      buys.length === 0 ? null : Math.round(buys.reduce((s, b) => s + b.discountBps, 0) / buys.length),
+    weightedDiscountBps: worth.isZero() ? null : worth.sub(realized).mul(BPS).div(worth).toNumber(),
+    duration: {
+      min: percentile(durations, 0),
+      p25: percentile(durations, 0.25),
+      median: percentile(durations, 0.5),
+      p75: percentile(durations, 0.75),
+      max: percentile(durations, 1),
+    },
+    // Auctions that ran their whole epoch period and sold at price 0
+    expired: buys.filter((b) => b.duration >= params.epochPeriod).length,
+    unsold,
+    unsoldValue,
+  };
+}
+
+// Backtests every parameter set of a loaded config; sets the constructor would reject get an `error` instead
+function runBacktests(config) {
+  return config.parameterSets.map((params) => {
+    try {
+      const result = backtest({ ...config, params });
+      return { params, result, summary: summarize(result, params) };
+    } catch (error) {
+      return { params, error: error.message };
+    }
+  });
+}
+
+function renderBacktests(runs, { revenueToken, paymentToken }) {
+  const units = (value, decimals) =>
+    Number(ethers.utils.formatUnits(value, decimals)).toLocaleString("en-US", { maximumFractionDigits: 4 });
+  const pct = (bps) => (bps === null ? "-" : `${(bps / 100).toFixed(2)}%`);
+  const time = (seconds) => (seconds === null ? "-" : formatTime(seconds));
+  const name = Math.max(10, ...runs.map((r) => r.params.name.length));
+  const lines = [
+    `${padRight("Parameters", name)}  ${padLeft("Buys", 5)}  ${padLeft("Avg disc", 8)}  ${padLeft("Wtd disc", 8)}  ` +
+      `${padRight("Duration min / median / max", 34)}  ${padLeft("Expired", 7)}  ` +
+      `${padLeft(`Realized ${paymentToken.symbol}`, 18)}  Unsold ${revenueToken.symbol}`,
+  ];
+  const sorted = [...runs].sort((a, b) =>
+    a.error ? 1 : b.error ? -1 : b.summary.realized.gt(a.summary.realized) ? 1 : -1
+  );
+  for (const run of sorted) {
+    if (run.error) {
+      lines.push(`${padRight(run.params.name, name)}  invalid parameters: ${run.error}`);
+      continue;
+    }
+    const s = run.summary;
+    lines.push(
+      `${padRight(run.params.name, name)}  ${padLeft(s.buys, 5)}  ${padLeft(pct(s.averageDiscountBps), 8)}  ` +
+        `${padLeft(pct(s.weightedDiscountBps), 8)}  ` +
+        `${padRight(`${time(s.duration.min)} / ${time(s.duration.median)} / ${time(s.duration.max)}`, 34)}  ` +
+        `${padLeft(s.expired, 7)}  ${padLeft(units(s.realized, paymentToken.decimals), 18)}  ` +
+        units(s.unsold, revenueToken.decimals)
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  loadSeries,
+  expandGrid,
+  loadConfig,
+  marketValue,
+  backtest,
+  summarize,
+  runBacktests,
+  renderBacktests,
+};
@@ -0,0 +1,270 @@
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { valueOf } = require("./prices");
+const { DEFAULT_RETRIES, DEFAULT_RETRY_DELAY, createNonceManager, sendWithRetry } = require("./tx");
+const { errorName: revertName } = require("../../sdk/errors");
+
+// Auction buyer: waits for each Strategy's Dutch auction price to fall below the break-even price,
+// then buys through Multicall.distributeAndBuy.
+//
+// The buy pays getPrice() payment tokens and receives the strategy's WETH plus whatever flushing the
+// RevenueRouter and distributing to it adds, which is Multicall's strategyTotalPotentialWeth. The break-even
+// price is the payment amount whose ETH value equals that WETH minus gas and the minimum profit.
+
+const ZERO = ethers.BigNumber.from(0);
+const ONE = ethers.utils.parseEther("1");
+const BPS = 10000;
+
+const DEFAULTS = {
+  interval: 15,
+  minProfit: "0",
+  slippageBps: 50,
+  deadline: 120,
+  // Gas budgeted for approve + distributeAndBuy when computing the break-even price
+  gasLimit: 400000,
+  retries: DEFAULT_RETRIES,
+  retryDelay: DEFAULT_RETRY_DELAY,
+};
+
+const min = (a, b) => (a.lt(b) ? a : b);
+
+/**
+ * Prices an auction from a Multicall strategy overview.
+ *   paymentPrice   wei of ETH per whole payment token
+ *   revenuePrice   wei of ETH per whole revenue token
+ *   gasCost        wei of ETH budgeted for the buy
+ *   minProfit      wei of ETH the buy must at least make
+ *   now            current block timestamp
+ * breakEven is null when the WETH does not even cover gas and the minimum profit.
+ * secondsUntilBreakEven is 0 when buying now is profitable and null when it never will be this epoch.
+ */
+function quoteAuction(overview, { paymentPrice, revenuePrice = ONE, revenueDecimals = 18, gasCost = ZERO, minProfit = ZERO, now }) {
+  const decimals = Number(overview.paymentTokenDecimals);
+  const revenue = overview.strategyTotalPotentialWeth;
+  const revenueValue = valueOf(revenue, revenueDecimals, revenuePrice);
+  const price = overview.currentPrice;
+  const cost = valueOf(price, decimals, paymentPrice);
+  const budget = revenueValue.sub(gasCost).sub(minProfit);
+  const breakEven = budget.lt(0) ? null : budget.mul(ethers.BigNumber.from(10).pow(decimals)).div(paymentPrice);
+
+  let secondsUntilBreakEven = null;
+  if (breakEven !== null) {
+    if (price.lte(breakEven)) {
+      secondsUntilBreakEven = 0;
+    } else {
+      // getPrice() = initPrice - initPrice * elapsed / epochPeriod, solved for the first elapsed at or below breakEven
+      const init = overview.initPrice;
+      const period = overview.epochPeriod;
+      const elapsed = init.sub(breakEven).mul(period).add(init).sub(1).div(init);
+      secondsUntilBreakEven = overview.startTime.add(elapsed).sub(now).toNumber();
+    }
+  }
+
+  return {
+    revenue,
+    revenueValue,
+    price,
+    cost,
+    breakEven,
+    profit: revenueValue.sub(cost).sub(gasCost),
+    secondsUntilBreakEven,
+  };
+}
+
+/**
+ * Builds a buyer for one deployment. `plan()` quotes every alive strategy, `execute(plan)` buys the ones that are
+ * profitable now (unless dryRun) and `tick()` does both. Each entry looks like:
+ *   { strategy, name, epochId, token, quote, buy, reason, trade }
+ * `trade` is set for completed buys and is also passed to onTrade.
+ */
+function createBuyer({
+  signer,
+  voter,
+  multicall,
+  prices,
+  names = {},
+  only = null,
+  minProfit = DEFAULTS.minProfit,
+  slippageBps = DEFAULTS.slippageBps,
+  deadline = DEFAULTS.deadline,
+  gasLimit = DEFAULTS.gasLimit,
+  approveMax = false,
+  retries = DEFAULTS.retries,
+  retryDelay = DEFAULTS.retryDelay,
+  dryRun = false,
+  log = () => {},
+  onTrade = () => {},
+}) {
+  const provider = signer.provider;
+  const nonces = createNonceManager(signer);
+  const minProfitWei = ethers.utils.parseEther(String(minProfit));
+  let revenueToken;
+  let strategyInterface;
+
+  async function erc20(address) {
+    return ethers.getContractAt(
+      "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+      address
+    );
+  }
+
+  async function revenue() {
+    if (!revenueToken) {
+      const address = await voter.revenueToken();
+      const token = await erc20(address);
+      revenueToken = { address, symbol: await token.symbol(), decimals: await token.decimals() };
+    }
+    return { ...revenueToken, price: (await prices(revenueToken)) ?? ONE };
+  }
+
+  async function plan() {
+    const { timestamp: now } = await provider.getBlock("latest");
+    const gasPrice = await provider.getGasPrice();
+    const gasCost = gasPrice.mul(gasLimit);
+    const weth = await revenue();
+    const overviews = await multicall.getAllStrategyOverviews();
+
+    const entries = [];
+    for (const [i, s] of overviews.entries()) {
+      const name = names[s.strategy.toLowerCase()] || `Strategy ${i}`;
+      if (only && !only.some((o) => [name.toLowerCase(), s.strategy.toLowerCase()].includes(o.toLowerCase()))) continue;
+      const token = { address: s.paymentToken, symbol: s.paymentTokenSymbol, decimals: Number(s.paymentTokenDecimals) };
+      const entry = { strategy: s.strategy, name, epochId: s.epochId, token, quote: null, buy: false, trade: null };
+      entries.push(entry);
+
+      if (!s.isAlive) {
+        entry.reason = "killed";
+        continue;
+      }
+      if (s.isPaused) {
+        entry.reason = "paused";
+        continue;
+      }
+      const paymentPrice = await prices(token);
+      if (paymentPrice === undefined || paymentPrice.isZero()) {
+        entry.reason = `no price for ${token.symbol}`;
+        continue;
+      }
+      const quote = quoteAuction(s, {
+        paymentPrice,
+        revenuePrice: weth.price,
+        revenueDecimals: weth.decimals,
+        gasCost,
+        minProfit: minProfitWei,
+        now,
+      });
+      entry.quote = quote;
+      entry.paymentPrice = paymentPrice;
+
+      const format = (amount) => `${ethers.utils.formatUnits(amount, token.decimals)} ${token.symbol}`;
+      if (quote.revenue.isZero()) {
+        entry.reason = "no revenue to buy";
+      } else if (quote.breakEven === null) {
+        entry.reason = "revenue does not cover gas and minimum profit";
+      } else if (quote.secondsUntilBreakEven === 0) {
+        entry.buy = true;
+        entry.reason = `price ${format(quote.price)} at or below break-even ${format(quote.breakEven)}`;
+      } else {
+        entry.reason =
+          `waiting: price ${format(quote.price)} above break-even ${format(quote.breakEven)}, ` +
+          `~${quote.secondsUntilBreakEven}s`;
+      }
+    }
+    return entries;
+  }
+
+  async function buy(entry) {
+    const { quote, token } = entry;
+    const maxPaymentAmount = min(quote.breakEven, quote.price.mul(BPS + slippageBps).div(BPS));
+    const paymentToken = (await erc20(token.address)).connect(signer);
+    const send = (fn) => sendWithRetry(fn, { nonces, provider, retries, retryDelay, log });
+
+    if ((await paymentToken.balanceOf(signer.address)).lt(maxPaymentAmount)) {
+      return { ...entry, buy: false, reason: `insufficient ${token.symbol} balance` };
+    }
+    const receipts = [];
+    if ((await paymentToken.allowance(signer.address, multicall.address)).lt(maxPaymentAmount)) {
+      const amount = approveMax ? ethers.constants.MaxUint256 : maxPaymentAmount;
+      receipts.push(await send((nonce) => paymentToken.approve(multicall.address, amount, { nonce })));
+    }
+
+    const { timestamp } = await provider.getBlock("latest");
+    try {
+      receipts.push(
+        await send((nonce) =>
+          multicall
+            .connect(signer)
+            .distributeAndBuy(entry.strategy, entry.epochId, timestamp + deadline, maxPaymentAmount, { nonce })
+        )
+      );
+    } catch (error) {
+      // Someone else bought first: the epoch moved on and the new auction restarts from a higher price
+      if (revertName(error, strategyInterface) === "Strategy__EpochIdMismatch") {
+        return { ...entry, buy: false, reason: `lost epoch ${entry.epochId} to another buyer` };
+      }
+      throw error;
+    }
+
+    const receipt = receipts[receipts.length - 1];
+    const event = receipt.logs
+      .filter((l) => l.address.toLowerCase() === entry.strategy.toLowerCase())
+      .map((l) => strategyInterface.parseLog(l))
+      .find((e) => e.name === "Strategy__Buy");
+    const weth = await revenue();
+    const gasCost = receipts.reduce((sum, r) => sum.add(r.gasUsed.mul(r.effectiveGasPrice)), ZERO);
+    const revenueValue = valueOf(event.args.revenueAmount, weth.decimals, weth.price);
+    const paymentValue = valueOf(event.args.paymentAmount, token.decimals, entry.paymentPrice);
+    const trade = {
+      strategy: entry.strategy,
+      name: entry.name,
+      epochId: entry.epochId.toString(),
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      revenueToken: weth.symbol,
+      paymentToken: token.symbol,
+      paymentAmount: event.args.paymentAmount.toString(),
+      revenueAmount: event.args.revenueAmount.toString(),
+      revenueValue: revenueValue.toString(),
+      paymentValue: paymentValue.toString(),
+      gasCost: gasCost.toString(),
+      profit: revenueValue.sub(paymentValue).sub(gasCost).toString(),
+    };
+    onTrade(trade);
+    return { ...entry, reason: "bought", trade };
+  }
+
+  async function execute(entries) {
+    if (!strategyInterface) {
+      strategyInterface = new ethers.utils.Interface(
+        (await hre.artifacts.readArtifact("contracts/Strategy.sol:Strategy")).abi
+      );
+    }
+    const results = [];
+    for (const entry of entries) {
+      if (!entry.buy) results.push(entry);
+      else if (dryRun) results.push({ ...entry, buy: false, reason: `dry run: would buy, ${entry.reason}` });
+      else results.push(await buy(entry));
+    }
+    return results;
+  }
+
+  return { plan, execute, tick: async () => execute(await plan()), nonces };
+}
+
+function renderResults(results) {
+  return results
+    .map((r) => {
+      const head = `  ${r.name.padEnd(24)} epoch ${String(r.epochId).padEnd(4)}`;
+      if (!r.trade) return `${head} ${r.reason}`;
+      const t = r.trade;
+      return (
+        `${head} bought ${ethers.utils.formatUnits(t.revenueAmount)} ${t.revenueToken} for ` +
+        `${ethers.utils.formatUnits(t.paymentAmount, r.token.decimals)} ${t.paymentToken} ` +
+        `(${ethers.utils.formatEther(t.paymentValue)} ETH), gas ${ethers.utils.formatEther(t.gasCost)} ETH, ` +
+        `profit ${ethers.utils.formatEther(t.profit)} ETH ${t.txHash}`
+      );
+    })
+    .join("\n");
+}
+
+module.exports = { DEFAULTS, revertName, quoteAuction, createBuyer, renderResults };
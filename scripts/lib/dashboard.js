@@ -0,0 +1,575 @@
+const { ethers } = require("ethers");
+const { padRight, padLeft, amount, duration, timestamp } = require("./format");
+
+// Dashboard sections built from Multicall.getFullSystemView(), and renderers for each output format
+
+const FORMATS = ["text", "json", "csv", "markdown"];
+const WATCH_FORMATS = ["text", "json"];
+
+// Multicall only calls BribeRouter.distribute() once the router holds at least this many payment tokens
+const BRIBE_DISTRIBUTION_THRESHOLD = ethers.BigNumber.from(6000000);
+
+/**
+ * Turns the raw getFullSystemView() result into plain data grouped by dashboard section.
+ * Every amount carries the raw integer string and the decimal-adjusted value side by side.
+ */
+function buildSnapshot(system, strategies, { multicall, names = {}, time = Date.now() } = {}) {
+  const strategyName = (s, i) => names[s.strategy.toLowerCase()] || `Strategy ${i}`;
+  const status = (s) => (!s.isAlive ? "KILLED" : s.isPaused ? "PAUSED" : "ACTIVE");
+
+  const totalWeth = strategies.reduce(
+    (sum, s) => sum.add(s.strategyWethBalance),
+    ethers.BigNumber.from(system.revenueRouterWethBalance).add(system.voterTotalClaimable)
+  );
+
+  return {
+    generatedAt: new Date(time).toISOString(),
+    epoch: {
+      timeUntilNextEpoch: duration(system.timeUntilNextEpoch),
+      currentEpochStart: timestamp(system.currentEpochStart),
+      nextEpochStart: timestamp(system.nextEpochStart),
+      epochDuration: duration(system.epochDuration),
+    },
+    wethDistribution: {
+      revenueRouter: { address: system.revenueRouter, balance: amount(system.revenueRouterWethBalance) },
+      voter: { address: system.voterAddress, claimable: amount(system.voterTotalClaimable) },
+      strategies: strategies.map((s, i) => ({
+        index: i,
+        name: strategyName(s, i),
+        address: s.strategy,
+        status: status(s),
+        balance: amount(s.strategyWethBalance),
+        claimable: amount(s.strategyClaimable),
+        pending: amount(s.strategyPendingRevenue),
+        totalPotential: amount(s.strategyTotalPotentialWeth),
+      })),
+      total: amount(totalWeth),
+    },
+    strategyTokens: strategies.map((s, i) => {
+      const decimals = Number(s.paymentTokenDecimals);
+      return {
+        index: i,
+        name: strategyName(s, i),
+        symbol: s.paymentTokenSymbol,
+        token: s.paymentToken,
+        decimals,
+        bribeRouter: { address: s.bribeRouter, balance: amount(s.bribeRouterTokenBalance, decimals) },
+        bribe: {
+          address: s.bribe,
+          left: amount(s.bribeTokensLeft, decimals),
+          totalSupply: amount(s.bribeTotalSupply),
+        },
+      };
+    }),
+    auctions: strategies.map((s, i) => {
+      const decimals = Number(s.paymentTokenDecimals);
+      return {
+        index: i,
+        name: strategyName(s, i),
+        symbol: s.paymentTokenSymbol,
+        decimals,
+        epochId: s.epochId.toString(),
+        epochPeriod: duration(s.epochPeriod),
+        timeUntilEnd: duration(s.timeUntilAuctionEnd),
+        initPrice: amount(s.initPrice, decimals),
+        currentPrice: amount(s.currentPrice, decimals),
+        revenueAvailable: amount(s.strategyWethBalance),
+      };
+    }),
+    voting: {
+      governanceToken: system.governanceToken,
+      underlyingToken: system.underlyingToken,
+      underlyingTokenSymbol: system.underlyingTokenSymbol,
+      totalSupply: amount(system.governanceTokenTotalSupply),
+      totalWeight: amount(system.totalWeight),
+      bribeSplit: amount(system.bribeSplit, 2),
+      strategies: strategies.map((s, i) => ({
+        index: i,
+        name: strategyName(s, i),
+        status: status(s),
+        weight: amount(s.strategyWeight),
+        votePercent: amount(s.votePercent),
+      })),
+    },
+    contracts: {
+      multicall,
+      voter: system.voterAddress,
+      revenueRouter: system.revenueRouter,
+      governanceToken: system.governanceToken,
+    },
+  };
+}
+
+/*----------  TEXT  -------------------------------------------------*/
+
+function renderText(snapshot) {
+  const lines = [];
+  const log = (line = "") => lines.push(line);
+  const utc = (t) => new Date(Number(t.raw) * 1000).toUTCString();
+  const fixed = (a, digits) => Number(a.value).toFixed(digits);
+  const tokenDigits = (decimals) => (decimals > 6 ? 4 : 2);
+
+  log("\n");
+  log("================================================================================");
+  log("                    LIQUID SIGNAL GOVERNANCE - SYSTEM DASHBOARD                 ");
+  log("================================================================================");
+  log(`                          ${new Date(snapshot.generatedAt).toUTCString()}`);
+  log("================================================================================\n");
+
+  // ==================== EPOCH COUNTDOWN ====================
+  const { epoch } = snapshot;
+  log("-------------------------------- EPOCH STATUS ---------------------------------");
+  log(`  Voting Epoch Flip:     ${epoch.timeUntilNextEpoch.value}`);
+  log(`  Current Epoch Start:   ${utc(epoch.currentEpochStart)}`);
+  log(`  Next Epoch Start:      ${utc(epoch.nextEpochStart)}`);
+  log("");
+
+  // ==================== WETH DISTRIBUTION ====================
+  const weth = snapshot.wethDistribution;
+  log("------------------------------ WETH DISTRIBUTION ------------------------------");
+  log(`  Revenue Router:        ${fixed(weth.revenueRouter.balance, 6)} WETH`);
+  log(`    Address:             ${weth.revenueRouter.address}`);
+  log("");
+  log(`  Voter (Claimable):     ${fixed(weth.voter.claimable, 6)} WETH`);
+  log(`    Address:             ${weth.voter.address}`);
+  log("");
+
+  log("  Strategies:");
+  for (const s of weth.strategies) {
+    log(`    [${s.index}] ${padRight(s.name, 22)} ${fixed(s.balance, 6)} WETH (in contract)`);
+    log(`        Claimable:       ${fixed(s.claimable, 6)} WETH`);
+    log(`        Pending:         ${fixed(s.pending, 6)} WETH`);
+    log(`        Total Potential: ${fixed(s.totalPotential, 6)} WETH`);
+    log(`        Address:         ${s.address}`);
+    log(`        Status:          ${s.status}`);
+    log("");
+  }
+
+  log("  -------------------------------------------------------------------------");
+  log(`  TOTAL WETH IN SYSTEM:  ${fixed(weth.total, 6)} WETH`);
+  log("");
+
+  // ==================== STRATEGY TOKENS ====================
+  log("----------------------------- STRATEGY TOKENS --------------------------------");
+  for (const s of snapshot.strategyTokens) {
+    const digits = tokenDigits(s.decimals);
+    log(`  [${s.index}] ${s.name} (${s.symbol})`);
+    log(`      Token Address:     ${s.token}`);
+    log(`      Token Decimals:    ${s.decimals}`);
+    log("");
+    log(`      BribeRouter:       ${fixed(s.bribeRouter.balance, digits)} ${s.symbol}`);
+    log(`        Address:         ${s.bribeRouter.address}`);
+    log("");
+    log(`      Bribe (left):      ${fixed(s.bribe.left, digits)} ${s.symbol}`);
+    log(`        Address:         ${s.bribe.address}`);
+    log(`        Total Supply:    ${fixed(s.bribe.totalSupply, 4)} gDONUT (virtual votes)`);
+    log("");
+  }
+
+  // ==================== AUCTION STATUS ====================
+  log("------------------------------- AUCTION STATUS --------------------------------");
+  for (const s of snapshot.auctions) {
+    const digits = tokenDigits(s.decimals);
+    log(`  [${s.index}] ${s.name}`);
+    log(`      Epoch ID:          ${s.epochId}`);
+    log(`      Epoch Period:      ${s.epochPeriod.value}`);
+    log(`      Time Until End:    ${s.timeUntilEnd.value}`);
+    log(`      Init Price:        ${fixed(s.initPrice, digits)} ${s.symbol}`);
+    log(`      Current Price:     ${fixed(s.currentPrice, digits)} ${s.symbol}`);
+    log(`      Revenue Available: ${fixed(s.revenueAvailable, 6)} WETH`);
+    log("");
+  }
+
+  // ==================== VOTING SUMMARY ====================
+  const { voting } = snapshot;
+  log("-------------------------------- VOTING SUMMARY -------------------------------");
+  log(`  Governance Token:      ${voting.governanceToken}`);
+  log(`  Underlying Token:      ${voting.underlyingToken} (${voting.underlyingTokenSymbol})`);
+  log(`  Total Supply:          ${fixed(voting.totalSupply, 4)} gDONUT`);
+  log(`  Total Vote Weight:     ${fixed(voting.totalWeight, 4)} gDONUT`);
+  log(`  Bribe Split:           ${Number(voting.bribeSplit.value)}%`);
+  log("");
+
+  log("  Vote Distribution:");
+  for (const s of voting.strategies) {
+    const percent = Number(s.votePercent.value);
+    const bar = "=".repeat(Math.floor(percent / 2));
+    const status = s.status === "ACTIVE" ? "" : ` [${s.status}]`;
+    log(
+      `    [${s.index}] ${padRight(s.name, 22)} ${padLeft(fixed(s.weight, 2), 12)} gDONUT  ${padLeft(percent.toFixed(2), 6)}%  ${bar}${status}`
+    );
+  }
+  log("");
+
+  // ==================== CONTRACT ADDRESSES ====================
+  const { contracts } = snapshot;
+  log("------------------------------ CONTRACT ADDRESSES -----------------------------");
+  log(`  Multicall:             ${contracts.multicall}`);
+  log(`  Voter:                 ${contracts.voter}`);
+  log(`  RevenueRouter:         ${contracts.revenueRouter}`);
+  log(`  GovernanceToken:       ${contracts.governanceToken}`);
+  log("");
+
+  log("================================================================================");
+  log("                                 END OF DASHBOARD                              ");
+  log("================================================================================\n");
+
+  return lines.join("\n");
+}
+
+/*----------  JSON  -------------------------------------------------*/
+
+function renderJson(snapshot) {
+  return JSON.stringify(snapshot, null, 2);
+}
+
+/*----------  CSV  --------------------------------------------------*/
+
+// Flattens the snapshot into one long table: section,index,name,field,raw,value
+function snapshotRows(snapshot) {
+  const rows = [];
+  const isPair = (v) => v && typeof v === "object" && "raw" in v && "value" in v;
+
+  const walk = (section, index, name, prefix, value) => {
+    if (isPair(value)) {
+      rows.push({ section, index, name, field: prefix, raw: value.raw, value: value.value });
+    } else if (value && typeof value === "object") {
+      for (const [key, child] of Object.entries(value)) {
+        if (key === "index" || key === "name") continue;
+        walk(section, index, name, prefix ? `${prefix}.${key}` : key, child);
+      }
+    } else {
+      rows.push({ section, index, name, field: prefix, raw: String(value), value: String(value) });
+    }
+  };
+
+  const { wethDistribution } = snapshot;
+  const { strategies: votes, ...voting } = snapshot.voting;
+  walk("epoch", "", "", "", snapshot.epoch);
+  walk("wethDistribution", "", "", "revenueRouter", wethDistribution.revenueRouter);
+  walk("wethDistribution", "", "", "voter", wethDistribution.voter);
+  for (const s of wethDistribution.strategies) walk("wethDistribution", s.index, s.name, "", s);
+  walk("wethDistribution", "", "", "total", wethDistribution.total);
+  for (const s of snapshot.strategyTokens) walk("strategyTokens", s.index, s.name, "", s);
+  for (const s of snapshot.auctions) walk("auctions", s.index, s.name, "", s);
+  walk("voting", "", "", "", voting);
+  for (const s of votes) walk("voting", s.index, s.name, "", s);
+  walk("contracts", "", "", "", snapshot.contracts);
+
+  return rows;
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(snapshot) {
+  const columns = ["section", "index", "name", "field", "raw", "value"];
+  const lines = [columns.join(",")];
+  for (const row of snapshotRows(snapshot)) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  }
+  return lines.join("\n");
+}
+
+/*----------  MARKDOWN  ---------------------------------------------*/
+
+function markdownTable(headers, rows) {
+  const escape = (cell) => String(cell).replace(/\|/g, "\\|");
+  return [
+    `| ${headers.join(" | ")} |`,
+    `|${headers.map(() => "---").join("|")}|`,
+    ...rows.map((row) => `| ${row.map(escape).join(" | ")} |`),
+  ].join("\n");
+}
+
+function renderMarkdown(snapshot) {
+  const { epoch, wethDistribution: weth, voting, contracts } = snapshot;
+  const sections = [`# Liquid Signal Governance Dashboard\n\n_Generated ${snapshot.generatedAt}_`];
+
+  sections.push(
+    "## Epoch Status\n\n" +
+      markdownTable(
+        ["Field", "Value", "Raw"],
+        [
+          ["Voting Epoch Flip", epoch.timeUntilNextEpoch.value, epoch.timeUntilNextEpoch.raw],
+          ["Current Epoch Start", epoch.currentEpochStart.value, epoch.currentEpochStart.raw],
+          ["Next Epoch Start", epoch.nextEpochStart.value, epoch.nextEpochStart.raw],
+        ]
+      )
+  );
+
+  sections.push(
+    "## WETH Distribution\n\n" +
+      markdownTable(
+        ["Holder", "Address", "Status", "WETH", "Raw"],
+        [
+          ["Revenue Router", weth.revenueRouter.address, "", weth.revenueRouter.balance.value, weth.revenueRouter.balance.raw],
+          ["Voter (Claimable)", weth.voter.address, "", weth.voter.claimable.value, weth.voter.claimable.raw],
+          ...weth.strategies.map((s) => [`[${s.index}] ${s.name}`, s.address, s.status, s.balance.value, s.balance.raw]),
+          ["**Total**", "", "", weth.total.value, weth.total.raw],
+        ]
+      ) +
+      "\n\n" +
+      markdownTable(
+        ["Strategy", "Claimable", "Pending", "Total Potential"],
+        weth.strategies.map((s) => [`[${s.index}] ${s.name}`, s.claimable.value, s.pending.value, s.totalPotential.value])
+      )
+  );
+
+  sections.push(
+    "## Strategy Tokens\n\n" +
+      markdownTable(
+        ["Strategy", "Token", "Decimals", "BribeRouter Balance", "Bribe Left", "Bribe Total Supply"],
+        snapshot.strategyTokens.map((s) => [
+          `[${s.index}] ${s.name}`,
+          `${s.symbol} (${s.token})`,
+          s.decimals,
+          s.bribeRouter.balance.value,
+          s.bribe.left.value,
+          s.bribe.totalSupply.value,
+        ])
+      )
+  );
+
+  sections.push(
+    "## Auction Status\n\n" +
+      markdownTable(
+        ["Strategy", "Epoch ID", "Epoch Period", "Time Until End", "Init Price", "Current Price", "Revenue Available (WETH)"],
+        snapshot.auctions.map((s) => [
+          `[${s.index}] ${s.name}`,
+          s.epochId,
+          s.epochPeriod.value,
+          s.timeUntilEnd.value,
+          `${s.initPrice.value} ${s.symbol}`,
+          `${s.currentPrice.value} ${s.symbol}`,
+          s.revenueAvailable.value,
+        ])
+      )
+  );
+
+  sections.push(
+    "## Voting Summary\n\n" +
+      markdownTable(
+        ["Field", "Value"],
+        [
+          ["Governance Token", voting.governanceToken],
+          ["Underlying Token", `${voting.underlyingToken} (${voting.underlyingTokenSymbol})`],
+          ["Total Supply", voting.totalSupply.value],
+          ["Total Vote Weight", voting.totalWeight.value],
+          ["Bribe Split", `${voting.bribeSplit.value}%`],
+        ]
+      ) +
+      "\n\n" +
+      markdownTable(
+        ["Strategy", "Status", "Weight", "Vote %"],
+        voting.strategies.map((s) => [`[${s.index}] ${s.name}`, s.status, s.weight.value, s.votePercent.value])
+      )
+  );
+
+  sections.push(
+    "## Contract Addresses\n\n" +
+      markdownTable(
+        ["Contract", "Address"],
+        [
+          ["Multicall", contracts.multicall],
+          ["Voter", contracts.voter],
+          ["RevenueRouter", contracts.revenueRouter],
+          ["GovernanceToken", contracts.governanceToken],
+        ]
+      )
+  );
+
+  return sections.join("\n\n") + "\n";
+}
+
+function render(format, snapshot) {
+  switch (format) {
+    case "text":
+      return renderText(snapshot);
+    case "json":
+      return renderJson(snapshot);
+    case "csv":
+      return renderCsv(snapshot);
+    case "markdown":
+      return renderMarkdown(snapshot);
+    default:
+      throw new Error(`Unknown format "${format}" (expected one of ${FORMATS.join(", ")})`);
+  }
+}
+
+/*----------  WATCH  ------------------------------------------------*/
+
+/**
+ * Lists what changed between two snapshots: new buys (epochId increments), claimable changes,
+ * vote weight shifts, bribe routers crossing the distribution threshold and epoch flips.
+ * Strategies are matched by address so newly added ones do not shift the comparison.
+ */
+function diffSnapshots(previous, current) {
+  const changes = [];
+  const change = (kind, strategy, field, from, to, message) =>
+    changes.push({ kind, index: strategy ? strategy.index : null, name: strategy ? strategy.name : null, field, from, to, message });
+  const moved = (a, b) => a.raw !== b.raw;
+  const signed = (from, to, decimals) => {
+    const delta = ethers.BigNumber.from(to.raw).sub(from.raw);
+    return `${delta.isNegative() ? "" : "+"}${ethers.utils.formatUnits(delta, decimals)}`;
+  };
+
+  if (previous.epoch.currentEpochStart.raw !== current.epoch.currentEpochStart.raw) {
+    change(
+      "epoch",
+      null,
+      "currentEpochStart",
+      previous.epoch.currentEpochStart.value,
+      current.epoch.currentEpochStart.value,
+      `Voting epoch flipped, new epoch started ${current.epoch.currentEpochStart.value}`
+    );
+  }
+
+  const prevWeth = previous.wethDistribution;
+  const curWeth = current.wethDistribution;
+  if (moved(prevWeth.voter.claimable, curWeth.voter.claimable)) {
+    change(
+      "claimable",
+      null,
+      "voter.claimable",
+      prevWeth.voter.claimable.value,
+      curWeth.voter.claimable.value,
+      `Voter claimable ${prevWeth.voter.claimable.value} -> ${curWeth.voter.claimable.value} WETH (${signed(prevWeth.voter.claimable, curWeth.voter.claimable, 18)})`
+    );
+  }
+
+  const prevIndex = Object.fromEntries(prevWeth.strategies.map((s) => [s.address.toLowerCase(), s.index]));
+  for (const weth of curWeth.strategies) {
+    const i = weth.index;
+    const j = prevIndex[weth.address.toLowerCase()];
+    if (j === undefined) {
+      change("strategy", weth, "address", null, weth.address, `New strategy ${weth.address}`);
+      continue;
+    }
+
+    const prevWethEntry = prevWeth.strategies[j];
+    if (prevWethEntry.status !== weth.status) {
+      change("status", weth, "status", prevWethEntry.status, weth.status, `Status ${prevWethEntry.status} -> ${weth.status}`);
+    }
+
+    const auction = current.auctions[i];
+    const prevAuction = previous.auctions[j];
+    if (auction.epochId !== prevAuction.epochId) {
+      change(
+        "buy",
+        weth,
+        "epochId",
+        prevAuction.epochId,
+        auction.epochId,
+        `New buy: epochId ${prevAuction.epochId} -> ${auction.epochId}, init price ${auction.initPrice.value} ${auction.symbol}`
+      );
+    }
+
+    // Claimable is only settled on distribute/vote, revenue flushed since then shows up as pending
+    for (const field of ["claimable", "pending"]) {
+      if (moved(prevWethEntry[field], weth[field])) {
+        change(
+          "claimable",
+          weth,
+          field,
+          prevWethEntry[field].value,
+          weth[field].value,
+          `${field === "claimable" ? "Claimable" : "Pending"} ${prevWethEntry[field].value} -> ${weth[field].value} WETH ` +
+            `(${signed(prevWethEntry[field], weth[field], 18)})`
+        );
+      }
+    }
+
+    const vote = current.voting.strategies[i];
+    const prevVote = previous.voting.strategies[j];
+    if (moved(prevVote.weight, vote.weight)) {
+      change(
+        "weight",
+        weth,
+        "weight",
+        prevVote.weight.value,
+        vote.weight.value,
+        `Vote weight ${prevVote.weight.value} -> ${vote.weight.value} gDONUT (${signed(prevVote.weight, vote.weight, 18)}), ` +
+          `${Number(prevVote.votePercent.value).toFixed(2)}% -> ${Number(vote.votePercent.value).toFixed(2)}%`
+      );
+    }
+
+    const token = current.strategyTokens[i];
+    const prevToken = previous.strategyTokens[j];
+    const above = BRIBE_DISTRIBUTION_THRESHOLD.lte(token.bribeRouter.balance.raw);
+    const wasAbove = BRIBE_DISTRIBUTION_THRESHOLD.lte(prevToken.bribeRouter.balance.raw);
+    if (above !== wasAbove) {
+      change(
+        "bribeThreshold",
+        weth,
+        "bribeRouter.balance",
+        prevToken.bribeRouter.balance.value,
+        token.bribeRouter.balance.value,
+        above
+          ? `BribeRouter holds ${token.bribeRouter.balance.value} ${token.symbol}, above the distribution threshold`
+          : `BribeRouter dropped to ${token.bribeRouter.balance.value} ${token.symbol}, below the distribution threshold`
+      );
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Wraps a snapshot loader so each call returns the fresh snapshot and its changes since the previous call.
+ */
+function createWatcher(load) {
+  let previous = null;
+  return async function update() {
+    const snapshot = await load();
+    const changes = previous ? diffSnapshots(previous, snapshot) : [];
+    previous = snapshot;
+    return { snapshot, changes };
+  };
+}
+
+function renderChanges(snapshot, changes) {
+  const lines = [
+    `[${snapshot.generatedAt}] epoch flip in ${snapshot.epoch.timeUntilNextEpoch.value}, ` +
+      `${changes.length === 0 ? "no changes" : `${changes.length} change${changes.length === 1 ? "" : "s"}`}`,
+  ];
+  for (const c of changes) {
+    const label = c.index === null ? "" : `[${c.index}] ${c.name}: `;
+    lines.push(`  * ${padRight(c.kind.toUpperCase(), 15)} ${label}${c.message}`);
+  }
+  return lines.join("\n");
+}
+
+function renderUpdate(format, snapshot, changes) {
+  switch (format) {
+    case "text":
+      return renderChanges(snapshot, changes);
+    case "json":
+      return JSON.stringify({
+        generatedAt: snapshot.generatedAt,
+        timeUntilNextEpoch: snapshot.epoch.timeUntilNextEpoch,
+        changes,
+      });
+    default:
+      throw new Error(`Watch mode does not support format "${format}" (expected one of ${WATCH_FORMATS.join(", ")})`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  WATCH_FORMATS,
+  BRIBE_DISTRIBUTION_THRESHOLD,
+  buildSnapshot,
+  snapshotRows,
+  renderText,
+  renderJson,
+  renderCsv,
+  renderMarkdown,
+  render,
+  diffSnapshots,
+  createWatcher,
+  renderChanges,
+  renderUpdate,
+};
@@ -0,0 +1,38 @@
+const { ethers } = require("ethers");
+const { divDec, formatTime } = require("../../sdk/units");
+
+// Formatting helpers shared by the scripts and their tests. Amount and time formatting live in the SDK.
+
+const formatAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+const padRight = (str, len) => str.toString().padEnd(len);
+const padLeft = (str, len) => str.toString().padStart(len);
+
+// Raw on-chain integer next to its decimal-adjusted value, both as strings so nothing is lost
+const amount = (raw, decimals = 18) => ({
+  raw: ethers.BigNumber.from(raw || 0).toString(),
+  value: ethers.utils.formatUnits(raw || 0, decimals),
+});
+
+// Raw seconds next to a human readable duration
+const duration = (seconds) => ({
+  raw: ethers.BigNumber.from(seconds || 0).toString(),
+  value: formatTime(Number(seconds)),
+});
+
+// Raw unix timestamp next to its ISO date
+const timestamp = (seconds) => ({
+  raw: ethers.BigNumber.from(seconds || 0).toString(),
+  value: new Date(Number(seconds) * 1000).toISOString(),
+});
+
+module.exports = {
+  divDec,
+  formatTime,
+  formatAddress,
+  padRight,
+  padLeft,
+  amount,
+  duration,
+  timestamp,
+};
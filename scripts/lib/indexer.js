@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ethers, artifacts } = require("hardhat");
+
+// Event history in SQLite, one table per event named after it (Voter__NotifyRevenue -> voter_notify_revenue).
+// Every table has block_number, block_hash, tx_hash, log_index and address (the emitting contract) followed by
+// the event arguments in snake_case. Addresses are stored checksummed and uint256 values as decimal strings.
+
+const INDEXED_EVENTS = {
+  Voter: [
+    "Voter__StrategyAdded",
+    "Voter__StrategyKilled",
+    "Voter__StrategyPaused",
+    "Voter__StrategyUnpaused",
+    "Voter__StrategyArchived",
+    "Voter__Voted",
+    "Voter__Abstained",
+    "Voter__Delegated",
+    "Voter__Undelegated",
+    "Voter__NotifyRevenue",
+    "Voter__DistributeRevenue",
+  ],
+  GovernanceToken: [
+    "GovernanceToken__Staked",
+    "GovernanceToken__Unstaked",
+    "GovernanceToken__Locked",
+    "GovernanceToken__LockWithdrawn",
+    "GovernanceToken__WithdrawalRequested",
+    "GovernanceToken__WithdrawalClaimed",
+    "GovernanceToken__VoterMigrated",
+  ],
+  Strategy: ["Strategy__Buy"],
+  Bribe: ["Bribe__RewardNotified", "Bribe__RewardPaid"],
+};
+
+const DEFAULT_CONFIRMATIONS = 12;
+const DEFAULT_CHUNK = 2000;
+
+const snakeCase = (name) => name.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toLowerCase();
+const tableName = (event) => snakeCase(event.replace("__", "_"));
+
+function loadInterfaces() {
+  const interfaces = {};
+  for (const contract of Object.keys(INDEXED_EVENTS)) {
+    const { abi } = artifacts.readArtifactSync(`contracts/${contract}.sol:${contract}`);
+    interfaces[contract] = new ethers.utils.Interface(abi);
+  }
+  return interfaces;
+}
+
+// Table definitions derived from the event ABIs
+function eventTables(interfaces = loadInterfaces()) {
+  const tables = [];
+  for (const [contract, events] of Object.entries(INDEXED_EVENTS)) {
+    for (const event of events) {
+      const fragment = interfaces[contract].getEvent(event);
+      tables.push({
+        contract,
+        event,
+        table: tableName(event),
+        topic: interfaces[contract].getEventTopic(fragment),
+        args: fragment.inputs.map((input) => ({ name: input.name, column: snakeCase(input.name) })),
+      });
+    }
+  }
+  return tables;
+}
+
+function openDatabase(file, tables = eventTables()) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS indexer_state (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS indexed_blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL);
+  `);
+  for (const { table, args } of tables) {
+    const columns = args.map(({ column }) => `${column} TEXT NOT NULL`).join(",\n      ");
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        block_number INTEGER NOT NULL,
+        block_hash TEXT NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        address TEXT NOT NULL,
+        ${columns},
+        PRIMARY KEY (block_number, log_index)
+      );
+    `);
+  }
+  return db;
+}
+
+function readState(db) {
+  return Object.fromEntries(db.prepare("SELECT key, value FROM indexer_state").all().map(({ key, value }) => [key, value]));
+}
+
+/**
+ * Indexes Voter, GovernanceToken, Strategy and Bribe events into `db`, from `fromBlock` up to `confirmations`
+ * blocks behind the chain head. `fromBlock` is required for a new database and kept in it for later runs.
+ * Strategies and bribes are discovered from Voter__StrategyAdded; `strategies` seeds the ones added before
+ * `fromBlock`. Only their addresses are queried for Strategy and Bribe events. Each run first checks the last
+ * indexed block hash against the chain and, on a mismatch, rewinds `confirmations` blocks (at least one) at a
+ * time until it reaches a block that is still canonical.
+ * `last_block` covers the tables listed in the `indexed_tables` state. A table added to INDEXED_EVENTS later has
+ * nothing before it, so a run backfills it from `fromBlock` to `last_block` first. Databases from before that
+ * list was kept are backfilled in full; rows already there are left alone.
+ */
+function createIndexer({
+  db,
+  provider = ethers.provider,
+  voter,
+  governanceToken,
+  chainId,
+  fromBlock,
+  confirmations = DEFAULT_CONFIRMATIONS,
+  chunkSize = DEFAULT_CHUNK,
+  strategies = [],
+  log = () => {},
+}) {
+  const interfaces = loadInterfaces();
+  const tables = eventTables(interfaces);
+  const byTopic = Object.fromEntries(tables.map((t) => [t.topic, t]));
+  const topicsOf = (contract) => tables.filter((t) => t.contract === contract).map((t) => t.topic);
+
+  const state = readState(db);
+  const identity = { chain_id: String(chainId), voter, governance_token: governanceToken };
+  for (const [key, value] of Object.entries(identity)) {
+    if (state[key] !== undefined && state[key].toLowerCase() !== String(value).toLowerCase()) {
+      throw new Error(`Index database was built for ${key} ${state[key]}, not ${value}. Use a separate --db file.`);
+    }
+  }
+  // Scanning from genesis would take days on mainnet, so a new database needs a start block
+  fromBlock = fromBlock ?? (state.from_block === undefined ? undefined : Number(state.from_block));
+  if (fromBlock === undefined || fromBlock === null) {
+    throw new Error("No block to start indexing from. Pass --from-block with the Voter deploy block.");
+  }
+
+  const setState = db.prepare("INSERT OR REPLACE INTO indexer_state (key, value) VALUES (?, ?)");
+  const saveBlock = db.prepare("INSERT OR REPLACE INTO indexed_blocks (number, hash) VALUES (?, ?)");
+  const inserts = Object.fromEntries(
+    tables.map(({ table, args }) => {
+      const columns = ["block_number", "block_hash", "tx_hash", "log_index", "address", ...args.map((a) => a.column)];
+      const sql = `INSERT OR IGNORE INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`;
+      return [table, db.prepare(sql)];
+    })
+  );
+
+  db.transaction(() => {
+    for (const [key, value] of Object.entries(identity)) setState.run(key, String(value));
+    if (state.from_block === undefined) setState.run("from_block", String(fromBlock));
+  })();
+
+  // Strategy and bribe addresses whose events are kept
+  const known = { strategies: new Set(), bribes: new Set() };
+  const track = (strategy, bribe) => {
+    known.strategies.add(strategy.toLowerCase());
+    known.bribes.add(bribe.toLowerCase());
+  };
+  const loadKnown = () => {
+    known.strategies.clear();
+    known.bribes.clear();
+    for (const s of strategies) track(s.strategy, s.bribe);
+    for (const row of db.prepare("SELECT strategy, bribe FROM voter_strategy_added").all()) track(row.strategy, row.bribe);
+  };
+  loadKnown();
+
+  const lastBlock = () => {
+    const { last_block: last } = readState(db);
+    return last === undefined ? null : Number(last);
+  };
+
+  const indexedTables = () => JSON.parse(readState(db).indexed_tables || "[]");
+  const setIndexedTables = () => setState.run("indexed_tables", JSON.stringify(tables.map((t) => t.table)));
+
+  const rewind = db.transaction((target) => {
+    for (const { table } of tables) db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(target);
+    db.prepare("DELETE FROM indexed_blocks WHERE number > ?").run(target);
+    if (target < fromBlock) db.prepare("DELETE FROM indexer_state WHERE key = 'last_block'").run();
+    else setState.run("last_block", String(target));
+  });
+
+  // Returns the number of blocks rewound
+  async function checkReorg() {
+    let rewound = 0;
+    for (;;) {
+      const last = lastBlock();
+      if (last === null) return rewound;
+      const stored = db
+        .prepare("SELECT number, hash FROM indexed_blocks WHERE number <= ? ORDER BY number DESC LIMIT 1")
+        .get(last);
+      if (!stored) return rewound;
+      const block = await provider.getBlock(stored.number);
+      if (block && block.hash === stored.hash) return rewound;
+
+      const target = Math.max(fromBlock - 1, stored.number - Math.max(confirmations, 1));
+      log(`Block ${stored.number} is no longer canonical, rewinding to block ${target}`);
+      rewind(target);
+      loadKnown();
+      rewound += last - target;
+    }
+  }
+
+  function decode(logEntry, table) {
+    const contract = table.contract;
+    const { args } = interfaces[contract].parseLog(logEntry);
+    return [
+      logEntry.blockNumber,
+      logEntry.blockHash,
+      logEntry.transactionHash,
+      logEntry.logIndex,
+      ethers.utils.getAddress(logEntry.address),
+      ...table.args.map(({ name }) => (ethers.BigNumber.isBigNumber(args[name]) ? args[name].toString() : String(args[name]))),
+    ];
+  }
+
+  // Indexes the events of `only` in start..end; a backfill (`only` short of all tables) leaves last_block alone
+  async function indexRange(start, end, only = tables) {
+    const getLogs = async (contract, address) => {
+      const topics = topicsOf(contract).filter((topic) => only.includes(byTopic[topic]));
+      return topics.length === 0 ? [] : provider.getLogs({ address, fromBlock: start, toBlock: end, topics: [topics] });
+    };
+    // One query per address: a filter takes a single address, and without one every contract emitting the
+    // same event signature would be fetched
+    const getLogsOf = async (contract, addresses) => (await Promise.all([...addresses].map((a) => getLogs(contract, a)))).flat();
+
+    const [voterLogs, tokenLogs, endBlock] = await Promise.all([
+      getLogs("Voter", voter),
+      getLogs("GovernanceToken", governanceToken),
+      provider.getBlock(end),
+    ]);
+
+    // Strategies added in this range emit their first events after being added, so register them first
+    const added = voterLogs
+      .filter((l) => byTopic[l.topics[0]].event === "Voter__StrategyAdded")
+      .map((l) => interfaces.Voter.parseLog(l).args);
+    for (const args of added) track(args.strategy, args.bribe);
+
+    const [buyLogs, bribeLogs] = await Promise.all([
+      getLogsOf("Strategy", known.strategies),
+      getLogsOf("Bribe", known.bribes),
+    ]);
+    const logs = [...voterLogs, ...tokenLogs, ...buyLogs, ...bribeLogs];
+
+    // Rows already stored are ignored and not counted, so a backfill over them adds nothing
+    let inserted = 0;
+    db.transaction(() => {
+      for (const entry of logs) {
+        const table = byTopic[entry.topics[0]];
+        inserted += inserts[table.table].run(...decode(entry, table)).changes;
+        saveBlock.run(entry.blockNumber, entry.blockHash);
+      }
+      if (only !== tables) return;
+      saveBlock.run(endBlock.number, endBlock.hash);
+      setState.run("last_block", String(end));
+    })();
+
+    return inserted;
+  }
+
+  // Brings tables that are not in `indexed_tables` up to last_block; returns the number of events added
+  async function backfill() {
+    const last = lastBlock();
+    if (last === null) return 0;
+    const missing = tables.filter((t) => !indexedTables().includes(t.table));
+    if (missing.length === 0) return 0;
+
+    log(`Backfilling ${missing.map((t) => t.table).join(", ")} up to block ${last}`);
+    let events = 0;
+    for (let from = fromBlock; from <= last; from += chunkSize) {
+      events += await indexRange(from, Math.min(from + chunkSize - 1, last), missing);
+    }
+    setIndexedTables();
+    return events;
+  }
+
+  // Indexes up to `toBlock` (default: `confirmations` blocks behind the chain head), resuming after the last
+  // indexed block. Blocks that recent are left for a later run, as they are the likeliest to be reorged out.
+  async function run({ toBlock } = {}) {
+    const rewound = await checkReorg();
+    const backfilled = await backfill();
+    const head = toBlock === undefined ? (await provider.getBlockNumber()) - confirmations : toBlock;
+    const last = lastBlock();
+    const start = last === null ? fromBlock : last + 1;
+    if (last === null) setIndexedTables();
+
+    let events = 0;
+    for (let from = start; from <= head; from += chunkSize) {
+      const to = Math.min(from + chunkSize - 1, head);
+      events += await indexRange(from, to);
+      log(`Indexed blocks ${from}-${to}`);
+    }
+    return { fromBlock: start, toBlock: head, events, rewound, backfilled };
+  }
+
+  return { run, checkReorg, lastBlock, tables };
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  DEFAULT_CONFIRMATIONS,
+  tableName,
+  eventTables,
+  openDatabase,
+  readState,
+  createIndexer,
+};
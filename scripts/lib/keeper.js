@@ -0,0 +1,212 @@
+const { ethers } = require("hardhat");
+const { jsonPriceSource, valueOf } = require("./prices");
+const { DEFAULT_RETRIES, DEFAULT_RETRY_DELAY, createNonceManager, sendWithRetry } = require("./tx");
+const { describeError } = require("../../sdk/errors");
+
+// Keeper: moves revenue and bribes along when doing so is worth the gas.
+//
+// Each tick evaluates these kinds of job, in order:
+//   flush       RevenueRouter.flushIfAvailable()  value = WETH waiting in the router
+//   distribute  Voter.distributeAll()             value = WETH claimable + pending across strategies
+//   bribe       BribeRouter.distribute()          value = payment tokens waiting in the router, priced in ETH
+//   poke        Multicall.poke(accounts)          lockers whose votes are pokeThreshold above their decayed power
+// A job runs when value >= estimated gas cost * gasMultiple. Values are in ETH, the revenue token counts 1:1
+// unless the price file says otherwise. Bribe tokens without a price are never distributed. The poke job only
+// runs with a governanceToken, and is upkeep rather than valued: a lock's boost decays every second but votes keep
+// the power they were cast with, so without it decayed lockers keep drawing revenue and bribes for boost they lost.
+
+const ZERO = ethers.BigNumber.from(0);
+const ONE = ethers.utils.parseEther("1");
+// Multicall.flushAndDistributeAll skips smaller bribes, the reward rate would round to nothing
+const MIN_BRIBE = ethers.BigNumber.from(6000000);
+// Blocks per getLogs call when looking for new lockers
+const LOG_CHUNK = 5000;
+
+const DEFAULTS = {
+  interval: 300,
+  gasMultiple: 2,
+  pokeThreshold: 100,
+  retries: DEFAULT_RETRIES,
+  retryDelay: DEFAULT_RETRY_DELAY,
+};
+
+function worthIt(value, gasCost, gasMultiple) {
+  const multiple = ethers.utils.parseEther(String(gasMultiple));
+  return value.mul(ONE).gte(gasCost.mul(multiple));
+}
+
+/**
+ * Builds a keeper for one deployment. `tick()` evaluates every job once, sends the ones worth it
+ * (unless dryRun) and returns the evaluated jobs:
+ *   { job, subject, target, value, gasEstimate, gasCost, run, reason, txHash }
+ * With `governanceToken`, lockers are found from its GovernanceToken__Locked events since `fromBlock` and poked
+ * once their votes exceed their voting power by more than `pokeThreshold` basis points.
+ */
+function createKeeper({
+  signer,
+  voter,
+  revenueRouter,
+  multicall,
+  governanceToken,
+  fromBlock = 0,
+  pokeThreshold = DEFAULTS.pokeThreshold,
+  chunkSize = LOG_CHUNK,
+  prices = jsonPriceSource(),
+  names = {},
+  gasMultiple = DEFAULTS.gasMultiple,
+  retries = DEFAULTS.retries,
+  retryDelay = DEFAULTS.retryDelay,
+  dryRun = false,
+  log = () => {},
+}) {
+  const provider = signer.provider;
+  const nonces = createNonceManager(signer);
+  const lockers = new Set();
+  let scannedTo = fromBlock - 1;
+  let revenueToken;
+
+  async function revenuePrice() {
+    if (!revenueToken) {
+      const address = await voter.revenueToken();
+      const token = await ethers.getContractAt(
+        "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+        address
+      );
+      revenueToken = { address, symbol: await token.symbol(), decimals: await token.decimals() };
+    }
+    return { ...revenueToken, price: (await prices(revenueToken)) ?? ONE };
+  }
+
+  // Prices the job against its gas estimate and sends it when it is worth it, or whenever there is work for upkeep
+  async function run(job, contract, method, gasPrice, { args = [], upkeep = false } = {}) {
+    const result = { ...job, target: contract.address, gasEstimate: null, gasCost: null, run: false, txHash: null };
+    if (upkeep ? args[0].length === 0 : result.value.isZero()) return { ...result, reason: "nothing to do" };
+
+    let gasEstimate;
+    try {
+      gasEstimate = await contract.connect(signer).estimateGas[method](...args);
+    } catch (error) {
+      return { ...result, reason: `gas estimation failed: ${describeError(error) || error.reason || error.message}` };
+    }
+    const gasCost = gasEstimate.mul(gasPrice);
+    Object.assign(result, { gasEstimate, gasCost });
+    if (!upkeep && !worthIt(result.value, gasCost, gasMultiple)) {
+      return { ...result, reason: `value below ${gasMultiple}x gas cost` };
+    }
+    if (dryRun) return { ...result, reason: "dry run" };
+
+    const receipt = await sendWithRetry(
+      (nonce) => contract.connect(signer)[method](...args, { nonce, gasLimit: gasEstimate.mul(12).div(10), gasPrice }),
+      { nonces, provider, retries, retryDelay, log }
+    );
+    return { ...result, run: true, reason: "sent", txHash: receipt.transactionHash, gasUsed: receipt.gasUsed };
+  }
+
+  // Adds the accounts that locked since the last scan
+  async function scanLockers() {
+    const head = await provider.getBlockNumber();
+    for (let from = scannedTo + 1; from <= head; from += chunkSize) {
+      const to = Math.min(from + chunkSize - 1, head);
+      for (const event of await governanceToken.queryFilter(governanceToken.filters.GovernanceToken__Locked(), from, to)) {
+        lockers.add(event.args.account);
+      }
+      scannedTo = to;
+    }
+  }
+
+  // Lockers whose votes, cast with an earlier and larger boost, are over pokeThreshold above their power now
+  async function decayedLockers() {
+    await scanLockers();
+    const accounts = [];
+    for (const account of lockers) {
+      const used = await voter.account_UsedWeights(account);
+      if (used.isZero()) continue;
+      const power = await governanceToken.votingPower(account);
+      if (used.sub(power).mul(10000).gt(used.mul(pokeThreshold))) accounts.push(account);
+    }
+    return accounts;
+  }
+
+  async function tick() {
+    const gasPrice = await provider.getGasPrice();
+    const weth = await revenuePrice();
+    const jobs = [];
+
+    const pending = await revenueRouter.pendingRevenue();
+    const flush = await run(
+      { job: "flush", subject: "RevenueRouter", amount: pending, value: valueOf(pending, weth.decimals, weth.price) },
+      revenueRouter,
+      "flushIfAvailable",
+      gasPrice
+    );
+    jobs.push(flush);
+
+    // A dry run cannot flush, count the router's share as if it had
+    const assumeFlushed = dryRun && flush.reason === "dry run";
+    const overviews = await multicall.getAllStrategyOverviews();
+    let claimable = ZERO;
+    for (const s of overviews) {
+      claimable = claimable.add(s.strategyClaimable).add(s.strategyPendingRevenue);
+      if (assumeFlushed) {
+        claimable = claimable.add(
+          s.strategyTotalPotentialWeth.sub(s.strategyWethBalance).sub(s.strategyClaimable).sub(s.strategyPendingRevenue)
+        );
+      }
+    }
+    jobs.push(
+      await run(
+        { job: "distribute", subject: "Voter", amount: claimable, value: valueOf(claimable, weth.decimals, weth.price) },
+        voter,
+        "distributeAll",
+        gasPrice
+      )
+    );
+
+    for (const [i, s] of overviews.entries()) {
+      const subject = names[s.strategy.toLowerCase()] || `Strategy ${i}`;
+      const balance = s.bribeRouterTokenBalance;
+      const job = { job: "bribe", subject, amount: balance, value: ZERO };
+      const bribeRouter = await ethers.getContractAt("contracts/BribeRouter.sol:BribeRouter", s.bribeRouter);
+      if (balance.lt(MIN_BRIBE) || balance.lte(s.bribeTokensLeft)) {
+        jobs.push({ ...job, target: bribeRouter.address, run: false, reason: "nothing to do" });
+        continue;
+      }
+      const price = await prices({ address: s.paymentToken, symbol: s.paymentTokenSymbol });
+      if (price === undefined) {
+        jobs.push({ ...job, target: bribeRouter.address, run: false, reason: `no price for ${s.paymentTokenSymbol}` });
+        continue;
+      }
+      job.value = valueOf(balance, s.paymentTokenDecimals, price);
+      jobs.push(await run(job, bribeRouter, "distribute", gasPrice));
+    }
+
+    if (governanceToken) {
+      const accounts = await decayedLockers();
+      const job = { job: "poke", subject: `${accounts.length} decayed lock(s)`, accounts, amount: ZERO, value: ZERO };
+      jobs.push(await run(job, multicall, "poke", gasPrice, { args: [accounts], upkeep: true }));
+    }
+
+    return jobs;
+  }
+
+  return { tick, nonces };
+}
+
+function renderJobs(jobs) {
+  return jobs
+    .map((j) => {
+      const value = `${ethers.utils.formatEther(j.value)} ETH`;
+      const gas = j.gasCost ? `, gas ${ethers.utils.formatEther(j.gasCost)} ETH` : "";
+      const tx = j.txHash ? ` ${j.txHash}` : "";
+      return `  ${j.job.padEnd(10)} ${j.subject.padEnd(24)} value ${value}${gas}: ${j.reason}${tx}`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  DEFAULTS,
+  MIN_BRIBE,
+  worthIt,
+  createKeeper,
+  renderJobs,
+};
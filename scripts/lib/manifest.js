@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+
+// Deployment manifest: the per-network address book of everything that has been deployed.
+// Written by scripts/deploy.js to deployments/<network>.json after every step and read by
+// the other scripts. Entries look like:
+//
+//   contracts.<Name>: { address, args, blockNumber, txHash, verified }
+//   mocks.<KEY>:      { address, args, blockNumber, txHash }
+//   strategies[]:     { name, description, paymentToken, paymentReceiver,
+//                       strategy, bribe, bribeRouter, args, blockNumber, txHash, verified }
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+function manifestPath(network) {
+  return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+function emptyManifest(network, chainId) {
+  return {
+    network,
+    chainId,
+    contracts: {},
+    mocks: {},
+    strategies: [],
+  };
+}
+
+function loadManifest(network, chainId) {
+  const file = manifestPath(network);
+  if (!fs.existsSync(file)) return emptyManifest(network, chainId);
+  const manifest = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (chainId !== undefined && manifest.chainId !== undefined && manifest.chainId !== chainId) {
+    throw new Error(
+      `Manifest ${file} is for chainId ${manifest.chainId}, connected to chainId ${chainId}`
+    );
+  }
+  return { ...emptyManifest(network, chainId), ...manifest };
+}
+
+// Like loadManifest, but for scripts that cannot do anything without a deployment
+function requireManifest(network, chainId) {
+  if (!fs.existsSync(manifestPath(network))) {
+    throw new Error(
+      `No deployment manifest for network "${network}". Run scripts/deploy.js --network ${network} first.`
+    );
+  }
+  return loadManifest(network, chainId);
+}
+
+function saveManifest(manifest, file = manifestPath(manifest.network)) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+function findStrategy(manifest, name) {
+  return manifest.strategies.find((s) => s.name === name);
+}
+
+function contractAddress(manifest, name) {
+  const entry = manifest.contracts[name];
+  if (!entry) throw new Error(`Manifest for "${manifest.network}" has no ${name}`);
+  return entry.address;
+}
+
+// strategy address (lowercase) => manifest entry
+function strategiesByAddress(manifest) {
+  return Object.fromEntries(manifest.strategies.map((s) => [s.strategy.toLowerCase(), s]));
+}
+
+// Constructor args as JSON-safe values (BigNumbers become decimal strings)
+function serializeArgs(args) {
+  return args.map((arg) => (ethers.BigNumber.isBigNumber(arg) ? arg.toString() : arg));
+}
+
+function deploymentRecord(receipt) {
+  return { blockNumber: receipt.blockNumber, txHash: receipt.transactionHash };
+}
+
+// A function each core contract has only since the current build. The first mainnet GovernanceToken has no Voter
+// registry (migrateVoter) and no votingPower, which a current Voter calls on every vote. The first mainnet Voter
+// and Multicall predate strategy pausing and archiving: that Voter has no strategy_IsPaused or
+// getArchivedStrategies, and that Multicall returns its strategy and bribe structs without the isPaused field,
+// so current scripts would misread them.
+const CURRENT_BUILD_FUNCTIONS = {
+  GovernanceToken: "migrateVoter(address)",
+  Voter: "strategy_IsPaused(address)",
+  Multicall: "getStrategyOverviewsPage(bool,uint256,uint256)",
+};
+
+// True if the code at `address` dispatches `signature` (its selector is in the bytecode)
+async function hasFunction(address, signature) {
+  const selector = ethers.utils.id(signature).slice(2, 10);
+  return (await ethers.provider.getCode(address)).includes(selector);
+}
+
+async function isCurrentBuild(name, address) {
+  const signature = CURRENT_BUILD_FUNCTIONS[name];
+  return !signature || hasFunction(address, signature);
+}
+
+// Voters from before archiving keep every strategy in getStrategies() and have nothing archived
+async function archivedStrategies(voter, overrides = {}) {
+  if (!(await hasFunction(voter.address, "getArchivedStrategies()"))) return [];
+  return voter.getArchivedStrategies(overrides);
+}
+
+/**
+ * Compares the manifest with the Voter it points at and throws if they disagree.
+ * Catches strategies added or removed outside of deploy.js and stale core addresses.
+ * Warns about core contracts from an older build and returns those warnings.
+ */
+async function checkManifest(manifest) {
+  const problems = [];
+  const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+  const voter = await ethers.getContractAt("contracts/Voter.sol:Voter", contractAddress(manifest, "Voter"));
+
+  const governanceToken = manifest.contracts.GovernanceToken?.address;
+  if (!same(await voter.governanceToken(), governanceToken)) {
+    problems.push(`Voter.governanceToken() is ${await voter.governanceToken()}, manifest has ${governanceToken}`);
+  }
+  const revenueRouter = manifest.contracts.RevenueRouter?.address;
+  if (!same(await voter.revenueSource(), revenueRouter)) {
+    problems.push(`Voter.revenueSource() is ${await voter.revenueSource()}, manifest has ${revenueRouter}`);
+  }
+  for (const name of ["Multicall", "Lens"]) {
+    if (!manifest.contracts[name]) continue;
+    const view = await ethers.getContractAt(`contracts/${name}.sol:${name}`, manifest.contracts[name].address);
+    if (!same(await view.voter(), voter.address)) {
+      problems.push(`${name} ${view.address} points at Voter ${await view.voter()}`);
+    }
+  }
+  // Outdated builds are reported, not refused: until the upgrade is run the deployment is still the live one
+  const outdated = [];
+  for (const name of Object.keys(CURRENT_BUILD_FUNCTIONS)) {
+    const address = manifest.contracts[name]?.address;
+    if (address && !(await isCurrentBuild(name, address))) {
+      outdated.push(`${name} ${address} is from an older build; scripts may misread or fail on what it lacks`);
+    }
+  }
+  // Deployments from before the Lens have everything else
+  if (!manifest.contracts.Lens) outdated.push("Lens is not deployed; the scripts reading stakes and locks need it");
+  if (outdated.length > 0) {
+    console.warn(
+      `Deployment for "${manifest.network}" needs an upgrade with scripts/deploy.js (see README, "Upgrading a deployment"):\n` +
+        `  - ${outdated.join("\n  - ")}`
+    );
+  }
+
+  // Archived strategies left Voter.getStrategies() but are still the Voter's
+  const onChain = [...(await voter.getStrategies()), ...(await archivedStrategies(voter))];
+  const listed = strategiesByAddress(manifest);
+  for (const addr of onChain) {
+    const entry = listed[addr.toLowerCase()];
+    if (!entry) {
+      problems.push(`strategy ${addr} is on the Voter but missing from the manifest`);
+      continue;
+    }
+    if (!same(await voter.strategy_Bribe(addr), entry.bribe)) {
+      problems.push(`strategy "${entry.name}" has bribe ${await voter.strategy_Bribe(addr)}, manifest has ${entry.bribe}`);
+    }
+    if (!same(await voter.strategy_BribeRouter(addr), entry.bribeRouter)) {
+      problems.push(
+        `strategy "${entry.name}" has bribeRouter ${await voter.strategy_BribeRouter(addr)}, manifest has ${entry.bribeRouter}`
+      );
+    }
+  }
+  for (const entry of manifest.strategies) {
+    if (!onChain.some((addr) => same(addr, entry.strategy))) {
+      problems.push(`strategy "${entry.name}" (${entry.strategy}) is in the manifest but not on the Voter`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Deployment manifest for "${manifest.network}" disagrees with on-chain state:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+  return outdated;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  manifestPath,
+  emptyManifest,
+  loadManifest,
+  requireManifest,
+  saveManifest,
+  findStrategy,
+  contractAddress,
+  strategiesByAddress,
+  serializeArgs,
+  deploymentRecord,
+  hasFunction,
+  isCurrentBuild,
+  archivedStrategies,
+  checkManifest,
+};
@@ -0,0 +1,61 @@
+// Prometheus text exposition format, or OpenMetrics when the scraper asks for it
+
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const OPENMETRICS_CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+// Counters are named without the _total suffix, it is added to their samples when rendering
+function metricFamily(name, type, help) {
+  return { name, type, help, samples: [] };
+}
+
+function addSample(family, labels, value) {
+  family.samples.push({ labels, value: Number(value) });
+  return family;
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const escapeHelp = (value) => value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function renderMetrics(families, { openMetrics = false } = {}) {
+  const lines = [];
+  for (const family of families) {
+    const sampleName = family.type === "counter" ? `${family.name}_total` : family.name;
+    // The Prometheus format declares counters under their sample name, OpenMetrics under the family name
+    const declaredName = family.type === "counter" && !openMetrics ? sampleName : family.name;
+    lines.push(`# HELP ${declaredName} ${escapeHelp(family.help)}`);
+    lines.push(`# TYPE ${declaredName} ${family.type}`);
+    for (const sample of family.samples) {
+      lines.push(`${sampleName}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+  }
+  if (openMetrics) lines.push("# EOF");
+  return lines.join("\n") + "\n";
+}
+
+// Picks the exposition format from the scraper's Accept header
+function negotiate(accept = "") {
+  const openMetrics = accept.includes("application/openmetrics-text");
+  return { openMetrics, contentType: openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE };
+}
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  OPENMETRICS_CONTENT_TYPE,
+  metricFamily,
+  addSample,
+  renderMetrics,
+  negotiate,
+};
@@ -0,0 +1,203 @@
+const { ethers } = require("hardhat");
+const { valueOf } = require("./prices");
+const { padRight, padLeft } = require("./format");
+
+// Vote allocation optimizer: splits an account's voting power across Bribes for the most bribe rewards.
+//
+// A Bribe pays out what it has left pro rata to its votes. Voting x on a Bribe that others vote S on earns
+// V * x / (S + x), where V is the ETH value of its rewards left. Voter.vote() resets the account's old votes first,
+// so S excludes them. The sum over Bribes is concave in x, so the optimum gives every Bribe that gets votes the
+// same marginal return V * S / (S + x)^2 ("water filling"), and Bribes whose first vote earns less get none.
+// A Bribe nobody else votes for pays everything to any vote, so it gets the smallest weight.
+//
+// APRs treat the rewards left as one week's rewards and value votes at the price of the staked underlying token.
+
+const BPS = 10000;
+const WEEKS_PER_YEAR = 52;
+
+const toNumber = (amount, decimals = 18) => Number(ethers.utils.formatUnits(amount, decimals));
+
+/**
+ * Reads the account's voting power and every Bribe's rewards left from Multicall.getAllBribesData(account),
+ * priced with `prices` (a source from ./prices). Returns
+ *   { account, votingPower, underlying: { address, symbol, decimals, price }, bribes }
+ * with bribes [{ strategy, name, bribe, isAlive, totalSupply, accountVote, others, value, rewards, unpriced }].
+ */
+async function loadBribes({ voter, multicall, account, prices, names = {} }) {
+  const metadata = (address) =>
+    ethers.getContractAt("@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata", address);
+  const governanceToken = await ethers.getContractAt("GovernanceToken", await voter.governanceToken());
+  const underlyingToken = await metadata(await governanceToken.token());
+  const underlying = {
+    address: underlyingToken.address,
+    symbol: await underlyingToken.symbol(),
+    decimals: await underlyingToken.decimals(),
+  };
+  underlying.price = await prices(underlying);
+
+  const symbols = {};
+  const bribes = [];
+  for (const data of await multicall.getAllBribesData(account)) {
+    const rewards = [];
+    for (let i = 0; i < data.rewardTokens.length; i++) {
+      const address = data.rewardTokens[i];
+      symbols[address] ??= await (await metadata(address)).symbol();
+      const decimals = data.rewardTokenDecimals[i];
+      const price = await prices({ address, symbol: symbols[address] });
+      const left = data.rewardsLeft[i];
+      rewards.push({
+        token: address,
+        symbol: symbols[address],
+        decimals,
+        left,
+        price,
+        value: price && valueOf(left, decimals, price),
+      });
+    }
+    bribes.push({
+      strategy: data.strategy,
+      name: names[data.strategy.toLowerCase()] || data.strategy,
+      bribe: data.bribe,
+      isAlive: data.isAlive,
+      totalSupply: data.totalSupply,
+      accountVote: data.accountVote,
+      others: data.totalSupply.sub(data.accountVote),
+      value: rewards.reduce((sum, r) => (r.value ? sum.add(r.value) : sum), ethers.BigNumber.from(0)),
+      rewards,
+      unpriced: rewards.filter((r) => !r.price && !r.left.isZero()).map((r) => r.symbol),
+    });
+  }
+  return { account, votingPower: await governanceToken.votingPower(account), underlying, bribes };
+}
+
+// ETH value of the rewards `votes` earns from a Bribe that others vote `others` on
+function expectedReward({ value, others }, votes) {
+  if (votes <= 0) return 0;
+  return (toNumber(value) * votes) / (toNumber(others) + votes);
+}
+
+// Marginal ETH per vote token at `votes`, including the account's own dilution
+function marginalReward({ value, others }, votes) {
+  const v = toNumber(value);
+  const s = toNumber(others);
+  if (s + votes === 0) return v > 0 ? Infinity : 0;
+  return (v * s) / (s + votes) ** 2;
+}
+
+/**
+ * Optimal split of `votingPower` across the alive Bribes. Returns
+ *   { strategies, weights, allocations, expected, current }
+ * where strategies and weights (basis points summing to 10000) go straight into Voter.vote(), allocations lists every
+ * alive Bribe with { bps, votes, expected, marginal, average } and expected / current are the ETH the optimal and the
+ * account's current votes earn. Throws when no Bribe has rewards left.
+ */
+function optimizeVotes(bribes, votingPower) {
+  const power = toNumber(votingPower);
+  if (power <= 0) throw new Error("The account has no voting power, stake first");
+  const alive = bribes.filter((b) => b.isAlive);
+  const candidates = alive.filter((b) => !b.value.isZero());
+  if (candidates.length === 0) throw new Error("No alive Bribe has priced rewards left, there is nothing to optimize");
+
+  // Uncontested Bribes pay everything to the smallest vote. If every Bribe is uncontested, split evenly.
+  const uncontested = candidates.filter((b) => b.others.isZero());
+  let active = candidates.filter((b) => !b.others.isZero());
+  const bps = new Map();
+  if (active.length === 0) {
+    uncontested.forEach((b) => bps.set(b, BPS / uncontested.length));
+  } else {
+    uncontested.forEach((b) => bps.set(b, 1));
+    const budget = (power * (BPS - uncontested.length)) / BPS;
+
+    // Water filling: x_i = sqrt(V_i * S_i) * c - S_i with c fixed by sum(x_i) = budget. Bribes that would get a
+    // negative share earn less on their first vote than the others at the optimum, drop them and solve again.
+    let votes;
+    for (;;) {
+      const roots = active.map((b) => Math.sqrt(toNumber(b.value) * toNumber(b.others)));
+      const c = (budget + active.reduce((sum, b) => sum + toNumber(b.others), 0)) / roots.reduce((a, b) => a + b, 0);
+      votes = active.map((b, i) => roots[i] * c - toNumber(b.others));
+      if (votes.every((x) => x >= 0)) break;
+      active = active.filter((b, i) => votes[i] >= 0);
+    }
+    active.forEach((b, i) => bps.set(b, Math.round((votes[i] / power) * BPS)));
+  }
+
+  // Rounding can leave the total a few basis points off, the largest weight absorbs it
+  const total = [...bps.values()].reduce((a, b) => a + b, 0);
+  const largest = [...bps.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  bps.set(largest, bps.get(largest) + BPS - total);
+
+  const allocations = alive.map((b) => {
+    const share = bps.get(b) || 0;
+    const votes = (power * share) / BPS;
+    const expected = expectedReward(b, votes);
+    return {
+      ...b,
+      bps: share,
+      votes,
+      expected,
+      marginal: marginalReward(b, votes),
+      average: votes > 0 ? expected / votes : 0,
+    };
+  });
+  const chosen = allocations.filter((a) => a.bps > 0);
+  return {
+    strategies: chosen.map((a) => a.strategy),
+    weights: chosen.map((a) => a.bps),
+    allocations,
+    expected: allocations.reduce((sum, a) => sum + a.expected, 0),
+    // What the account's current votes earn, for comparison
+    current: alive.reduce((sum, b) => sum + expectedReward(b, toNumber(b.accountVote)), 0),
+  };
+}
+
+// Yearly return in percent of `ethPerVote` per week on a vote token worth `price` wei of ETH
+function apr(ethPerVote, price) {
+  if (!price || price.isZero() || !Number.isFinite(ethPerVote)) return null;
+  return (ethPerVote * WEEKS_PER_YEAR * 100) / toNumber(price);
+}
+
+function renderOptimization({ votingPower, underlying, bribes }, result) {
+  const pct = (value) => (value === null ? "-" : `${value.toFixed(2)}%`);
+  const eth = (value) => value.toFixed(6);
+  const name = Math.max(8, ...result.allocations.map((a) => a.name.length));
+  const lines = [
+    `Voting power: ${ethers.utils.formatUnits(votingPower, underlying.decimals)} (${underlying.symbol} at ` +
+      (underlying.price ? `${ethers.utils.formatEther(underlying.price)} ETH)` : "no price, APRs unavailable)"),
+    "",
+    `${padRight("Strategy", name)}  ${padLeft("Rewards ETH", 12)}  ${padLeft("Other votes", 14)}  ` +
+      `${padLeft("First vote APR", 14)}  ${padLeft("Weight", 7)}  ${padLeft("Expected ETH", 12)}  ` +
+      `${padLeft("Marginal APR", 12)}  ${padLeft("Avg APR", 8)}`,
+  ];
+  for (const a of result.allocations) {
+    lines.push(
+      `${padRight(a.name, name)}  ${padLeft(eth(toNumber(a.value)), 12)}  ` +
+        `${padLeft(toNumber(a.others).toFixed(2), 14)}  ${padLeft(
+          pct(apr(marginalReward(a, 0), underlying.price)),
+          14
+        )}  ` +
+        `${padLeft(`${(a.bps / 100).toFixed(2)}%`, 7)}  ${padLeft(eth(a.expected), 12)}  ` +
+        `${padLeft(a.bps > 0 ? pct(apr(a.marginal, underlying.price)) : "-", 12)}  ` +
+        padLeft(a.bps > 0 ? pct(apr(a.average, underlying.price)) : "-", 8)
+    );
+  }
+  for (const b of bribes) {
+    if (b.unpriced.length > 0) lines.push(`  ${b.name}: no price for ${b.unpriced.join(", ")}, counted as 0`);
+  }
+  const dead = bribes.filter((b) => !b.isAlive);
+  if (dead.length > 0) lines.push(`  Dead strategies cannot be voted for: ${dead.map((b) => b.name).join(", ")}`);
+  lines.push(
+    "",
+    `Expected rewards this period: ${eth(result.expected)} ETH (current votes: ${eth(result.current)} ETH)`,
+    `Voter.vote(${JSON.stringify(result.strategies)}, ${JSON.stringify(result.weights)})`
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  loadBribes,
+  expectedReward,
+  marginalReward,
+  optimizeVotes,
+  apr,
+  renderOptimization,
+};
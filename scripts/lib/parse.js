@@ -0,0 +1,113 @@
+const { ethers } = require("ethers");
+
+// Parsers for human-written values ("40000 DONUT", "1 day", "1.2x", "20%") used by proposal specs and the CLI.
+// Every parser returns the exact on-chain integer and throws an Error naming the input it could not read.
+
+const DURATION_UNITS = {
+  s: 1,
+  sec: 1,
+  secs: 1,
+  second: 1,
+  seconds: 1,
+  m: 60,
+  min: 60,
+  mins: 60,
+  minute: 60,
+  minutes: 60,
+  h: 3600,
+  hr: 3600,
+  hrs: 3600,
+  hour: 3600,
+  hours: 3600,
+  d: 86400,
+  day: 86400,
+  days: 86400,
+  w: 604800,
+  week: 604800,
+  weeks: 604800,
+};
+
+const number = (text) => text.replace(/[,_]/g, "");
+
+/**
+ * "40000 DONUT", "40,000", "0.04 cbBTC" => base units of `token` ({ symbol, decimals }).
+ * A unit, when given, must be the token's symbol.
+ */
+function parseAmount(input, { symbol, decimals }) {
+  const match = /^\s*([0-9][0-9,_]*(?:\.[0-9]+)?)\s*([A-Za-z][\w.-]*)?\s*$/.exec(String(input));
+  if (!match) throw new Error(`Invalid amount "${input}" (expected e.g. "40000 ${symbol}")`);
+  const [, value, unit] = match;
+  if (unit && unit.toLowerCase() !== symbol.toLowerCase()) {
+    throw new Error(`Amount "${input}" is in ${unit}, expected ${symbol}`);
+  }
+  try {
+    return ethers.utils.parseUnits(number(value), decimals);
+  } catch (error) {
+    throw new Error(`Amount "${input}" has more than ${decimals} decimals, the precision of ${symbol}`);
+  }
+}
+
+// "1 day", "12h", "1 day 12 hours", "86400" => whole seconds
+function parseDuration(input) {
+  const text = String(input).trim().toLowerCase();
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const part = /(\d+(?:\.\d+)?)\s*([a-z]+)\s*/g;
+  let seconds = 0;
+  let consumed = 0;
+  for (let match; (match = part.exec(text)) !== null; ) {
+    if (match.index !== consumed || DURATION_UNITS[match[2]] === undefined) break;
+    seconds += Number(match[1]) * DURATION_UNITS[match[2]];
+    consumed = part.lastIndex;
+  }
+  if (consumed === 0 || consumed !== text.length) {
+    throw new Error(`Invalid duration "${input}" (expected e.g. "1 day", "12 hours" or seconds)`);
+  }
+  if (!Number.isInteger(seconds)) throw new Error(`Duration "${input}" is not a whole number of seconds`);
+  return seconds;
+}
+
+// "1.2x", "120%", "1.2" => multiplier scaled by 1e18
+function parseMultiplier(input) {
+  const match = /^\s*([0-9]+(?:\.[0-9]+)?)\s*(x|%)?\s*$/i.exec(String(input));
+  if (!match) throw new Error(`Invalid multiplier "${input}" (expected e.g. "1.2x" or "120%")`);
+  try {
+    return ethers.utils.parseUnits(match[1], match[2] === "%" ? 16 : 18);
+  } catch (error) {
+    throw new Error(`Multiplier "${input}" is more precise than 1e18`);
+  }
+}
+
+// "20%", "2000 bps", "2000" => basis points
+function parseBasisPoints(input) {
+  const match = /^\s*([0-9]+(?:\.[0-9]+)?)\s*(%|bps)?\s*$/i.exec(String(input));
+  if (!match) throw new Error(`Invalid percentage "${input}" (expected e.g. "20%" or "2000 bps")`);
+  const bps = match[2] === "%" ? Number(match[1]) * 100 : Number(match[1]);
+  if (!Number.isInteger(Math.round(bps * 1e6) / 1e6)) {
+    throw new Error(`Percentage "${input}" is not a whole number of basis points`);
+  }
+  return Math.round(bps);
+}
+
+// 86400 => "1 day", 129600 => "1 day 12 hours"
+function formatDuration(seconds) {
+  const units = [
+    ["week", 604800],
+    ["day", 86400],
+    ["hour", 3600],
+    ["minute", 60],
+    ["second", 1],
+  ];
+  let rest = Number(seconds);
+  const parts = [];
+  for (const [name, size] of units) {
+    // Weeks only when the whole duration is in weeks, "8 days" reads better than "1 week 1 day"
+    if (name === "week" && rest % size !== 0) continue;
+    const count = Math.floor(rest / size);
+    if (count > 0) parts.push(`${count} ${name}${count === 1 ? "" : "s"}`);
+    rest %= size;
+  }
+  return parts.join(" ") || "0 seconds";
+}
+
+module.exports = { parseAmount, parseDuration, parseMultiplier, parseBasisPoints, formatDuration };
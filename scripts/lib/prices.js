@@ -0,0 +1,46 @@
+const fs = require("fs");
+const { ethers } = require("hardhat");
+
+// Price sources for the bots. A source is an async function taking a token `{ address, symbol }` and
+// resolving with its price in wei of ETH per whole token, or undefined when it has no price for it.
+
+/**
+ * Prices from a JSON table: `{ "<symbol or address>": "<ETH per whole token>" }`, matched case-insensitively.
+ * A file is re-read on every lookup so another process can keep it up to date.
+ */
+function jsonPriceSource(source = {}) {
+  const parse = (entries) => {
+    const prices = {};
+    for (const [token, price] of Object.entries(entries)) {
+      try {
+        prices[token.toLowerCase()] = ethers.utils.parseEther(String(price));
+      } catch (error) {
+        throw new Error(`Invalid price "${price}" for ${token} (expected ETH per token, e.g. "0.0004")`);
+      }
+    }
+    return prices;
+  };
+  const fixed = typeof source === "string" ? null : parse(source);
+  // Fail on a broken file up front rather than on the first lookup
+  if (!fixed) parse(JSON.parse(fs.readFileSync(source, "utf8")));
+
+  return async ({ address, symbol }) => {
+    const prices = fixed || parse(JSON.parse(fs.readFileSync(source, "utf8")));
+    return prices[address.toLowerCase()] ?? (symbol ? prices[symbol.toLowerCase()] : undefined);
+  };
+}
+
+// Prices from an on-chain oracle exposing getPrice(token) in ETH per whole token with 18 decimals (0 = no price)
+function oraclePriceSource(oracle) {
+  return async ({ address }) => {
+    const price = await oracle.getPrice(address);
+    return price.isZero() ? undefined : price;
+  };
+}
+
+// ETH value of `amount` base units of a token priced at `price` wei per whole token
+function valueOf(amount, decimals, price) {
+  return ethers.BigNumber.from(amount).mul(price).div(ethers.BigNumber.from(10).pow(decimals));
+}
+
+module.exports = { jsonPriceSource, oraclePriceSource, valueOf };
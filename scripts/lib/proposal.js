@@ -0,0 +1,429 @@
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { parseAmount, parseDuration, parseMultiplier, parseBasisPoints, formatDuration } = require("./parse");
+const { resolveAddress } = require("./spec");
+const { STRATEGY_BOUNDS } = require("./auction");
+
+// Governance proposal specs: human-written Voter actions that are validated and turned into calldata,
+// Aragon actions, a Safe Transaction Builder batch and a Markdown body following docs/GOVERNANCE_PROPOSALS.md.
+//
+//   {
+//     "title": "Add QR Accumulation Strategy",
+//     "summary": "...",
+//     "rationale": "...",                        optional, one paragraph or an array of lines
+//     "addresses": { "QR": "0x2b50..." },        optional, on top of the deployment spec's addresses
+//     "actions": [
+//       { "type": "addStrategy", "name": "QR Buyback", "paymentToken": "QR", "paymentReceiver": "DAO",
+//         "initPrice": "35000000 QR", "epochPeriod": "1 day", "priceMultiplier": "1.2x", "minInitPrice": "35000000 QR" },
+//       { "type": "killStrategy", "strategy": "cbBTC Buyback" },
+//       { "type": "pauseStrategy", "strategy": "USDC Buyback" },
+//       { "type": "unpauseStrategy", "strategy": "USDC Buyback" },
+//       { "type": "setBribeSplit", "bribeSplit": "20%" },
+//       { "type": "addBribeReward", "strategy": "USDC Buyback", "rewardToken": "DONUT" }
+//     ]
+//   }
+// The optional addStrategy "name" labels the new strategy in simulations (scripts/simulate.js).
+
+// Mirrors Voter.setBribeSplit
+const VOTER_BOUNDS = {
+  MAX_BRIBE_SPLIT: 5000,
+  DIVISOR: 10000,
+};
+
+const ACTION_FIELDS = {
+  addStrategy: ["paymentToken", "paymentReceiver", "initPrice", "epochPeriod", "priceMultiplier", "minInitPrice"],
+  killStrategy: ["strategy"],
+  pauseStrategy: ["strategy"],
+  unpauseStrategy: ["strategy"],
+  setBribeSplit: ["bribeSplit"],
+  addBribeReward: ["strategy", "rewardToken"],
+};
+
+function loadProposal(file) {
+  const proposal = JSON.parse(fs.readFileSync(file, "utf8"));
+  validateProposal(proposal);
+  return proposal;
+}
+
+// Shape checks only, values are checked against the chain by buildProposal
+function validateProposal(proposal) {
+  for (const key of ["title", "summary", "actions"]) {
+    if (proposal[key] === undefined) throw new Error(`Proposal is missing "${key}"`);
+  }
+  if (!Array.isArray(proposal.actions) || proposal.actions.length === 0) {
+    throw new Error(`Proposal "actions" must be a non-empty array`);
+  }
+  proposal.actions.forEach((action, i) => {
+    const fields = ACTION_FIELDS[action.type];
+    if (!fields) {
+      throw new Error(
+        `Action ${i + 1} has unknown type "${action.type}" (expected ${Object.keys(ACTION_FIELDS).join(", ")})`
+      );
+    }
+    for (const key of fields) {
+      if (action[key] === undefined) throw new Error(`Action ${i + 1} (${action.type}) is missing "${key}"`);
+    }
+  });
+}
+
+// Resolver for a proposal's names: its own "addresses" first, then the network's deployment spec and manifest mocks
+function createResolver({ spec, manifest, proposal, deployer }) {
+  const merged = { ...spec, addresses: { ...spec.addresses, ...proposal.addresses } };
+  const context = {
+    deployer,
+    mocks: Object.fromEntries(Object.entries(manifest.mocks || {}).map(([key, entry]) => [key, entry.address])),
+  };
+  return (ref) => resolveAddress(merged, ref, context);
+}
+
+const percent = (bps) => `${bps / 100}%`;
+const trimZeros = (value) => value.replace(/\.0$/, "");
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Resolves and validates every action against the chain and encodes it. Throws one Error listing every problem.
+ *   voter           Voter contract
+ *   resolveAddress  (ref) => address for names from the deployment spec / proposal addresses, throws when unknown
+ *   strategies      manifest strategy entries, so strategies can be referred to by name
+ * Each built action is { type, to, method, args, inputs, params: [{ label, value, raw }], data, notes }.
+ */
+async function buildProposal(proposal, { voter, resolveAddress, strategies = [] }) {
+  const { abi } = await hre.artifacts.readArtifact("contracts/Voter.sol:Voter");
+  const problems = [];
+  const treasury = await voter.treasury();
+  const bribeSplit = (await voter.bribeSplit()).toNumber();
+  let pendingSplit = bribeSplit;
+
+  const address = (ref, what) => {
+    const resolved = resolveAddress(ref);
+    if (!ethers.utils.isAddress(resolved) || resolved === ethers.constants.AddressZero) {
+      throw new Error(`${what} "${ref}" is not a valid address`);
+    }
+    return ethers.utils.getAddress(resolved);
+  };
+  const label = (ref, resolved) => {
+    if (!ethers.utils.isAddress(ref)) return ref;
+    return same(resolved, treasury) ? "Treasury" : resolved;
+  };
+  const token = async (ref, what) => {
+    const resolved = address(ref, what);
+    if ((await ethers.provider.getCode(resolved)) === "0x") {
+      throw new Error(`${what} ${ref} (${resolved}) is not a contract`);
+    }
+    const erc20 = await ethers.getContractAt(
+      "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+      resolved
+    );
+    return { address: resolved, symbol: await erc20.symbol(), decimals: await erc20.decimals() };
+  };
+  const strategyOf = async (ref) => {
+    const entry = strategies.find((s) => s.name === ref);
+    const resolved = entry ? ethers.utils.getAddress(entry.strategy) : address(ref, "Strategy");
+    if (!(await voter.strategy_IsValid(resolved))) {
+      throw new Error(`Strategy "${ref}" (${resolved}) is not on the Voter`);
+    }
+    const name = entry?.name || strategies.find((s) => same(s.strategy, resolved))?.name || resolved;
+    return { address: resolved, name };
+  };
+
+  const builders = {
+    async addStrategy(a) {
+      const payment = await token(a.paymentToken, "Payment token");
+      const receiver = address(a.paymentReceiver, "Payment receiver");
+      const initPrice = parseAmount(a.initPrice, payment);
+      const epochPeriod = parseDuration(a.epochPeriod);
+      const priceMultiplier = parseMultiplier(a.priceMultiplier);
+      const minInitPrice = parseAmount(a.minInitPrice, payment);
+
+      const b = STRATEGY_BOUNDS;
+      const checks = [
+        [
+          epochPeriod < b.MIN_EPOCH_PERIOD,
+          `epochPeriod ${formatDuration(epochPeriod)} is below MIN_EPOCH_PERIOD (1 hour)`,
+        ],
+        [
+          epochPeriod > b.MAX_EPOCH_PERIOD,
+          `epochPeriod ${formatDuration(epochPeriod)} is above MAX_EPOCH_PERIOD (365 days)`,
+        ],
+        [
+          priceMultiplier.lt(b.MIN_PRICE_MULTIPLIER),
+          `priceMultiplier ${a.priceMultiplier} is below MIN_PRICE_MULTIPLIER (1.1x)`,
+        ],
+        [
+          priceMultiplier.gt(b.MAX_PRICE_MULTIPLIER),
+          `priceMultiplier ${a.priceMultiplier} is above MAX_PRICE_MULTIPLIER (3x)`,
+        ],
+        [
+          minInitPrice.lt(b.ABS_MIN_INIT_PRICE),
+          `minInitPrice ${a.minInitPrice} is ${minInitPrice} base units, below ABS_MIN_INIT_PRICE (1e6)`,
+        ],
+        [
+          minInitPrice.gt(b.ABS_MAX_INIT_PRICE),
+          `minInitPrice ${a.minInitPrice} is above ABS_MAX_INIT_PRICE (2^192 - 1)`,
+        ],
+        [initPrice.lt(minInitPrice), `initPrice ${a.initPrice} is below minInitPrice ${a.minInitPrice}`],
+        [initPrice.gt(b.ABS_MAX_INIT_PRICE), `initPrice ${a.initPrice} is above ABS_MAX_INIT_PRICE (2^192 - 1)`],
+      ];
+      const failed = checks.filter(([bad]) => bad).map(([, message]) => message);
+      if (failed.length > 0) throw new Error(failed.join("; "));
+
+      const units = (amount) => `${trimZeros(ethers.utils.formatUnits(amount, payment.decimals))} ${payment.symbol}`;
+      const multiplier = Number(ethers.utils.formatEther(priceMultiplier)) * 100;
+      return {
+        args: [payment.address, receiver, initPrice, epochPeriod, priceMultiplier, minInitPrice],
+        params: [
+          { label: "Payment Token", value: `${payment.symbol} (${payment.address})`, raw: payment.address },
+          { label: "Payment Receiver", value: `${label(a.paymentReceiver, receiver)} (${receiver})`, raw: receiver },
+          {
+            label: "Initial Price",
+            value: `${units(initPrice)} (${initPrice} - ${payment.decimals} decimals)`,
+            raw: initPrice.toString(),
+          },
+          {
+            label: "Epoch Period",
+            value: `${formatDuration(epochPeriod)} (${epochPeriod} seconds)`,
+            raw: String(epochPeriod),
+          },
+          { label: "Price Multiplier", value: `${multiplier}% (${priceMultiplier})`, raw: priceMultiplier.toString() },
+          { label: "Minimum Price", value: `${units(minInitPrice)} (${minInitPrice})`, raw: minInitPrice.toString() },
+        ],
+        notes: {
+          outcome: [
+            "Revenue can be directed to this strategy via voter allocation",
+            `Buyers can purchase revenue tokens by paying ${payment.symbol}`,
+            `${percent(pendingSplit)} of payments go to voter bribes`,
+            `${percent(VOTER_BOUNDS.DIVISOR - pendingSplit)} of payments go to ${label(a.paymentReceiver, receiver)}`,
+          ],
+        },
+      };
+    },
+
+    async killStrategy(a) {
+      const strategy = await strategyOf(a.strategy);
+      if (!(await voter.strategy_IsAlive(strategy.address))) {
+        throw new Error(`Strategy "${strategy.name}" is already dead`);
+      }
+      const weight = await voter.strategy_Weight(strategy.address);
+      const totalWeight = await voter.totalWeight();
+      const share = totalWeight.isZero() ? 0 : Number(weight.mul(10000).div(totalWeight)) / 100;
+      return {
+        args: [strategy.address],
+        params: [{ label: "Strategy", value: `${strategy.name} (${strategy.address})`, raw: strategy.address }],
+        notes: {
+          impact: [
+            "Pending revenue will be sent to treasury",
+            `${trimZeros(
+              ethers.utils.formatEther(weight)
+            )} votes (${share}% of total weight) leave total weight, new revenue is split among live strategies`,
+            "The votes stay on the dead strategy until their voters reset, earning nothing",
+            "Existing strategy balance can still be purchased until depleted",
+          ],
+          voterAction: [
+            `Voters who allocated weight to ${strategy.name} should call reset()`,
+            "in the next epoch to reallocate their voting power.",
+          ],
+        },
+      };
+    },
+
+    async pauseStrategy(a) {
+      const strategy = await strategyOf(a.strategy);
+      if (!(await voter.strategy_IsAlive(strategy.address))) {
+        throw new Error(`Strategy "${strategy.name}" is dead`);
+      }
+      if (await voter.strategy_IsPaused(strategy.address)) {
+        throw new Error(`Strategy "${strategy.name}" is already paused`);
+      }
+      const weight = await voter.strategy_Weight(strategy.address);
+      const totalWeight = await voter.totalWeight();
+      const share = totalWeight.isZero() ? 0 : Number(weight.mul(10000).div(totalWeight)) / 100;
+      return {
+        args: [strategy.address],
+        params: [{ label: "Strategy", value: `${strategy.name} (${strategy.address})`, raw: strategy.address }],
+        notes: {
+          impact: [
+            `${trimZeros(
+              ethers.utils.formatEther(weight)
+            )} votes (${share}% of total weight) leave total weight until the strategy is unpaused`,
+            "Revenue it already earned stays claimable in the Voter, new revenue is split among the other strategies",
+            "Its auction rejects buys while paused",
+            "Votes and bribes stay, voters do not need to reset",
+          ],
+        },
+      };
+    },
+
+    async unpauseStrategy(a) {
+      const strategy = await strategyOf(a.strategy);
+      if (!(await voter.strategy_IsPaused(strategy.address))) {
+        throw new Error(`Strategy "${strategy.name}" is not paused`);
+      }
+      const weight = await voter.strategy_Weight(strategy.address);
+      return {
+        args: [strategy.address],
+        params: [{ label: "Strategy", value: `${strategy.name} (${strategy.address})`, raw: strategy.address }],
+        notes: {
+          outcome: [
+            `${trimZeros(ethers.utils.formatEther(weight))} votes rejoin total weight and earn revenue again`,
+            "Its auction accepts buys again",
+          ],
+        },
+      };
+    },
+
+    async setBribeSplit(a) {
+      const split = parseBasisPoints(a.bribeSplit);
+      if (split > VOTER_BOUNDS.MAX_BRIBE_SPLIT) {
+        throw new Error(
+          `bribeSplit ${a.bribeSplit} is above MAX_BRIBE_SPLIT (${percent(VOTER_BOUNDS.MAX_BRIBE_SPLIT)})`
+        );
+      }
+      const previous = pendingSplit;
+      pendingSplit = split;
+      return {
+        args: [split],
+        params: [{ label: "Bribe Split", value: `${percent(split)} (${split} basis points)`, raw: String(split) }],
+        notes: {
+          outcome: [
+            `${percent(split)} of auction payments go to voter bribes (currently ${percent(previous)})`,
+            `${percent(VOTER_BOUNDS.DIVISOR - split)} of auction payments go to each strategy's payment receiver`,
+          ],
+        },
+      };
+    },
+
+    async addBribeReward(a) {
+      const strategy = await strategyOf(a.strategy);
+      const reward = await token(a.rewardToken, "Reward token");
+      const bribe = await voter.strategy_Bribe(strategy.address);
+      const bribeContract = await ethers.getContractAt("contracts/Bribe.sol:Bribe", bribe);
+      if (await bribeContract.token_IsReward(reward.address)) {
+        throw new Error(`${reward.symbol} is already a reward token of the ${strategy.name} bribe`);
+      }
+      return {
+        args: [bribe, reward.address],
+        params: [
+          { label: "Bribe", value: `${strategy.name} bribe (${bribe})`, raw: bribe },
+          { label: "Reward Token", value: `${reward.symbol} (${reward.address})`, raw: reward.address },
+        ],
+        notes: {
+          outcome: [`${reward.symbol} can be notified as a reward to ${strategy.name} voters`],
+        },
+      };
+    },
+  };
+
+  const actions = [];
+  for (const [i, action] of proposal.actions.entries()) {
+    try {
+      const built = await builders[action.type](action);
+      const fragment = abi.find((entry) => entry.type === "function" && entry.name === action.type);
+      actions.push({
+        type: action.type,
+        name: action.name,
+        to: voter.address,
+        method: action.type,
+        inputs: fragment.inputs,
+        ...built,
+        args: built.args.map((arg) => arg.toString()),
+        data: voter.interface.encodeFunctionData(action.type, built.args),
+      });
+    } catch (error) {
+      problems.push(`action ${i + 1} (${action.type}): ${error.message}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Proposal "${proposal.title}" is invalid:\n  - ${problems.join("\n  - ")}`);
+  }
+
+  return {
+    title: proposal.title,
+    summary: proposal.summary,
+    rationale: proposal.rationale,
+    voter: voter.address,
+    owner: await voter.owner(),
+    actions,
+  };
+}
+
+// Actions for an Aragon OSx DAO.execute / proposal: { to, value, data }
+function renderAragon(built) {
+  return JSON.stringify(
+    built.actions.map((a) => ({ to: a.to, value: "0", data: a.data })),
+    null,
+    2
+  );
+}
+
+// Batch file for the Safe Transaction Builder app
+function renderSafeBatch(built, { chainId, createdAt = Date.now() }) {
+  return JSON.stringify(
+    {
+      version: "1.0",
+      chainId: String(chainId),
+      createdAt,
+      meta: {
+        name: built.title,
+        description: built.summary,
+        txBuilderVersion: "1.16.5",
+        createdFromSafeAddress: built.owner,
+        createdFromOwnerAddress: "",
+      },
+      transactions: built.actions.map((a) => ({
+        to: a.to,
+        value: "0",
+        data: null,
+        contractMethod: {
+          inputs: a.inputs.map(({ internalType, name, type }) => ({ internalType, name, type })),
+          name: a.method,
+          payable: false,
+        },
+        contractInputsValues: Object.fromEntries(a.inputs.map((input, i) => [input.name, a.args[i]])),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function renderCalldata(built) {
+  return built.actions.map((a) => `${a.to} ${a.method} ${a.data}`).join("\n");
+}
+
+// Proposal body in the layout of the docs/GOVERNANCE_PROPOSALS.md templates
+function renderMarkdown(built) {
+  const lines = [`TITLE: ${built.title}`, "", "SUMMARY:", built.summary, "", "SPECIFICATION:", ""];
+  built.actions.forEach((a, i) => {
+    if (built.actions.length > 1) lines.push(`Action ${i + 1} of ${built.actions.length}:`);
+    lines.push("Contract: Voter", `Function: ${a.method}`, "", "Parameters:");
+    for (const p of a.params) lines.push(`- ${p.label}: ${p.value}`);
+    lines.push("");
+  });
+
+  const rationale = [].concat(built.rationale || "[Explain why this proposal benefits the DAO]");
+  lines.push("RATIONALE:", ...rationale, "");
+
+  const notes = (key) => built.actions.flatMap((a) => a.notes[key] || []);
+  if (notes("outcome").length > 0) lines.push("EXPECTED OUTCOME:", ...notes("outcome").map((n) => `- ${n}`), "");
+  if (notes("impact").length > 0) lines.push("IMPACT:", ...notes("impact").map((n) => `- ${n}`), "");
+  if (notes("voterAction").length > 0) lines.push("VOTER ACTION REQUIRED:", ...notes("voterAction"), "");
+
+  lines.push("CALLDATA:");
+  for (const a of built.actions) lines.push(`- to ${a.to} (Voter.${a.method}), value 0`, `  ${a.data}`);
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  STRATEGY_BOUNDS,
+  VOTER_BOUNDS,
+  ACTION_FIELDS,
+  loadProposal,
+  validateProposal,
+  createResolver,
+  buildProposal,
+  renderAragon,
+  renderSafeBatch,
+  renderCalldata,
+  renderMarkdown,
+};
@@ -0,0 +1,216 @@
+const { ethers } = require("hardhat");
+const { readState } = require("./indexer");
+
+// Rebuilds Voter and Bribe vote accounting from the indexed Voter__Voted / Voter__Abstained history
+// and compares it with the contracts at the last indexed block.
+
+const ZERO = ethers.BigNumber.from(0);
+const key = (address) => address.toLowerCase();
+
+// Per-key BigNumber map keeping the first seen checksummed address for reporting
+function ledger() {
+  const values = new Map();
+  return {
+    add(address, amount) {
+      const entry = values.get(key(address)) || { address, value: ZERO };
+      entry.value = entry.value.add(amount);
+      values.set(key(address), entry);
+    },
+    get: (address) => (values.get(key(address)) || { value: ZERO }).value,
+    entries: () => [...values.values()],
+  };
+}
+
+/**
+ * Replays the indexed vote history. Mirrors Voter._vote/_reset: a vote adds its weight to the strategy,
+ * totalWeight, the account's votes and the strategy's Bribe balance; an abstain removes it again.
+ * Mirrors Voter.killStrategy/pauseStrategy/unpauseStrategy too: a kill or pause takes the strategy's weight out
+ * of totalWeight, an unpause puts it back, and votes and abstains on a dead or paused strategy leave totalWeight alone.
+ */
+function replay(db) {
+  const { last_block: lastBlock } = readState(db);
+  if (lastBlock === undefined) throw new Error("The index database is empty. Run scripts/indexer.js first.");
+
+  const strategies = db
+    .prepare("SELECT strategy, bribe, block_number FROM voter_strategy_added ORDER BY block_number, log_index")
+    .all();
+  const killed = new Set();
+  const paused = new Set();
+  const active = (strategy) => !killed.has(key(strategy)) && !paused.has(key(strategy));
+  const bribeOf = Object.fromEntries(strategies.map((s) => [key(s.strategy), s.bribe]));
+  // Archiving only moves a drained strategy out of Voter.strategies, it has no effect on weights
+  const archived = new Set(db.prepare("SELECT strategy FROM voter_strategy_archived").all().map((row) => key(row.strategy)));
+
+  const rows = db
+    .prepare(
+      `SELECT block_number, log_index, 'vote' AS kind, voter AS account, strategy, weight FROM voter_voted
+       UNION ALL
+       SELECT block_number, log_index, 'abstain', account, strategy, weight FROM voter_abstained
+       UNION ALL
+       SELECT block_number, log_index, 'kill', NULL, strategy, NULL FROM voter_strategy_killed
+       UNION ALL
+       SELECT block_number, log_index, 'pause', NULL, strategy, NULL FROM voter_strategy_paused
+       UNION ALL
+       SELECT block_number, log_index, 'unpause', NULL, strategy, NULL FROM voter_strategy_unpaused
+       ORDER BY block_number, log_index`
+    )
+    .all();
+
+  let totalWeight = ZERO;
+  const strategyWeight = ledger();
+  const usedWeights = ledger();
+  const votes = new Map(); // account => ledger of strategy votes
+  const bribeSupply = ledger();
+  const bribeBalances = new Map(); // bribe => ledger of account balances
+
+  const nested = (map, address) => {
+    if (!map.has(key(address))) map.set(key(address), { address, ledger: ledger() });
+    return map.get(key(address)).ledger;
+  };
+
+  for (const row of rows) {
+    if (row.kind === "kill" || row.kind === "pause") {
+      if (active(row.strategy)) totalWeight = totalWeight.sub(strategyWeight.get(row.strategy));
+      if (row.kind === "kill") {
+        killed.add(key(row.strategy));
+        paused.delete(key(row.strategy));
+      } else {
+        paused.add(key(row.strategy));
+      }
+      continue;
+    }
+    if (row.kind === "unpause") {
+      paused.delete(key(row.strategy));
+      totalWeight = totalWeight.add(strategyWeight.get(row.strategy));
+      continue;
+    }
+    const amount = ethers.BigNumber.from(row.weight).mul(row.kind === "vote" ? 1 : -1);
+    const bribe = bribeOf[key(row.strategy)];
+    if (active(row.strategy)) totalWeight = totalWeight.add(amount);
+    strategyWeight.add(row.strategy, amount);
+    usedWeights.add(row.account, amount);
+    nested(votes, row.account).add(row.strategy, amount);
+    if (bribe) {
+      bribeSupply.add(bribe, amount);
+      nested(bribeBalances, bribe).add(row.account, amount);
+    }
+  }
+
+  return {
+    lastBlock: Number(lastBlock),
+    strategies: strategies.map((s) => ({
+      strategy: s.strategy,
+      bribe: s.bribe,
+      alive: !killed.has(key(s.strategy)),
+      paused: paused.has(key(s.strategy)),
+      archived: archived.has(key(s.strategy)),
+    })),
+    totalWeight,
+    strategyWeight,
+    usedWeights,
+    votes,
+    bribeSupply,
+    bribeBalances,
+  };
+}
+
+/**
+ * Reads the same values from Voter, Bribe and Multicall at `blockTag` and lists every mismatch.
+ * Invariants that must hold on-chain regardless of the replay are checked too.
+ */
+async function reconcile(replayed, { voter, multicall, blockTag = replayed.lastBlock }) {
+  const overrides = { blockTag };
+  const divergences = [];
+  const compare = (check, subject, expected, actual) => {
+    if (!ethers.BigNumber.from(expected).eq(actual)) {
+      divergences.push({ check, subject, expected: expected.toString(), actual: actual.toString() });
+    }
+  };
+
+  const totalWeight = await voter.totalWeight(overrides);
+  compare("Voter.totalWeight", voter.address, replayed.totalWeight, totalWeight);
+
+  const overviews = await multicall.getAllStrategyOverviews(overrides);
+  const overviewOf = Object.fromEntries(overviews.map((o) => [key(o.strategy), o]));
+  const onChain = await voter.getStrategies(overrides);
+  const activeCount = replayed.strategies.filter((s) => !s.archived).length;
+  if (onChain.length !== activeCount) {
+    divergences.push({
+      check: "Voter.getStrategies",
+      subject: voter.address,
+      expected: String(activeCount),
+      actual: String(onChain.length),
+    });
+  }
+
+  let activeWeight = ZERO;
+  for (const { strategy, bribe, alive, paused, archived } of replayed.strategies) {
+    const weight = await voter.strategy_Weight(strategy, overrides);
+    compare("Voter.strategy_Weight", strategy, replayed.strategyWeight.get(strategy), weight);
+
+    const isAlive = await voter.strategy_IsAlive(strategy, overrides);
+    if (isAlive !== alive) {
+      divergences.push({ check: "Voter.strategy_IsAlive", subject: strategy, expected: String(alive), actual: String(isAlive) });
+    }
+    const isPaused = await voter.strategy_IsPaused(strategy, overrides);
+    if (isPaused !== paused) {
+      divergences.push({ check: "Voter.strategy_IsPaused", subject: strategy, expected: String(paused), actual: String(isPaused) });
+    }
+    const isArchived = await voter.strategy_IsArchived(strategy, overrides);
+    if (isArchived !== archived) {
+      divergences.push({ check: "Voter.strategy_IsArchived", subject: strategy, expected: String(archived), actual: String(isArchived) });
+    }
+    // Killed and paused strategies keep their weight, but it is no longer in totalWeight
+    if (isAlive && !isPaused) activeWeight = activeWeight.add(weight);
+
+    const bribeContract = await ethers.getContractAt("contracts/Bribe.sol:Bribe", bribe);
+    const supply = await bribeContract.totalSupply(overrides);
+    compare("Bribe.totalSupply", bribe, replayed.bribeSupply.get(bribe), supply);
+    compare("Bribe.totalSupply == Voter.strategy_Weight", bribe, weight, supply);
+
+    const overview = overviewOf[key(strategy)];
+    if (overview) {
+      compare("Multicall.strategyWeight", strategy, replayed.strategyWeight.get(strategy), overview.strategyWeight);
+      compare("Multicall.bribeTotalSupply", bribe, replayed.bribeSupply.get(bribe), overview.bribeTotalSupply);
+    }
+
+    const balances = replayed.bribeBalances.get(key(bribe));
+    for (const { address: account, value } of balances ? balances.ledger.entries() : []) {
+      compare("Bribe.account_Balance", `${bribe} ${account}`, value, await bribeContract.account_Balance(account, overrides));
+    }
+  }
+  compare("sum(active Voter.strategy_Weight) == Voter.totalWeight", voter.address, activeWeight, totalWeight);
+
+  for (const { address: account, ledger: accountVotes } of replayed.votes.values()) {
+    compare("Voter.account_UsedWeights", account, replayed.usedWeights.get(account), await voter.account_UsedWeights(account, overrides));
+    for (const { address: strategy, value } of accountVotes.entries()) {
+      compare(
+        "Voter.account_Strategy_Votes",
+        `${account} ${strategy}`,
+        value,
+        await voter.account_Strategy_Votes(account, strategy, overrides)
+      );
+    }
+  }
+
+  return {
+    blockNumber: blockTag,
+    totalWeight: totalWeight.toString(),
+    divergences,
+  };
+}
+
+function renderReport(report) {
+  const lines = [`Reconciled vote accounting at block ${report.blockNumber}`];
+  if (report.divergences.length === 0) {
+    lines.push("  OK: replayed events match Voter, Bribe and Multicall");
+  } else {
+    lines.push(`  ${report.divergences.length} divergence(s):`);
+    for (const d of report.divergences) {
+      lines.push(`    ${d.check} ${d.subject}: replayed ${d.expected}, on-chain ${d.actual}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = { replay, reconcile, renderReport };
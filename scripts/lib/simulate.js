@@ -0,0 +1,432 @@
+const { ethers } = require("hardhat");
+const { quoteAuction } = require("./buyer");
+const { padRight, padLeft, formatAddress } = require("./format");
+const { errorName } = require("../../sdk/errors");
+
+// Proposal dry runs on a throwaway copy of the chain: a Hardhat fork, a loaded state file or an evm_snapshot of
+// a local node. The DAO is impersonated to execute the proposal, then every simulated epoch
+//   1. pays `revenue` WETH into the RevenueRouter, spread over the epoch,
+//   2. buys each auction when its price reaches break-even at the given prices (a competitive buyer, no profit),
+//   3. flushes the router and distributes to every strategy at the end of the epoch, as the keeper would.
+// Balances are set directly in token storage, so no real funds or whales are needed.
+
+const ZERO = ethers.BigNumber.from(0);
+const SIM_BUYER = ethers.utils.getAddress(ethers.utils.hexDataSlice(ethers.utils.id("simulator.buyer"), 12));
+const GAS_FUNDS = ethers.utils.parseEther("100");
+
+const ERC20_ABI = [
+  "function balanceOf(address) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+const units = (value, decimals) => ethers.utils.formatUnits(value, decimals);
+const send = (method, params) => ethers.provider.send(method, params);
+const quantity = (value) => ethers.utils.hexValue(ethers.BigNumber.from(value));
+const word = (value) => ethers.utils.hexZeroPad(ethers.BigNumber.from(value).toHexString(), 32);
+
+async function now() {
+  return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+// Mines the next block at `timestamp` (or leaves the clock alone when it is already past it)
+async function mineAt(timestamp) {
+  if (timestamp > (await now())) await send("evm_setNextBlockTimestamp", [timestamp]);
+  await send("evm_mine", []);
+}
+
+async function impersonate(address) {
+  await send("hardhat_impersonateAccount", [address]);
+  await send("hardhat_setBalance", [address, quantity(GAS_FUNDS)]);
+  return ethers.getSigner(address);
+}
+
+/**
+ * Loads a state dump into the connected Hardhat network. Uses the JSON written by `anvil --dump-state`:
+ *   { block: { timestamp }, accounts: { <address>: { nonce, balance, code, storage: { <slot>: <value> } } } }
+ * The clock moves forward to the dump's block timestamp so auctions pick up where they were.
+ */
+async function loadState(state) {
+  if (!state || typeof state.accounts !== "object") throw new Error(`State dump has no "accounts"`);
+  for (const [address, account] of Object.entries(state.accounts)) {
+    if (account.code && account.code !== "0x") await send("hardhat_setCode", [address, account.code]);
+    if (account.balance !== undefined) await send("hardhat_setBalance", [address, quantity(account.balance)]);
+    if (account.nonce !== undefined) await send("hardhat_setNonce", [address, quantity(account.nonce)]);
+    for (const [slot, value] of Object.entries(account.storage || {})) {
+      await send("hardhat_setStorageAt", [address, quantity(slot), word(value)]);
+    }
+  }
+  const timestamp = state.block?.timestamp;
+  if (timestamp !== undefined) await mineAt(ethers.BigNumber.from(timestamp).toNumber());
+}
+
+// Finds the storage slot of `account`'s balance by writing candidates for Solidity and Vyper mapping layouts
+const balanceSlots = new Map();
+async function balanceSlot(token, account) {
+  const erc20 = new ethers.Contract(token, ERC20_ABI, ethers.provider);
+  const cached = balanceSlots.get(token.toLowerCase());
+  const layouts = [
+    (slot) => ethers.utils.solidityKeccak256(["uint256", "uint256"], [account, slot]),
+    (slot) => ethers.utils.solidityKeccak256(["uint256", "uint256"], [slot, account]),
+  ];
+  if (cached) return layouts[cached.layout](cached.slot);
+
+  const probe = ethers.BigNumber.from("0x5151515151515151");
+  for (let slot = 0; slot < 64; slot++) {
+    for (const [layout, key] of layouts.entries()) {
+      const position = key(slot);
+      const previous = await send("eth_getStorageAt", [token, position, "latest"]);
+      await send("hardhat_setStorageAt", [token, quantity(position), word(probe)]);
+      const found = (await erc20.balanceOf(account)).eq(probe);
+      await send("hardhat_setStorageAt", [token, quantity(position), word(previous)]);
+      if (found) {
+        balanceSlots.set(token.toLowerCase(), { slot, layout });
+        return position;
+      }
+    }
+  }
+  throw new Error(`Cannot find the balance storage slot of token ${token}`);
+}
+
+// Sets `account`'s balance of `token` (total supply is left alone)
+async function deal(token, account, value) {
+  await send("hardhat_setStorageAt", [token, quantity(await balanceSlot(token, account)), word(value)]);
+}
+
+const share = (weight, total) => (total.isZero() ? 0 : Number(weight.mul(10000).div(total)) / 100);
+
+// Vote weights and revenue shares of every strategy; dead strategies keep their votes until voters reset and
+// paused ones keep them until unpaused, but their weight is out of totalWeight and their share is 0
+async function allocations(voter, names = {}) {
+  const totalWeight = await voter.totalWeight();
+  const strategies = [];
+  for (const address of await voter.getStrategies()) {
+    const weight = await voter.strategy_Weight(address);
+    const alive = await voter.strategy_IsAlive(address);
+    const paused = await voter.strategy_IsPaused(address);
+    strategies.push({
+      address,
+      name: names[address.toLowerCase()] || address,
+      alive,
+      paused,
+      weight,
+      share: alive && !paused ? share(weight, totalWeight) : 0,
+    });
+  }
+  return { totalWeight, bribeSplit: (await voter.bribeSplit()).toNumber(), strategies };
+}
+
+/**
+ * Builds a simulator for one deployment on a disposable network.
+ *   prices   price source ({ address, symbol } => ETH per whole token) used to find break-even prices
+ *   names    strategy address (lowercase) => name, extended with strategies the proposal adds
+ */
+function createSimulator({ voter, multicall, revenueRouter, governanceToken, prices, names = {}, log = () => {} }) {
+  const reason = (error) => errorName(error) || error.reason || error.message;
+  const tokens = {};
+  let buyer;
+
+  async function token(address) {
+    const key = address.toLowerCase();
+    if (!tokens[key]) {
+      const contract = new ethers.Contract(address, ERC20_ABI, ethers.provider);
+      tokens[key] = { address, contract, symbol: await contract.symbol(), decimals: await contract.decimals() };
+    }
+    return tokens[key];
+  }
+
+  async function buyerSigner() {
+    if (!buyer) buyer = await impersonate(SIM_BUYER);
+    return buyer;
+  }
+
+  // Executes the built proposal (scripts/lib/proposal.js) as the Voter owner. Reverted actions are reported, not thrown.
+  async function executeProposal(built) {
+    const owner = await impersonate(built.owner);
+    const results = [];
+    for (const action of built.actions) {
+      try {
+        const receipt = await (await owner.sendTransaction({ to: action.to, data: action.data })).wait();
+        const added = receipt.logs
+          .filter((entry) => entry.address === voter.address)
+          .map((entry) => voter.interface.parseLog(entry))
+          .find((event) => event.name === "Voter__StrategyAdded");
+        if (added) {
+          const symbol = (await token(added.args.paymentToken)).symbol;
+          names[added.args.strategy.toLowerCase()] = action.name || `New ${symbol} strategy`;
+        }
+        results.push({ method: action.method, ok: true, gasUsed: receipt.gasUsed, strategy: added?.args.strategy });
+      } catch (error) {
+        results.push({ method: action.method, ok: false, error: reason(error) });
+      }
+    }
+    await send("hardhat_stopImpersonatingAccount", [built.owner]);
+    return results;
+  }
+
+  /**
+   * Stakes and votes from fresh accounts so that each target ends up with `bps` of the total weight.
+   * targets: [{ strategy, bps }]
+   */
+  async function allocateVotes(targets) {
+    const totalBps = targets.reduce((sum, t) => sum + t.bps, 0);
+    if (totalBps >= 10000) throw new Error("Vote targets must add up to less than 100%");
+    const totalWeight = await voter.totalWeight();
+    if (totalWeight.isZero()) throw new Error("No existing votes to size the vote targets against");
+    const finalWeight = totalWeight.mul(10000).div(10000 - totalBps);
+
+    const underlying = await governanceToken.token();
+    const results = [];
+    for (const [i, target] of targets.entries()) {
+      const votes = finalWeight.mul(target.bps).div(10000);
+      const account = await impersonate(
+        ethers.utils.getAddress(ethers.utils.hexDataSlice(ethers.utils.id(`simulator.voter.${i}`), 12))
+      );
+      try {
+        await deal(underlying, account.address, votes);
+        await (
+          await new ethers.Contract(underlying, ERC20_ABI, account).approve(governanceToken.address, votes)
+        ).wait();
+        await (await governanceToken.connect(account).stake(votes)).wait();
+        await (await voter.connect(account).vote([target.strategy], [1])).wait();
+        results.push({ ...target, votes, ok: true });
+      } catch (error) {
+        results.push({ ...target, votes, ok: false, error: reason(error) });
+      }
+    }
+    return results;
+  }
+
+  // Buys `overview`'s auction at its break-even price, at the moment the Dutch auction reaches it
+  async function buy(overview, quote, at) {
+    const signer = await buyerSigner();
+    const payment = await token(overview.paymentToken);
+    const maxPayment = quote.breakEven;
+    await deal(payment.address, signer.address, maxPayment);
+    if ((await payment.contract.allowance(signer.address, multicall.address)).lt(maxPayment)) {
+      await (await payment.contract.connect(signer).approve(multicall.address, ethers.constants.MaxUint256)).wait();
+    }
+    if (at > (await now())) await send("evm_setNextBlockTimestamp", [at]);
+    const tx = await multicall
+      .connect(signer)
+      .distributeAndBuy(overview.strategy, overview.epochId, at + 300, maxPayment, { gasLimit: 1000000 });
+    const receipt = await tx.wait();
+    const strategyInterface = (await ethers.getContractAt("Strategy", overview.strategy)).interface;
+    const event = receipt.logs
+      .filter((entry) => entry.address === overview.strategy)
+      .map((entry) => strategyInterface.parseLog(entry))
+      .find((parsed) => parsed.name === "Strategy__Buy");
+    return { paymentAmount: event.args.paymentAmount, revenueAmount: event.args.revenueAmount };
+  }
+
+  // Quotes every auction with WETH to sell. Ready ones reach break-even before `end`, the rest say why not.
+  async function quoteAll(end) {
+    const ready = [];
+    const waiting = {};
+    for (const address of await voter.getStrategies()) {
+      const name = names[address.toLowerCase()] || address;
+      const overview = await multicall.getStrategyOverview(address);
+      if (overview.isPaused) {
+        waiting[name] = "paused";
+        continue;
+      }
+      // A dead strategy's claimable went to the treasury and it earns no new revenue, only its current balance is for sale
+      const view = overview.isAlive
+        ? overview
+        : { ...overview, strategyTotalPotentialWeth: overview.strategyWethBalance };
+      if (view.strategyTotalPotentialWeth.isZero()) continue;
+      const payment = await token(overview.paymentToken);
+      const paymentPrice = await prices({ address: payment.address, symbol: payment.symbol });
+      if (!paymentPrice || paymentPrice.isZero()) {
+        waiting[name] = `no price for ${payment.symbol}`;
+        continue;
+      }
+      const quote = quoteAuction(view, { paymentPrice, now: await now() });
+      if (quote.breakEven === null || quote.breakEven.isZero()) {
+        waiting[name] = "revenue too small to price";
+        continue;
+      }
+      const at = (await now()) + quote.secondsUntilBreakEven;
+      if (at >= end) {
+        waiting[name] = `price stays above break-even ${units(quote.breakEven, payment.decimals)} ${payment.symbol}`;
+      } else {
+        ready.push({ name, at, overview, quote, payment });
+      }
+    }
+    return { ready: ready.sort((a, b) => a.at - b.at), waiting };
+  }
+
+  async function balances(holder, list) {
+    const out = {};
+    for (const t of list) out[t.address.toLowerCase()] = await t.contract.balanceOf(holder);
+    return out;
+  }
+
+  /**
+   * Runs `epochs` epochs of `epochLength` seconds with `revenue` WETH each, paid into the router in `steps` equal
+   * parts so auctions see revenue arrive over time. Returns
+   *   { epochs: [{ epoch, revenue, distributed: { name: WETH }, buys, skipped: [{ name, reason }], reverts }],
+   *     treasury: [{ token, inflow }], revenueToken }
+   */
+  async function run({ epochs, epochLength, revenue, steps = 24 }) {
+    const treasury = await voter.treasury();
+    const revenueToken = await token(await voter.revenueToken());
+    const watched = [revenueToken];
+    for (const address of await voter.getStrategies()) {
+      watched.push(await token(await voter.strategy_PaymentToken(address)));
+    }
+    const unique = [...new Map(watched.map((t) => [t.address.toLowerCase(), t])).values()];
+    const treasuryBefore = await balances(treasury, unique);
+    const signer = await buyerSigner();
+    const stepLength = Math.floor(epochLength / steps);
+    const perStep = ethers.BigNumber.from(revenue).div(steps);
+
+    const results = [];
+    for (let epoch = 1; epoch <= epochs; epoch++) {
+      const start = await now();
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      const buys = [];
+      const reverts = [];
+      let waiting = {};
+
+      for (let step = 0; step < steps; step++) {
+        const end = step === steps - 1 ? start + epochLength : start + (step + 1) * stepLength;
+        const routerBalance = await revenueToken.contract.balanceOf(revenueRouter.address);
+        await deal(revenueToken.address, revenueRouter.address, routerBalance.add(perStep));
+
+        // Buy the auction that reaches break-even first, then re-quote: buys flush the router and restart auctions
+        const tried = new Set();
+        for (;;) {
+          const quotes = await quoteAll(end);
+          waiting = { ...waiting, ...quotes.waiting };
+          const next = quotes.ready.find((q) => !tried.has(q.overview.strategy));
+          if (!next) break;
+          tried.add(next.overview.strategy);
+          try {
+            const result = await buy(next.overview, next.quote, Math.max(next.at, (await now()) + 1));
+            buys.push({ name: next.name, token: next.payment, ...result });
+            delete waiting[next.name];
+            log(
+              `  epoch ${epoch}: bought ${next.name} for ${units(result.paymentAmount, next.payment.decimals)} ${
+                next.payment.symbol
+              }`
+            );
+          } catch (error) {
+            reverts.push({ step: `buy ${next.name}`, error: reason(error) });
+          }
+        }
+        await mineAt(end - 1);
+      }
+
+      // End of epoch: what the keeper would do
+      for (const [step, call] of [
+        ["flush", () => revenueRouter.connect(signer).flushIfAvailable()],
+        ["distributeAll", () => voter.connect(signer).distributeAll()],
+      ]) {
+        try {
+          await (await call()).wait();
+        } catch (error) {
+          reverts.push({ step, error: reason(error) });
+        }
+      }
+
+      const distributed = {};
+      for (const event of await voter.queryFilter(voter.filters.Voter__DistributeRevenue(), fromBlock, "latest")) {
+        const name = names[event.args.strategy.toLowerCase()] || event.args.strategy;
+        distributed[name] = (distributed[name] || ZERO).add(event.args.amount);
+      }
+      const bought = new Set(buys.map((b) => b.name));
+      const skipped = Object.entries(waiting)
+        .filter(([name]) => !bought.has(name))
+        .map(([name, why]) => ({ name, reason: why }));
+      results.push({ epoch, revenue, distributed, buys, skipped, reverts });
+    }
+
+    const treasuryAfter = await balances(treasury, unique);
+    return {
+      treasury: unique.map((t) => ({
+        token: t,
+        inflow: treasuryAfter[t.address.toLowerCase()].sub(treasuryBefore[t.address.toLowerCase()]),
+      })),
+      revenueToken,
+      epochs: results,
+    };
+  }
+
+  return { executeProposal, allocateVotes, run, names };
+}
+
+function renderAllocations(before, after) {
+  const rows = new Map();
+  for (const s of before.strategies) rows.set(s.address, { name: s.name, before: s });
+  for (const s of after.strategies) rows.set(s.address, { ...rows.get(s.address), name: s.name, after: s });
+  const cell = (s) =>
+    s
+      ? `${padLeft(`${s.share}%`, 7)} ${padRight(!s.alive ? "dead" : s.paused ? "paused" : "alive", 6)}`
+      : padRight("   -", 14);
+  const lines = [
+    `  ${padRight("Strategy", 24)} ${padRight("Before", 14)} ${padRight("After", 14)} Votes after`,
+    ...[...rows.values()].map(
+      (r) =>
+        `  ${padRight(r.name.startsWith("0x") ? formatAddress(r.name) : r.name, 24)} ${cell(r.before)} ${cell(
+          r.after
+        )} ` + (r.after ? units(r.after.weight, 18) : "-")
+    ),
+    `  Bribe split: ${before.bribeSplit / 100}% -> ${after.bribeSplit / 100}%`,
+  ];
+  const dead = after.strategies.filter((s) => !s.alive && !s.weight.isZero());
+  if (dead.length > 0) {
+    const total = dead.reduce((sum, s) => sum.add(s.weight), ZERO);
+    lines.push(`  ${units(total, 18)} votes stay on dead strategies until their voters reset, they earn no revenue`);
+  }
+  return lines.join("\n");
+}
+
+function renderRun(result) {
+  const weth = result.revenueToken;
+  const lines = [];
+  for (const e of result.epochs) {
+    lines.push(`  Epoch ${e.epoch}: ${units(e.revenue, weth.decimals)} ${weth.symbol} revenue`);
+    for (const [name, value] of Object.entries(e.distributed)) {
+      lines.push(`    distributed ${padRight(name, 24)} ${units(value, weth.decimals)} ${weth.symbol}`);
+    }
+    const bought = new Map();
+    for (const b of e.buys) {
+      const total = bought.get(b.name) || { token: b.token, count: 0, revenue: ZERO, payment: ZERO };
+      bought.set(b.name, {
+        token: b.token,
+        count: total.count + 1,
+        revenue: total.revenue.add(b.revenueAmount),
+        payment: total.payment.add(b.paymentAmount),
+      });
+    }
+    for (const [name, b] of bought) {
+      lines.push(
+        `    bought      ${padRight(name, 24)} ${units(b.revenue, weth.decimals)} ${weth.symbol} ` +
+          `for ${units(b.payment, b.token.decimals)} ${b.token.symbol} in ${b.count} buy${b.count === 1 ? "" : "s"}`
+      );
+    }
+    for (const s of e.skipped) lines.push(`    no buy      ${padRight(s.name, 24)} ${s.reason}`);
+    for (const r of e.reverts) lines.push(`    REVERTED    ${padRight(r.step, 24)} ${r.error}`);
+  }
+  lines.push("  Treasury inflows:");
+  for (const { token, inflow } of result.treasury) {
+    if (!inflow.isZero()) lines.push(`    ${padRight(token.symbol, 10)} ${units(inflow, token.decimals)}`);
+  }
+  if (result.treasury.every(({ inflow }) => inflow.isZero())) lines.push("    none");
+  return lines.join("\n");
+}
+
+module.exports = {
+  SIM_BUYER,
+  loadState,
+  deal,
+  mineAt,
+  impersonate,
+  allocations,
+  createSimulator,
+  renderAllocations,
+  renderRun,
+};
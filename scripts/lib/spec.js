@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+
+// Deployment spec: a declarative description of what a network should look like.
+// See deployments/specs/*.json for examples.
+
+const SPECS_DIR = path.join(__dirname, "..", "..", "deployments", "specs");
+const ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+const DEPLOYER = "deployer";
+
+function specPath(network) {
+  const file = path.join(SPECS_DIR, `${network}.json`);
+  // the in-process hardhat network shares the local node's spec
+  if (network === "hardhat" && !fs.existsSync(file)) return specPath("localhost");
+  return file;
+}
+
+function loadSpec(network, file = process.env.DEPLOY_SPEC) {
+  const target = file ? path.resolve(file) : specPath(network);
+  if (!fs.existsSync(target)) {
+    throw new Error(`No deployment spec for network "${network}" (looked for ${target})`);
+  }
+  const spec = JSON.parse(fs.readFileSync(target, "utf8"));
+  validateSpec(spec);
+  return spec;
+}
+
+function validateSpec(spec) {
+  const required = ["governanceToken", "voter", "strategies"];
+  for (const key of required) {
+    if (spec[key] === undefined) throw new Error(`Deployment spec is missing "${key}"`);
+  }
+  if (!Array.isArray(spec.strategies)) throw new Error(`Deployment spec "strategies" must be an array`);
+
+  const names = new Set();
+  for (const strategy of spec.strategies) {
+    for (const key of ["name", "paymentToken", "paymentReceiver", "initPrice", "epochPeriod", "priceMultiplier", "minInitPrice"]) {
+      if (strategy[key] === undefined) {
+        throw new Error(`Strategy "${strategy.name || "?"}" is missing "${key}"`);
+      }
+    }
+    if (names.has(strategy.name)) throw new Error(`Duplicate strategy name "${strategy.name}"`);
+    names.add(strategy.name);
+  }
+
+  const withdrawalDelay = spec.governanceToken.withdrawalDelay;
+  if (withdrawalDelay !== undefined && (!Number.isInteger(withdrawalDelay) || withdrawalDelay < 604800 || withdrawalDelay > 2592000)) {
+    throw new Error(`governanceToken.withdrawalDelay must be an integer between 604800 (one epoch) and 2592000 seconds (30 days)`);
+  }
+
+  const bribeSplit = spec.voter.bribeSplit;
+  if (bribeSplit !== undefined && (!Number.isInteger(bribeSplit) || bribeSplit < 0 || bribeSplit > 5000)) {
+    throw new Error(`voter.bribeSplit must be an integer between 0 and 5000 basis points`);
+  }
+}
+
+// Resolves a spec reference to an address. References are either a literal address,
+// "deployer", a key of spec.addresses, or a key of spec.mocks (once deployed).
+function resolveAddress(spec, ref, context) {
+  if (ADDRESS_REGEX.test(ref)) return ref;
+  if (ref === DEPLOYER) return context.deployer;
+  if (spec.addresses && spec.addresses[ref] !== undefined) {
+    return resolveAddress(spec, spec.addresses[ref], context);
+  }
+  if (spec.mocks && spec.mocks[ref] !== undefined) {
+    const mock = context.mocks && context.mocks[ref];
+    if (!mock) throw new Error(`Mock token "${ref}" has not been deployed yet`);
+    return mock;
+  }
+  throw new Error(`Unknown address reference "${ref}"`);
+}
+
+module.exports = {
+  SPECS_DIR,
+  DEPLOYER,
+  specPath,
+  loadSpec,
+  validateSpec,
+  resolveAddress,
+};
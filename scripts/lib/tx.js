@@ -0,0 +1,107 @@
+// Transaction sending for the bots: local nonce tracking and retries of transient failures.
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Hands out nonces locally so back-to-back transactions do not wait on the node's pending count.
+ * A send that fails for good resyncs from the node, the nonce may or may not have been used.
+ */
+function createNonceManager(signer) {
+  let next;
+  return {
+    async next() {
+      if (next === undefined) next = await signer.getTransactionCount("pending");
+      return next++;
+    },
+    reset() {
+      next = undefined;
+    },
+  };
+}
+
+const TRANSIENT_CODES = ["SERVER_ERROR", "TIMEOUT", "NETWORK_ERROR", "NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED"];
+
+// Reverts are final, connection problems and nonce races are worth another attempt
+function isRetryable(error) {
+  if (error.code === "CALL_EXCEPTION" || error.code === "UNPREDICTABLE_GAS_LIMIT") return false;
+  if (TRANSIENT_CODES.includes(error.code)) return true;
+  return /nonce|timeout|ECONNREFUSED|ECONNRESET|socket hang up/i.test(error.message || "");
+}
+
+// The node already has a transaction with this nonce, pending or mined
+function isNonceTaken(error) {
+  if (error.code === "NONCE_EXPIRED" || error.code === "REPLACEMENT_UNDERPRICED") return true;
+  return /nonce|already known/i.test(error.message || "");
+}
+
+// Receipt of the first of `hashes` the node knows, once mined; null if it knows none of them
+async function landedAttempt(provider, hashes) {
+  for (const hash of hashes) {
+    if (await provider.getTransaction(hash)) return provider.waitForTransaction(hash);
+  }
+  return null;
+}
+
+/**
+ * Calls `send(nonce)` and waits for the receipt, retrying transient failures with exponential backoff.
+ * A failed send may still have reached the node, so every retry reuses its nonce: at most one attempt can be
+ * mined. If the nonce turns out taken after such a send, the hashes ethers attaches to failed sends
+ * (`error.transactionHash`) are looked up with `provider`: the receipt of an attempt that landed is returned,
+ * and it gives up if another transaction took the nonce. Without a hash or a provider it cannot tell whose the
+ * nonce is, and sending again could execute twice, so it gives up too. Once a send returns, only the wait is retried.
+ */
+async function sendWithRetry(
+  send,
+  { nonces, provider, retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, log = () => {} }
+) {
+  let nonce = await nonces.next();
+  let maybeSent = false;
+  const hashes = [];
+  let tx;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if (!tx) tx = await send(nonce);
+      return await tx.wait();
+    } catch (error) {
+      const retryable = attempt < retries && isRetryable(error);
+      if (tx) {
+        if (!retryable) throw error;
+      } else if (maybeSent && isNonceTaken(error)) {
+        nonces.reset();
+        if (provider && hashes.length > 0) {
+          const receipt = await landedAttempt(provider, hashes);
+          if (receipt) {
+            log(`  nonce ${nonce} was taken by the earlier attempt ${receipt.transactionHash}, using its receipt`);
+            return receipt;
+          }
+          throw Object.assign(new Error(`nonce ${nonce} was taken by another transaction; not sending again`), {
+            code: error.code,
+            cause: error,
+          });
+        }
+        throw Object.assign(
+          new Error(`nonce ${nonce} was taken after a failed send that may have gone through; not sending again`),
+          { code: error.code, cause: error }
+        );
+      } else if (!retryable) {
+        nonces.reset();
+        throw error;
+      } else if (isNonceTaken(error)) {
+        // Taken before anything of ours went out: another sender used it
+        nonces.reset();
+        nonce = await nonces.next();
+      } else {
+        maybeSent = true;
+        if (error.transactionHash) hashes.push(error.transactionHash);
+      }
+      const delay = retryDelay * 2 ** attempt;
+      log(`  attempt ${attempt + 1} failed (${error.code || error.message}), retrying in ${delay / 1000}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { DEFAULT_RETRIES, DEFAULT_RETRY_DELAY, createNonceManager, isRetryable, sendWithRetry };
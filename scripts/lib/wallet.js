@@ -0,0 +1,470 @@
+const { ethers } = require("hardhat");
+const { parseAmount } = require("./parse");
+const { padRight, padLeft } = require("./format");
+const { epochWindow } = require("../../sdk/epoch");
+const { formatWhen: when } = require("../../sdk/units");
+
+// Wallet actions for scripts/lsg.js: stake, vote, claim, reset, unstake and withdraw for one account.
+//
+// Every action checks the conditions the contracts would revert on first and throws an Error saying what to do
+// instead, including when the next vote or reset is allowed. Voter.vote() and reset() allow one call per epoch:
+// Voter.onlyNewEpoch reverts with Voter__AlreadyVotedThisEpoch until the epoch after the last one, and
+// GovernanceToken.unstake() reverts with GovernanceToken__VotesNotCleared while the account has votes.
+
+const WEIGHT_SCALE = 100;
+
+/**
+ * Finds a manifest strategy by address, name or the first word of its name, case-insensitively:
+ * "DONUT", "donut buyback" and "0x61c3..." all find "DONUT Buyback".
+ */
+function resolveStrategy(query, strategies) {
+  const text = query.trim().toLowerCase();
+  if (ethers.utils.isAddress(text)) {
+    return (
+      strategies.find((s) => s.strategy.toLowerCase() === text) || {
+        name: query,
+        strategy: ethers.utils.getAddress(text),
+      }
+    );
+  }
+  const exact = strategies.filter((s) => s.name.toLowerCase() === text);
+  const matches = exact.length > 0 ? exact : strategies.filter((s) => s.name.toLowerCase().split(/\s+/)[0] === text);
+  if (matches.length === 1) return matches[0];
+  const known = strategies.map((s) => `"${s.name}"`).join(", ");
+  if (matches.length === 0) throw new Error(`Unknown strategy "${query}" (known: ${known})`);
+  throw new Error(`"${query}" matches ${matches.map((s) => `"${s.name}"`).join(" and ")}, use the full name`);
+}
+
+/**
+ * ["DONUT=60", "USDC=40%"] => { strategies, weights, names } for Voter.vote(). Weights are relative, the Voter
+ * scales them to the account's voting power; up to two decimals are kept.
+ */
+function parseAllocation(args, strategies) {
+  if (args.length === 0) throw new Error('Pass at least one <strategy>=<weight>, e.g. "DONUT=60 USDC=40"');
+  const allocation = { strategies: [], weights: [], names: [] };
+  for (const arg of args) {
+    const i = arg.lastIndexOf("=");
+    const match = /^\s*([0-9]+(?:\.[0-9]+)?)\s*%?\s*$/.exec(arg.slice(i + 1));
+    const weight = match && Math.round(Number(match[1]) * WEIGHT_SCALE);
+    if (i === -1 || !weight) throw new Error(`Invalid vote "${arg}" (expected <strategy>=<weight>, e.g. "DONUT=60")`);
+    const strategy = resolveStrategy(arg.slice(0, i), strategies);
+    if (allocation.strategies.includes(strategy.strategy)) {
+      throw new Error(`${strategy.name} is listed twice (Voter__AlreadyVotedForStrategy)`);
+    }
+    allocation.strategies.push(strategy.strategy);
+    allocation.weights.push(weight);
+    allocation.names.push(strategy.name);
+  }
+  return allocation;
+}
+
+/**
+ * Wallet for `signer`. `strategies` are manifest entries ({ name, strategy }), `log` receives progress lines.
+ * Actions resolve with their transaction receipts.
+ */
+function createWallet({ signer, voter, governanceToken, multicall, lens, strategies, log = () => {} }) {
+  const account = signer.address;
+  const names = Object.fromEntries(strategies.map((s) => [s.strategy.toLowerCase(), s.name]));
+  const metadata = (address) =>
+    ethers.getContractAt("@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata", address);
+  let underlying;
+
+  async function underlyingToken() {
+    if (!underlying) {
+      const contract = (await metadata(await governanceToken.token())).connect(signer);
+      underlying = { contract, symbol: await contract.symbol(), decimals: await contract.decimals() };
+    }
+    return underlying;
+  }
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function send(description, tx) {
+    log(`${description}...`);
+    const receipt = await (await tx).wait();
+    log(`  ${receipt.transactionHash} (${receipt.gasUsed} gas)`);
+    return receipt;
+  }
+
+  // "1000", "1000 DONUT" or "all" of `available`
+  async function amount(action, input, available) {
+    const token = await underlyingToken();
+    if (input === undefined)
+      throw new Error(`Pass the amount to ${action}, e.g. "lsg ${action} 1000" or "lsg ${action} all"`);
+    const value = String(input).toLowerCase() === "all" ? available : parseAmount(input, token);
+    if (value.isZero()) throw new Error(`Nothing to ${action}: the amount is 0`);
+    return value;
+  }
+
+  // Last vote or reset that used up an epoch for this account, its own or its delegate's
+  async function lastVoted() {
+    return Math.max(
+      (await voter.account_LastVoted(account)).toNumber(),
+      (await voter.account_LastVotedByDelegate(account)).toNumber()
+    );
+  }
+
+  async function requireNewEpoch(action) {
+    const time = await now();
+    const window = epochWindow(await lastVoted(), time);
+    if (!window.allowed) {
+      throw new Error(
+        `Cannot ${action}: this account already voted or reset this epoch (Voter__AlreadyVotedThisEpoch). ` +
+          `The next vote or reset is allowed from ${when(window.nextAllowed, time)}.`
+      );
+    }
+  }
+
+  // Voters the GovernanceToken migrated away from still hold their votes: unstake checks them, and the current
+  // Voter takes no votes while any are left there. Returns the first one with votes for this account.
+  async function previousVoterWithVotes() {
+    for (const address of await governanceToken.getVoters()) {
+      if (address === voter.address) continue;
+      const previous = await ethers.getContractAt("contracts/Voter.sol:Voter", address);
+      if (!(await previous.account_UsedWeights(account)).isZero()) return address;
+    }
+    return undefined;
+  }
+
+  async function requireNotDelegated(action) {
+    const delegate = await voter.account_Delegate(account);
+    if (delegate !== ethers.constants.AddressZero) {
+      throw new Error(
+        `Cannot ${action}: this account delegated its votes to ${delegate} (Voter__VotingPowerDelegated). ` +
+          "Run `lsg undelegate` first."
+      );
+    }
+  }
+
+  async function status() {
+    const token = await underlyingToken();
+    const data = await multicall.getVoterData(account);
+    const stakeData = await lens.getStakeData(account);
+    const bribes = await multicall.getAllBribesData(account);
+    const time = await now();
+    const symbols = {};
+    const rewards = [];
+    for (const bribe of bribes) {
+      for (let i = 0; i < bribe.rewardTokens.length; i++) {
+        if (bribe.accountRewardsEarned[i].isZero()) continue;
+        const address = bribe.rewardTokens[i];
+        symbols[address] ??= await (await metadata(address)).symbol();
+        rewards.push({
+          name: names[bribe.strategy.toLowerCase()] || bribe.strategy,
+          bribe: bribe.bribe,
+          token: address,
+          symbol: symbols[address],
+          amount: bribe.accountRewardsEarned[i],
+          decimals: bribe.rewardTokenDecimals[i],
+        });
+      }
+    }
+    return {
+      account,
+      underlying: { symbol: token.symbol, decimals: token.decimals, balance: data.accountUnderlyingTokenBalance },
+      staked: data.accountGovernanceTokenBalance,
+      locked: stakeData.lockedAmount,
+      lockEnd: stakeData.lockEnd.toNumber(),
+      votingPower: stakeData.votingPower,
+      pendingWithdrawal: stakeData.pendingWithdrawal,
+      withdrawableAt: stakeData.withdrawableAt.toNumber(),
+      usedWeights: data.accountUsedWeights,
+      lastVoted: data.accountLastVoted.toNumber(),
+      window: epochWindow(data.accountLastVoted.toNumber(), time),
+      now: time,
+      delegate: await voter.account_Delegate(account),
+      delegators: await voter.getDelegators(account),
+      votes: bribes
+        .filter((b) => !b.accountVote.isZero())
+        .map((b) => ({
+          name: names[b.strategy.toLowerCase()] || b.strategy,
+          isAlive: b.isAlive,
+          isPaused: b.isPaused,
+          votes: b.accountVote,
+        })),
+      rewards,
+    };
+  }
+
+  async function stake(input) {
+    const token = await underlyingToken();
+    const balance = await token.contract.balanceOf(account);
+    const value = await amount("stake", input, balance);
+    if (value.gt(balance)) {
+      throw new Error(
+        `Cannot stake ${ethers.utils.formatUnits(value, token.decimals)} ${token.symbol}: the balance is ` +
+          `${ethers.utils.formatUnits(balance, token.decimals)}`
+      );
+    }
+    if ((await token.contract.allowance(account, governanceToken.address)).lt(value)) {
+      await send(`Approving ${token.symbol}`, token.contract.approve(governanceToken.address, value));
+    }
+    const receipt = await send(
+      `Staking ${ethers.utils.formatUnits(value, token.decimals)} ${token.symbol}`,
+      governanceToken.connect(signer).stake(value)
+    );
+    if (!(await voter.account_UsedWeights(account)).isZero()) {
+      log(
+        (await governanceToken.account_AutoPoke(account))
+          ? "  Existing votes were poked to the new stake (auto-poke is on)"
+          : "  Existing votes keep their old weight until poked, run `lsg poke` to apply the new stake"
+      );
+    }
+    return receipt;
+  }
+
+  async function unstake(input) {
+    const token = await underlyingToken();
+    const staked = await governanceToken.balanceOf(account);
+    // Locked tokens only leave through GovernanceToken.withdrawLock(), once the lock has ended
+    const locked = await governanceToken.account_LockedAmount(account);
+    const value = await amount("unstake", input, staked.sub(locked));
+    if (value.gt(staked.sub(locked))) {
+      const lockEnd = (await governanceToken.account_LockEnd(account)).toNumber();
+      throw new Error(
+        `Cannot unstake ${ethers.utils.formatUnits(value, token.decimals)}: only ` +
+          `${ethers.utils.formatUnits(staked.sub(locked), token.decimals)} is staked` +
+          (locked.isZero()
+            ? ""
+            : `, ${ethers.utils.formatUnits(locked, token.decimals)} more is locked until ` +
+              `${when(lockEnd, await now())} (GovernanceToken__AmountLocked)`)
+      );
+    }
+    if (!(await voter.account_UsedWeights(account)).isZero()) {
+      const time = await now();
+      const window = epochWindow(await lastVoted(), time);
+      const delegated = (await voter.account_Delegate(account)) !== ethers.constants.AddressZero;
+      const clear = window.allowed ? ", which is allowed now." : `, which is allowed from ${when(window.nextAllowed, time)}.`;
+      throw new Error(
+        "Cannot unstake while this account has votes (GovernanceToken__VotesNotCleared). " +
+          (delegated
+            ? window.allowed
+              ? "Run `lsg undelegate` first, which withdraws them now."
+              : `Run \`lsg undelegate\`, then \`lsg reset\`${clear}`
+            : `Run \`lsg reset\` first${clear}`)
+      );
+    }
+    const previous = await previousVoterWithVotes();
+    if (previous) {
+      throw new Error(
+        `Cannot unstake while this account has votes in the previous Voter ${previous} ` +
+          "(GovernanceToken__VotesNotCleared). Reset them there first."
+      );
+    }
+    const receipt = await send(
+      `Unstaking ${ethers.utils.formatUnits(value, token.decimals)} ${token.symbol}`,
+      governanceToken.connect(signer).unstake(value)
+    );
+    // The underlying waits in the GovernanceToken for the withdrawal delay, then `lsg withdraw` claims it
+    const pending = await governanceToken.account_PendingWithdrawal(account);
+    const withdrawableAt = (await governanceToken.account_WithdrawableAt(account)).toNumber();
+    log(
+      `  ${ethers.utils.formatUnits(pending, token.decimals)} ${token.symbol} can be withdrawn from ` +
+        `${when(withdrawableAt, await now())}, run \`lsg withdraw\` then`
+    );
+    return receipt;
+  }
+
+  async function withdraw() {
+    const token = await underlyingToken();
+    const pending = await governanceToken.account_PendingWithdrawal(account);
+    if (pending.isZero()) throw new Error("Nothing to withdraw: no unstaked tokens are pending");
+    const withdrawableAt = (await governanceToken.account_WithdrawableAt(account)).toNumber();
+    const time = await now();
+    if (time < withdrawableAt) {
+      throw new Error(
+        `Cannot withdraw yet (GovernanceToken__WithdrawalNotReady): ${ethers.utils.formatUnits(pending, token.decimals)} ` +
+          `${token.symbol} can be withdrawn from ${when(withdrawableAt, time)}`
+      );
+    }
+    return send(
+      `Withdrawing ${ethers.utils.formatUnits(pending, token.decimals)} ${token.symbol}`,
+      governanceToken.connect(signer).claimWithdrawal()
+    );
+  }
+
+  async function vote(args) {
+    const allocation = parseAllocation(args, strategies);
+    for (const [i, strategy] of allocation.strategies.entries()) {
+      if (!(await voter.strategy_IsValid(strategy)))
+        throw new Error(`${allocation.names[i]} is not a strategy of this Voter`);
+      if (!(await voter.strategy_IsAlive(strategy))) {
+        throw new Error(`${allocation.names[i]} has been killed and cannot be voted for`);
+      }
+    }
+    await requireNotDelegated("vote");
+    const previous = await previousVoterWithVotes();
+    if (previous) {
+      throw new Error(
+        `Cannot vote while this account has votes in the previous Voter ${previous} (Voter__VotesInOtherVoter). ` +
+          "Reset them there first."
+      );
+    }
+    // A delegate votes for its delegators too; their shares that round to 0 are skipped by the Voter
+    const delegators = await voter.getDelegators(account);
+    const power = await governanceToken.votingPower(account);
+    const total = allocation.weights.reduce((a, b) => a + b, 0);
+    if (delegators.length === 0) {
+      if (power.isZero()) throw new Error("This account has no voting power, run `lsg stake <amount>` first");
+      const tiny = allocation.weights.findIndex((w) => power.mul(w).div(total).isZero());
+      if (tiny !== -1) {
+        throw new Error(`The weight for ${allocation.names[tiny]} rounds to 0 votes (Voter__ZeroWeight)`);
+      }
+    }
+    await requireNewEpoch("vote");
+
+    const shares = allocation.names.map((name, i) => `${name} ${((allocation.weights[i] * 100) / total).toFixed(2)}%`);
+    const forDelegators = delegators.length > 0 ? ` for this account and ${delegators.length} delegator(s)` : "";
+    return send(
+      `Voting ${shares.join(", ")}${forDelegators}`,
+      voter.connect(signer).vote(allocation.strategies, allocation.weights)
+    );
+  }
+
+  async function reset() {
+    await requireNotDelegated("reset");
+    if ((await voter.account_UsedWeights(account)).isZero()) log("This account has no votes, resetting anyway");
+    await requireNewEpoch("reset");
+    return send("Resetting votes", voter.connect(signer).reset());
+  }
+
+  async function delegate(to) {
+    if (!to || !ethers.utils.isAddress(to)) {
+      throw new Error('Pass the address to delegate to, e.g. "lsg delegate 0x..."');
+    }
+    const target = ethers.utils.getAddress(to);
+    if (target === account) throw new Error("Cannot delegate to this account itself (Voter__InvalidDelegate)");
+    if ((await voter.account_Delegate(target)) !== ethers.constants.AddressZero) {
+      throw new Error(`Cannot delegate to ${target}: it delegated its own votes (Voter__InvalidDelegate)`);
+    }
+    if ((await voter.getDelegators(account)).length > 0) {
+      throw new Error("Cannot delegate: other accounts delegate to this one (Voter__InvalidDelegate)");
+    }
+    if (!(await voter.delegate_Account_IsApproved(target, account))) {
+      throw new Error(
+        `Cannot delegate to ${target}: it has not accepted this account (Voter__DelegatorNotApproved). ` +
+          `It has to run \`lsg accept ${account}\` first.`
+      );
+    }
+    if ((await voter.getDelegators(target)).length >= (await voter.MAX_DELEGATORS()).toNumber()) {
+      throw new Error(`Cannot delegate to ${target}: it has MAX_DELEGATORS delegators (Voter__TooManyDelegators)`);
+    }
+    await requireNewEpoch("delegate");
+    if (!(await voter.account_UsedWeights(account)).isZero()) {
+      log("  Current votes are reset, the delegate's next vote replaces them");
+    }
+    return send(`Delegating votes to ${target}`, voter.connect(signer).delegate(target));
+  }
+
+  async function undelegate() {
+    const current = await voter.account_Delegate(account);
+    if (current === ethers.constants.AddressZero) throw new Error("This account has not delegated its votes");
+    const time = await now();
+    const window = epochWindow(await lastVoted(), time);
+    if (!window.allowed && !(await voter.account_UsedWeights(account)).isZero()) {
+      log(`  This epoch's votes stay until the epoch ends; \`lsg reset\` clears them from ${when(window.nextAllowed, time)}`);
+    }
+    return send(`Revoking the delegation to ${current}`, voter.connect(signer).undelegate());
+  }
+
+  // Re-applies the votes' split to the current voting power; not once per epoch, and anyone may poke anyone
+  async function poke(who) {
+    if (who !== undefined && !ethers.utils.isAddress(who)) {
+      throw new Error('Pass the address to poke, or nothing for this account, e.g. "lsg poke 0x..."');
+    }
+    const target = who === undefined ? account : ethers.utils.getAddress(who);
+    const name = target === account ? "this account" : target;
+    const used = await voter.account_UsedWeights(target);
+    if ((await voter.getStrategyVote(target)).length === 0) {
+      throw new Error(`Nothing to poke: ${name} has no votes`);
+    }
+    const power = await governanceToken.votingPower(target);
+    if (used.eq(power)) throw new Error(`Nothing to poke: the votes of ${name} already use its voting power`);
+    const token = await underlyingToken();
+    return send(
+      `Poking ${name}: votes ${ethers.utils.formatUnits(used, token.decimals)} -> ` +
+        `voting power ${ethers.utils.formatUnits(power, token.decimals)}`,
+      voter.connect(signer).poke(target)
+    );
+  }
+
+  // Delegation is opt-in: a delegate accepts each account before it can delegate
+  async function accept(who) {
+    if (!who || !ethers.utils.isAddress(who)) {
+      throw new Error('Pass the address to accept as a delegator, e.g. "lsg accept 0x..."');
+    }
+    const delegator = ethers.utils.getAddress(who);
+    if (await voter.delegate_Account_IsApproved(account, delegator)) {
+      throw new Error(`${delegator} is already accepted as a delegator`);
+    }
+    return send(`Accepting ${delegator} as a delegator`, voter.connect(signer).approveDelegator(delegator, true));
+  }
+
+  async function dismiss(who) {
+    if (!who || !ethers.utils.isAddress(who)) {
+      throw new Error('Pass the address of the delegator to dismiss, e.g. "lsg dismiss 0x..."');
+    }
+    const delegator = ethers.utils.getAddress(who);
+    const delegating = (await voter.account_Delegate(delegator)) === account;
+    if (!delegating && !(await voter.delegate_Account_IsApproved(account, delegator))) {
+      throw new Error(`${delegator} is not a delegator of this account`);
+    }
+    if (delegating) log("  The votes this account placed with its balance are cleared");
+    return send(`Dismissing delegator ${delegator}`, voter.connect(signer).approveDelegator(delegator, false));
+  }
+
+  async function claim() {
+    const { rewards } = await status();
+    if (rewards.length === 0) throw new Error("Nothing to claim: no bribe rewards earned");
+    const bribes = [...new Set(rewards.map((r) => r.bribe))];
+    const listed = rewards.map((r) => `${ethers.utils.formatUnits(r.amount, r.decimals)} ${r.symbol} from ${r.name}`);
+    return send(`Claiming ${listed.join(", ")}`, voter.connect(signer).claimBribes(bribes));
+  }
+
+  return { account, status, stake, unstake, withdraw, vote, reset, poke, delegate, undelegate, accept, dismiss, claim };
+}
+
+function renderStatus(s) {
+  const units = (value) => ethers.utils.formatUnits(value, s.underlying.decimals);
+  const lines = [
+    `Account ${s.account}`,
+    `  ${padRight(`${s.underlying.symbol} balance`, 18)}${units(s.underlying.balance)}`,
+    `  ${padRight("Staked", 18)}${units(s.staked)}`,
+  ];
+  if (!s.locked.isZero()) {
+    const ended = s.lockEnd <= s.now ? ", withdrawable" : "";
+    lines.push(`  ${padRight("Locked", 18)}${units(s.locked)} until ${when(s.lockEnd, s.now)}${ended}`);
+  }
+  if (!s.pendingWithdrawal.isZero()) {
+    const ready = s.withdrawableAt <= s.now ? "now" : `from ${when(s.withdrawableAt, s.now)}`;
+    lines.push(`  ${padRight("Unstaking", 18)}${units(s.pendingWithdrawal)}, withdrawable ${ready}`);
+  }
+  lines.push(
+    `  ${padRight("Voting power", 18)}${units(s.votingPower)}`,
+    `  ${padRight("Votes used", 18)}${units(s.usedWeights)}`,
+    `  ${padRight("Last vote/reset", 18)}${s.lastVoted === 0 ? "never" : new Date(s.lastVoted * 1000).toISOString()}`,
+    `  ${padRight("Next vote/reset", 18)}${s.window.allowed ? "allowed now" : when(s.window.nextAllowed, s.now)}`
+  );
+  if (s.delegate !== ethers.constants.AddressZero) lines.push(`  ${padRight("Delegated to", 18)}${s.delegate}`);
+  if (s.delegators.length > 0) lines.push(`  ${padRight("Delegators", 18)}${s.delegators.join(", ")}`);
+  if (s.votes.length > 0) {
+    lines.push("Votes:");
+    const width = Math.max(...s.votes.map((v) => v.name.length));
+    for (const v of s.votes) {
+      const note = !v.isAlive ? "  (killed, reset to reuse)" : v.isPaused ? "  (paused, earns no revenue)" : "";
+      lines.push(`  ${padRight(v.name, width)}  ${padLeft(units(v.votes), 12)}${note}`);
+    }
+  }
+  if (s.rewards.length > 0) {
+    lines.push("Bribe rewards earned:");
+    const width = Math.max(...s.rewards.map((r) => r.name.length));
+    for (const r of s.rewards) {
+      lines.push(`  ${padRight(r.name, width)}  ${ethers.utils.formatUnits(r.amount, r.decimals)} ${r.symbol}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = { resolveStrategy, parseAllocation, createWallet, renderStatus };
@@ -0,0 +1,87 @@
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { requireManifest, contractAddress, checkManifest } = require("./lib/manifest");
+const { createWallet, renderStatus } = require("./lib/wallet");
+const { describeError } = require("../sdk");
+
+// Usage (from the first configured account, PRIVATE_KEY):
+//   HARDHAT_NETWORK=mainnet yarn lsg status
+//   HARDHAT_NETWORK=mainnet yarn lsg stake 1000            stake 1000 of the underlying token ("all" for the balance)
+//   HARDHAT_NETWORK=mainnet yarn lsg vote DONUT=60 USDC=40 relative weights, strategies by manifest name or first word
+//   HARDHAT_NETWORK=mainnet yarn lsg claim                 claim every bribe reward earned
+//   HARDHAT_NETWORK=mainnet yarn lsg reset                 clear all votes
+//   HARDHAT_NETWORK=mainnet yarn lsg poke                  re-apply the votes to the current stake (or: poke 0x...)
+//   HARDHAT_NETWORK=mainnet yarn lsg delegate 0x...        let another account vote with this account's stake
+//   HARDHAT_NETWORK=mainnet yarn lsg undelegate            revoke the delegation (clears the votes it placed, from next epoch)
+//   HARDHAT_NETWORK=mainnet yarn lsg accept 0x...          let an account delegate to this one
+//   HARDHAT_NETWORK=mainnet yarn lsg dismiss 0x...         take that back, dropping it if it already delegates here
+//   HARDHAT_NETWORK=mainnet yarn lsg unstake all           unstake (votes must be reset first)
+//   HARDHAT_NETWORK=mainnet yarn lsg withdraw              claim unstaked tokens once the withdrawal delay has passed
+// `yarn lsg` runs `node scripts/lsg.js`. Conditions the contracts would revert on are checked first: a second vote or
+// reset in one epoch, unstaking with votes, voting for a killed strategy. The error says when the action is allowed.
+
+const COMMANDS = {
+  status: 0,
+  stake: 1,
+  unstake: 1,
+  withdraw: 0,
+  vote: Infinity,
+  reset: 0,
+  poke: 1,
+  delegate: 1,
+  undelegate: 0,
+  accept: 1,
+  dismiss: 1,
+  claim: 0,
+};
+
+const USAGE =
+  "Usage: lsg <status | stake <amount|all> | unstake <amount|all> | withdraw | vote <strategy>=<weight>... | " +
+  "reset | poke [address] | delegate <address> | undelegate | accept <address> | dismiss <address> | claim>";
+
+function parseCommand(argv = process.argv.slice(2)) {
+  const [command, ...args] = argv;
+  if (!command || ["help", "--help", "-h"].includes(command)) throw new Error(USAGE);
+  if (!(command in COMMANDS)) throw new Error(`Unknown command "${command}"\n${USAGE}`);
+  if (args.length > COMMANDS[command]) throw new Error(`Too many arguments for "${command}"\n${USAGE}`);
+  return { command, args };
+}
+
+async function main() {
+  const { command, args } = parseCommand();
+  const manifest = requireManifest(hre.network.name, (await ethers.provider.getNetwork()).chainId);
+  await checkManifest(manifest);
+  const [signer] = await ethers.getSigners();
+  if (!signer) throw new Error("No account configured, set PRIVATE_KEY");
+
+  const wallet = createWallet({
+    signer,
+    voter: await ethers.getContractAt("contracts/Voter.sol:Voter", contractAddress(manifest, "Voter")),
+    governanceToken: await ethers.getContractAt("GovernanceToken", contractAddress(manifest, "GovernanceToken")),
+    multicall: await ethers.getContractAt("contracts/Multicall.sol:Multicall", contractAddress(manifest, "Multicall")),
+    lens: await ethers.getContractAt("Lens", contractAddress(manifest, "Lens")),
+    strategies: manifest.strategies,
+    log: console.log,
+  });
+  if (command === "status") {
+    console.log(renderStatus(await wallet.status()));
+  } else if (command === "vote") {
+    await wallet.vote(args);
+  } else {
+    await wallet[command](...args);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      // Failed prechecks and decoded reverts are explanations, not crashes: print them without a stack trace
+      const reverted = describeError(error);
+      if (reverted) console.error(`Reverted: ${reverted}`);
+      else console.error(error.code || error.transaction ? error : `Error: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseCommand };
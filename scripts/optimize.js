@@ -0,0 +1,84 @@
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { requireManifest, contractAddress, strategiesByAddress, checkManifest } = require("./lib/manifest");
+const { loadBribes, optimizeVotes, renderOptimization } = require("./lib/optimizer");
+const { jsonPriceSource } = require("./lib/prices");
+const { argValue } = require("./lib/args");
+const { wrapVoter, describeError } = require("../sdk");
+
+// Usage:
+//   HARDHAT_NETWORK=mainnet node scripts/optimize.js --prices prices.json [--account 0x...]
+//   HARDHAT_NETWORK=mainnet node scripts/optimize.js --prices prices.json --execute
+// Env fallbacks for `hardhat run`: OPTIMIZE_PRICES, OPTIMIZE_ACCOUNT, OPTIMIZE_EXECUTE.
+// Reads every Bribe's rewards left from Multicall.getAllBribesData(account), values them with the price file (ETH per
+// whole token, as for scripts/buyer.js, plus the staked underlying token for APRs) and prints the split of the
+// account's voting power that earns the most, with the strategies and weights to pass to Voter.vote().
+// The account defaults to the first configured account (PRIVATE_KEY); --execute sends the vote from it.
+
+function parseOptions(argv = process.argv.slice(2), env = process.env) {
+  const value = (name) => argValue(argv, name, env[`OPTIMIZE_${name.toUpperCase()}`]);
+  const text = (name) => {
+    const raw = value(name);
+    if (raw === true) throw new Error(`Missing value for --${name}`);
+    return raw;
+  };
+  const raw = value("execute");
+  const options = {
+    prices: text("prices"),
+    account: text("account"),
+    execute: raw === true || ["1", "true", "yes"].includes(String(raw).toLowerCase()),
+  };
+  if (!options.prices) throw new Error("Pass the prices to value bribe rewards at: --prices <file>");
+  if (options.account && !ethers.utils.isAddress(options.account)) {
+    throw new Error(`Invalid --account "${options.account}"`);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseOptions();
+  const manifest = requireManifest(hre.network.name, (await ethers.provider.getNetwork()).chainId);
+  await checkManifest(manifest);
+  const [signer] = await ethers.getSigners();
+  const account = options.account ? ethers.utils.getAddress(options.account) : signer?.address;
+  if (!account) throw new Error("No account configured, pass --account or set PRIVATE_KEY");
+  if (options.execute && account !== signer?.address) {
+    throw new Error(`--execute votes from the configured account ${signer?.address}, not --account ${account}`);
+  }
+
+  const voter = await ethers.getContractAt("contracts/Voter.sol:Voter", contractAddress(manifest, "Voter"));
+  const multicall = await ethers.getContractAt(
+    "contracts/Multicall.sol:Multicall",
+    contractAddress(manifest, "Multicall")
+  );
+  const names = Object.fromEntries(
+    Object.entries(strategiesByAddress(manifest)).map(([address, entry]) => [address, entry.name])
+  );
+
+  const state = await loadBribes({ voter, multicall, account, prices: jsonPriceSource(options.prices), names });
+  const result = optimizeVotes(state.bribes, state.votingPower);
+  console.log(`Optimal votes for ${account} on ${hre.network.name}\n`);
+  console.log(renderOptimization(state, result));
+  if (!options.execute) return;
+
+  const window = await wrapVoter(voter).voteWindow(account);
+  if (!window.allowed) {
+    throw new Error(
+      `${account} already voted this epoch (Voter__AlreadyVotedThisEpoch), ` +
+        `next vote from ${new Date(window.nextAllowed * 1000).toISOString()}`
+    );
+  }
+  const receipt = await (await voter.connect(signer).vote(result.strategies, result.weights)).wait();
+  console.log(`\nVoted in ${receipt.transactionHash} (${receipt.gasUsed} gas)`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(describeError(error) || error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseOptions };
@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { requireManifest, contractAddress, checkManifest } = require("./lib/manifest");
+const { loadSpec } = require("./lib/spec");
+const {
+  loadProposal,
+  createResolver,
+  buildProposal,
+  renderAragon,
+  renderSafeBatch,
+  renderCalldata,
+  renderMarkdown,
+} = require("./lib/proposal");
+const { argValue } = require("./lib/args");
+
+// Usage:
+//   HARDHAT_NETWORK=mainnet node scripts/propose.js --proposal proposals/specs/add-qr.json [--out data/proposals/add-qr]
+//   PROPOSE_PROPOSAL=proposals/specs/kill-cbbtc.json npx hardhat run ./scripts/propose.js --network localhost
+// Env fallbacks for `hardhat run`: PROPOSE_PROPOSAL, PROPOSE_OUT.
+// Reads a proposal spec with human-written values ("35000000 QR", "1 day", "1.2x"), checks every action against
+// the Strategy constructor bounds and the live Voter, then writes to --out (default data/proposals/<spec name>):
+//   aragon-actions.json   [{ to, value, data }] for an Aragon proposal
+//   safe-tx-builder.json  batch file for the Safe Transaction Builder
+//   proposal.md           proposal body in the docs/GOVERNANCE_PROPOSALS.md layout
+//   calldata.txt          one "<to> <method> <data>" line per action
+// Names in the spec resolve through its "addresses", then the network's deployment spec (deployments/specs).
+
+function parseOptions(argv = process.argv.slice(2), env = process.env) {
+  const proposal = argValue(argv, "proposal", env.PROPOSE_PROPOSAL);
+  if (!proposal || proposal === true) throw new Error("Pass the proposal spec: --proposal <file>");
+  const out = argValue(argv, "out", env.PROPOSE_OUT);
+  if (out === true) throw new Error(`Invalid --out "${out}"`);
+  return {
+    proposal,
+    out: out || path.join("data", "proposals", path.basename(proposal, path.extname(proposal))),
+  };
+}
+
+async function main() {
+  const options = parseOptions();
+  const proposal = loadProposal(options.proposal);
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = requireManifest(hre.network.name, chainId);
+  await checkManifest(manifest);
+  const [deployer] = await ethers.getSigners();
+
+  const built = await buildProposal(proposal, {
+    voter: await ethers.getContractAt("contracts/Voter.sol:Voter", contractAddress(manifest, "Voter")),
+    resolveAddress: createResolver({
+      spec: loadSpec(hre.network.name),
+      manifest,
+      proposal,
+      deployer: deployer?.address,
+    }),
+    strategies: manifest.strategies,
+  });
+
+  fs.mkdirSync(options.out, { recursive: true });
+  const files = {
+    "aragon-actions.json": renderAragon(built) + "\n",
+    "safe-tx-builder.json": renderSafeBatch(built, { chainId }) + "\n",
+    "proposal.md": renderMarkdown(built),
+    "calldata.txt": renderCalldata(built) + "\n",
+  };
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(options.out, name), content);
+
+  console.log(`${built.title} on ${hre.network.name}, to be executed by the Voter owner ${built.owner}`);
+  console.log(renderCalldata(built));
+  console.log(`Wrote ${Object.keys(files).join(", ")} to ${options.out}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseOptions };
@@ -0,0 +1,43 @@
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { requireManifest, contractAddress, checkManifest } = require("./lib/manifest");
+const { replay, reconcile, renderReport } = require("./lib/reconcile");
+const { parseOptions, openNetworkIndex } = require("./indexer");
+const { argValue } = require("./lib/args");
+
+// Usage:
+//   HARDHAT_NETWORK=mainnet node scripts/reconcile.js [--format json] [--db data/mainnet.sqlite]
+//   npx hardhat run ./scripts/reconcile.js --network localhost
+// Brings the event index up to date (same options as scripts/indexer.js), replays the vote history and
+// compares it with Voter, Bribe and Multicall at the last indexed block. Exits with 1 on any divergence.
+
+async function main() {
+  const options = parseOptions();
+  const format = argValue(process.argv.slice(2), "format", process.env.RECONCILE_FORMAT || "text");
+  if (!["text", "json"].includes(format)) throw new Error(`Unknown format "${format}" (expected text or json)`);
+
+  // Addresses come from deployments/<network>.json
+  const { chainId } = await ethers.provider.getNetwork();
+  const manifest = requireManifest(hre.network.name, chainId);
+  await checkManifest(manifest);
+
+  const { db, indexer } = openNetworkIndex(manifest, chainId, options);
+  await indexer.run();
+
+  const voter = await ethers.getContractAt("contracts/Voter.sol:Voter", contractAddress(manifest, "Voter"));
+  const multicall = await ethers.getContractAt("contracts/Multicall.sol:Multicall", contractAddress(manifest, "Multicall"));
+  const report = await reconcile(replay(db), { voter, multicall });
+  db.close();
+
+  console.log(format === "json" ? JSON.stringify(report, null, 2) : renderReport(report));
+  return report.divergences.length === 0;
+}
+
+if (require.main === module) {
+  main()
+    .then((ok) => process.exit(ok ? 0 : 1))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
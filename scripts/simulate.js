@@ -0,0 +1,199 @@
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { requireManifest, contractAddress, strategiesByAddress, checkManifest } = require("./lib/manifest");
+const { loadSpec } = require("./lib/spec");
+const { loadProposal, createResolver, buildProposal } = require("./lib/proposal");
+const { loadState, allocations, createSimulator, renderAllocations, renderRun } = require("./lib/simulate");
+const { parseAmount, parseDuration, parseBasisPoints, formatDuration } = require("./lib/parse");
+const { jsonPriceSource } = require("./lib/prices");
+const { argValue } = require("./lib/args");
+
+// Usage:
+//   HARDHAT_NETWORK=hardhat node scripts/simulate.js --fork $RPC_URL [--block N] --deployment mainnet
+//       --proposal proposals/specs/kill-cbbtc.json --prices prices.json [--epochs 7] [--epoch "1 day"] [--revenue 1]
+//   HARDHAT_NETWORK=hardhat node scripts/simulate.js --state anvil-state.json --deployment mainnet --proposal ...
+//   HARDHAT_NETWORK=localhost node scripts/simulate.js --proposal my-proposal.json --prices prices.json [--keep]
+// Other flags: --votes "QR Buyback=5%,USDC Buyback=10%" stakes and votes from fresh accounts so each strategy ends
+// up with that share of the total weight (e.g. for a strategy the proposal adds), --keep leaves a local node in the
+// simulated state instead of reverting it.
+// Env fallbacks for `hardhat run`: SIMULATE_<FLAG> with dashes as underscores, e.g. SIMULATE_PROPOSAL.
+// The snapshot is one of
+//   --fork <rpc url>   a fork of the live chain inside the in-process hardhat network
+//   --state <file>     an `anvil --dump-state` JSON file loaded into the in-process hardhat network
+//   neither            the connected local node, wrapped in evm_snapshot / evm_revert
+// Revenue is in whole revenue tokens per epoch, paid into the RevenueRouter in --steps (24) equal parts. Prices are ETH per whole token, as for scripts/buyer.js.
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+function parseOptions(argv = process.argv.slice(2), env = process.env) {
+  const value = (name, fallback) =>
+    argValue(argv, name, env[`SIMULATE_${name.toUpperCase().replace(/-/g, "_")}`] ?? fallback);
+  const text = (name, fallback) => {
+    const raw = value(name, fallback);
+    if (raw === true) throw new Error(`Missing value for --${name}`);
+    return raw;
+  };
+  const integer = (name, fallback, minimum = 0) => {
+    const raw = value(name, fallback);
+    if (raw === undefined) return undefined;
+    const parsed = Number(raw);
+    if (!Number.isInteger(parsed) || parsed < minimum) throw new Error(`Invalid --${name} "${raw}"`);
+    return parsed;
+  };
+  const flag = (name) => {
+    const raw = value(name);
+    return raw === true || ["1", "true", "yes"].includes(String(raw).toLowerCase());
+  };
+
+  const options = {
+    proposal: text("proposal"),
+    fork: text("fork"),
+    block: integer("block"),
+    state: text("state"),
+    deployment: text("deployment"),
+    prices: text("prices"),
+    epochs: integer("epochs", 7, 1),
+    epochLength: parseDuration(text("epoch", "1 day")),
+    revenue: text("revenue", "1"),
+    steps: integer("steps", 24, 1),
+    votes: parseVotes(text("votes", "")),
+    keep: flag("keep"),
+  };
+  if (options.fork && options.state) throw new Error("Pass at most one snapshot: --fork <rpc url> or --state <file>");
+  if (options.block !== undefined && !options.fork) throw new Error("--block only applies to --fork");
+  if (!options.prices) throw new Error("Pass the prices buyers value payment tokens at: --prices <file>");
+  return options;
+}
+
+// "QR Buyback=5%,USDC Buyback=10%" => [{ name, bps }]
+function parseVotes(input) {
+  if (!input) return [];
+  return input.split(",").map((entry) => {
+    const i = entry.lastIndexOf("=");
+    if (i === -1) {
+      throw new Error(`Invalid --votes entry "${entry}" (expected <strategy name>=<share>, e.g. "QR Buyback=5%")`);
+    }
+    return { name: entry.slice(0, i).trim(), bps: parseBasisPoints(entry.slice(i + 1)) };
+  });
+}
+
+// Puts the snapshot in place and returns a function that undoes the simulation
+async function prepareNetwork(options) {
+  if (options.fork || options.state) {
+    if (hre.network.name !== "hardhat") {
+      throw new Error("--fork and --state load into the in-process hardhat network, run with HARDHAT_NETWORK=hardhat");
+    }
+    if (options.fork) {
+      await ethers.provider.send("hardhat_reset", [
+        { forking: { jsonRpcUrl: options.fork, ...(options.block !== undefined && { blockNumber: options.block }) } },
+      ]);
+    } else {
+      await loadState(JSON.parse(fs.readFileSync(options.state, "utf8")));
+    }
+    return async () => {};
+  }
+  if (!LOCAL_NETWORKS.includes(hre.network.name)) {
+    throw new Error(
+      `Cannot simulate on the live "${hre.network.name}" network, use --fork <rpc url> with HARDHAT_NETWORK=hardhat`
+    );
+  }
+  const snapshot = await ethers.provider.send("evm_snapshot", []);
+  return async () => {
+    if (!options.keep) await ethers.provider.send("evm_revert", [snapshot]);
+  };
+}
+
+async function main() {
+  const options = parseOptions();
+  const restore = await prepareNetwork(options);
+  try {
+    await simulate(options);
+  } finally {
+    await restore();
+  }
+}
+
+async function simulate(options) {
+  // A fork or state file keeps the addresses of the network it came from, but not its chainId
+  const snapshot = options.fork || options.state;
+  const deployment = options.deployment || hre.network.name;
+  const manifest = requireManifest(deployment, snapshot ? undefined : (await ethers.provider.getNetwork()).chainId);
+  await checkManifest(manifest);
+  const names = Object.fromEntries(
+    Object.entries(strategiesByAddress(manifest)).map(([address, entry]) => [address, entry.name])
+  );
+
+  const voter = await ethers.getContractAt("contracts/Voter.sol:Voter", contractAddress(manifest, "Voter"));
+  const simulator = createSimulator({
+    voter,
+    multicall: await ethers.getContractAt("contracts/Multicall.sol:Multicall", contractAddress(manifest, "Multicall")),
+    revenueRouter: await ethers.getContractAt("RevenueRouter", contractAddress(manifest, "RevenueRouter")),
+    governanceToken: await ethers.getContractAt("GovernanceToken", contractAddress(manifest, "GovernanceToken")),
+    prices: jsonPriceSource(options.prices),
+    names,
+  });
+
+  const before = await allocations(voter, names);
+  if (options.proposal) {
+    const proposal = loadProposal(options.proposal);
+    const [deployer] = await ethers.getSigners();
+    const built = await buildProposal(proposal, {
+      voter,
+      resolveAddress: createResolver({ spec: loadSpec(deployment), manifest, proposal, deployer: deployer?.address }),
+      strategies: manifest.strategies,
+    });
+    console.log(`Executing "${built.title}" as ${built.owner}`);
+    for (const result of await simulator.executeProposal(built)) {
+      console.log(`  ${result.method}: ${result.ok ? `ok, ${result.gasUsed} gas` : `REVERTED ${result.error}`}`);
+    }
+  }
+
+  if (options.votes.length > 0) {
+    const byName = Object.fromEntries(Object.entries(names).map(([address, name]) => [name, address]));
+    const targets = options.votes.map((v) => {
+      if (!byName[v.name]) {
+        throw new Error(`--votes names unknown strategy "${v.name}" (known: ${Object.keys(byName).join(", ")})`);
+      }
+      return { ...v, strategy: byName[v.name] };
+    });
+    for (const result of await simulator.allocateVotes(targets)) {
+      console.log(
+        `  voted ${ethers.utils.formatEther(result.votes)} for ${result.name}` +
+          (result.ok ? "" : `: REVERTED ${result.error}`)
+      );
+    }
+  }
+
+  const after = await allocations(voter, names);
+  console.log("\nAllocations (share of vote weight):");
+  console.log(renderAllocations(before, after));
+
+  const revenueToken = await ethers.getContractAt(
+    "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata",
+    await voter.revenueToken()
+  );
+  const revenue = parseAmount(options.revenue, {
+    symbol: await revenueToken.symbol(),
+    decimals: await revenueToken.decimals(),
+  });
+  console.log(`\nSimulating ${options.epochs} epochs of ${formatDuration(options.epochLength)}:`);
+  const result = await simulator.run({
+    epochs: options.epochs,
+    epochLength: options.epochLength,
+    revenue,
+    steps: options.steps,
+  });
+  console.log(renderRun(result));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { parseOptions, parseVotes };
@@ -0,0 +1,184 @@
+const { ethers } = require("ethers");
+const { epochWindow } = require("./epoch");
+
+// Read helpers around the Voter, Strategy, Bribe and Multicall contracts. Each wrapper takes an ethers Contract
+// (from getContractAt or the fixture), keeps it as `contract` for everything else, and returns plain objects.
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+const latestTimestamp = async (contract) => (await contract.provider.getBlock("latest")).timestamp;
+
+/**
+ * @typedef {Object} StrategyInfo
+ * @property {string} strategy
+ * @property {string} bribe
+ * @property {string} bribeRouter
+ * @property {string} paymentToken
+ * @property {boolean} isAlive
+ * @property {boolean} isPaused              alive but suspended: earns no revenue and its auction rejects buys
+ * @property {ethers.BigNumber} weight        votes on the strategy
+ *
+ * @typedef {Object} AccountVote
+ * @property {string} strategy
+ * @property {ethers.BigNumber} votes
+ *
+ * @typedef {Object} VoteWindow
+ * @property {boolean} allowed                whether vote() and reset() would pass Voter.onlyNewEpoch now
+ * @property {number} nextAllowed             unix time of the epoch after the last vote or reset
+ */
+
+function wrapVoter(voter) {
+  return {
+    contract: voter,
+
+    /** @returns {Promise<StrategyInfo[]>} the strategies in Voter.getStrategies() order, dead ones included until archived */
+    async strategies() {
+      const result = [];
+      for (const strategy of await voter.getStrategies()) {
+        result.push({
+          strategy,
+          bribe: await voter.strategy_Bribe(strategy),
+          bribeRouter: await voter.strategy_BribeRouter(strategy),
+          paymentToken: await voter.strategy_PaymentToken(strategy),
+          isAlive: await voter.strategy_IsAlive(strategy),
+          isPaused: await voter.strategy_IsPaused(strategy),
+          weight: await voter.strategy_Weight(strategy),
+        });
+      }
+      return result;
+    },
+
+    /** @returns {Promise<AccountVote[]>} the account's votes from its last vote() */
+    async votes(account) {
+      const result = [];
+      for (const strategy of await voter.getStrategyVote(account)) {
+        result.push({ strategy, votes: await voter.account_Strategy_Votes(account, strategy) });
+      }
+      return result;
+    },
+
+    /** @returns {Promise<VoteWindow>} */
+    async voteWindow(account, now) {
+      // A delegate's vote or reset uses up the epoch for its delegators too
+      const lastVoted = Math.max(
+        (await voter.account_LastVoted(account)).toNumber(),
+        (await voter.account_LastVotedByDelegate(account)).toNumber()
+      );
+      return epochWindow(lastVoted, now ?? (await latestTimestamp(voter)));
+    },
+  };
+}
+
+/**
+ * @typedef {Object} AuctionState
+ * @property {ethers.BigNumber} epochId
+ * @property {ethers.BigNumber} initPrice
+ * @property {number} startTime
+ * @property {number} epochPeriod
+ * @property {ethers.BigNumber} priceMultiplier   18 decimals
+ * @property {ethers.BigNumber} minInitPrice
+ * @property {ethers.BigNumber} price             getPrice(), in payment token units
+ * @property {ethers.BigNumber} revenueBalance    revenue token the buyer receives
+ * @property {string} paymentToken
+ * @property {string} paymentReceiver
+ */
+
+function wrapStrategy(strategy) {
+  async function auction() {
+    return {
+      epochId: await strategy.epochId(),
+      initPrice: await strategy.initPrice(),
+      startTime: (await strategy.startTime()).toNumber(),
+      epochPeriod: (await strategy.epochPeriod()).toNumber(),
+      priceMultiplier: await strategy.priceMultiplier(),
+      minInitPrice: await strategy.minInitPrice(),
+      price: await strategy.getPrice(),
+      revenueBalance: await strategy.getRevenueBalance(),
+      paymentToken: await strategy.paymentToken(),
+      paymentReceiver: await strategy.paymentReceiver(),
+    };
+  }
+
+  return {
+    contract: strategy,
+
+    /** @returns {Promise<AuctionState>} */
+    auction,
+
+    /**
+     * Buys the current auction from the contract's signer, approving the payment token first if needed.
+     * maxPayment defaults to the current price and the deadline to an hour from the latest block.
+     */
+    async buy({ receiver, maxPayment, deadline } = {}) {
+      const state = await auction();
+      const account = await strategy.signer.getAddress();
+      const limit = maxPayment ?? state.price;
+      const token = new ethers.Contract(state.paymentToken, ERC20_ABI, strategy.signer);
+      if ((await token.allowance(account, strategy.address)).lt(limit)) {
+        await (await token.approve(strategy.address, limit)).wait();
+      }
+      return strategy.buy(
+        receiver ?? account,
+        state.epochId,
+        deadline ?? (await latestTimestamp(strategy)) + 3600,
+        limit
+      );
+    },
+  };
+}
+
+/**
+ * @typedef {Object} BribeReward
+ * @property {string} token
+ * @property {ethers.BigNumber} rewardRate    per second until periodFinish
+ * @property {number} periodFinish
+ * @property {ethers.BigNumber} left          still to be paid out
+ * @property {ethers.BigNumber} earned        claimable by the account
+ */
+
+function wrapBribe(bribe) {
+  return {
+    contract: bribe,
+
+    /** @returns {Promise<BribeReward[]>} */
+    async rewards(account) {
+      const result = [];
+      for (const token of await bribe.getRewardTokens()) {
+        const data = await bribe.token_RewardData(token);
+        result.push({
+          token,
+          rewardRate: data.rewardRate,
+          periodFinish: data.periodFinish.toNumber(),
+          left: await bribe.left(token),
+          earned: account ? await bribe.earned(account, token) : ethers.BigNumber.from(0),
+        });
+      }
+      return result;
+    },
+
+    /** Votes of the account on the bribe's strategy, and of everyone */
+    async balances(account) {
+      return { account: await bribe.account_Balance(account), total: await bribe.totalSupply() };
+    },
+  };
+}
+
+function wrapMulticall(multicall) {
+  return {
+    contract: multicall,
+
+    /** getFullSystemView() as { system, strategies } */
+    async system() {
+      const [system, strategies] = await multicall.getFullSystemView();
+      return { system, strategies };
+    },
+
+    voterData: (account) => multicall.getVoterData(account),
+    bribes: (account) => multicall.getAllBribesData(account),
+  };
+}
+
+module.exports = { wrapVoter, wrapStrategy, wrapBribe, wrapMulticall };
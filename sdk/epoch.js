@@ -0,0 +1,16 @@
+const { WEEK } = require("./units");
+
+// Voting epochs. Voter.DURATION is one week and epochs start at multiples of it since the unix epoch, so
+// Voter.onlyNewEpoch lets an account vote or reset once the epoch start is after its last vote or reset.
+
+const EPOCH_DURATION = WEEK;
+
+const epochStart = (timestamp) => Math.floor(timestamp / EPOCH_DURATION) * EPOCH_DURATION;
+const nextEpochStart = (timestamp) => epochStart(timestamp) + EPOCH_DURATION;
+
+// Voter.onlyNewEpoch for an account that last voted or reset at `lastVoted`, at time `now`
+function epochWindow(lastVoted, now) {
+  return { allowed: epochStart(now) > lastVoted, nextAllowed: nextEpochStart(lastVoted) };
+}
+
+module.exports = { EPOCH_DURATION, epochStart, nextEpochStart, epochWindow };
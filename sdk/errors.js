@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const hre = require("hardhat");
+const { formatWhen } = require("./units");
+const { nextEpochStart } = require("./epoch");
+
+// Custom error decoding for every contract in contracts/ (Voter__*, Strategy__*, Bribe__*, GovernanceToken__*, ...)
+
+// Revert reasons of require() and of failed asserts and arithmetic. They are in no ABI and ethers refuses them in
+// an Interface, so they are decoded by selector.
+const BUILTIN_ERRORS = {
+  "0x08c379a0": { name: "Error", signature: "Error(string)", types: ["string reason"] },
+  "0x4e487b71": { name: "Panic", signature: "Panic(uint256)", types: ["uint256 code"] },
+};
+
+const PANICS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x32: "array index out of bounds",
+};
+
+/**
+ * What to do about each error, given the decoded `args` and `now` (unix seconds). Errors the caller cannot fix,
+ * like a call only the Voter may make, say who can.
+ */
+const HINTS = {
+  Error: ({ args }) => args.reason,
+  Panic: ({ args }) => PANICS[args.code.toNumber()] || `panic 0x${args.code.toHexString().slice(2)}`,
+
+  Voter__AlreadyVotedThisEpoch: ({ now }) =>
+    `you already voted or reset this epoch; next epoch starts at ${formatWhen(nextEpochStart(now), now)}`,
+  Voter__NotAuthorizedGovernance: () => "only the GovernanceToken can make this call",
+  Voter__StrategyLengthNotEqualToWeightLength: () => "pass one weight for every strategy",
+  Voter__NotAuthorizedRevenueSource: () => "only the revenue source (RevenueRouter) can notify revenue",
+  Voter__InvalidZeroAddress: () => "an address argument is the zero address",
+  Voter__StrategyIsDead: () => "the strategy was already killed",
+  Voter__StrategyIsPaused: () => "the strategy is already paused",
+  Voter__StrategyNotPaused: () => "the strategy is not paused",
+  Voter__StrategyIsAlive: () => "only killed strategies can be archived",
+  Voter__StrategyIsArchived: () => "the strategy was already archived",
+  Voter__StrategyNotDrained: () =>
+    "the strategy still has votes or claimable revenue; its voters must reset before it can be archived",
+  Voter__NotStrategy: () => "the address is not a strategy of this Voter",
+  Voter__BribeSplitExceedsMax: () => "the bribe split is above MAX_BRIBE_SPLIT (5000 basis points)",
+  Voter__AlreadyVotedForStrategy: () => "the strategy appears twice in the vote; list each strategy once",
+  Voter__ZeroWeight: () =>
+    "a strategy's share of the account's voting power rounds to zero; stake first or raise its weight",
+  Voter__ZeroTotalWeight: () => "the weights add up to zero, or every strategy voted for is dead or unknown",
+  Voter__InvalidDelegate: () =>
+    "delegate to another account that has not delegated itself; an account with delegators cannot delegate",
+  Voter__TooManyDelegators: () => "the delegate already has MAX_DELEGATORS (20) delegators",
+  Voter__DelegatorNotApproved: () => "the delegate has not approved this account; it has to call approveDelegator first",
+  Voter__NotDelegated: () => "the account has not delegated its votes",
+  Voter__SignatureExpired: () => "the signature's deadline has passed; have the account sign again",
+  Voter__InvalidSignature: () =>
+    "the signature is not the account's for these arguments and its current nonce (Voter.nonces); sign again",
+  Voter__NotCurrentVoter: () =>
+    "the GovernanceToken has migrated to another Voter (GovernanceToken.voter()); vote there, and reset here to unstake",
+  Voter__VotesInOtherVoter: () =>
+    "the account still has votes in a Voter the GovernanceToken migrated away from (GovernanceToken.getVoters()); " +
+    "reset them there first",
+  Voter__VotingPowerDelegated: ({ now }) =>
+    "the account's votes are delegated; undelegate first, which is allowed any time. Votes the delegate placed " +
+    `this epoch stay until the next epoch starts at ${formatWhen(nextEpochStart(now), now)}`,
+
+  Strategy__DeadlinePassed: () => "the deadline is in the past; pass a later one",
+  Strategy__EpochIdMismatch: () => "someone bought this auction first; read the new epochId and price and retry",
+  Strategy__MaxPaymentAmountExceeded: () => "the price is above maxPaymentAmount; raise it or wait for the price to fall",
+  Strategy__EmptyAssets: () => "the strategy holds no revenue to buy; distribute revenue to it first",
+  Strategy__InitPriceBelowMin: () => "initPrice is below minInitPrice",
+  Strategy__InitPriceExceedsMax: () => "initPrice is above the uint192 maximum",
+  Strategy__EpochPeriodBelowMin: () => "epochPeriod is below one hour",
+  Strategy__EpochPeriodExceedsMax: () => "epochPeriod is above 365 days",
+  Strategy__PriceMultiplierBelowMin: () => "priceMultiplier is below 1.1x (1.1e18)",
+  Strategy__PriceMultiplierExceedsMax: () => "priceMultiplier is above 3x (3e18)",
+  Strategy__MinInitPriceBelowMin: () => "minInitPrice is below 1e6 raw units of the payment token",
+  Strategy__MinInitPriceExceedsAbsMaxInitPrice: () => "minInitPrice is above the uint192 maximum",
+  Strategy__PaymentReceiverIsThis: () => "the payment receiver cannot be the strategy itself",
+  Strategy__Paused: () => "the strategy is paused; buys reopen when the Voter owner unpauses it",
+
+  Bribe__NotAuthorizedVoter: () => "only the Voter can deposit and withdraw votes on a bribe",
+  Bribe__RewardSmallerThanDuration: () => "the reward is below one wei per second of the week; send more",
+  Bribe__RewardSmallerThanLeft: () => "the reward is below what is left of the current period; send more",
+  Bribe__NotRewardToken: () => "the token is not a reward token of this bribe",
+  Bribe__RewardTokenAlreadyAdded: () => "the token is already a reward token of this bribe",
+  Bribe__InvalidZeroInput: () => "the amount is zero",
+
+  GovernanceToken__TransferDisabled: () => "governance tokens cannot be transferred; unstake and stake instead",
+  GovernanceToken__VotesNotCleared: () => "the account still has votes; reset them with Voter.reset() first",
+  GovernanceToken__InvalidZeroAddress: () => "an address argument is the zero address",
+  GovernanceToken__InvalidZeroAmount: () => "the amount is zero",
+  GovernanceToken__LockExists: () => "the account already has a lock; increase or extend it, or withdraw it once ended",
+  GovernanceToken__NoLock: () => "the account has no lock; create one with createLock()",
+  GovernanceToken__LockExpired: () => "the lock has ended; withdraw it with withdrawLock() and lock again",
+  GovernanceToken__LockNotExpired: () => "the lock has not ended yet; read account_LockEnd for when it does",
+  GovernanceToken__InvalidLockEnd: () =>
+    "the lock end, rounded down to a whole week, must be after now and at most MAX_LOCK_DURATION (104 weeks) away, " +
+    "and later than the current end when extending",
+  GovernanceToken__AmountLocked: () =>
+    "the amount includes locked tokens; unstake at most the unlocked balance and use withdrawLock() after the lock ends",
+  GovernanceToken__WithdrawalDelayBelowMin: () => "the withdrawal delay is below MIN_WITHDRAWAL_DELAY (one 7 day epoch)",
+  GovernanceToken__WithdrawalDelayExceedsMax: () => "the withdrawal delay is above MAX_WITHDRAWAL_DELAY (30 days)",
+  GovernanceToken__NoPendingWithdrawal: () => "the account has no unstaked tokens waiting to be claimed",
+  GovernanceToken__WithdrawalNotReady: () =>
+    "the withdrawal delay has not passed; read account_WithdrawableAt for when the tokens can be claimed",
+  GovernanceToken__VoterAlreadySet: () => "the Voter is bound already; move to a new one with migrateVoter()",
+  GovernanceToken__VoterNotSet: () => "no Voter is bound yet; bind the first one with setVoter()",
+  GovernanceToken__VoterAlreadyRegistered: () => "the Voter was bound before; migrate to a new Voter",
+  GovernanceToken__TooManyVoters: () => "MAX_VOTERS (10) Voters have been bound; no further migration is possible",
+
+  RevenueRouter__InvalidZeroAddress: () => "an address argument is the zero address",
+  RevenueRouter__NoRevenueToFlush: () => "the router holds no revenue token to flush",
+
+  // OpenZeppelin ShortStrings, through the EIP-712 domain of GovernanceToken
+  InvalidShortString: () => "the string is longer than 31 bytes",
+  StringTooLong: ({ args }) => `"${args[0]}" is longer than 31 bytes`,
+};
+
+// Compiled ABIs of everything under contracts/, mocks and interfaces included
+function contractAbis(dir = path.join(hre.config.paths.artifacts, "contracts")) {
+  const abis = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) abis.push(...contractAbis(file));
+    else if (entry.name.endsWith(".json") && !entry.name.endsWith(".dbg.json")) {
+      abis.push(JSON.parse(fs.readFileSync(file, "utf8")).abi);
+    }
+  }
+  return abis;
+}
+
+let cached;
+
+// One Interface holding the custom errors of all contracts, read from the compiled artifacts
+function errorInterface() {
+  if (cached) return cached;
+  const seen = new Set();
+  const fragments = [];
+  for (const abi of contractAbis()) {
+    for (const entry of abi) {
+      if (entry.type !== "error") continue;
+      const signature = `${entry.name}(${entry.inputs.map((input) => input.type).join(",")})`;
+      if (!seen.has(signature)) fragments.push(entry);
+      seen.add(signature);
+    }
+  }
+  cached = new ethers.utils.Interface(fragments);
+  return cached;
+}
+
+/**
+ * The custom error a failed call, send or estimate reverted with: { name, signature, args }, or undefined.
+ * Looks through the nested errors providers wrap reverts in for the revert data, then falls back to the
+ * "reverted with custom error 'Name(...)'" message of the Hardhat network, which has no args.
+ */
+function decodeError(error, iface = errorInterface()) {
+  for (let e = error; e; e = e.error) {
+    const data = typeof e.data === "string" ? e.data : e.data?.data;
+    const builtin = data && BUILTIN_ERRORS[data.slice(0, 10)];
+    if (builtin) {
+      const args = ethers.utils.defaultAbiCoder.decode(builtin.types, ethers.utils.hexDataSlice(data, 4));
+      return { name: builtin.name, signature: builtin.signature, args };
+    }
+    if (data && data.length >= 10) {
+      try {
+        const parsed = iface.parseError(data);
+        return { name: parsed.name, signature: parsed.signature, args: parsed.args };
+      } catch (_) {
+        // Not one of ours, keep looking
+      }
+    }
+    const match = /custom error '(\w+)\(/.exec(e.message || "");
+    if (match) {
+      const fragment = Object.values(iface.errors).find((f) => f.name === match[1]);
+      return { name: match[1], signature: fragment?.format(), args: [] };
+    }
+  }
+  return undefined;
+}
+
+// Name of the custom error a failed call or send reverted with, if it can be found
+const errorName = (error, iface) => decodeError(error, iface)?.name;
+
+/**
+ * One line explaining a revert, e.g. "Voter__AlreadyVotedThisEpoch(): you already voted or reset this epoch;
+ * next epoch starts at 2026-10-22T00:00:00.000Z (in 2d 15h 47m)", or undefined when it is not a known revert.
+ * `now` (unix seconds) dates the hints, by default the local clock.
+ */
+function describeError(error, { now = Math.floor(Date.now() / 1000), iface } = {}) {
+  const decoded = decodeError(error, iface);
+  if (!decoded) return undefined;
+  const { name, args } = decoded;
+  const hint = HINTS[name]?.({ args, now });
+  const call = `${name}(${[...args].map(String).join(", ")})`;
+  return hint ? `${call}: ${hint}` : call;
+}
+
+module.exports = { HINTS, errorInterface, decodeError, errorName, describeError };
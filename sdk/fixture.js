@@ -0,0 +1,123 @@
+const hre = require("hardhat");
+const { HOUR, toUnits } = require("./units");
+
+// Deploys a complete system with mock tokens on the Hardhat network, for tests and local experiments
+
+const DEFAULT_TOKENS = {
+  underlying: ["Underlying Token", "UNDERLYING", 18],
+  revenueToken: ["Revenue Token", "WETH", 18],
+  paymentToken: ["Payment Token", "USDC", 6],
+};
+
+/**
+ * Deploys MockERC20 tokens, both factories, GovernanceToken, Voter (set on the GovernanceToken), RevenueRouter
+ * (set as the revenue source), Multicall and Lens, all owned by the first signer.
+ *   tokens           key => [name, symbol, decimals] of the mocks to deploy, merged into the defaults;
+ *                    `underlying` backs the GovernanceToken and `revenueToken` is what the Voter distributes
+ *   treasury         address or signer receiving revenue nobody votes for, defaults to the last signer
+ *   governanceToken  [name, symbol]
+ *   bribeSplit       basis points of each buy sent to the bribes, unset by default
+ *   strategies       addStrategy() options of strategies to add right away
+ * Returns the contracts and mocks by name (the mocks also under `tokens`), the added `strategies` and helpers:
+ *   addStrategy(options)            => { strategy, bribe, bribeRouter, paymentToken } addresses
+ *   stake(signer, amount, options)  approves and stakes the underlying token, minting it first with { mint: true }
+ *   flushRevenue(amount)            mints revenue token into the RevenueRouter and flushes it to the Voter
+ */
+async function deploySystem({
+  tokens: tokenSpecs = {},
+  treasury,
+  governanceToken: [name, symbol] = ["Staked Underlying", "sUNDER"],
+  bribeSplit,
+  strategies: strategySpecs = [],
+} = {}) {
+  const { ethers } = hre;
+  const signers = await ethers.getSigners();
+  const [owner] = signers;
+  const deploy = async (contract, ...args) => (await ethers.getContractFactory(contract)).deploy(...args);
+
+  const tokens = {};
+  for (const [key, args] of Object.entries({ ...DEFAULT_TOKENS, ...tokenSpecs })) {
+    tokens[key] = await deploy("MockERC20", ...args);
+  }
+  const treasuryAddress = treasury?.address || treasury || signers[signers.length - 1].address;
+
+  const bribeFactory = await deploy("BribeFactory");
+  const strategyFactory = await deploy("StrategyFactory");
+  const governanceToken = await deploy("GovernanceToken", tokens.underlying.address, name, symbol);
+  const voter = await deploy(
+    "Voter",
+    governanceToken.address,
+    tokens.revenueToken.address,
+    treasuryAddress,
+    bribeFactory.address,
+    strategyFactory.address
+  );
+  await governanceToken.setVoter(voter.address);
+  const revenueRouter = await deploy("RevenueRouter", tokens.revenueToken.address, voter.address);
+  await voter.setRevenueSource(revenueRouter.address);
+  const multicall = await deploy("Multicall", voter.address);
+  const lens = await deploy("Lens", voter.address);
+  if (bribeSplit !== undefined) await voter.setBribeSplit(bribeSplit);
+
+  /**
+   * Voter.addStrategy() with test defaults: paid in `paymentToken`, 100 whole payment tokens to start,
+   * one hour auctions doubling the price after each buy, and the treasury receiving payments.
+   */
+  async function addStrategy({
+    paymentToken = tokens.paymentToken,
+    paymentReceiver = treasuryAddress,
+    initPrice,
+    epochPeriod = HOUR,
+    priceMultiplier = "2",
+    minInitPrice,
+  } = {}) {
+    const token = paymentToken.address || paymentToken;
+    const decimals = await (await ethers.getContractAt("MockERC20", token)).decimals();
+    const price = toUnits(initPrice ?? "100", decimals);
+    const tx = await voter.addStrategy(
+      token,
+      paymentReceiver.address || paymentReceiver,
+      price,
+      epochPeriod,
+      toUnits(priceMultiplier, 18),
+      minInitPrice === undefined ? price : toUnits(minInitPrice, decimals)
+    );
+    const { args } = (await tx.wait()).events.find((e) => e.event === "Voter__StrategyAdded");
+    return { strategy: args.strategy, bribe: args.bribe, bribeRouter: args.bribeRouter, paymentToken: token };
+  }
+
+  async function stake(signer, amount, { mint = false } = {}) {
+    const value = toUnits(amount, await tokens.underlying.decimals());
+    if (mint) await tokens.underlying.mint(signer.address, value);
+    await tokens.underlying.connect(signer).approve(governanceToken.address, value);
+    return governanceToken.connect(signer).stake(value);
+  }
+
+  async function flushRevenue(amount) {
+    await tokens.revenueToken.mint(revenueRouter.address, toUnits(amount, await tokens.revenueToken.decimals()));
+    return revenueRouter.flush();
+  }
+
+  const strategies = [];
+  for (const spec of strategySpecs) strategies.push(await addStrategy(spec));
+
+  return {
+    owner,
+    treasury: treasuryAddress,
+    tokens,
+    ...tokens,
+    bribeFactory,
+    strategyFactory,
+    governanceToken,
+    voter,
+    revenueRouter,
+    multicall,
+    lens,
+    strategies,
+    addStrategy,
+    stake,
+    flushRevenue,
+  };
+}
+
+module.exports = { DEFAULT_TOKENS, deploySystem };
@@ -0,0 +1,16 @@
+// Liquid Signal JavaScript SDK: `require("./sdk")` from the repository root.
+//   units      time constants, toUnits / divDec / formatAmount / formatTime
+//   epoch      voting epoch math mirroring Voter.onlyNewEpoch
+//   errors     custom error decoding for every contract
+//   contracts  read helpers around Voter, Strategy, Bribe and Multicall
+//   signatures EIP-712 signed votes and resets for Voter.voteBySig / resetBySig
+//   fixture    deploySystem() for tests
+
+module.exports = {
+  ...require("./units"),
+  ...require("./epoch"),
+  ...require("./errors"),
+  ...require("./contracts"),
+  ...require("./signatures"),
+  ...require("./fixture"),
+};
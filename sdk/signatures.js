@@ -0,0 +1,74 @@
+const { ethers } = require("ethers");
+const { HOUR } = require("./units");
+
+// EIP-712 signatures for Voter.voteBySig and Voter.resetBySig: the account signs, anyone with ETH submits
+
+const VOTE_TYPES = {
+  Vote: [
+    { name: "account", type: "address" },
+    { name: "strategies", type: "address[]" },
+    { name: "weights", type: "uint256[]" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+const RESET_TYPES = {
+  Reset: [
+    { name: "account", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// The Voter's EIP-712 domain, as it reports it (EIP-5267)
+async function voterDomain(voter) {
+  const { name, version, chainId, verifyingContract } = await voter.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+// The account's next nonce and a deadline, `validFor` seconds after the latest block unless given
+async function signingParams(signer, voter, { nonce, deadline, validFor = HOUR }) {
+  const account = await signer.getAddress();
+  return {
+    account,
+    nonce: String(nonce ?? (await voter.nonces(account))),
+    deadline: String(deadline ?? (await voter.provider.getBlock("latest")).timestamp + validFor),
+  };
+}
+
+function withSignature(message, signature) {
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return { ...message, signature, v, r, s };
+}
+
+/**
+ * Signs a vote of `signer` for `strategies` with relative `weights`, to be sent with relayVote by anyone.
+ * Resolves with a JSON-friendly { account, strategies, weights, nonce, deadline, signature, v, r, s }; numbers
+ * are decimal strings. `nonce` defaults to the account's next one, `deadline` to `validFor` (1 hour) from now.
+ */
+async function signVote(signer, voter, { strategies, weights, nonce, deadline, validFor } = {}) {
+  const params = await signingParams(signer, voter, { nonce, deadline, validFor });
+  const message = { ...params, strategies, weights: weights.map(String) };
+  const signature = await signer._signTypedData(await voterDomain(voter), VOTE_TYPES, message);
+  return withSignature(message, signature);
+}
+
+// Signs a reset of `signer`'s votes, to be sent with relayReset. Options and result as for signVote.
+async function signReset(signer, voter, { nonce, deadline, validFor } = {}) {
+  const message = await signingParams(signer, voter, { nonce, deadline, validFor });
+  const signature = await signer._signTypedData(await voterDomain(voter), RESET_TYPES, message);
+  return withSignature(message, signature);
+}
+
+// Submits a signed vote from `voter`'s signer, who pays the gas
+function relayVote(voter, { account, strategies, weights, deadline, v, r, s }) {
+  return voter.voteBySig(account, strategies, weights, deadline, v, r, s);
+}
+
+// Submits a signed reset from `voter`'s signer, who pays the gas
+function relayReset(voter, { account, deadline, v, r, s }) {
+  return voter.resetBySig(account, deadline, v, r, s);
+}
+
+module.exports = { VOTE_TYPES, RESET_TYPES, voterDomain, signVote, signReset, relayVote, relayReset };
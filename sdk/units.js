@@ -0,0 +1,51 @@
+const { ethers } = require("ethers");
+
+// Time constants and token amount helpers
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// "1.5" whole tokens => raw integer amount for a token with `decimals`; numbers and BigNumbers pass through as raw
+const toUnits = (amount, decimals = 18) =>
+  typeof amount === "string" ? ethers.utils.parseUnits(amount, decimals) : ethers.BigNumber.from(amount);
+
+// Raw integer amount => JavaScript number of whole tokens, for display and approximate math only
+const divDec = (amount, decimals = 18) => {
+  if (!amount) return 0;
+  return Number(amount) / 10 ** decimals;
+};
+
+/**
+ * Raw integer amount => whole tokens as a string, exact unless `precision` rounds it down to that many decimals.
+ * formatAmount(1234567, 6, { symbol: "USDC", precision: 2 }) === "1.23 USDC"
+ */
+function formatAmount(amount, decimals = 18, { symbol, precision } = {}) {
+  let text = ethers.utils.formatUnits(amount || 0, decimals);
+  if (precision !== undefined) {
+    const [whole, fraction = ""] = text.split(".");
+    text = precision > 0 ? `${whole}.${fraction.padEnd(precision, "0").slice(0, precision)}` : whole;
+  }
+  return symbol ? `${text} ${symbol}` : text;
+}
+
+const formatTime = (seconds) => {
+  if (seconds <= 0) return "0s";
+  const days = Math.floor(seconds / DAY);
+  const hours = Math.floor((seconds % DAY) / HOUR);
+  const mins = Math.floor((seconds % HOUR) / 60);
+  const secs = Math.floor(seconds % 60);
+
+  const parts = [];
+  if (days > 0) parts.push(`${days}d`);
+  if (hours > 0) parts.push(`${hours}h`);
+  if (mins > 0) parts.push(`${mins}m`);
+  if (secs > 0 && days === 0) parts.push(`${secs}s`);
+  return parts.join(" ") || "0s";
+};
+
+// Unix time => "2026-10-22T00:00:00.000Z (in 2d 15h 47m)", counting from `now`
+const formatWhen = (timestamp, now) =>
+  `${new Date(timestamp * 1000).toISOString()} (in ${formatTime(Math.max(0, timestamp - now))})`;
+
+module.exports = { HOUR, DAY, WEEK, toUnits, divDec, formatAmount, formatTime, formatWhen };
@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { STRATEGY_BOUNDS, createAuction } = require("../scripts/lib/auction");
+const { loadSeries, expandGrid, loadConfig, backtest, summarize, runBacktests, renderBacktests } = require("../scripts/lib/backtest");
+const { parseOptions } = require("../scripts/backtest");
+const { DAY, deploySystem } = require("../sdk");
+const { DONUT_SYSTEM } = require("./helpers");
+
+describe("Auction Backtester", function () {
+    let owner, buyer, treasury;
+    let revenueToken, usdc, big;
+    let voter;
+
+    const WETH = { symbol: "WETH", decimals: 18 };
+    const USDC = { symbol: "USDC", decimals: 6 };
+
+    async function addStrategy(paymentToken, initPrice, epochPeriod, priceMultiplier, minInitPrice) {
+        const tx = await voter.addStrategy(paymentToken.address, treasury.address, initPrice, epochPeriod, priceMultiplier, minInitPrice);
+        const receipt = await tx.wait();
+        const address = receipt.events.find((e) => e.event === "Voter__StrategyAdded").args.strategy;
+        const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+        return {
+            strategy: await ethers.getContractAt("Strategy", address),
+            auction: createAuction({ initPrice, epochPeriod, priceMultiplier, minInitPrice, startTime: timestamp }),
+        };
+    }
+
+    async function mineAt(timestamp) {
+        await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        await network.provider.send("evm_mine");
+    }
+
+    // Buys at `timestamp` on the contract and in the model, then checks both ended up in the same state
+    async function buyBoth({ strategy, auction }, paymentToken, timestamp, revenue) {
+        await revenueToken.mint(strategy.address, revenue);
+        await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        const tx = await strategy
+            .connect(buyer)
+            .buy(buyer.address, await strategy.epochId(), timestamp + 60, ethers.constants.MaxUint256);
+        const event = (await tx.wait()).events.find((e) => e.event === "Strategy__Buy");
+        const modeled = auction.buy(timestamp, revenue);
+
+        expect(event.args.paymentAmount).to.equal(modeled.paymentAmount);
+        expect(event.args.revenueAmount).to.equal(modeled.revenueAmount);
+        expect(await strategy.epochId()).to.equal(auction.epochId);
+        expect(await strategy.initPrice()).to.equal(auction.initPrice);
+        expect(await strategy.startTime()).to.equal(auction.startTime);
+        return modeled;
+    }
+
+    before(async function () {
+        [owner, buyer, treasury] = await ethers.getSigners();
+
+        ({ revenueToken, paymentToken: usdc, big, voter } = await deploySystem({
+            ...DONUT_SYSTEM,
+            tokens: { ...DONUT_SYSTEM.tokens, big: ["Big", "BIG", 18] },
+            treasury,
+            bribeSplit: 2000,
+        }));
+
+        for (const token of [usdc, big]) {
+            await token.mint(buyer.address, ethers.constants.MaxUint256.div(2));
+            await token.connect(buyer).approve(voter.address, ethers.constants.MaxUint256);
+        }
+    });
+
+    it("should match the contract's price curve and buys", async function () {
+        const pair = await addStrategy(usdc, 1000e6, DAY, ethers.utils.parseEther("1.2"), 1000e6);
+        await usdc.connect(buyer).approve(pair.strategy.address, ethers.constants.MaxUint256);
+
+        // Points along the first epoch's decay, including its last second and past the end
+        const start = pair.auction.startTime;
+        for (const offset of [5, 777, DAY / 2, DAY - 1, DAY, DAY + 1]) {
+            await mineAt(start + offset);
+            expect(await pair.strategy.getPrice()).to.equal(pair.auction.getPrice(start + offset));
+        }
+
+        // Past the epoch period the price is 0 and the next init price falls back to minInitPrice
+        const expired = await buyBoth(pair, usdc, start + DAY + 100, ethers.utils.parseEther("1"));
+        expect(expired.paymentAmount).to.equal(0);
+        expect(pair.auction.initPrice).to.equal(1000e6);
+
+        // Odd offsets exercise the rounding of the decay and of the multiplier
+        let time = pair.auction.startTime;
+        for (const offset of [2, 4321, 59999, 3, 86399]) {
+            time += offset;
+            await buyBoth(pair, usdc, time, ethers.utils.parseEther("0.3"));
+        }
+        expect(pair.auction.epochId).to.equal(6);
+
+        // timeAtPrice is the first second the contract's price is at or below the target
+        const target = pair.auction.initPrice.mul(2).div(3);
+        const at = pair.auction.timeAtPrice(target);
+        await mineAt(at - 1);
+        expect((await pair.strategy.getPrice()).gt(target)).to.equal(true);
+        await mineAt(at);
+        expect((await pair.strategy.getPrice()).lte(target)).to.equal(true);
+    });
+
+    it("should clamp the next init price at ABS_MAX_INIT_PRICE like the contract", async function () {
+        const max = STRATEGY_BOUNDS.ABS_MAX_INIT_PRICE;
+        const pair = await addStrategy(big, max, 3600, ethers.utils.parseEther("3"), 1e6);
+        await big.connect(buyer).approve(pair.strategy.address, ethers.constants.MaxUint256);
+
+        const first = await buyBoth(pair, big, pair.auction.startTime + 10, ethers.utils.parseEther("1"));
+        expect(first.paymentAmount.mul(3).gt(max)).to.equal(true);
+        expect(pair.auction.initPrice).to.equal(max);
+
+        // Below the clamp the multiplier applies as usual
+        const second = await buyBoth(pair, big, pair.auction.startTime + 3000, ethers.utils.parseEther("1"));
+        expect(pair.auction.initPrice).to.equal(second.paymentAmount.mul(3));
+    });
+
+    it("should reject the same parameters as the Strategy constructor", async function () {
+        const valid = { initPrice: 1000e6, epochPeriod: DAY, priceMultiplier: ethers.utils.parseEther("1.2"), minInitPrice: 1000e6 };
+        for (const [change, error] of [
+            [{ initPrice: 999e6 }, "Strategy__InitPriceBelowMin"],
+            [{ initPrice: STRATEGY_BOUNDS.ABS_MAX_INIT_PRICE.add(1) }, "Strategy__InitPriceExceedsMax"],
+            [{ epochPeriod: 3599 }, "Strategy__EpochPeriodBelowMin"],
+            [{ epochPeriod: 365 * DAY + 1 }, "Strategy__EpochPeriodExceedsMax"],
+            [{ priceMultiplier: ethers.utils.parseEther("1.09") }, "Strategy__PriceMultiplierBelowMin"],
+            [{ priceMultiplier: ethers.utils.parseEther("3.01") }, "Strategy__PriceMultiplierExceedsMax"],
+            [{ initPrice: 1e6, minInitPrice: 1e6 - 1 }, "Strategy__MinInitPriceBelowMin"],
+        ]) {
+            const params = { ...valid, ...change };
+            expect(() => createAuction({ ...params, startTime: 0 })).to.throw(error);
+            try {
+                await addStrategy(usdc, params.initPrice, params.epochPeriod, params.priceMultiplier, params.minInitPrice);
+                expect.fail("should have thrown");
+            } catch (error_) {
+                expect(error_.message).to.include(error);
+            }
+        }
+    });
+
+    it("should report discounts, durations and revenue realized", async function () {
+        // 1 WETH = 2000 USDC. The buyer wants 20% off.
+        const params = { initPrice: 2000e6, epochPeriod: 3600, priceMultiplier: ethers.utils.parseEther("2"), minInitPrice: 1000e6 };
+        const result = backtest({
+            params,
+            revenueToken: WETH,
+            paymentToken: USDC,
+            revenue: [
+                { time: 0, amount: ethers.utils.parseEther("1") },
+                { time: 18000, amount: ethers.utils.parseEther("1") },
+                { time: 19800, amount: ethers.utils.parseEther("0.4") },
+            ],
+            prices: [{ time: 0, price: ethers.utils.parseEther("2000") }],
+            buyer: { minDiscountBps: 2000 },
+            end: 36000,
+        });
+
+        // Waits 12 minutes for 1600 USDC; the 4.8 hour gap lets the next auction run to 0; the price had already passed the
+        // 640 USDC target when the last 0.4 WETH arrived
+        expect(result.buys.map((b) => [b.time, b.duration, b.paymentAmount.toNumber(), b.discountBps])).to.deep.equal([
+            [720, 720, 1600e6, 2000],
+            [18000, 17280, 0, 10000],
+            [19800, 1800, 500e6, 3750],
+        ]);
+        expect(result.unsold).to.equal(0);
+
+        const summary = summarize(result, params);
+        expect(summary.buys).to.equal(3);
+        expect(summary.realized).to.equal(2100e6);
+        expect(summary.marketValue).to.equal(4800e6);
+        expect(summary.averageDiscountBps).to.equal(5250);
+        expect(summary.weightedDiscountBps).to.equal(5625);
+        expect(summary.duration).to.deep.equal({ min: 720, p25: 720, median: 1800, p75: 17280, max: 17280 });
+        expect(summary.expired).to.equal(1);
+
+        // Revenue that arrives before any price is known stays unsold
+        const unpriced = backtest({
+            params,
+            revenueToken: WETH,
+            paymentToken: USDC,
+            revenue: [{ time: 0, amount: ethers.utils.parseEther("1") }],
+            prices: [{ time: 100, price: ethers.utils.parseEther("2000") }],
+            buyer: { minDiscountBps: 9999 },
+        });
+        expect(unpriced.buys).to.have.length(0);
+        expect(unpriced.unsold).to.equal(ethers.utils.parseEther("1"));
+        expect(unpriced.unsoldValue).to.equal(2000e6);
+    });
+
+    it("should load configs, series and parameter grids", async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backtest-"));
+        fs.writeFileSync(path.join(dir, "inflows.csv"), "# WETH per hour\ntime,amount\n2025-06-02T01:00:00Z,0.5\n1748822400,1\n");
+        fs.writeFileSync(path.join(dir, "prices.json"), JSON.stringify([{ time: 1748822400, price: "2500.5" }]));
+        fs.writeFileSync(
+            path.join(dir, "config.json"),
+            JSON.stringify({
+                revenueToken: WETH,
+                paymentToken: USDC,
+                revenue: "inflows.csv",
+                prices: "prices.json",
+                buyer: { minDiscount: "1%", minProfit: "2 USDC" },
+                parameters: [{ name: "too short", initPrice: "1000 USDC", epochPeriod: "30m", priceMultiplier: "2x", minInitPrice: "1000 USDC" }],
+                grid: { initPrice: ["1000 USDC"], epochPeriod: ["12h", "1 day"], priceMultiplier: ["1.2x"], minInitPrice: ["1000 USDC"] },
+            })
+        );
+
+        const config = loadConfig(path.join(dir, "config.json"));
+        expect(config.revenue.map((r) => [r.time, r.amount.toString()])).to.deep.equal([
+            [1748822400, ethers.utils.parseEther("1").toString()],
+            [1748826000, ethers.utils.parseEther("0.5").toString()],
+        ]);
+        expect(config.prices[0].price).to.equal(ethers.utils.parseEther("2500.5"));
+        expect(config.buyer).to.deep.equal({ minDiscountBps: 100, minProfit: ethers.BigNumber.from(2e6) });
+        expect(config.parameterSets.map((p) => [p.name, p.epochPeriod])).to.deep.equal([
+            ["too short", 1800],
+            ["1000 USDC / 12h / 1.2x / 1000 USDC", 43200],
+            ["1000 USDC / 1 day / 1.2x / 1000 USDC", 86400],
+        ]);
+
+        const runs = runBacktests(config);
+        expect(runs[0].error).to.equal("Strategy__EpochPeriodBelowMin");
+        expect(runs[1].summary.buys).to.be.greaterThan(0);
+        const rendered = renderBacktests(runs, config);
+        expect(rendered).to.include("Realized USDC");
+        expect(rendered).to.match(/too short +invalid parameters: Strategy__EpochPeriodBelowMin/);
+
+        expect(expandGrid({ initPrice: [1, 2], epochPeriod: [3, 4], priceMultiplier: [5], minInitPrice: [6] })).to.have.length(4);
+        for (const [run, message] of [
+            [() => expandGrid({ initPrice: [1] }), "grid.epochPeriod must be a non-empty array"],
+            [() => loadSeries([{ time: "soon", amount: "1" }], "amount"), 'Invalid time "soon"'],
+            [() => loadSeries([{ time: 1 }], "price"), 'has no "price"'],
+            [() => parseOptions([], {}), "--config <file>"],
+        ]) {
+            expect(run).to.throw(message);
+        }
+        expect(parseOptions([], { BACKTEST_CONFIG: "c.json" })).to.deep.equal({ config: "c.json", json: undefined });
+
+        // The example config in the repo loads
+        expect(loadConfig(path.join(__dirname, "../backtests/usdc-buyback.json")).parameterSets).to.have.length(7);
+        fs.rmSync(dir, { recursive: true });
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, DAY, WEEK } = require("../sdk");
 
 /**
  * Test to analyze the bribe precision issue with low-decimal tokens like cbBTC (8 decimals)
@@ -15,10 +16,6 @@ describe("Bribe Precision Analysis", function () {
     let owner, voter, user1, user2;
     let bribe, rewardToken;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const DAY = 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
     beforeEach(async function () {
         [owner, voter, user1, user2] = await ethers.getSigners();
 
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, DAY, WEEK } = require("../sdk");
 
 /**
  * Comprehensive Business Logic Tests
@@ -17,10 +18,6 @@ describe("Business Logic Tests", function () {
     let underlying, revenueToken, paymentToken, paymentToken2;
     let governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const DAY = 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, user3, treasury, buyer1, buyer2] = await ethers.getSigners();
 
@@ -556,18 +553,24 @@ describe("Business Logic Tests", function () {
     // ==================== GOVERNANCE TOKEN EDGE CASES ====================
 
     describe("GovernanceToken Edge Cases", function () {
-        it("should allow changing voter (for emergency reset)", async function () {
+        it("should only change voter through an explicit migration", async function () {
             // Create fresh governance token
             const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
             const newGovToken = await GovernanceToken.deploy(underlying.address, "Test", "TEST");
 
             await newGovToken.setVoter(user1.address);
-            await newGovToken.setVoter(user2.address);
+            await expect(newGovToken.setVoter(user2.address)).to.be.revertedWith("GovernanceToken__VoterAlreadySet");
+
+            await expect(newGovToken.migrateVoter(user2.address))
+                .to.emit(newGovToken, "GovernanceToken__VoterMigrated")
+                .withArgs(user1.address, user2.address);
             expect(await newGovToken.voter()).to.equal(user2.address);
+            expect(await newGovToken.getVoters()).to.deep.equal([user1.address, user2.address]);
 
-            // Can also reset to address(0) to open withdrawals
-            await newGovToken.setVoter(ethers.constants.AddressZero);
-            expect(await newGovToken.voter()).to.equal(ethers.constants.AddressZero);
+            // address(0) can no longer open withdrawals
+            await expect(newGovToken.migrateVoter(ethers.constants.AddressZero)).to.be.revertedWith(
+                "GovernanceToken__InvalidZeroAddress"
+            );
         });
 
         it("should allow unstaking when voter is not set", async function () {
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { quoteAuction, revertName, createBuyer, renderResults } = require("../scripts/lib/buyer");
+const { jsonPriceSource, oraclePriceSource } = require("../scripts/lib/prices");
+const { parseOptions } = require("../scripts/buyer");
+const { HOUR } = require("../sdk");
+const { DONUT_SYSTEM, DAILY_AUCTION, deployStaked } = require("./helpers");
+
+describe("Auction Buyer", function () {
+    let owner, buyerSigner, rival, user1, user2, treasury;
+    let underlying, revenueToken, paymentToken;
+    let governanceToken, voter, revenueRouter, multicall, oracle;
+    let strategy1, strategy2;
+
+    const usdc = (amount) => ethers.utils.parseUnits(amount, 6);
+    // 1 USDC = 0.01 ETH, so 1 WETH is worth 100 USDC
+    const PRICES = { USDC: "0.01" };
+
+    function buyer(options = {}) {
+        return createBuyer({
+            signer: buyerSigner,
+            voter,
+            multicall,
+            prices: jsonPriceSource(PRICES),
+            names: { [strategy1.toLowerCase()]: "Alpha", [strategy2.toLowerCase()]: "Beta" },
+            only: ["Alpha"],
+            gasLimit: 0,
+            retryDelay: 0,
+            ...options,
+        });
+    }
+
+    async function overview(strategy) {
+        return multicall.getStrategyOverview(strategy);
+    }
+
+    async function now() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    before(async function () {
+        [owner, buyerSigner, rival, user1, user2, treasury] = await ethers.getSigners();
+
+        const daily = { ...DAILY_AUCTION, initPrice: "200" };
+        const system = await deployStaked({ ...DONUT_SYSTEM, treasury, strategies: [daily, daily] }, [
+            [user1, "3000"],
+            [user2, "1000"],
+        ]);
+        ({ underlying, revenueToken, paymentToken, governanceToken, voter, revenueRouter, multicall } = system);
+        [strategy1, strategy2] = system.strategies.map((s) => s.strategy);
+        oracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy();
+        await voter.connect(user1).vote([strategy1], [1]);
+        await voter.connect(user2).vote([strategy2], [1]);
+
+        for (const account of [buyerSigner, rival]) {
+            await paymentToken.mint(account.address, usdc("10000"));
+        }
+        await paymentToken.connect(rival).approve(multicall.address, ethers.constants.MaxUint256);
+    });
+
+    it("should compute the break-even price and when the auction reaches it", async function () {
+        // Strategy1 holds 3/4 of the votes: 1 WETH in the router is 0.75 WETH for it, worth 75 USDC
+        await revenueToken.mint(revenueRouter.address, ethers.utils.parseEther("1"));
+
+        const s = await overview(strategy1);
+        const quote = quoteAuction(s, { paymentPrice: ethers.utils.parseEther("0.01"), now: await now() });
+        expect(quote.revenue).to.equal(ethers.utils.parseEther("0.75"));
+        expect(quote.revenueValue).to.equal(ethers.utils.parseEther("0.75"));
+        expect(quote.breakEven).to.equal(usdc("75"));
+        expect(quote.price.gt(quote.breakEven)).to.equal(true);
+        expect(quote.secondsUntilBreakEven).to.be.greaterThan(0);
+
+        // Gas and minimum profit lower the break-even price
+        const tighter = quoteAuction(s, {
+            paymentPrice: ethers.utils.parseEther("0.01"),
+            gasCost: ethers.utils.parseEther("0.05"),
+            minProfit: ethers.utils.parseEther("0.2"),
+            now: await now(),
+        });
+        expect(tighter.breakEven).to.equal(usdc("50"));
+        expect(quoteAuction(s, { paymentPrice: ethers.utils.parseEther("0.01"), gasCost: ethers.utils.parseEther("1"), now: await now() }).breakEven).to.equal(null);
+
+        // The contract's price crosses break-even exactly when predicted
+        const strategy = await ethers.getContractAt("contracts/Strategy.sol:Strategy", strategy1);
+        const crossing = (await now()) + quote.secondsUntilBreakEven;
+        await ethers.provider.send("evm_setNextBlockTimestamp", [crossing - 1]);
+        await ethers.provider.send("evm_mine", []);
+        expect((await strategy.getPrice()).gt(quote.breakEven)).to.equal(true);
+        await ethers.provider.send("evm_mine", []);
+        expect((await strategy.getPrice()).lte(quote.breakEven)).to.equal(true);
+    });
+
+    it("should wait while the price is above break-even and buy once it is below", async function () {
+        // At 0.02 ETH per USDC the break-even halves to 37.5 USDC, below the current price
+        const trades = [];
+        const strict = buyer({ prices: jsonPriceSource({ USDC: "0.02" }), onTrade: (t) => trades.push(t) });
+        let results = await strict.tick();
+        expect(results).to.have.length(1);
+        expect(results[0].buy).to.equal(false);
+        expect(results[0].reason).to.match(/^waiting: price [\d.]+ USDC above break-even 37\.5 USDC, ~\d+s$/);
+
+        await ethers.provider.send("evm_increaseTime", [results[0].quote.secondsUntilBreakEven]);
+        await ethers.provider.send("evm_mine", []);
+
+        const before = await revenueToken.balanceOf(buyerSigner.address);
+        results = await strict.tick();
+        const [result] = results;
+        expect(result.reason).to.equal("bought");
+        expect(trades).to.deep.equal([result.trade]);
+
+        const { trade } = result;
+        expect(trade.revenueAmount).to.equal(ethers.utils.parseEther("0.75").toString());
+        expect((await revenueToken.balanceOf(buyerSigner.address)).sub(before)).to.equal(trade.revenueAmount);
+        expect(ethers.BigNumber.from(trade.paymentAmount).lte(usdc("37.5"))).to.equal(true);
+        expect(trade.epochId).to.equal("0");
+
+        // profit = 0.75 ETH of WETH - payment at 0.02 ETH/USDC - gas actually paid
+        const paymentValue = ethers.BigNumber.from(trade.paymentAmount).mul(ethers.utils.parseEther("0.02")).div(usdc("1"));
+        expect(trade.paymentValue).to.equal(paymentValue.toString());
+        expect(trade.profit).to.equal(
+            ethers.utils.parseEther("0.75").sub(paymentValue).sub(trade.gasCost).toString()
+        );
+        expect(ethers.BigNumber.from(trade.gasCost).gt(0)).to.equal(true);
+
+        // Only what the buy needed was approved and nothing is left with the Multicall
+        expect(await paymentToken.balanceOf(multicall.address)).to.equal(0);
+        expect(renderResults(results)).to.include(`bought 0.75 WETH for ${ethers.utils.formatUnits(trade.paymentAmount, 6)} USDC`);
+    });
+
+    it("should skip strategies without a price, revenue or enough balance", async function () {
+        let [result] = await buyer({ prices: jsonPriceSource({}) }).tick();
+        expect(result.reason).to.equal("no price for USDC");
+
+        [result] = await buyer().tick();
+        expect(result.reason).to.equal("no revenue to buy");
+
+        // 75 WETH for strategy1 is worth 7500 USDC, far above the restarted auction price
+        await revenueToken.mint(revenueRouter.address, ethers.utils.parseEther("100"));
+        const poor = createBuyer({
+            signer: rival,
+            voter,
+            multicall,
+            prices: jsonPriceSource(PRICES),
+            only: [strategy1],
+            retryDelay: 0,
+        });
+        const balance = await paymentToken.balanceOf(rival.address);
+        await paymentToken.connect(rival).transfer(owner.address, balance);
+        [result] = await poor.tick();
+        expect(result.quote.price.gt(0)).to.equal(true);
+        expect(result.buy).to.equal(false);
+        expect(result.reason).to.equal("insufficient USDC balance");
+        await paymentToken.connect(owner).transfer(rival.address, balance);
+    });
+
+    it("should plan without sending in dry-run mode", async function () {
+        const nonce = await buyerSigner.getTransactionCount();
+        const [result] = await buyer({ dryRun: true }).tick();
+        expect(result.buy).to.equal(false);
+        expect(result.reason).to.match(/^dry run: would buy, price [\d.]+ USDC at or below break-even 7500\.0 USDC$/);
+        expect(await buyerSigner.getTransactionCount()).to.equal(nonce);
+    });
+
+    it("should give up on an epoch another buyer took first", async function () {
+        const bot = buyer();
+        const plan = await bot.plan();
+        expect(plan[0].buy).to.equal(true);
+
+        const s = await overview(strategy1);
+        await multicall.connect(rival).distributeAndBuy(strategy1, s.epochId, (await now()) + HOUR, usdc("1000"));
+
+        const [result] = await bot.execute(plan);
+        expect(result.buy).to.equal(false);
+        expect(result.trade).to.equal(null);
+        expect(result.reason).to.equal(`lost epoch ${s.epochId} to another buyer`);
+
+        // The next plan sees the new epoch
+        const [next] = await bot.plan();
+        expect(next.epochId).to.equal(s.epochId.add(1));
+    });
+
+    it("should read prices from an oracle contract", async function () {
+        const prices = oraclePriceSource(oracle);
+        expect(await prices({ address: paymentToken.address })).to.equal(undefined);
+        await oracle.setPrice(paymentToken.address, ethers.utils.parseEther("0.01"));
+        expect(await prices({ address: paymentToken.address })).to.equal(ethers.utils.parseEther("0.01"));
+
+        await revenueToken.mint(revenueRouter.address, ethers.utils.parseEther("1"));
+        const [result] = await buyer({ prices }).plan();
+        expect(result.quote.breakEven).to.equal(usdc("75"));
+    });
+
+    it("should name custom errors from revert data or messages", async function () {
+        const strategy = await ethers.getContractAt("contracts/Strategy.sol:Strategy", strategy1);
+        const data = strategy.interface.encodeErrorResult("Strategy__EpochIdMismatch", []);
+        expect(revertName({ error: { data } }, strategy.interface)).to.equal("Strategy__EpochIdMismatch");
+        expect(revertName({ error: { error: { data: { data } } } }, strategy.interface)).to.equal("Strategy__EpochIdMismatch");
+        expect(
+            revertName(new Error("reverted with custom error 'Strategy__DeadlinePassed()'"), strategy.interface)
+        ).to.equal("Strategy__DeadlinePassed");
+        expect(revertName(new Error("execution reverted"), strategy.interface)).to.equal(undefined);
+    });
+
+    it("should parse command line options with env fallbacks", async function () {
+        const options = parseOptions(["--prices", "p.json", "--once", "--min-profit=0.05"], { BUYER_SLIPPAGE_BPS: "100" });
+        expect(options).to.include({
+            prices: "p.json",
+            once: true,
+            dryRun: false,
+            minProfit: "0.05",
+            slippageBps: 100,
+            deadline: 120,
+            interval: 15,
+            approveMax: false,
+        });
+
+        for (const [argv, message] of [
+            [[], "Pass exactly one price source"],
+            [["--prices", "p.json", "--oracle", oracle.address], "Pass exactly one price source"],
+            [["--oracle", "0x1234"], 'Invalid --oracle "0x1234"'],
+            [["--prices", "p.json", "--slippage-bps", "0.5"], 'Invalid --slippage-bps "0.5"'],
+        ]) {
+            try {
+                parseOptions(argv, {});
+                expect.fail("parseOptions should have thrown");
+            } catch (error) {
+                expect(error.message).to.include(message);
+            }
+        }
+    });
+});
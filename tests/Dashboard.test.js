@@ -1,5 +1,21 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, WEEK, divDec, formatTime } = require("../sdk");
+const { DONUT_SYSTEM, DAILY_AUCTION, deployStaked } = require("./helpers");
+const {
+    buildSnapshot,
+    snapshotRows,
+    renderText,
+    renderJson,
+    renderCsv,
+    renderMarkdown,
+    render,
+    diffSnapshots,
+    createWatcher,
+    renderChanges,
+    renderUpdate,
+} = require("../scripts/lib/dashboard");
+const { parseFormat, parseWatch } = require("../scripts/dashboard");
 
 describe("Dashboard Integration Test", function () {
     let owner, user1, user2, treasury;
@@ -8,105 +24,41 @@ describe("Dashboard Integration Test", function () {
     let multicall;
     let strategy1, strategy2, bribeRouter1, bribeRouter2;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
-    // Dashboard helper functions
-    const divDec = (amount, decimals = 18) => {
-        if (!amount) return 0;
-        return Number(amount) / 10 ** decimals;
-    };
-
-    const formatTime = (seconds) => {
-        if (seconds <= 0) return "0s";
-        const days = Math.floor(seconds / 86400);
-        const hours = Math.floor((seconds % 86400) / 3600);
-        const mins = Math.floor((seconds % 3600) / 60);
-        const secs = Math.floor(seconds % 60);
-
-        const parts = [];
-        if (days > 0) parts.push(`${days}d`);
-        if (hours > 0) parts.push(`${hours}h`);
-        if (mins > 0) parts.push(`${mins}m`);
-        if (secs > 0 && days === 0) parts.push(`${secs}s`);
-        return parts.join(" ") || "0s";
-    };
-
     before(async function () {
         [owner, user1, user2, treasury] = await ethers.getSigners();
 
-        // Deploy mock tokens
-        const MockERC20 = await ethers.getContractFactory("MockERC20");
-        underlying = await MockERC20.deploy("DONUT", "DONUT", 18);
-        revenueToken = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
-        paymentToken = await MockERC20.deploy("USD Coin", "USDC", 6);
-        paymentToken2 = await MockERC20.deploy("Coinbase BTC", "cbBTC", 8);
-
-        // Deploy factories
-        const BribeFactory = await ethers.getContractFactory("BribeFactory");
-        bribeFactory = await BribeFactory.deploy();
-
-        const StrategyFactory = await ethers.getContractFactory("StrategyFactory");
-        strategyFactory = await StrategyFactory.deploy();
-
-        // Deploy GovernanceToken
-        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
-        governanceToken = await GovernanceToken.deploy(underlying.address, "Governance DONUT", "gDONUT");
-
-        // Deploy Voter
-        const Voter = await ethers.getContractFactory("Voter");
-        voter = await Voter.deploy(
-            governanceToken.address,
-            revenueToken.address,
-            treasury.address,
-            bribeFactory.address,
-            strategyFactory.address
+        // Core system with a 20% bribe split, user1 and user2 staked
+        const system = await deployStaked(
+            {
+                ...DONUT_SYSTEM,
+                tokens: { ...DONUT_SYSTEM.tokens, paymentToken2: ["Coinbase BTC", "cbBTC", 8] },
+                treasury,
+                bribeSplit: 2000,
+                strategies: [DAILY_AUCTION],
+            },
+            [
+                [user1, "10000"],
+                [user2, "5000"],
+            ]
         );
+        ({ underlying, revenueToken, paymentToken, paymentToken2, governanceToken, voter } = system);
+        ({ bribeFactory, strategyFactory, revenueRouter, multicall } = system);
+        ({ strategy: strategy1, bribeRouter: bribeRouter1 } = system.strategies[0]);
 
-        // Set voter on governance token
-        await governanceToken.setVoter(voter.address);
-
-        // Deploy RevenueRouter
-        const RevenueRouter = await ethers.getContractFactory("RevenueRouter");
-        revenueRouter = await RevenueRouter.deploy(revenueToken.address, voter.address);
-        await voter.setRevenueSource(revenueRouter.address);
-
-        // Set bribe split
-        await voter.setBribeSplit(2000); // 20%
-
-        // Deploy Multicall
-        const Multicall = await ethers.getContractFactory("Multicall");
-        multicall = await Multicall.deploy(voter.address);
-
-        // Create strategies
-        const initPrice1 = ethers.utils.parseUnits("100", 6);
-        let tx = await voter.addStrategy(paymentToken.address, treasury.address, initPrice1, HOUR * 24, ethers.utils.parseEther("1.2"), initPrice1);
-        let receipt = await tx.wait();
-        let event = receipt.events.find(e => e.event === "Voter__StrategyAdded");
-        strategy1 = event.args.strategy;
-        bribeRouter1 = event.args.bribeRouter;
-
-        const initPrice2 = ethers.utils.parseUnits("0.01", 8);
-        tx = await voter.addStrategy(paymentToken2.address, treasury.address, initPrice2, HOUR * 24, ethers.utils.parseEther("1.2"), initPrice2);
-        receipt = await tx.wait();
-        event = receipt.events.find(e => e.event === "Voter__StrategyAdded");
-        strategy2 = event.args.strategy;
-        bribeRouter2 = event.args.bribeRouter;
+        // A second strategy paid in cbBTC
+        ({ strategy: strategy2, bribeRouter: bribeRouter2 } = await system.addStrategy({
+            ...DAILY_AUCTION,
+            paymentToken: paymentToken2,
+            initPrice: "0.01",
+        }));
 
         // Mint tokens
-        await underlying.mint(user1.address, ethers.utils.parseEther("10000"));
-        await underlying.mint(user2.address, ethers.utils.parseEther("5000"));
         await revenueToken.mint(owner.address, ethers.utils.parseEther("1000"));
         await paymentToken.mint(user1.address, ethers.utils.parseUnits("100000", 6));
         await paymentToken2.mint(user1.address, ethers.utils.parseUnits("10", 8));
 
-        // Users stake and vote
-        await underlying.connect(user1).approve(governanceToken.address, ethers.utils.parseEther("10000"));
-        await governanceToken.connect(user1).stake(ethers.utils.parseEther("10000"));
+        // Users vote
         await voter.connect(user1).vote([strategy1, strategy2], [70, 30]);
-
-        await underlying.connect(user2).approve(governanceToken.address, ethers.utils.parseEther("5000"));
-        await governanceToken.connect(user2).stake(ethers.utils.parseEther("5000"));
         await voter.connect(user2).vote([strategy1], [100]);
 
         // Send revenue
@@ -116,126 +68,9 @@ describe("Dashboard Integration Test", function () {
     it("should display full dashboard", async function () {
         // Fetch all data in one call
         const [system, strategies] = await multicall.getFullSystemView();
-
-        console.log("\n");
-        console.log("================================================================================");
-        console.log("                    LIQUID SIGNAL GOVERNANCE - SYSTEM DASHBOARD                 ");
-        console.log("================================================================================");
-        console.log(`                          ${new Date().toUTCString()}`);
-        console.log("================================================================================\n");
-
-        // EPOCH STATUS
-        console.log("-------------------------------- EPOCH STATUS ---------------------------------");
-        console.log(`  Voting Epoch Flip:     ${formatTime(Number(system.timeUntilNextEpoch))}`);
-        console.log(`  Current Epoch Start:   ${new Date(Number(system.currentEpochStart) * 1000).toUTCString()}`);
-        console.log(`  Next Epoch Start:      ${new Date(Number(system.nextEpochStart) * 1000).toUTCString()}`);
-        console.log("");
-
-        // WETH DISTRIBUTION
-        console.log("------------------------------ WETH DISTRIBUTION ------------------------------");
-        const routerWeth = divDec(system.revenueRouterWethBalance);
-        console.log(`  Revenue Router:        ${routerWeth.toFixed(6)} WETH`);
-        console.log(`    Address:             ${system.revenueRouter}`);
-        console.log("");
-
-        const voterClaimable = divDec(system.voterTotalClaimable);
-        console.log(`  Voter (Claimable):     ${voterClaimable.toFixed(6)} WETH`);
-        console.log(`    Address:             ${system.voterAddress}`);
-        console.log("");
-
-        console.log("  Strategies:");
-        for (let i = 0; i < strategies.length; i++) {
-            const s = strategies[i];
-            const wethBalance = divDec(s.strategyWethBalance);
-            const claimable = divDec(s.strategyClaimable);
-            const pending = divDec(s.strategyPendingRevenue);
-            const total = divDec(s.strategyTotalPotentialWeth);
-
-            console.log(`    [${i}] Strategy ${i}          ${wethBalance.toFixed(6)} WETH (in contract)`);
-            console.log(`        Claimable:       ${claimable.toFixed(6)} WETH`);
-            console.log(`        Pending:         ${pending.toFixed(6)} WETH`);
-            console.log(`        Total Potential: ${total.toFixed(6)} WETH`);
-            console.log(`        Address:         ${s.strategy}`);
-            console.log(`        Status:          ${s.isAlive ? "ACTIVE" : "KILLED"}`);
-            console.log("");
-        }
-
-        // STRATEGY TOKENS
-        console.log("----------------------------- STRATEGY TOKENS --------------------------------");
-        for (let i = 0; i < strategies.length; i++) {
-            const s = strategies[i];
-            const decimals = Number(s.paymentTokenDecimals);
-            const symbol = s.paymentTokenSymbol;
-            const bribeRouterBalance = divDec(s.bribeRouterTokenBalance, decimals);
-            const bribeLeft = divDec(s.bribeTokensLeft, decimals);
-
-            console.log(`  [${i}] Strategy ${i} (${symbol})`);
-            console.log(`      Token Address:     ${s.paymentToken}`);
-            console.log(`      Token Decimals:    ${decimals}`);
-            console.log(`      BribeRouter:       ${bribeRouterBalance.toFixed(4)} ${symbol}`);
-            console.log(`        Address:         ${s.bribeRouter}`);
-            console.log(`      Bribe (left):      ${bribeLeft.toFixed(4)} ${symbol}`);
-            console.log(`        Address:         ${s.bribe}`);
-            console.log(`        Total Supply:    ${divDec(s.bribeTotalSupply).toFixed(4)} gDONUT`);
-            console.log("");
-        }
-
-        // AUCTION STATUS
-        console.log("------------------------------- AUCTION STATUS --------------------------------");
-        for (let i = 0; i < strategies.length; i++) {
-            const s = strategies[i];
-            const decimals = Number(s.paymentTokenDecimals);
-            const symbol = s.paymentTokenSymbol;
-            const initPrice = divDec(s.initPrice, decimals);
-            const currentPrice = divDec(s.currentPrice, decimals);
-            const revenueBalance = divDec(s.strategyWethBalance);
-            const timeLeft = formatTime(Number(s.timeUntilAuctionEnd));
-            const epochPeriod = formatTime(Number(s.epochPeriod));
-
-            console.log(`  [${i}] Strategy ${i}`);
-            console.log(`      Epoch ID:          ${s.epochId.toString()}`);
-            console.log(`      Epoch Period:      ${epochPeriod}`);
-            console.log(`      Time Until End:    ${timeLeft}`);
-            console.log(`      Init Price:        ${initPrice.toFixed(4)} ${symbol}`);
-            console.log(`      Current Price:     ${currentPrice.toFixed(4)} ${symbol}`);
-            console.log(`      Revenue Available: ${revenueBalance.toFixed(6)} WETH`);
-            console.log("");
-        }
-
-        // VOTING SUMMARY
-        console.log("-------------------------------- VOTING SUMMARY -------------------------------");
-        const totalWeight = divDec(system.totalWeight);
-        const bribeSplit = Number(system.bribeSplit) / 100;
-        const govTokenSupply = divDec(system.governanceTokenTotalSupply);
-
-        console.log(`  Governance Token:      ${system.governanceToken}`);
-        console.log(`  Underlying Token:      ${system.underlyingToken} (${system.underlyingTokenSymbol})`);
-        console.log(`  Total Supply:          ${govTokenSupply.toFixed(4)} gDONUT`);
-        console.log(`  Total Vote Weight:     ${totalWeight.toFixed(4)} gDONUT`);
-        console.log(`  Bribe Split:           ${bribeSplit}%`);
-        console.log("");
-
-        console.log("  Vote Distribution:");
-        for (let i = 0; i < strategies.length; i++) {
-            const s = strategies[i];
-            const weight = divDec(s.strategyWeight);
-            const percent = divDec(s.votePercent);
-            const bar = "=".repeat(Math.floor(percent / 2));
-            console.log(`    [${i}] Strategy ${i}          ${weight.toFixed(2).padStart(12)} gDONUT  ${percent.toFixed(2).padStart(6)}%  ${bar}`);
-        }
-        console.log("");
-
-        // CONTRACT ADDRESSES
-        console.log("------------------------------ CONTRACT ADDRESSES -----------------------------");
-        console.log(`  Multicall:             ${multicall.address}`);
-        console.log(`  Voter:                 ${system.voterAddress}`);
-        console.log(`  RevenueRouter:         ${system.revenueRouter}`);
-        console.log(`  GovernanceToken:       ${system.governanceToken}`);
-        console.log("");
-
-        console.log("================================================================================");
-        console.log("                                 END OF DASHBOARD                              ");
-        console.log("================================================================================\n");
+        const snapshot = buildSnapshot(system, strategies, { multicall: multicall.address });
+        const text = renderText(snapshot);
+        console.log(text);
 
         // Assertions to verify data is correct
         expect(system.strategyCount).to.equal(2);
@@ -244,5 +79,208 @@ describe("Dashboard Integration Test", function () {
         expect(strategies[0].paymentTokenSymbol).to.equal("USDC");
         expect(strategies[1].paymentTokenSymbol).to.equal("cbBTC");
         expect(system.totalWeight).to.equal(ethers.utils.parseEther("15000")); // 10000 + 5000
+
+        expect(text).to.include(`  Voting Epoch Flip:     ${formatTime(Number(system.timeUntilNextEpoch))}`);
+        expect(text).to.include(`  Revenue Router:        ${divDec(system.revenueRouterWethBalance).toFixed(6)} WETH`);
+        expect(text).to.include("  TOTAL WETH IN SYSTEM:  10.000000 WETH");
+        expect(text).to.include(`  [0] Strategy 0 (USDC)`);
+        expect(text).to.include(`      Init Price:        100.00 USDC`);
+        expect(text).to.include(`      Init Price:        0.0100 cbBTC`);
+        expect(text).to.include(`  Total Vote Weight:     15000.0000 gDONUT`);
+        expect(text).to.include(`  Bribe Split:           20%`);
+        expect(text).to.include(`  Multicall:             ${multicall.address}`);
+    });
+
+    it("should use manifest names for strategies", async function () {
+        const [system, strategies] = await multicall.getFullSystemView();
+        const names = { [strategy1.toLowerCase()]: "USDC Buyback" };
+        const snapshot = buildSnapshot(system, strategies, { multicall: multicall.address, names });
+
+        expect(snapshot.auctions[0].name).to.equal("USDC Buyback");
+        expect(snapshot.auctions[1].name).to.equal("Strategy 1");
+        expect(renderText(snapshot)).to.include("  [0] USDC Buyback (USDC)");
+    });
+
+    it("should emit the dashboard as JSON with raw and decimal-adjusted values", async function () {
+        const [system, strategies] = await multicall.getFullSystemView();
+        const data = JSON.parse(renderJson(buildSnapshot(system, strategies, { multicall: multicall.address })));
+
+        expect(Object.keys(data)).to.deep.equal([
+            "generatedAt", "epoch", "wethDistribution", "strategyTokens", "auctions", "voting", "contracts",
+        ]);
+        expect(data.wethDistribution.revenueRouter.balance).to.deep.equal({
+            raw: ethers.utils.parseEther("10").toString(),
+            value: "10.0",
+        });
+        expect(data.wethDistribution.total.raw).to.equal(ethers.utils.parseEther("10").toString());
+        expect(data.strategyTokens[0].decimals).to.equal(6);
+        expect(data.strategyTokens[0].bribeRouter.address).to.equal(bribeRouter1);
+        expect(data.strategyTokens[1].bribeRouter.address).to.equal(bribeRouter2);
+        expect(data.auctions[0].initPrice).to.deep.equal({ raw: "100000000", value: "100.0" });
+        expect(data.auctions[1].initPrice).to.deep.equal({ raw: "1000000", value: "0.01" });
+        expect(data.epoch.epochDuration).to.deep.equal({ raw: String(WEEK), value: "7d" });
+        expect(data.voting.totalWeight.value).to.equal("15000.0");
+        expect(data.voting.bribeSplit).to.deep.equal({ raw: "2000", value: "20.0" });
+        expect(data.voting.strategies.map((s) => s.weight.value)).to.deep.equal(["12000.0", "3000.0"]);
+        expect(data.contracts).to.deep.equal({
+            multicall: multicall.address,
+            voter: voter.address,
+            revenueRouter: revenueRouter.address,
+            governanceToken: governanceToken.address,
+        });
+    });
+
+    it("should emit the dashboard as CSV rows", async function () {
+        const [system, strategies] = await multicall.getFullSystemView();
+        const snapshot = buildSnapshot(system, strategies, { multicall: multicall.address });
+        const lines = renderCsv(snapshot).split("\n");
+
+        expect(lines[0]).to.equal("section,index,name,field,raw,value");
+        expect(lines.length).to.equal(snapshotRows(snapshot).length + 1);
+        expect(lines).to.include(`wethDistribution,,,revenueRouter.balance,${ethers.utils.parseEther("10")},10.0`);
+        expect(lines).to.include("auctions,0,Strategy 0,initPrice,100000000,100.0");
+        expect(lines).to.include("voting,1,Strategy 1,weight,3000000000000000000000,3000.0");
+        expect(lines).to.include(`contracts,,,voter,${voter.address},${voter.address}`);
+    });
+
+    it("should emit the dashboard as Markdown tables", async function () {
+        const [system, strategies] = await multicall.getFullSystemView();
+        const markdown = renderMarkdown(buildSnapshot(system, strategies, { multicall: multicall.address }));
+
+        for (const heading of ["Epoch Status", "WETH Distribution", "Strategy Tokens", "Auction Status", "Voting Summary", "Contract Addresses"]) {
+            expect(markdown).to.include(`## ${heading}`);
+        }
+        expect(markdown).to.include(`| Revenue Router | ${revenueRouter.address} |  | 10.0 | ${ethers.utils.parseEther("10")} |`);
+        expect(markdown).to.include("| [0] Strategy 0 | ACTIVE | 12000.0 | 80.0 |");
+        expect(markdown).to.include(`| Voter | ${voter.address} |`);
+    });
+
+    it("should reject unknown formats", async function () {
+        const [system, strategies] = await multicall.getFullSystemView();
+        try {
+            render("xml", buildSnapshot(system, strategies, { multicall: multicall.address }));
+            expect.fail("render should have thrown");
+        } catch (error) {
+            expect(error.message).to.include('Unknown format "xml"');
+        }
+    });
+
+    describe("Watch mode", function () {
+        let update;
+
+        const kinds = (changes) => changes.map((c) => c.kind);
+
+        before(async function () {
+            update = createWatcher(async () => {
+                const [system, strategies] = await multicall.getFullSystemView();
+                return buildSnapshot(system, strategies, { multicall: multicall.address });
+            });
+        });
+
+        it("should parse --watch and --format arguments", async function () {
+            expect(parseWatch([], {})).to.equal(null);
+            expect(parseWatch(["--watch"], {})).to.equal(0);
+            expect(parseWatch(["--watch", "--format", "json"], {})).to.equal(0);
+            expect(parseWatch(["--watch", "15"], {})).to.equal(15);
+            expect(parseWatch(["--watch=30"], {})).to.equal(30);
+            expect(parseWatch([], { DASHBOARD_WATCH: "5" })).to.equal(5);
+            expect(parseFormat(["--watch", "--format", "json"], {})).to.equal("json");
+            expect(parseFormat(["--format=csv"], {})).to.equal("csv");
+            expect(parseFormat([], { DASHBOARD_FORMAT: "markdown" })).to.equal("markdown");
+            expect(parseFormat([], {})).to.equal("text");
+            try {
+                parseWatch(["--watch", "soon"], {});
+                expect.fail("parseWatch should have thrown");
+            } catch (error) {
+                expect(error.message).to.include('Invalid --watch interval "soon"');
+            }
+        });
+
+        it("should report no changes between identical refreshes", async function () {
+            const first = await update();
+            expect(first.changes).to.deep.equal([]);
+
+            const second = await update();
+            expect(second.changes).to.deep.equal([]);
+            expect(renderChanges(second.snapshot, second.changes)).to.include("no changes");
+        });
+
+        it("should report pending and claimable changes as revenue flows", async function () {
+            await revenueRouter.flush();
+            let { changes } = await update();
+            expect(kinds(changes)).to.deep.equal(["claimable", "claimable"]);
+            expect(changes.map((c) => [c.index, c.field, c.to])).to.deep.equal([
+                [0, "pending", "7.999999999999992"], // index rounding on 10 WETH split 80/20
+                [1, "pending", "1.999999999999998"],
+            ]);
+            expect(changes[0].message).to.equal("Pending 0.0 -> 7.999999999999992 WETH (+7.999999999999992)");
+
+            await voter.connect(user1).updateFor([strategy1]);
+            ({ changes } = await update());
+            expect(changes.map((c) => [c.index, c.field, c.to])).to.deep.equal([
+                [null, "voter.claimable", "7.999999999999992"],
+                [0, "claimable", "7.999999999999992"],
+                [0, "pending", "0.0"],
+            ]);
+        });
+
+        it("should report a new buy and the bribe router crossing the distribution threshold", async function () {
+            await voter.distributeAll();
+            await update();
+
+            const strategy = await ethers.getContractAt("Strategy", strategy1);
+            const price = await strategy.getPrice();
+            const deadline = (await ethers.provider.getBlock("latest")).timestamp + HOUR;
+            await paymentToken.connect(user1).approve(strategy1, price);
+            await strategy.connect(user1).buy(user1.address, 0, deadline, price);
+
+            const { snapshot, changes } = await update();
+            expect(kinds(changes)).to.deep.equal(["buy", "bribeThreshold"]);
+            expect(changes[0]).to.include({ index: 0, name: "Strategy 0", field: "epochId", from: "0", to: "1" });
+            expect(changes[1].message).to.include("above the distribution threshold");
+            expect(renderChanges(snapshot, changes)).to.include("  * BUY             [0] Strategy 0: New buy: epochId 0 -> 1");
+
+            const bribeRouter = await ethers.getContractAt("BribeRouter", bribeRouter1);
+            await bribeRouter.distribute();
+            const next = await update();
+            expect(kinds(next.changes)).to.deep.equal(["bribeThreshold"]);
+            expect(next.changes[0].message).to.include("below the distribution threshold");
+        });
+
+        it("should report the epoch flip and vote weight shifts", async function () {
+            await ethers.provider.send("evm_increaseTime", [WEEK]);
+            await ethers.provider.send("evm_mine", []);
+            await voter.connect(user2).vote([strategy2], [100]);
+
+            const { snapshot, changes } = await update();
+            expect(kinds(changes)).to.deep.equal(["epoch", "weight", "weight"]);
+            expect(changes[1]).to.include({ index: 0, from: "12000.0", to: "7000.0" });
+            expect(changes[2]).to.include({ index: 1, from: "3000.0", to: "8000.0" });
+            expect(changes[2].message).to.include("20.00% -> 53.33%");
+
+            const json = JSON.parse(renderUpdate("json", snapshot, changes));
+            expect(json.changes.length).to.equal(3);
+            expect(json.timeUntilNextEpoch).to.deep.equal(snapshot.epoch.timeUntilNextEpoch);
+        });
+
+        it("should match strategies by address when one is added", async function () {
+            const [system, strategies] = await multicall.getFullSystemView();
+            const previous = buildSnapshot(system, strategies.slice(1), { multicall: multicall.address });
+            const current = buildSnapshot(system, strategies, { multicall: multicall.address });
+
+            const changes = diffSnapshots(previous, current);
+            expect(kinds(changes)).to.deep.equal(["strategy"]);
+            expect(changes[0]).to.include({ index: 0, to: strategy1 });
+        });
+
+        it("should only watch text and json output", async function () {
+            const { snapshot } = await update();
+            try {
+                renderUpdate("csv", snapshot, []);
+                expect.fail("renderUpdate should have thrown");
+            } catch (error) {
+                expect(error.message).to.include('Watch mode does not support format "csv"');
+            }
+        });
     });
 });
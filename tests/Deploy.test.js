@@ -0,0 +1,382 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createContext, runDeployment } = require("../scripts/deploy");
+const { emptyManifest, checkManifest, archivedStrategies } = require("../scripts/lib/manifest");
+const { validateSpec } = require("../scripts/lib/spec");
+
+describe("Deployment Pipeline", function () {
+    let owner, dao;
+
+    const spec = {
+        addresses: { DAO: "deployer" },
+        mocks: {
+            DONUT: { name: "Donut", symbol: "DONUT", decimals: 18 },
+            WETH: { name: "Wrapped Ether", symbol: "WETH", decimals: 18 },
+            USDC: { name: "USD Coin", symbol: "USDC", decimals: 6 },
+        },
+        governanceToken: { underlying: "DONUT", name: "Governance Donut", symbol: "gDONUT", withdrawalDelay: 604800 },
+        voter: { revenueToken: "WETH", treasury: "DAO", bribeSplit: 2000 },
+        owner: "DAO",
+        strategies: [
+            {
+                name: "DONUT Buyback",
+                paymentToken: "DONUT",
+                paymentReceiver: "DAO",
+                initPrice: "40000",
+                epochPeriod: 86400,
+                priceMultiplier: "1.2",
+                minInitPrice: "40000",
+            },
+            {
+                name: "USDC Buyback",
+                paymentToken: "USDC",
+                paymentReceiver: "DAO",
+                initPrice: "4000",
+                epochPeriod: 86400,
+                priceMultiplier: "1.2",
+                minInitPrice: "4000",
+            },
+        ],
+    };
+
+    function context(overrides = {}) {
+        return createContext({
+            spec,
+            manifest: emptyManifest("hardhat", 31337),
+            deployer: owner,
+            network: "hardhat",
+            ...overrides,
+        });
+    }
+
+    before(async function () {
+        [owner, dao] = await ethers.getSigners();
+    });
+
+    it("should reject specs with missing strategy fields", async function () {
+        const broken = { ...spec, strategies: [{ name: "Broken", paymentToken: "DONUT" }] };
+        expect(() => validateSpec(broken)).to.throw('Strategy "Broken" is missing "paymentReceiver"');
+        expect(() => validateSpec({ ...spec, voter: { ...spec.voter, bribeSplit: 6000 } })).to.throw("bribeSplit");
+        const slow = { ...spec, governanceToken: { ...spec.governanceToken, withdrawalDelay: 31 * 86400 } };
+        expect(() => validateSpec(slow)).to.throw("withdrawalDelay");
+        const fast = { ...spec, governanceToken: { ...spec.governanceToken, withdrawalDelay: 86400 } };
+        expect(() => validateSpec(fast)).to.throw("between 604800 (one epoch) and 2592000");
+    });
+
+    it("should deploy and configure the full system from a spec", async function () {
+        const ctx = context();
+        const executed = await runDeployment(ctx);
+
+        expect(executed).to.include("deploy Voter");
+        expect(executed).to.include('addStrategy "USDC Buyback"');
+        expect(executed).to.not.include("transferOwnership of Voter"); // owner is already the deployer
+
+        const { manifest } = ctx;
+        const voter = await ethers.getContractAt("Voter", manifest.contracts.Voter.address);
+        const governanceToken = await ethers.getContractAt("GovernanceToken", manifest.contracts.GovernanceToken.address);
+
+        expect(await governanceToken.voter()).to.equal(voter.address);
+        expect(await governanceToken.token()).to.equal(manifest.mocks.DONUT.address);
+        expect(await voter.revenueSource()).to.equal(manifest.contracts.RevenueRouter.address);
+        expect(await voter.bribeSplit()).to.equal(2000);
+        expect(await governanceToken.withdrawalDelay()).to.equal(604800);
+        expect(await voter.getStrategies()).to.deep.equal(manifest.strategies.map((s) => s.strategy));
+
+        const usdcStrategy = await ethers.getContractAt("Strategy", manifest.strategies[1].strategy);
+        expect(await usdcStrategy.initPrice()).to.equal(ethers.utils.parseUnits("4000", 6));
+        expect(await usdcStrategy.priceMultiplier()).to.equal(ethers.utils.parseEther("1.2"));
+        expect(await voter.strategy_Bribe(usdcStrategy.address)).to.equal(manifest.strategies[1].bribe);
+    });
+
+    it("should record constructor args, deploy block, tx hash and strategy metadata", async function () {
+        const ctx = context({ spec: { ...spec, strategies: [{ ...spec.strategies[1], description: "Buy USDC and send to DAO" }] } });
+        await runDeployment(ctx);
+        const { manifest } = ctx;
+
+        const voterEntry = manifest.contracts.Voter;
+        expect(voterEntry.args).to.deep.equal([
+            manifest.contracts.GovernanceToken.address,
+            manifest.mocks.WETH.address,
+            owner.address,
+            manifest.contracts.BribeFactory.address,
+            manifest.contracts.StrategyFactory.address,
+        ]);
+        const deployTx = await ethers.provider.getTransactionReceipt(voterEntry.txHash);
+        expect(deployTx.contractAddress).to.equal(voterEntry.address);
+        expect(deployTx.blockNumber).to.equal(voterEntry.blockNumber);
+
+        const [entry] = manifest.strategies;
+        expect(entry.description).to.equal("Buy USDC and send to DAO");
+        expect(entry.paymentToken).to.equal(manifest.mocks.USDC.address);
+        expect(entry.paymentReceiver).to.equal(owner.address);
+        expect(entry.args[4]).to.equal(ethers.utils.parseUnits("4000", 6).toString());
+        const addTx = await ethers.provider.getTransactionReceipt(entry.txHash);
+        expect(addTx.to).to.equal(voterEntry.address);
+        expect(addTx.blockNumber).to.equal(entry.blockNumber);
+    });
+
+    it("should run nothing when everything is already done on-chain", async function () {
+        const first = context();
+        await runDeployment(first);
+
+        const second = context({ manifest: JSON.parse(JSON.stringify(first.manifest)) });
+        expect(await runDeployment(second)).to.deep.equal([]);
+    });
+
+    it("should adopt strategies already added on-chain that are missing from the manifest", async function () {
+        const first = context();
+        await runDeployment(first);
+
+        const manifest = JSON.parse(JSON.stringify(first.manifest));
+        const expected = manifest.strategies;
+        manifest.strategies = [];
+
+        const second = context({ manifest });
+        expect(await runDeployment(second)).to.deep.equal([]);
+        expect(second.manifest.strategies).to.deep.equal(expected);
+    });
+
+    it("should only add strategies that are new to the spec", async function () {
+        const first = context();
+        await runDeployment(first);
+
+        const extended = {
+            ...spec,
+            strategies: [
+                ...spec.strategies,
+                { ...spec.strategies[0], name: "DONUT Buyback (hourly)", epochPeriod: 3600 },
+            ],
+        };
+        const second = context({ spec: extended, manifest: JSON.parse(JSON.stringify(first.manifest)) });
+        expect(await runDeployment(second)).to.deep.equal(['addStrategy "DONUT Buyback (hourly)"']);
+        expect(second.manifest.strategies.length).to.equal(3);
+    });
+
+    it("should fail loudly when the manifest and Voter.getStrategies() disagree", async function () {
+        const ctx = context();
+        await runDeployment(ctx);
+        await checkManifest(ctx.manifest);
+
+        const voter = await ethers.getContractAt("Voter", ctx.manifest.contracts.Voter.address);
+        const params = ctx.manifest.strategies[0].args.slice(2);
+        await voter.addStrategy(params[0], params[1], params[2], 7200, params[4], params[5]);
+
+        let error;
+        try {
+            await checkManifest(ctx.manifest);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("is on the Voter but missing from the manifest");
+
+        const stale = JSON.parse(JSON.stringify(ctx.manifest));
+        stale.strategies[0].bribe = ethers.constants.AddressZero;
+        stale.strategies.push({ ...stale.strategies[1], name: "Ghost", strategy: owner.address });
+        error = undefined;
+        try {
+            await checkManifest(stale);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include('strategy "DONUT Buyback" has bribe');
+        expect(error.message).to.include('strategy "Ghost"');
+    });
+
+    it("should kill strategies flagged as killed", async function () {
+        const killed = { ...spec, strategies: [spec.strategies[0], { ...spec.strategies[1], killed: true }] };
+        const ctx = context({ spec: killed });
+        await runDeployment(ctx);
+
+        const voter = await ethers.getContractAt("Voter", ctx.manifest.contracts.Voter.address);
+        expect(await voter.strategy_IsAlive(ctx.manifest.strategies[0].strategy)).to.equal(true);
+        expect(await voter.strategy_IsAlive(ctx.manifest.strategies[1].strategy)).to.equal(false);
+    });
+
+    it("should redeploy dependents when a core contract is missing", async function () {
+        const first = context();
+        await runDeployment(first);
+
+        const manifest = JSON.parse(JSON.stringify(first.manifest));
+        delete manifest.contracts.GovernanceToken;
+
+        const second = context({ manifest });
+        const executed = await runDeployment(second);
+        expect(executed).to.include("deploy GovernanceToken");
+        expect(executed).to.include("deploy Voter");
+        expect(executed).to.include("deploy Multicall");
+        expect(executed).to.not.include("deploy BribeFactory");
+        expect(second.manifest.contracts.Voter.address).to.not.equal(first.manifest.contracts.Voter.address);
+    });
+
+    it("should migrate the GovernanceToken to a redeployed Voter only when asked", async function () {
+        const first = context();
+        await runDeployment(first);
+
+        const manifest = JSON.parse(JSON.stringify(first.manifest));
+        delete manifest.contracts.Voter;
+
+        const second = context({ manifest });
+        let error;
+        try {
+            await runDeployment(second);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include(`GovernanceToken is bound to Voter ${first.manifest.contracts.Voter.address}`);
+        expect(error.message).to.include("DEPLOY_MIGRATE_VOTER=1");
+        expect(second.executed).to.include("deploy Voter");
+        expect(second.executed).to.not.include("setVoter on GovernanceToken");
+
+        const third = context({ manifest: second.manifest, migrateVoter: true });
+        const executed = await runDeployment(third);
+        expect(executed[0]).to.equal("migrateVoter on GovernanceToken");
+        expect(executed).to.not.include("deploy Voter");
+
+        const governanceToken = await ethers.getContractAt("GovernanceToken", third.manifest.contracts.GovernanceToken.address);
+        expect(await governanceToken.voter()).to.equal(third.manifest.contracts.Voter.address);
+        expect(await governanceToken.getVoters()).to.deep.equal([
+            first.manifest.contracts.Voter.address,
+            third.manifest.contracts.Voter.address,
+        ]);
+    });
+
+    it("should replace a Voter and Multicall from before strategy pausing and archiving", async function () {
+        const first = context();
+        await runDeployment(first);
+        const { RevenueRouter, Voter } = first.manifest.contracts;
+
+        // The RevenueRouter stands in for an old Multicall: it has voter() but none of the current views
+        const oldMulticall = JSON.parse(JSON.stringify(first.manifest));
+        oldMulticall.contracts.Multicall.address = RevenueRouter.address;
+        const [warning] = await checkManifest(oldMulticall);
+        expect(warning).to.include(`Multicall ${RevenueRouter.address} is from an older build`);
+        expect(await runDeployment(context({ manifest: oldMulticall }))).to.deep.equal(["deploy Multicall"]);
+        expect(await checkManifest(oldMulticall)).to.deep.equal([]);
+
+        // Deployments from before the Lens get one on the next run
+        const noLens = JSON.parse(JSON.stringify(first.manifest));
+        delete noLens.contracts.Lens;
+        expect(await checkManifest(noLens)).to.deep.equal(["Lens is not deployed; the scripts reading stakes and locks need it"]);
+        expect(await runDeployment(context({ manifest: noLens }))).to.deep.equal(["deploy Lens"]);
+        const lens = await ethers.getContractAt("Lens", noLens.contracts.Lens.address);
+        expect(await lens.voter()).to.equal(Voter.address);
+
+        const oldVoter = JSON.parse(JSON.stringify(first.manifest));
+        oldVoter.contracts.Voter.address = RevenueRouter.address;
+        expect(await archivedStrategies(await ethers.getContractAt("Voter", RevenueRouter.address))).to.deep.equal([]);
+        const refused = context({ manifest: oldVoter });
+        let error;
+        try {
+            await runDeployment(refused);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include(`Voter ${RevenueRouter.address} predates strategy pausing and archiving`);
+        expect(error.message).to.include("DEPLOY_MIGRATE_VOTER=1");
+        expect(refused.executed).to.deep.equal([]);
+
+        const replaced = context({ manifest: oldVoter, migrateVoter: true });
+        const executed = await runDeployment(replaced);
+        expect(executed.slice(0, 5)).to.deep.equal([
+            "deploy Voter",
+            "deploy RevenueRouter",
+            "deploy Multicall",
+            "deploy Lens",
+            "migrateVoter on GovernanceToken",
+        ]);
+        const governanceToken = await ethers.getContractAt("GovernanceToken", replaced.manifest.contracts.GovernanceToken.address);
+        expect(await governanceToken.getVoters()).to.deep.equal([Voter.address, replaced.manifest.contracts.Voter.address]);
+        expect(replaced.manifest.strategies).to.have.length(2);
+    });
+
+    it("should replace a GovernanceToken from before the Voter registry with everything built on it", async function () {
+        const first = context();
+        await runDeployment(first);
+        const { BribeFactory, StrategyFactory } = first.manifest.contracts;
+        const { DONUT, WETH } = first.manifest.mocks;
+
+        // The first mainnet deployment: a baseline GovernanceToken bound to its Voter with the plain setVoter
+        const LegacyGovernanceToken = await ethers.getContractFactory("LegacyGovernanceToken");
+        const legacy = await LegacyGovernanceToken.deploy(DONUT.address, "Governance Donut", "gDONUT");
+        const Voter = await ethers.getContractFactory("Voter");
+        const oldVoter = await Voter.deploy(legacy.address, WETH.address, owner.address, BribeFactory.address, StrategyFactory.address);
+        await legacy.setVoter(oldVoter.address);
+
+        const manifest = JSON.parse(JSON.stringify(first.manifest));
+        manifest.contracts.GovernanceToken.address = legacy.address;
+        manifest.contracts.Voter.address = oldVoter.address;
+        delete manifest.contracts.RevenueRouter;
+        delete manifest.contracts.Multicall;
+        delete manifest.contracts.Lens;
+        manifest.strategies = [];
+
+        const donut = await ethers.getContractAt("MockERC20", DONUT.address);
+        await donut.mint(dao.address, ethers.utils.parseEther("100"));
+        await donut.connect(dao).approve(legacy.address, ethers.utils.parseEther("100"));
+        await legacy.connect(dao).stake(ethers.utils.parseEther("100"));
+
+        // Migrating the Voter would leave the old token checking only the new Voter on unstake
+        const refused = context({ manifest, migrateVoter: true });
+        let error;
+        try {
+            await runDeployment(refused);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include(`GovernanceToken ${legacy.address} predates the Voter registry`);
+        expect(error.message).to.include("DEPLOY_REPLACE_GOVERNANCE_TOKEN=1");
+        expect(refused.executed).to.deep.equal([]);
+        expect(await legacy.voter()).to.equal(oldVoter.address);
+
+        const replaced = context({ manifest, replaceGovernanceToken: true });
+        const executed = await runDeployment(replaced);
+        expect(executed.slice(0, 6)).to.deep.equal([
+            "deploy GovernanceToken",
+            "deploy Voter",
+            "deploy RevenueRouter",
+            "deploy Multicall",
+            "deploy Lens",
+            "setVoter on GovernanceToken",
+        ]);
+        expect(replaced.manifest.strategies).to.have.length(2);
+        expect(await checkManifest(replaced.manifest)).to.deep.equal([]);
+
+        const governanceToken = await ethers.getContractAt("GovernanceToken", replaced.manifest.contracts.GovernanceToken.address);
+        const voter = await ethers.getContractAt("Voter", replaced.manifest.contracts.Voter.address);
+        expect(governanceToken.address).to.not.equal(legacy.address);
+        expect(await governanceToken.getVoters()).to.deep.equal([voter.address]);
+
+        // The staker moves over: out of the old token, into the new one, and votes there
+        await legacy.connect(dao).unstake(ethers.utils.parseEther("100"));
+        await donut.connect(dao).approve(governanceToken.address, ethers.utils.parseEther("100"));
+        await governanceToken.connect(dao).stake(ethers.utils.parseEther("100"));
+        await voter.connect(dao).vote([replaced.manifest.strategies[0].strategy], [1]);
+        expect(await voter.account_UsedWeights(dao.address)).to.equal(ethers.utils.parseEther("100"));
+    });
+
+    it("should transfer ownership last and refuse owner-only steps afterwards", async function () {
+        const handover = { ...spec, addresses: { DAO: dao.address } };
+        const first = context({ spec: handover });
+        const executed = await runDeployment(first);
+        expect(executed.slice(-2)).to.deep.equal(["transferOwnership of Voter", "transferOwnership of GovernanceToken"]);
+
+        const voter = await ethers.getContractAt("Voter", first.manifest.contracts.Voter.address);
+        expect(await voter.owner()).to.equal(dao.address);
+
+        const extended = { ...handover, strategies: [...spec.strategies, { ...spec.strategies[1], name: "USDC (weekly)", epochPeriod: 604800 }] };
+        const second = context({ spec: extended, manifest: JSON.parse(JSON.stringify(first.manifest)) });
+        let error;
+        try {
+            await runDeployment(second);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("governance proposal");
+    });
+
+    it("should only report pending steps in dry run mode", async function () {
+        const ctx = context({ dryRun: true });
+        expect(await runDeployment(ctx)).to.deep.equal([]);
+        expect(ctx.manifest.contracts).to.deep.equal({});
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, DAY, WEEK } = require("../sdk");
 
 /**
  * Stress test for distributeAndBuy function
@@ -12,10 +13,7 @@ describe("DistributeAndBuy Stress Tests", function () {
     let governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
     let multicall;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
     const MINUTE = 60;
-    const DAY = 24 * 60 * 60;
 
     beforeEach(async function () {
         [owner, user1, user2, user3, buyer] = await ethers.getSigners();
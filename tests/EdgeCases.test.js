@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, WEEK } = require("../sdk");
 
 /**
  * Edge Case and Security Tests
@@ -16,9 +17,6 @@ describe("Edge Cases and Security Tests", function () {
     let underlying, revenueToken, paymentToken;
     let governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, user3, treasury, buyer1, attacker] = await ethers.getSigners();
 
@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { createCollector, createServer, parsePort } = require("../scripts/exporter");
+const { metricFamily, addSample, renderMetrics, negotiate } = require("../scripts/lib/metrics");
+const { HOUR } = require("../sdk");
+const { DONUT_SYSTEM, DAILY_AUCTION, deployStaked, advanceToNextEpoch } = require("./helpers");
+
+// Fetches a URL from the exporter and resolves with the status, headers and body
+function get(server, path, headers = {}) {
+    const { port } = server.address();
+    return new Promise((resolve, reject) => {
+        http.get({ host: "127.0.0.1", port, path, headers }, (res) => {
+            let body = "";
+            res.on("data", (chunk) => (body += chunk));
+            res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on("error", reject);
+    });
+}
+
+// Value of the sample line starting with `selector`
+function sample(body, selector) {
+    const line = body.split("\n").find((l) => l.startsWith(selector + " "));
+    expect(line, `missing sample ${selector}`).to.not.equal(undefined);
+    return Number(line.slice(selector.length + 1));
+}
+
+describe("Metrics Exporter", function () {
+    let owner, user1, user2, treasury;
+    let underlying, revenueToken, paymentToken;
+    let governanceToken, voter, revenueRouter, multicall;
+    let strategy1, strategy2, fromBlock;
+    let collect, server;
+
+    before(async function () {
+        [owner, user1, user2, treasury] = await ethers.getSigners();
+        fromBlock = await ethers.provider.getBlockNumber();
+
+        const system = await deployStaked(
+            { ...DONUT_SYSTEM, treasury, bribeSplit: 2000, strategies: [DAILY_AUCTION, DAILY_AUCTION] },
+            [
+                [user1, "3000"],
+                [user2, "1000"],
+            ]
+        );
+        ({ underlying, revenueToken, paymentToken, governanceToken, voter, revenueRouter, multicall } = system);
+        [strategy1, strategy2] = system.strategies.map((s) => s.strategy);
+
+        await revenueToken.mint(owner.address, ethers.utils.parseEther("100"));
+        await paymentToken.mint(user1.address, ethers.utils.parseUnits("100000", 6));
+        await voter.connect(user1).vote([strategy1], [100]);
+        await voter.connect(user2).vote([strategy2], [100]);
+
+        await revenueToken.transfer(revenueRouter.address, ethers.utils.parseEther("10"));
+
+        // Small chunks so event scanning crosses several getLogs ranges
+        collect = await createCollector({
+            multicall,
+            fromBlock,
+            chunkSize: 7,
+            names: { [strategy1.toLowerCase()]: "USDC Buyback" },
+        });
+        server = createServer(collect, { log: () => {} });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    after(async function () {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    async function buy(strategy) {
+        const contract = await ethers.getContractAt("Strategy", strategy);
+        const price = await contract.getPrice();
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + HOUR;
+        await paymentToken.connect(user1).approve(strategy, price);
+        const tx = await contract.connect(user1).buy(user1.address, await contract.epochId(), deadline, price);
+        const event = (await tx.wait()).events.find((e) => e.event === "Strategy__Buy");
+        return event.args.paymentAmount;
+    }
+
+    it("should render Prometheus and OpenMetrics text", async function () {
+        const families = [
+            addSample(metricFamily("lsg_test_gauge", "gauge", "A gauge"), { name: 'quote " and \\ slash' }, 1.5),
+            addSample(metricFamily("lsg_test_events", "counter", "A counter"), {}, 3),
+        ];
+
+        expect(renderMetrics(families)).to.equal(
+            "# HELP lsg_test_gauge A gauge\n" +
+                "# TYPE lsg_test_gauge gauge\n" +
+                'lsg_test_gauge{name="quote \\" and \\\\ slash"} 1.5\n' +
+                "# HELP lsg_test_events_total A counter\n" +
+                "# TYPE lsg_test_events_total counter\n" +
+                "lsg_test_events_total 3\n"
+        );
+        const openMetrics = renderMetrics(families, { openMetrics: true });
+        expect(openMetrics).to.include("# TYPE lsg_test_events counter\nlsg_test_events_total 3\n");
+        expect(openMetrics.endsWith("# EOF\n")).to.equal(true);
+
+        expect(negotiate("application/openmetrics-text; version=1.0.0").openMetrics).to.equal(true);
+        expect(negotiate("text/plain").openMetrics).to.equal(false);
+        expect(negotiate(undefined).contentType).to.include("version=0.0.4");
+    });
+
+    it("should parse the port flag", async function () {
+        expect(parsePort([], {})).to.equal(9464);
+        expect(parsePort(["--port", "9100"], {})).to.equal(9100);
+        expect(parsePort([], { EXPORTER_PORT: "0" })).to.equal(0);
+        try {
+            parsePort(["--port", "http"], {});
+            expect.fail("parsePort should have thrown");
+        } catch (error) {
+            expect(error.message).to.include('Invalid --port "http"');
+        }
+    });
+
+    it("should expose system and strategy gauges", async function () {
+        const { status, headers, body } = await get(server, "/metrics");
+        expect(status).to.equal(200);
+        expect(headers["content-type"]).to.include("text/plain; version=0.0.4");
+
+        const labels1 = `{strategy="${strategy1}",name="USDC Buyback",token="USDC"}`;
+        const labels2 = `{strategy="${strategy2}",name="Strategy 1",token="USDC"}`;
+
+        expect(sample(body, "lsg_revenue_router_balance_weth")).to.equal(10);
+        expect(sample(body, "lsg_voter_claimable_weth")).to.equal(0);
+        expect(sample(body, "lsg_total_weight")).to.equal(4000);
+        expect(sample(body, "lsg_bribe_split_ratio")).to.equal(0.2);
+        expect(sample(body, "lsg_epoch_remaining_seconds")).to.be.greaterThan(0);
+        expect(sample(body, `lsg_strategy_weight${labels1}`)).to.equal(3000);
+        expect(sample(body, `lsg_strategy_vote_percent${labels1}`)).to.equal(75);
+        expect(sample(body, `lsg_strategy_vote_percent${labels2}`)).to.equal(25);
+        expect(sample(body, `lsg_strategy_alive${labels1}`)).to.equal(1);
+        expect(sample(body, `lsg_strategy_paused${labels1}`)).to.equal(0);
+        expect(sample(body, `lsg_strategy_auction_price${labels1}`)).to.be.within(99, 100);
+        expect(sample(body, `lsg_strategy_auction_remaining_seconds${labels1}`)).to.be.within(1, HOUR * 24);
+        expect(sample(body, `lsg_strategy_bribe_tokens_left${labels1}`)).to.equal(0);
+        expect(sample(body, `lsg_strategy_buys_total${labels1}`)).to.equal(0);
+        expect(sample(body, "lsg_voter_revenue_notifications_total")).to.equal(0);
+        expect(sample(body, "lsg_exporter_scanned_block")).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("should count buys and revenue notifications from events", async function () {
+        await revenueRouter.flush();
+        await voter.distributeAll();
+        const paymentAmount = await buy(strategy1);
+        const bribeRouter = await ethers.getContractAt("BribeRouter", await voter.strategy_BribeRouter(strategy1));
+        await bribeRouter.distribute();
+
+        const { body } = await get(server, "/metrics");
+        const labels1 = `{strategy="${strategy1}",name="USDC Buyback",token="USDC"}`;
+        const labels2 = `{strategy="${strategy2}",name="Strategy 1",token="USDC"}`;
+
+        expect(sample(body, "lsg_voter_revenue_notifications_total")).to.equal(1);
+        expect(sample(body, "lsg_voter_notified_revenue_weth_total")).to.equal(10);
+        expect(sample(body, `lsg_strategy_buys_total${labels1}`)).to.equal(1);
+        expect(sample(body, `lsg_strategy_buys_total${labels2}`)).to.equal(0);
+        expect(sample(body, `lsg_strategy_buy_payment_total${labels1}`)).to.equal(Number(ethers.utils.formatUnits(paymentAmount, 6)));
+        expect(sample(body, `lsg_strategy_buy_revenue_weth_total${labels1}`)).to.be.closeTo(7.5, 1e-9);
+        expect(sample(body, `lsg_strategy_auction_epoch_id${labels1}`)).to.equal(1);
+        expect(sample(body, `lsg_strategy_bribe_tokens_left${labels1}`)).to.be.greaterThan(0);
+    });
+
+    it("should only count new events on later scrapes", async function () {
+        await buy(strategy2);
+        await revenueToken.transfer(revenueRouter.address, ethers.utils.parseEther("5"));
+        await revenueRouter.flush();
+
+        const [first, second] = await Promise.all([get(server, "/metrics"), get(server, "/metrics")]);
+        const labels2 = `{strategy="${strategy2}",name="Strategy 1",token="USDC"}`;
+        for (const { body } of [first, second]) {
+            expect(sample(body, "lsg_voter_revenue_notifications_total")).to.equal(2);
+            expect(sample(body, "lsg_voter_notified_revenue_weth_total")).to.equal(15);
+            expect(sample(body, `lsg_strategy_buys_total${labels2}`)).to.equal(1);
+        }
+
+        const { body } = await get(server, "/metrics");
+        expect(sample(body, "lsg_voter_revenue_notifications_total")).to.equal(2);
+    });
+
+    it("should not count chunks twice after a failed scan", async function () {
+        // A provider whose getLogs fails once, on the first chunk after the one holding the first notification
+        const [firstNotify] = await voter.queryFilter(voter.filters.Voter__NotifyRevenue(), fromBlock);
+        let failed = false;
+        const provider = {
+            getBlockNumber: () => ethers.provider.getBlockNumber(),
+            getLogs: async (filter) => {
+                if (!failed && filter.fromBlock > firstNotify.blockNumber) {
+                    failed = true;
+                    throw new Error("timeout");
+                }
+                return ethers.provider.getLogs(filter);
+            },
+        };
+        const flaky = await createCollector({ multicall, provider, fromBlock, chunkSize: 7 });
+
+        try {
+            await flaky();
+            expect.fail("the first scan should have failed");
+        } catch (error) {
+            expect(error.message).to.equal("timeout");
+        }
+
+        const families = await flaky();
+        const value = (name) => families.find((f) => f.name === name).samples[0].value;
+        expect(value("lsg_voter_revenue_notifications")).to.equal(2);
+        expect(value("lsg_voter_notified_revenue_weth")).to.equal(15);
+    });
+
+    it("should serve OpenMetrics when asked and 404 elsewhere", async function () {
+        const { headers, body } = await get(server, "/metrics", { Accept: "application/openmetrics-text; version=1.0.0" });
+        expect(headers["content-type"]).to.include("application/openmetrics-text");
+        expect(body).to.include("# TYPE lsg_strategy_buys counter");
+        expect(body.endsWith("# EOF\n")).to.equal(true);
+
+        const missing = await get(server, "/");
+        expect(missing.status).to.equal(404);
+    });
+
+    it("should keep counting the buys of archived strategies, querying only the Voter's strategies", async function () {
+        await voter.killStrategy(strategy2);
+        await advanceToNextEpoch();
+        await voter.connect(user2).reset();
+        await voter.archiveStrategy(strategy2);
+
+        const labels2 = `{strategy="${strategy2}",name="Archived strategy 0",token="USDC"}`;
+        const { body } = await get(server, "/metrics");
+        expect(sample(body, `lsg_strategy_buys_total${labels2}`)).to.equal(1);
+        expect(body).to.not.include(`lsg_strategy_weight{strategy="${strategy2}"`);
+
+        // Rebuilt from scratch, the archived strategy's history is still counted
+        const filters = [];
+        const provider = {
+            getBlockNumber: () => ethers.provider.getBlockNumber(),
+            getLogs: (filter) => filters.push(filter) && ethers.provider.getLogs(filter),
+        };
+        const families = await (await createCollector({ multicall, provider, fromBlock }))();
+        const buys = families.find((f) => f.name === "lsg_strategy_buys").samples;
+        expect(buys.find((s) => s.labels.strategy === strategy2).value).to.equal(1);
+        expect(new Set(filters.map((f) => f.address))).to.deep.equal(new Set([strategy1, strategy2, voter.address]));
+    });
+});
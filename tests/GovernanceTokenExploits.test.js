@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, DAY, WEEK } = require("../sdk");
 
 /**
  * SECURITY AUDIT: GovernanceToken Exploit Tests
@@ -27,9 +28,6 @@ describe("GovernanceToken Security Exploits", function () {
     let underlying, revenueToken, paymentToken;
     let governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-    const DAY = 24 * 60 * 60;
     const parseEther = ethers.utils.parseEther;
     const parseUnits = ethers.utils.parseUnits;
 
@@ -319,6 +317,9 @@ describe("GovernanceToken Security Exploits", function () {
          *
          * IMPACT: LOW (owner trust assumption)
          * But violates the expected invariant that voters cannot unstake with active votes.
+         *
+         * FIXED for the last case: setVoter binds a voter once, and migrateVoter keeps every earlier voter
+         * registered, so unstake requires cleared votes in all of them.
          */
         it("should allow unstaking without clearing votes if voter is address(0)", async function () {
             // Deploy fresh governance token without setting voter
@@ -333,39 +334,42 @@ describe("GovernanceToken Security Exploits", function () {
             await freshGovToken.connect(user1).unstake(parseEther("1000"));
 
             expect(await freshGovToken.balanceOf(user1.address)).to.equal(0);
-            expect(await underlying.balanceOf(user1.address)).to.equal(parseEther("1000"));
+            expect(await freshGovToken.account_PendingWithdrawal(user1.address)).to.equal(parseEther("1000"));
 
             console.log("\n=== VOTER BYPASS ===");
             console.log("User unstaked without voter set - no voting restriction enforced");
         });
 
-        it("should demonstrate owner can grief users by changing voter", async function () {
-            // Users stake and the owner sets voter
+        it("should keep votes in the old voter blocking unstake after a voter change (FIXED)", async function () {
             await stakeTokens(user1, parseEther("1000"));
-
-            // Now user1 can interact with voter
             const { strategy } = await createStrategy();
             await voter.connect(user1).vote([strategy], [100]);
 
-            // Owner maliciously sets voter to different address
-            // (In practice, Ownable allows owner to transfer ownership or there might be no renounce)
-            // User's votes are now tracked in old voter, but new voter doesn't know about them
-
-            // Actually, let's check: can owner set voter to address(0)?
-            await governanceToken.setVoter(ethers.constants.AddressZero);
-
-            // Now user can unstake even though they have votes in the old voter!
-            // Their votes are orphaned in the old voter contract
+            // FIXED: the voter is bound once; it cannot be pointed at address(0) or swapped with setVoter
+            await expect(governanceToken.setVoter(ethers.constants.AddressZero)).to.be.revertedWith(
+                "GovernanceToken__InvalidZeroAddress"
+            );
+            await expect(governanceToken.setVoter(user2.address)).to.be.revertedWith("GovernanceToken__VoterAlreadySet");
+
+            // An explicit migration adds the new voter and keeps checking the old one
+            const Voter = await ethers.getContractFactory("Voter");
+            const newVoter = await Voter.deploy(
+                governanceToken.address,
+                revenueToken.address,
+                treasury.address,
+                bribeFactory.address,
+                strategyFactory.address
+            );
+            await governanceToken.migrateVoter(newVoter.address);
+            await expect(governanceToken.connect(user1).unstake(parseEther("1000"))).to.be.revertedWith(
+                "GovernanceToken__VotesNotCleared"
+            );
+
+            // Once the votes are reset in the old voter, the tokens can leave
+            await advanceToNextEpoch();
+            await voter.connect(user1).reset();
             await governanceToken.connect(user1).unstake(parseEther("1000"));
-
-            console.log("\n=== OWNER GRIEFING ===");
-            console.log("Owner set voter to zero, allowing users to unstake with orphaned votes");
-
-            // The votes still exist in the old voter
-            const orphanedVotes = await voter.account_UsedWeights(user1.address);
-            console.log("Orphaned votes in voter:", ethers.utils.formatEther(orphanedVotes));
-
-            expect(orphanedVotes).to.be.gt(0);
+            expect(await voter.account_UsedWeights(user1.address)).to.equal(0);
         });
     });
 
@@ -530,12 +534,12 @@ describe("GovernanceToken Security Exploits", function () {
     // INTEGRATION VULNERABILITY: Voter + GovernanceToken Interaction
     // =====================================================================
     describe("INTEGRATION: Voter Interaction Vulnerabilities", function () {
-        it("should demonstrate totalWeight manipulation via strategy killing", async function () {
+        it("should not let strategy killing dilute live strategies via totalWeight", async function () {
             /**
-             * When a strategy is killed, its weight remains in totalWeight
-             * until users manually reset their votes. This means:
-             * 1. Revenue distribution uses inflated totalWeight
-             * 2. Active strategies get less revenue than they should
+             * When a strategy is killed, its weight leaves totalWeight right away,
+             * even before users reset their votes. This means:
+             * 1. Revenue distribution uses only live weight
+             * 2. Active strategies get their full share
              */
             const { strategy: strategy1 } = await createStrategy();
             const { strategy: strategy2 } = await createStrategy();
@@ -558,22 +562,19 @@ describe("GovernanceToken Security Exploits", function () {
             console.log("\n=== AFTER KILL ===");
             console.log("Total weight:", ethers.utils.formatEther(totalWeightAfter));
 
-            // Weight is NOT reduced!
-            expect(totalWeightAfter).to.equal(totalWeightBefore);
-
-            // This means when revenue is distributed, strategy1's dead votes
-            // still count toward totalWeight, diluting strategy2's share
+            // Weight of the dead strategy is gone from totalWeight
+            expect(totalWeightAfter).to.equal(totalWeightBefore.sub(parseEther("500")));
 
             // Send revenue
             await revenueToken.transfer(revenueRouter.address, parseEther("1000"));
             await revenueRouter.flush();
 
-            // Strategy2 should get 100% but only gets 50% because of dead weight
+            // Strategy2 gets 100%, dead votes do not dilute it
+            await voter.updateStrategy(strategy2);
             const strategy2Claimable = await voter.strategy_Claimable(strategy2);
             console.log("Strategy2 claimable:", ethers.utils.formatEther(strategy2Claimable));
 
-            // It only gets ~500 instead of ~1000 (minus any precision loss)
-            expect(strategy2Claimable).to.be.lt(parseEther("600"));
+            expect(strategy2Claimable).to.equal(parseEther("1000"));
         });
 
         it("should demonstrate epoch timing attack for bribe sniping", async function () {
@@ -639,7 +640,7 @@ describe("GovernanceToken Security Exploits", function () {
  * 4. No checkpointing enables vote-buying attacks
  *
  * MEDIUM:
- * 5. Owner can bypass vote restrictions by setting voter to address(0)
+ * 5. Owner can bypass vote restrictions by setting voter to address(0) (FIXED: one-time binding, migrateVoter)
  * 6. Late stakers can capture disproportionate bribes (timing attack)
  *
  * LOW:
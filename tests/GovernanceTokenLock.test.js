@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { WEEK, deploySystem } = require("../sdk");
+const { latest, at, failureOf } = require("./helpers");
+
+/**
+ * Tests for vote-escrow locks in GovernanceToken.
+ *
+ * A lock stakes underlying until a whole week chosen by the account, at most MAX_LOCK_DURATION away:
+ * - the Voter allocates votingPower = balance + lockedAmount * timeLeft / MAX_LOCK_DURATION
+ * - the boost decays linearly to nothing at the lock's end; votes pick up the decay when poked
+ * - locked tokens leave only through withdrawLock after the end; flat stakes work as before
+ */
+describe("GovernanceToken Lock", function () {
+    let alice, bob;
+    let system, governanceToken, underlying, voter, lens;
+    let strategy1;
+    let MAX;
+
+    const parseEther = ethers.utils.parseEther;
+
+    beforeEach(async function () {
+        [, alice, bob] = await ethers.getSigners();
+
+        system = await deploySystem({ strategies: [{}, {}] });
+        ({ governanceToken, underlying, voter, lens } = system);
+        [strategy1] = system.strategies.map((s) => s.strategy);
+        MAX = (await governanceToken.MAX_LOCK_DURATION()).toNumber();
+
+        await underlying.mint(alice.address, parseEther("1000"));
+        await underlying.connect(alice).approve(governanceToken.address, ethers.constants.MaxUint256);
+    });
+
+    const boosted = (amount, lockEnd, now) => amount.add(amount.mul(lockEnd - now).div(MAX));
+
+    describe("createLock", function () {
+        it("stakes the amount until the end, rounded down to a whole week", async function () {
+            const start = (Math.floor((await latest()) / WEEK) + 1) * WEEK + 100;
+            await at(start);
+            const lockEnd = start - 100 + MAX;
+
+            await expect(governanceToken.connect(alice).createLock(parseEther("100"), lockEnd + 3600))
+                .to.emit(governanceToken, "GovernanceToken__Locked")
+                .withArgs(alice.address, parseEther("100"), lockEnd);
+
+            expect(await governanceToken.balanceOf(alice.address)).to.equal(parseEther("100"));
+            expect(await governanceToken.account_LockedAmount(alice.address)).to.equal(parseEther("100"));
+            expect(await governanceToken.account_LockEnd(alice.address)).to.equal(lockEnd);
+            expect(await underlying.balanceOf(governanceToken.address)).to.equal(parseEther("100"));
+
+            // ERC20Votes keeps counting the balance 1:1
+            expect(await governanceToken.getVotes(alice.address)).to.equal(parseEther("100"));
+        });
+
+        it("rejects a second lock and ends in the past or beyond the maximum", async function () {
+            const now = await latest();
+            expect(await failureOf(governanceToken.connect(alice).createLock(parseEther("1"), now))).to.equal(
+                "GovernanceToken__InvalidLockEnd"
+            );
+            expect(await failureOf(governanceToken.connect(alice).createLock(parseEther("1"), now + MAX + 2 * WEEK))).to.equal(
+                "GovernanceToken__InvalidLockEnd"
+            );
+            expect(await failureOf(governanceToken.connect(alice).createLock(0, now + 4 * WEEK))).to.equal(
+                "GovernanceToken__InvalidZeroAmount"
+            );
+
+            await governanceToken.connect(alice).createLock(parseEther("1"), now + 4 * WEEK);
+            expect(await failureOf(governanceToken.connect(alice).createLock(parseEther("1"), now + 8 * WEEK))).to.equal(
+                "GovernanceToken__LockExists"
+            );
+        });
+    });
+
+    describe("Voting power", function () {
+        let lockEnd;
+
+        beforeEach(async function () {
+            lockEnd = Math.floor(((await latest()) + MAX) / WEEK) * WEEK;
+            await governanceToken.connect(alice).createLock(parseEther("100"), lockEnd);
+            await system.stake(bob, "100", { mint: true });
+        });
+
+        it("is read by the Voter with the boost, and 1:1 for flat stakers", async function () {
+            const now = (await latest()) + 10;
+            await at(now);
+            await voter.connect(alice).vote([strategy1], [1]);
+            await voter.connect(bob).vote([strategy1], [1]);
+
+            const expected = boosted(parseEther("100"), lockEnd, now);
+            expect(expected).to.be.gt(parseEther("199"));
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(expected);
+            expect(await voter.account_UsedWeights(bob.address)).to.equal(parseEther("100"));
+            expect(await voter.totalWeight()).to.equal(expected.add(parseEther("100")));
+        });
+
+        it("decays linearly, and votes follow it when poked", async function () {
+            await voter.connect(alice).vote([strategy1], [1]);
+
+            // Halfway through, the boost is half the locked amount
+            const half = lockEnd - MAX / 2;
+            await at(half);
+            await voter.poke(alice.address);
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(parseEther("150"));
+
+            // After the end it is the balance alone
+            await at(lockEnd + 1);
+            await voter.poke(alice.address);
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(parseEther("100"));
+            expect(await governanceToken.votingPower(alice.address)).to.equal(parseEther("100"));
+        });
+
+        it("adds unlocked stake of the same account 1:1", async function () {
+            await governanceToken.connect(alice).stake(parseEther("50"));
+
+            const now = (await latest()) + 10;
+            await at(now);
+            await voter.connect(alice).vote([strategy1], [1]);
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(
+                boosted(parseEther("100"), lockEnd, now).add(parseEther("50"))
+            );
+        });
+    });
+
+    describe("increaseLockAmount and extendLock", function () {
+        let lockEnd;
+
+        beforeEach(async function () {
+            lockEnd = Math.floor(((await latest()) + 10 * WEEK) / WEEK) * WEEK;
+            await governanceToken.connect(alice).createLock(parseEther("100"), lockEnd);
+        });
+
+        it("adds to the lock and keeps its end", async function () {
+            await expect(governanceToken.connect(alice).increaseLockAmount(parseEther("50")))
+                .to.emit(governanceToken, "GovernanceToken__Locked")
+                .withArgs(alice.address, parseEther("150"), lockEnd);
+            expect(await governanceToken.balanceOf(alice.address)).to.equal(parseEther("150"));
+            expect(await governanceToken.account_LockEnd(alice.address)).to.equal(lockEnd);
+        });
+
+        it("moves the end later only", async function () {
+            await expect(governanceToken.connect(alice).extendLock(lockEnd + 4 * WEEK))
+                .to.emit(governanceToken, "GovernanceToken__Locked")
+                .withArgs(alice.address, parseEther("100"), lockEnd + 4 * WEEK);
+            expect(await governanceToken.account_LockEnd(alice.address)).to.equal(lockEnd + 4 * WEEK);
+
+            expect(await failureOf(governanceToken.connect(alice).extendLock(lockEnd))).to.equal(
+                "GovernanceToken__InvalidLockEnd"
+            );
+        });
+
+        it("re-applies votes with auto-poke", async function () {
+            await voter.connect(alice).vote([strategy1], [1]);
+            await governanceToken.connect(alice).setAutoPoke(true);
+
+            const maxEnd = Math.floor(((await latest()) + MAX) / WEEK) * WEEK;
+            const now = (await latest()) + 10;
+            await at(now);
+            await governanceToken.connect(alice).extendLock(maxEnd);
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(boosted(parseEther("100"), maxEnd, now));
+        });
+
+        it("require an unexpired lock", async function () {
+            expect(await failureOf(governanceToken.connect(bob).increaseLockAmount(parseEther("1")))).to.equal(
+                "GovernanceToken__NoLock"
+            );
+            expect(await failureOf(governanceToken.connect(bob).extendLock(lockEnd))).to.equal("GovernanceToken__NoLock");
+
+            await at(lockEnd);
+            await network.provider.send("evm_mine");
+            expect(await failureOf(governanceToken.connect(alice).increaseLockAmount(parseEther("1")))).to.equal(
+                "GovernanceToken__LockExpired"
+            );
+            expect(await failureOf(governanceToken.connect(alice).extendLock(lockEnd + 4 * WEEK))).to.equal(
+                "GovernanceToken__LockExpired"
+            );
+        });
+    });
+
+    describe("Withdrawing", function () {
+        let lockEnd;
+
+        beforeEach(async function () {
+            lockEnd = Math.floor(((await latest()) + 4 * WEEK) / WEEK) * WEEK;
+            await governanceToken.connect(alice).createLock(parseEther("100"), lockEnd);
+            await governanceToken.connect(alice).stake(parseEther("30"));
+        });
+
+        it("unstake only reaches the unlocked part", async function () {
+            await expect(governanceToken.connect(alice).unstake(parseEther("31"))).to.be.revertedWith(
+                "GovernanceToken__AmountLocked"
+            );
+            await governanceToken.connect(alice).unstake(parseEther("30"));
+            expect(await governanceToken.balanceOf(alice.address)).to.equal(parseEther("100"));
+        });
+
+        it("withdrawLock returns the lock after its end, once votes are cleared", async function () {
+            await voter.connect(alice).vote([strategy1], [1]);
+            expect(await failureOf(governanceToken.connect(alice).withdrawLock())).to.equal(
+                "GovernanceToken__LockNotExpired"
+            );
+
+            await at(lockEnd);
+            await network.provider.send("evm_mine");
+            expect(await failureOf(governanceToken.connect(alice).withdrawLock())).to.equal(
+                "GovernanceToken__VotesNotCleared"
+            );
+
+            await voter.connect(alice).reset();
+            await expect(governanceToken.connect(alice).withdrawLock())
+                .to.emit(governanceToken, "GovernanceToken__LockWithdrawn")
+                .withArgs(alice.address, parseEther("100"));
+            expect(await governanceToken.balanceOf(alice.address)).to.equal(parseEther("30"));
+            expect(await governanceToken.account_LockEnd(alice.address)).to.equal(0);
+            expect(await governanceToken.account_PendingWithdrawal(alice.address)).to.equal(parseEther("100"));
+
+            // A new lock can be created afterwards
+            await governanceToken.connect(alice).createLock(parseEther("10"), (await latest()) + 2 * WEEK);
+            expect(await failureOf(governanceToken.connect(bob).withdrawLock())).to.equal("GovernanceToken__NoLock");
+        });
+    });
+
+    describe("Lens", function () {
+        it("shows the lock and the current voting power", async function () {
+            let data = await lens.getStakeData(alice.address);
+            expect(data.lockedAmount).to.equal(0);
+            expect(data.lockEnd).to.equal(0);
+            expect(data.votingPower).to.equal(0);
+
+            const lockEnd = Math.floor(((await latest()) + MAX / 2) / WEEK) * WEEK;
+            await governanceToken.connect(alice).createLock(parseEther("100"), lockEnd);
+            data = await lens.getStakeData(alice.address);
+            expect(data.lockedAmount).to.equal(parseEther("100"));
+            expect(data.lockEnd).to.equal(lockEnd);
+            expect(data.votingPower).to.equal(await governanceToken.votingPower(alice.address));
+            expect(data.votingPower).to.be.gt(parseEther("149"));
+        });
+
+        it("counts delegators' boosted power", async function () {
+            await system.stake(bob, "100", { mint: true });
+            await governanceToken.connect(alice).createLock(parseEther("100"), (await latest()) + MAX);
+            await voter.connect(bob).approveDelegator(alice.address, true);
+            await voter.connect(alice).delegate(bob.address);
+
+            const data = await lens.getDelegateData(bob.address);
+            expect(data.ownPower).to.equal(parseEther("100"));
+            expect(data.delegatorPowers[0]).to.equal(await governanceToken.votingPower(alice.address));
+            expect(data.delegatorPowers[0]).to.be.gt(parseEther("198"));
+        });
+    });
+});
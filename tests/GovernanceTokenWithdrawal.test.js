@@ -0,0 +1,179 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { DAY, WEEK } = require("../sdk");
+const { deployStaked, latest, at, advanceToNextEpoch, failureOf } = require("./helpers");
+
+/**
+ * Tests for the GovernanceToken withdrawal delay.
+ *
+ * Without a delay, a holder could reset, unstake, hand the underlying to another wallet and vote with it again in
+ * the same epoch. With the withdrawalDelay, at least MIN_WITHDRAWAL_DELAY (one epoch) and one epoch by default:
+ * - unstake and withdrawLock burn at once, so the voting power is gone at once
+ * - the underlying waits in the GovernanceToken until account_WithdrawableAt, then claimWithdrawal sends it
+ * - unstaked tokens stay out of any other wallet until a later epoch
+ */
+describe("GovernanceToken Withdrawal Delay", function () {
+    let alice, bob;
+    let system, governanceToken, underlying, voter, lens;
+    let strategy1, strategy2;
+
+    const parseEther = ethers.utils.parseEther;
+
+    beforeEach(async function () {
+        [, alice, bob] = await ethers.getSigners();
+
+        system = await deployStaked({ strategies: [{}, {}] }, [[alice, "100"]]);
+        ({ governanceToken, underlying, voter, lens } = system);
+        [strategy1, strategy2] = system.strategies.map((s) => s.strategy);
+    });
+
+    describe("setWithdrawalDelay", function () {
+        it("is one epoch by default, owner only and between MIN_ and MAX_WITHDRAWAL_DELAY", async function () {
+            expect(await governanceToken.withdrawalDelay()).to.equal(WEEK);
+            expect(await governanceToken.MIN_WITHDRAWAL_DELAY()).to.equal(WEEK);
+            await expect(governanceToken.setWithdrawalDelay(2 * WEEK))
+                .to.emit(governanceToken, "GovernanceToken__WithdrawalDelaySet")
+                .withArgs(2 * WEEK);
+            expect(await governanceToken.withdrawalDelay()).to.equal(2 * WEEK);
+
+            await expect(governanceToken.connect(alice).setWithdrawalDelay(WEEK)).to.be.revertedWith(
+                "Ownable: caller is not the owner"
+            );
+            await expect(governanceToken.setWithdrawalDelay(0)).to.be.revertedWith("GovernanceToken__WithdrawalDelayBelowMin");
+            await expect(governanceToken.setWithdrawalDelay(WEEK - 1)).to.be.revertedWith(
+                "GovernanceToken__WithdrawalDelayBelowMin"
+            );
+            const max = await governanceToken.MAX_WITHDRAWAL_DELAY();
+            await governanceToken.setWithdrawalDelay(max);
+            await expect(governanceToken.setWithdrawalDelay(max.add(1))).to.be.revertedWith(
+                "GovernanceToken__WithdrawalDelayExceedsMax"
+            );
+        });
+    });
+
+    describe("Unstaking", function () {
+        beforeEach(async function () {
+            await governanceToken.setWithdrawalDelay(10 * DAY);
+        });
+
+        it("removes the voting power at once and queues the underlying", async function () {
+            const tx = governanceToken.connect(alice).unstake(parseEther("40"));
+            await expect(tx).to.emit(governanceToken, "GovernanceToken__Unstaked").withArgs(alice.address, parseEther("40"));
+            const withdrawableAt = (await latest()) + 10 * DAY;
+            await expect(tx)
+                .to.emit(governanceToken, "GovernanceToken__WithdrawalRequested")
+                .withArgs(alice.address, parseEther("40"), withdrawableAt);
+
+            expect(await governanceToken.balanceOf(alice.address)).to.equal(parseEther("60"));
+            expect(await governanceToken.getVotes(alice.address)).to.equal(parseEther("60"));
+            expect(await governanceToken.votingPower(alice.address)).to.equal(parseEther("60"));
+            expect(await governanceToken.account_PendingWithdrawal(alice.address)).to.equal(parseEther("40"));
+            expect(await governanceToken.account_WithdrawableAt(alice.address)).to.equal(withdrawableAt);
+            expect(await underlying.balanceOf(alice.address)).to.equal(0);
+            expect(await underlying.balanceOf(governanceToken.address)).to.equal(parseEther("100"));
+        });
+
+        it("claimWithdrawal pays once the delay has passed", async function () {
+            await governanceToken.connect(alice).unstake(parseEther("40"));
+            expect(await failureOf(governanceToken.connect(alice).claimWithdrawal())).to.equal(
+                "GovernanceToken__WithdrawalNotReady"
+            );
+
+            await at((await governanceToken.account_WithdrawableAt(alice.address)).toNumber());
+            await expect(governanceToken.connect(alice).claimWithdrawal())
+                .to.emit(governanceToken, "GovernanceToken__WithdrawalClaimed")
+                .withArgs(alice.address, parseEther("40"));
+            expect(await underlying.balanceOf(alice.address)).to.equal(parseEther("40"));
+            expect(await governanceToken.account_PendingWithdrawal(alice.address)).to.equal(0);
+            expect(await governanceToken.account_WithdrawableAt(alice.address)).to.equal(0);
+
+            expect(await failureOf(governanceToken.connect(alice).claimWithdrawal())).to.equal(
+                "GovernanceToken__NoPendingWithdrawal"
+            );
+        });
+
+        it("adds later unstakes to the pending withdrawal and restarts the delay", async function () {
+            await governanceToken.connect(alice).unstake(parseEther("40"));
+            await network.provider.send("evm_increaseTime", [2 * DAY]);
+            await governanceToken.connect(alice).unstake(parseEther("10"));
+
+            expect(await governanceToken.account_PendingWithdrawal(alice.address)).to.equal(parseEther("50"));
+            expect(await governanceToken.account_WithdrawableAt(alice.address)).to.equal((await latest()) + 10 * DAY);
+        });
+
+        it("keeps the time of pending withdrawals when the delay changes", async function () {
+            await governanceToken.connect(alice).unstake(parseEther("40"));
+            const withdrawableAt = await governanceToken.account_WithdrawableAt(alice.address);
+
+            await governanceToken.setWithdrawalDelay(WEEK);
+            expect(await governanceToken.account_WithdrawableAt(alice.address)).to.equal(withdrawableAt);
+            expect(await failureOf(governanceToken.connect(alice).claimWithdrawal())).to.equal(
+                "GovernanceToken__WithdrawalNotReady"
+            );
+
+            // The next unstake restarts the whole pending amount at the new delay
+            await governanceToken.connect(alice).unstake(parseEther("10"));
+            expect(await governanceToken.account_PendingWithdrawal(alice.address)).to.equal(parseEther("50"));
+            expect(await governanceToken.account_WithdrawableAt(alice.address)).to.equal((await latest()) + WEEK);
+        });
+
+        it("queues an ended lock withdrawn with withdrawLock", async function () {
+            await underlying.mint(bob.address, parseEther("20"));
+            await underlying.connect(bob).approve(governanceToken.address, parseEther("20"));
+            const lockEnd = Math.floor(((await latest()) + 2 * WEEK) / WEEK) * WEEK;
+            await governanceToken.connect(bob).createLock(parseEther("20"), lockEnd);
+
+            await at(lockEnd);
+            await expect(governanceToken.connect(bob).withdrawLock())
+                .to.emit(governanceToken, "GovernanceToken__WithdrawalRequested")
+                .withArgs(bob.address, parseEther("20"), lockEnd + 10 * DAY);
+            expect(await governanceToken.balanceOf(bob.address)).to.equal(0);
+            expect(await underlying.balanceOf(bob.address)).to.equal(0);
+        });
+
+        it("still requires votes to be cleared before unstaking", async function () {
+            await voter.connect(alice).vote([strategy1], [1]);
+            await expect(governanceToken.connect(alice).unstake(parseEther("1"))).to.be.revertedWith(
+                "GovernanceToken__VotesNotCleared"
+            );
+        });
+
+        it("is shown by the Lens", async function () {
+            await governanceToken.connect(alice).unstake(parseEther("40"));
+            const data = await lens.getStakeData(alice.address);
+            expect(data.pendingWithdrawal).to.equal(parseEther("40"));
+            expect(data.withdrawableAt).to.equal(await governanceToken.account_WithdrawableAt(alice.address));
+            expect(data.votingPower).to.equal(parseEther("60"));
+        });
+    });
+
+    describe("Voting twice in an epoch with the same tokens", function () {
+        // alice votes, and in the next epoch resets (its one vote or reset of that epoch), unstakes and passes
+        // the underlying to bob, who stakes it and votes again
+        async function resetUnstakeAndHandOver() {
+            await voter.connect(alice).vote([strategy1], [1]);
+            await advanceToNextEpoch();
+            await voter.connect(alice).reset();
+            await governanceToken.connect(alice).unstake(parseEther("100"));
+            return Math.floor((await latest()) / WEEK);
+        }
+
+        it("is prevented by the default delay of one epoch", async function () {
+            const epoch = await resetUnstakeAndHandOver();
+
+            // Nothing to hand over: the underlying stays in the GovernanceToken past the end of the epoch
+            expect(await underlying.balanceOf(alice.address)).to.equal(0);
+            expect(await failureOf(governanceToken.connect(alice).claimWithdrawal())).to.equal(
+                "GovernanceToken__WithdrawalNotReady"
+            );
+            const withdrawableAt = (await governanceToken.account_WithdrawableAt(alice.address)).toNumber();
+            expect(withdrawableAt).to.be.gte((epoch + 1) * WEEK);
+            await expect(voter.connect(bob).vote([strategy2], [1])).to.be.revertedWith("Voter__ZeroWeight");
+
+            await at(withdrawableAt);
+            await governanceToken.connect(alice).claimWithdrawal();
+            expect(Math.floor((await latest()) / WEEK)).to.be.gt(epoch);
+            expect(await underlying.balanceOf(alice.address)).to.equal(parseEther("100"));
+        });
+    });
+});
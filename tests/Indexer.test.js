@@ -0,0 +1,286 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openDatabase, createIndexer, readState, tableName } = require("../scripts/lib/indexer");
+const { parseOptions } = require("../scripts/indexer");
+const { HOUR, WEEK } = require("../sdk");
+const { DONUT_SYSTEM, DAILY_AUCTION, deployStaked } = require("./helpers");
+
+describe("Event Indexer", function () {
+    let owner, user1, user2, treasury;
+    let underlying, revenueToken, paymentToken;
+    let governanceToken, voter, revenueRouter;
+    let strategy1, strategy2, bribe1, bribe2, bribeRouter1;
+    let chainId, fromBlock, file;
+
+    const count = (db, table) => db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+
+    // Mines the 3 blocks that put everything sent so far within reach of an indexer with 3 confirmations
+    const confirm = () => ethers.provider.send("hardhat_mine", ["0x3"]);
+
+    function indexer(db, options = {}) {
+        return createIndexer({
+            db,
+            chainId,
+            voter: voter.address,
+            governanceToken: governanceToken.address,
+            fromBlock,
+            confirmations: 3,
+            chunkSize: 10,
+            ...options,
+        });
+    }
+
+    before(async function () {
+        [owner, user1, user2, treasury] = await ethers.getSigners();
+        ({ chainId } = await ethers.provider.getNetwork());
+        file = path.join(os.tmpdir(), `lsg-indexer-${process.pid}-${Date.now()}.sqlite`);
+
+        const system = await deployStaked(
+            { ...DONUT_SYSTEM, treasury, bribeSplit: 2000, strategies: [DAILY_AUCTION, DAILY_AUCTION] },
+            [
+                [user1, "3000"],
+                [user2, "1000"],
+            ]
+        );
+        ({ underlying, revenueToken, paymentToken, governanceToken, voter, revenueRouter } = system);
+        [{ strategy: strategy1, bribe: bribe1, bribeRouter: bribeRouter1 }, { strategy: strategy2, bribe: bribe2 }] =
+            system.strategies;
+        fromBlock = voter.deployTransaction.blockNumber;
+
+        await revenueToken.mint(owner.address, ethers.utils.parseEther("100"));
+        await paymentToken.mint(user1.address, ethers.utils.parseUnits("100000", 6));
+        await voter.connect(user1).vote([strategy1], [100]);
+        await voter.connect(user2).vote([strategy2], [100]);
+
+        // Revenue, an auction buy, bribe distribution and a bribe claim
+        await revenueToken.transfer(revenueRouter.address, ethers.utils.parseEther("10"));
+        await revenueRouter.flush();
+        await voter.distributeAll();
+
+        const strategy = await ethers.getContractAt("Strategy", strategy1);
+        const price = await strategy.getPrice();
+        const deadline = (await ethers.provider.getBlock("latest")).timestamp + HOUR;
+        await paymentToken.connect(user1).approve(strategy1, price);
+        await strategy.connect(user1).buy(user1.address, 0, deadline, price);
+        await (await ethers.getContractAt("BribeRouter", bribeRouter1)).distribute();
+
+        await ethers.provider.send("evm_increaseTime", [HOUR * 24]);
+        await ethers.provider.send("evm_mine", []);
+        await voter.connect(user1).claimBribes([bribe1]);
+    });
+
+    after(async function () {
+        for (const suffix of ["", "-wal", "-shm"]) fs.rmSync(file + suffix, { force: true });
+    });
+
+    it("should name tables after events", async function () {
+        expect(tableName("Voter__NotifyRevenue")).to.equal("voter_notify_revenue");
+        expect(tableName("GovernanceToken__Staked")).to.equal("governance_token_staked");
+        expect(tableName("Bribe__RewardPaid")).to.equal("bribe_reward_paid");
+        expect(tableName("Strategy__Buy")).to.equal("strategy_buy");
+    });
+
+    it("should parse indexer options", async function () {
+        expect(parseOptions([], {})).to.deep.equal({ db: undefined, confirmations: undefined, fromBlock: undefined });
+        expect(parseOptions(["--db", "x.sqlite", "--confirmations", "20", "--from-block=5"], {})).to.deep.equal({
+            db: "x.sqlite",
+            confirmations: 20,
+            fromBlock: 5,
+        });
+        expect(parseOptions([], { INDEXER_CONFIRMATIONS: "0" }).confirmations).to.equal(0);
+        try {
+            parseOptions(["--confirmations", "-1"], {});
+            expect.fail("parseOptions should have thrown");
+        } catch (error) {
+            expect(error.message).to.include('Invalid --confirmations "-1"');
+        }
+    });
+
+    it("should index every event from the deploy block", async function () {
+        const db = openDatabase(file);
+        await confirm();
+        const result = await indexer(db).run();
+        const head = (await ethers.provider.getBlockNumber()) - 3;
+
+        expect(result).to.include({ fromBlock, toBlock: head, rewound: 0 });
+        expect(count(db, "voter_strategy_added")).to.equal(2);
+        expect(count(db, "governance_token_staked")).to.equal(2);
+        expect(count(db, "voter_voted")).to.equal(2);
+        expect(count(db, "voter_notify_revenue")).to.equal(1);
+        expect(count(db, "voter_distribute_revenue")).to.equal(2);
+        expect(count(db, "strategy_buy")).to.equal(1);
+        expect(count(db, "bribe_reward_notified")).to.equal(1);
+        expect(count(db, "bribe_reward_paid")).to.equal(1);
+        expect(result.events).to.equal(12);
+
+        const vote = db.prepare("SELECT * FROM voter_voted ORDER BY block_number LIMIT 1").get();
+        expect(vote).to.include({
+            address: voter.address,
+            voter: user1.address,
+            strategy: strategy1,
+            weight: ethers.utils.parseEther("3000").toString(),
+        });
+        const notified = db.prepare("SELECT amount FROM voter_notify_revenue").get();
+        expect(notified.amount).to.equal(ethers.utils.parseEther("10").toString());
+        const buy = db.prepare("SELECT * FROM strategy_buy").get();
+        expect(buy).to.include({ address: strategy1, buyer: user1.address, assets_receiver: user1.address });
+        const paid = db.prepare("SELECT * FROM bribe_reward_paid").get();
+        expect(paid).to.include({ address: bribe1, user: user1.address, rewards_token: paymentToken.address });
+
+        expect(readState(db)).to.deep.include({ last_block: String(head), from_block: String(fromBlock), voter: voter.address });
+        db.close();
+    });
+
+    it("should stay confirmations behind the head", async function () {
+        const db = openDatabase(":memory:");
+        const head = await ethers.provider.getBlockNumber();
+        expect(await indexer(db).run()).to.include({ toBlock: head - 3 });
+        expect(await indexer(db, { confirmations: 0 }).run()).to.include({ fromBlock: head - 2, toBlock: head });
+        db.close();
+    });
+
+    it("should need a start block for a new database only", async function () {
+        const db = openDatabase(":memory:");
+        try {
+            indexer(db, { fromBlock: undefined });
+            expect.fail("createIndexer should have thrown");
+        } catch (error) {
+            expect(error.message).to.include("No block to start indexing from");
+        }
+        expect(() => indexer(db, { fromBlock: null })).to.throw(/No block to start/);
+
+        // Once the database has one, later runs start from the block it keeps
+        indexer(db);
+        expect(readState(db).from_block).to.equal(String(fromBlock));
+        expect((await indexer(db, { fromBlock: undefined }).run()).fromBlock).to.equal(fromBlock);
+        db.close();
+    });
+
+    it("should resume from the last indexed block", async function () {
+        await ethers.provider.send("evm_increaseTime", [WEEK]);
+        await ethers.provider.send("evm_mine", []);
+        await voter.connect(user2).reset();
+        await governanceToken.connect(user2).unstake(ethers.utils.parseEther("1000"));
+        await confirm();
+
+        const db = openDatabase(file);
+        const before = Number(readState(db).last_block);
+        const result = await indexer(db, { fromBlock: undefined }).run();
+        expect(result.fromBlock).to.equal(before + 1);
+        expect(result.events).to.equal(3);
+        expect(count(db, "voter_abstained")).to.equal(1);
+        expect(count(db, "governance_token_unstaked")).to.equal(1);
+        expect(count(db, "governance_token_withdrawal_requested")).to.equal(1);
+        expect(count(db, "voter_voted")).to.equal(2);
+
+        const again = await indexer(db).run();
+        expect(again.events).to.equal(0);
+        db.close();
+    });
+
+    it("should rewind and reindex after a reorg", async function () {
+        const db = openDatabase(file);
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+        await revenueToken.transfer(revenueRouter.address, ethers.utils.parseEther("5"));
+        await revenueRouter.flush();
+        await confirm();
+        await indexer(db).run();
+        expect(count(db, "voter_notify_revenue")).to.equal(2);
+        const staleLast = Number(readState(db).last_block);
+
+        // Replace the last blocks with a different history of the same length plus one
+        await ethers.provider.send("evm_revert", [snapshot]);
+        await underlying.mint(user2.address, ethers.utils.parseEther("10"));
+        await underlying.connect(user2).approve(governanceToken.address, ethers.utils.parseEther("10"));
+        await governanceToken.connect(user2).stake(ethers.utils.parseEther("10"));
+        await confirm();
+        expect(await ethers.provider.getBlockNumber()).to.equal(staleLast + 4);
+
+        const result = await indexer(db).run();
+        expect(result.rewound).to.be.greaterThan(0);
+        expect(count(db, "voter_notify_revenue")).to.equal(1);
+        expect(count(db, "governance_token_staked")).to.equal(3);
+        expect(readState(db).last_block).to.equal(String(staleLast + 1));
+
+        const { hash } = await ethers.provider.getBlock(staleLast);
+        const stored = db.prepare("SELECT hash FROM indexed_blocks WHERE number = ?").get(staleLast);
+        expect(stored === undefined || stored.hash === hash).to.equal(true);
+        db.close();
+    });
+
+    it("should backfill tables added after the database was built", async function () {
+        const db = openDatabase(":memory:");
+        await indexer(db).run();
+        const abstained = count(db, "voter_abstained");
+        const staked = count(db, "governance_token_staked");
+        expect(abstained).to.be.greaterThan(0);
+
+        // As if voter_abstained had been added to INDEXED_EVENTS since the last run
+        db.prepare("DELETE FROM voter_abstained").run();
+        const tables = JSON.parse(readState(db).indexed_tables).filter((table) => table !== "voter_abstained");
+        db.prepare("UPDATE indexer_state SET value = ? WHERE key = 'indexed_tables'").run(JSON.stringify(tables));
+
+        const result = await indexer(db).run();
+        expect(result.backfilled).to.equal(abstained);
+        expect(count(db, "voter_abstained")).to.equal(abstained);
+        expect(JSON.parse(readState(db).indexed_tables)).to.include("voter_abstained");
+
+        // A database from before indexed_tables was kept is backfilled in full, without duplicating rows
+        db.prepare("DELETE FROM voter_abstained").run();
+        db.prepare("DELETE FROM indexer_state WHERE key = 'indexed_tables'").run();
+        expect((await indexer(db).run()).backfilled).to.equal(abstained);
+        expect(count(db, "voter_abstained")).to.equal(abstained);
+        expect(count(db, "governance_token_staked")).to.equal(staked);
+        expect((await indexer(db).run()).backfilled).to.equal(0);
+        db.close();
+    });
+
+    it("should only keep strategy and bribe events for known strategies", async function () {
+        const buy = await ethers.getContractAt("Strategy", strategy1).then((s) => s.queryFilter(s.filters.Strategy__Buy()));
+        const buyBlock = buy[0].blockNumber;
+
+        // Starting after Voter__StrategyAdded, strategies are unknown unless seeded
+        const unseeded = openDatabase(":memory:");
+        await indexer(unseeded, { fromBlock: buyBlock }).run();
+        expect(count(unseeded, "strategy_buy")).to.equal(0);
+        expect(count(unseeded, "bribe_reward_paid")).to.equal(0);
+
+        // Every query names its contract, the seeded strategies and bribes included
+        const filters = [];
+        const provider = {
+            getBlockNumber: () => ethers.provider.getBlockNumber(),
+            getBlock: (block) => ethers.provider.getBlock(block),
+            getLogs: (filter) => filters.push(filter) && ethers.provider.getLogs(filter),
+        };
+        const seeded = openDatabase(":memory:");
+        await indexer(seeded, {
+            provider,
+            fromBlock: buyBlock,
+            strategies: [
+                { strategy: strategy1, bribe: bribe1 },
+                { strategy: strategy2, bribe: bribe2 },
+            ],
+        }).run();
+        expect(count(seeded, "strategy_buy")).to.equal(1);
+        expect(count(seeded, "bribe_reward_paid")).to.equal(1);
+        const queried = new Set(filters.map((f) => f.address.toLowerCase()));
+        expect([...queried].sort()).to.deep.equal(
+            [voter.address, governanceToken.address, strategy1, strategy2, bribe1, bribe2].map((a) => a.toLowerCase()).sort()
+        );
+    });
+
+    it("should refuse a database built for another deployment", async function () {
+        const db = openDatabase(file);
+        try {
+            indexer(db, { voter: owner.address });
+            expect.fail("createIndexer should have thrown");
+        } catch (error) {
+            expect(error.message).to.include(`Index database was built for voter ${voter.address}`);
+        }
+        db.close();
+    });
+});
@@ -0,0 +1,387 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { worthIt, createKeeper, renderJobs } = require("../scripts/lib/keeper");
+const { jsonPriceSource, valueOf } = require("../scripts/lib/prices");
+const { createNonceManager, sendWithRetry } = require("../scripts/lib/tx");
+const { parseOptions } = require("../scripts/keeper");
+const { WEEK } = require("../sdk");
+const { DONUT_SYSTEM, DAILY_AUCTION, deployStaked, latest, at } = require("./helpers");
+
+describe("Keeper", function () {
+    let owner, keeperSigner, user1, user2, treasury;
+    let underlying, revenueToken, paymentToken;
+    let governanceToken, voter, revenueRouter, multicall;
+    let strategy1, strategy2, bribeRouter1, bribe1;
+
+    function keeper(options = {}) {
+        return createKeeper({
+            signer: keeperSigner,
+            voter,
+            revenueRouter,
+            multicall,
+            names: { [strategy1.toLowerCase()]: "Alpha", [strategy2.toLowerCase()]: "Beta" },
+            retryDelay: 0,
+            ...options,
+        });
+    }
+
+    const job = (jobs, name, subject) => jobs.find((j) => j.job === name && (!subject || j.subject === subject));
+
+    before(async function () {
+        [owner, keeperSigner, user1, user2, treasury] = await ethers.getSigners();
+
+        const system = await deployStaked({ ...DONUT_SYSTEM, treasury, strategies: [DAILY_AUCTION, DAILY_AUCTION] }, [
+            [user1, "3000"],
+            [user2, "1000"],
+        ]);
+        ({ underlying, revenueToken, paymentToken, governanceToken, voter, revenueRouter, multicall } = system);
+        [{ strategy: strategy1, bribeRouter: bribeRouter1, bribe: bribe1 }, { strategy: strategy2 }] = system.strategies;
+        await voter.connect(user1).vote([strategy1], [1]);
+        await voter.connect(user2).vote([strategy2], [1]);
+    });
+
+    it("should price tokens from a price table by address or symbol", async function () {
+        const prices = jsonPriceSource({ usdc: "0.0004", [revenueToken.address]: "1" });
+        const usdc = await prices({ address: paymentToken.address, symbol: "USDC" });
+        expect(usdc).to.equal(ethers.utils.parseEther("0.0004"));
+        expect(await prices({ address: revenueToken.address.toLowerCase() })).to.equal(ethers.utils.parseEther("1"));
+        expect(await prices({ address: underlying.address, symbol: "DONUT" })).to.equal(undefined);
+
+        expect(valueOf(ethers.utils.parseUnits("2500", 6), 6, usdc)).to.equal(ethers.utils.parseEther("1"));
+        expect(worthIt(ethers.BigNumber.from(300), ethers.BigNumber.from(100), 3)).to.equal(true);
+        expect(worthIt(ethers.BigNumber.from(299), ethers.BigNumber.from(100), 3)).to.equal(false);
+        expect(worthIt(ethers.BigNumber.from(150), ethers.BigNumber.from(100), 1.5)).to.equal(true);
+
+        try {
+            jsonPriceSource({ USDC: "cheap" });
+            expect.fail("jsonPriceSource should have thrown");
+        } catch (error) {
+            expect(error.message).to.include('Invalid price "cheap" for USDC');
+        }
+    });
+
+    it("should report nothing to do on an idle system", async function () {
+        const jobs = await keeper().tick();
+        expect(jobs.map((j) => [j.job, j.subject, j.reason])).to.deep.equal([
+            ["flush", "RevenueRouter", "nothing to do"],
+            ["distribute", "Voter", "nothing to do"],
+            ["bribe", "Alpha", "nothing to do"],
+            ["bribe", "Beta", "nothing to do"],
+        ]);
+        expect(jobs.every((j) => !j.run)).to.equal(true);
+    });
+
+    it("should skip revenue worth less than the gas", async function () {
+        await revenueToken.mint(revenueRouter.address, 1000000);
+
+        const jobs = await keeper().tick();
+        const flush = job(jobs, "flush");
+        expect(flush.run).to.equal(false);
+        expect(flush.reason).to.equal("value below 2x gas cost");
+        expect(flush.gasCost.gt(flush.value)).to.equal(true);
+        expect(await revenueRouter.pendingRevenue()).to.equal(1000000);
+    });
+
+    it("should plan without sending in dry-run mode", async function () {
+        await revenueToken.mint(revenueRouter.address, ethers.utils.parseEther("10"));
+        const nonce = await keeperSigner.getTransactionCount();
+
+        const jobs = await keeper({ dryRun: true }).tick();
+        expect(job(jobs, "flush").reason).to.equal("dry run");
+        // The router's WETH is counted as if the flush had happened
+        const distribute = job(jobs, "distribute");
+        expect(distribute.reason).to.equal("dry run");
+        expect(distribute.amount).to.equal(ethers.utils.parseEther("10").add(1000000));
+        expect(jobs.every((j) => !j.run && !j.txHash)).to.equal(true);
+
+        expect(await keeperSigner.getTransactionCount()).to.equal(nonce);
+        expect(await revenueRouter.pendingRevenue()).to.equal(ethers.utils.parseEther("10").add(1000000));
+    });
+
+    it("should flush and distribute when the value beats the gas", async function () {
+        const total = ethers.utils.parseEther("10").add(1000000);
+        const jobs = await keeper().tick();
+
+        const flush = job(jobs, "flush");
+        expect(flush.run).to.equal(true);
+        expect(flush.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(job(jobs, "distribute").run).to.equal(true);
+
+        expect(await revenueRouter.pendingRevenue()).to.equal(0);
+        const balances = [
+            await revenueToken.balanceOf(strategy1),
+            await revenueToken.balanceOf(strategy2),
+        ];
+        // 3000 / 1000 votes, rounding dust stays in the Voter
+        expect(total.sub(balances[0].add(balances[1])).lte(10)).to.equal(true);
+        expect(balances[0].div(balances[1])).to.equal(3);
+
+        const text = renderJobs(jobs);
+        expect(text).to.include("flush      RevenueRouter");
+        expect(text).to.include(`sent ${flush.txHash}`);
+    });
+
+    it("should only push bribes it has a price for", async function () {
+        await paymentToken.mint(bribeRouter1, ethers.utils.parseUnits("500", 6));
+
+        let jobs = await keeper().tick();
+        expect(job(jobs, "bribe", "Alpha").reason).to.equal("no price for USDC");
+        expect(job(jobs, "bribe", "Beta").reason).to.equal("nothing to do");
+
+        // 500 USDC at 0.0004 ETH is 0.2 ETH
+        jobs = await keeper({ prices: jsonPriceSource({ USDC: "0.0004" }) }).tick();
+        const bribe = job(jobs, "bribe", "Alpha");
+        expect(bribe.value).to.equal(ethers.utils.parseEther("0.2"));
+        expect(bribe.run).to.equal(true);
+        expect(await paymentToken.balanceOf(bribeRouter1)).to.equal(0);
+        const bribeContract = await ethers.getContractAt("contracts/Bribe.sol:Bribe", bribe1);
+        expect((await bribeContract.left(paymentToken.address)).gt(0)).to.equal(true);
+
+        // A dust price is not worth the gas
+        await paymentToken.mint(bribeRouter1, ethers.utils.parseUnits("1000", 6));
+        jobs = await keeper({ prices: jsonPriceSource({ USDC: "0.000000001" }) }).tick();
+        expect(job(jobs, "bribe", "Alpha").reason).to.equal("value below 2x gas cost");
+    });
+
+    it("should hand out consecutive nonces and resync after a failure", async function () {
+        const nonces = createNonceManager(keeperSigner);
+        const start = await keeperSigner.getTransactionCount("pending");
+        expect(await nonces.next()).to.equal(start);
+        expect(await nonces.next()).to.equal(start + 1);
+        nonces.reset();
+        expect(await nonces.next()).to.equal(start);
+    });
+
+    it("should retry transient failures and give up on reverts", async function () {
+        const nonces = createNonceManager(keeperSigner);
+        const start = await keeperSigner.getTransactionCount("pending");
+        const used = [];
+        const logs = [];
+
+        let calls = 0;
+        const receipt = await sendWithRetry(
+            async (nonce) => {
+                used.push(nonce);
+                calls++;
+                if (calls === 1) throw Object.assign(new Error("nonce too low"), { code: "NONCE_EXPIRED" });
+                if (calls === 2) throw Object.assign(new Error("connect ECONNREFUSED"), { code: "SERVER_ERROR" });
+                return { wait: async () => ({ status: 1, nonce }) };
+            },
+            { nonces, retries: 3, retryDelay: 0, log: (line) => logs.push(line) }
+        );
+        expect(receipt).to.deep.equal({ status: 1, nonce: start });
+        expect(used).to.deep.equal([start, start, start]);
+        expect(logs).to.have.length(2);
+        expect(logs[0]).to.include("attempt 1 failed (NONCE_EXPIRED)");
+
+        calls = 0;
+        try {
+            await sendWithRetry(
+                async () => {
+                    calls++;
+                    throw Object.assign(new Error("execution reverted"), { code: "CALL_EXCEPTION" });
+                },
+                { nonces, retries: 3, retryDelay: 0 }
+            );
+            expect.fail("sendWithRetry should have thrown");
+        } catch (error) {
+            expect(error.code).to.equal("CALL_EXCEPTION");
+        }
+        expect(calls).to.equal(1);
+
+        calls = 0;
+        try {
+            await sendWithRetry(
+                async () => {
+                    calls++;
+                    throw Object.assign(new Error("timeout"), { code: "TIMEOUT" });
+                },
+                { nonces, retries: 2, retryDelay: 0 }
+            );
+            expect.fail("sendWithRetry should have thrown");
+        } catch (error) {
+            expect(error.code).to.equal("TIMEOUT");
+        }
+        expect(calls).to.equal(3);
+    });
+
+    it("should resend with the same nonce and only wait again once a send went out", async function () {
+        const nonces = createNonceManager(keeperSigner);
+        const start = await keeperSigner.getTransactionCount("pending");
+        const used = [];
+
+        let waits = 0;
+        const receipt = await sendWithRetry(
+            async (nonce) => {
+                used.push(nonce);
+                if (used.length === 1) throw Object.assign(new Error("socket hang up"), { code: "SERVER_ERROR" });
+                return {
+                    wait: async () => {
+                        if (++waits === 1) throw Object.assign(new Error("timeout"), { code: "TIMEOUT" });
+                        return { status: 1, nonce };
+                    },
+                };
+            },
+            { nonces, retries: 3, retryDelay: 0 }
+        );
+        expect(receipt).to.deep.equal({ status: 1, nonce: start });
+        expect(used).to.deep.equal([start, start]);
+        expect(waits).to.equal(2);
+    });
+
+    it("should not send again when a failed send took the nonce", async function () {
+        const nonces = createNonceManager(keeperSigner);
+        const start = await keeperSigner.getTransactionCount("pending");
+
+        // The first send reaches the node and is mined, but the caller only sees a dropped connection
+        let calls = 0;
+        let error;
+        try {
+            await sendWithRetry(
+                async (nonce) => {
+                    calls++;
+                    const tx = await keeperSigner.sendTransaction({ to: keeperSigner.address, value: 0, nonce });
+                    if (calls === 1) throw Object.assign(new Error("socket hang up"), { code: "SERVER_ERROR" });
+                    return tx;
+                },
+                { nonces, retries: 3, retryDelay: 0 }
+            );
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include(`nonce ${start} was taken after a failed send`);
+        expect(calls).to.equal(2);
+        expect(await keeperSigner.getTransactionCount()).to.equal(start + 1);
+    });
+
+    it("should use the receipt of a failed send that took the nonce", async function () {
+        const nonces = createNonceManager(keeperSigner);
+        const start = await keeperSigner.getTransactionCount("pending");
+
+        // As above, but the error carries the hash of the transaction that went out, as ethers attaches it
+        let calls = 0;
+        let sent;
+        const logs = [];
+        const receipt = await sendWithRetry(
+            async (nonce) => {
+                calls++;
+                const tx = await keeperSigner.sendTransaction({ to: keeperSigner.address, value: 0, nonce });
+                if (calls === 1) {
+                    sent = tx.hash;
+                    throw Object.assign(new Error("socket hang up"), { code: "SERVER_ERROR", transactionHash: tx.hash });
+                }
+                return tx;
+            },
+            { nonces, provider: ethers.provider, retries: 3, retryDelay: 0, log: (line) => logs.push(line) }
+        );
+        expect(receipt.transactionHash).to.equal(sent);
+        expect(receipt.status).to.equal(1);
+        expect(calls).to.equal(2);
+        expect(logs[1]).to.include(`nonce ${start} was taken by the earlier attempt ${sent}`);
+        expect(await keeperSigner.getTransactionCount()).to.equal(start + 1);
+    });
+
+    it("should give up when another transaction took the nonce after a failed send", async function () {
+        const nonces = createNonceManager(keeperSigner);
+        const start = await keeperSigner.getTransactionCount("pending");
+
+        // The first send never reaches the node, and another sender uses the nonce before the retry
+        let calls = 0;
+        let error;
+        try {
+            await sendWithRetry(
+                async (nonce) => {
+                    calls++;
+                    if (calls === 1) {
+                        await keeperSigner.sendTransaction({ to: owner.address, value: 0, nonce });
+                        throw Object.assign(new Error("socket hang up"), {
+                            code: "SERVER_ERROR",
+                            transactionHash: ethers.utils.id("never sent"),
+                        });
+                    }
+                    return keeperSigner.sendTransaction({ to: keeperSigner.address, value: 0, nonce });
+                },
+                { nonces, provider: ethers.provider, retries: 3, retryDelay: 0 }
+            );
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include(`nonce ${start} was taken by another transaction`);
+        expect(calls).to.equal(2);
+        expect(await keeperSigner.getTransactionCount()).to.equal(start + 1);
+    });
+
+    it("should poke lockers whose votes outlast their lock boost", async function () {
+        const locker = (await ethers.getSigners())[5];
+        const amount = ethers.utils.parseEther("1000");
+        await underlying.mint(locker.address, amount);
+        await underlying.connect(locker).approve(governanceToken.address, amount);
+        const lockEnd = (Math.floor((await latest()) / WEEK) + 52) * WEEK;
+        await governanceToken.connect(locker).createLock(amount, lockEnd);
+        await voter.connect(locker).vote([strategy2], [1]);
+        const boosted = await voter.account_UsedWeights(locker.address);
+        expect(boosted).to.be.gt(amount);
+
+        let jobs = await keeper({ governanceToken, fromBlock: 0 }).tick();
+        expect(job(jobs, "poke").subject).to.equal("0 decayed lock(s)");
+        expect(job(jobs, "poke").reason).to.equal("nothing to do");
+
+        // Past the lock end the power is the plain balance, but the vote still carries the boost
+        await at(lockEnd + 1);
+        await network.provider.send("evm_mine");
+        expect(await governanceToken.votingPower(locker.address)).to.equal(amount);
+        expect(await voter.account_UsedWeights(locker.address)).to.equal(boosted);
+        const strategyWeight = await voter.strategy_Weight(strategy2);
+
+        jobs = await keeper({ governanceToken, fromBlock: 0, dryRun: true }).tick();
+        expect(job(jobs, "poke").accounts).to.deep.equal([locker.address]);
+        expect(job(jobs, "poke").reason).to.equal("dry run");
+        // Under the threshold nothing is sent
+        jobs = await keeper({ governanceToken, fromBlock: 0, pokeThreshold: 10000 }).tick();
+        expect(job(jobs, "poke").reason).to.equal("nothing to do");
+
+        jobs = await keeper({ governanceToken, fromBlock: 0 }).tick();
+        expect(job(jobs, "poke").subject).to.equal("1 decayed lock(s)");
+        expect(job(jobs, "poke").run).to.equal(true);
+        expect(await voter.account_UsedWeights(locker.address)).to.equal(amount);
+        expect(await voter.strategy_Weight(strategy2)).to.equal(strategyWeight.sub(boosted.sub(amount)));
+    });
+
+    it("should parse command line options with env fallbacks", async function () {
+        expect(parseOptions([], {})).to.deep.equal({
+            interval: 300,
+            once: false,
+            dryRun: false,
+            gasMultiple: 2,
+            prices: undefined,
+            retries: 3,
+            retryDelay: 5000,
+            fromBlock: undefined,
+            pokeThreshold: 100,
+        });
+        expect(
+            parseOptions(
+                ["--once", "--dry-run", "--interval", "60", "--gas-multiple=1.5", "--prices", "p.json", "--poke-threshold", "50"],
+                { KEEPER_RETRIES: "5", KEEPER_FROM_BLOCK: "1200" }
+            )
+        ).to.deep.equal({
+            interval: 60,
+            once: true,
+            dryRun: true,
+            gasMultiple: 1.5,
+            prices: "p.json",
+            retries: 5,
+            retryDelay: 5000,
+            fromBlock: 1200,
+            pokeThreshold: 50,
+        });
+        expect(parseOptions([], { KEEPER_DRY_RUN: "1", KEEPER_RETRY_DELAY: "0.5" })).to.include({ dryRun: true, retryDelay: 500 });
+
+        try {
+            parseOptions(["--interval", "soon"], {});
+            expect.fail("parseOptions should have thrown");
+        } catch (error) {
+            expect(error.message).to.include('Invalid --interval "soon"');
+        }
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, WEEK } = require("../sdk");
 
 /**
  * Tests for Kill Strategy behavior - ensuring users can reset/vote after strategy is killed.
@@ -9,9 +10,6 @@ describe("Kill Strategy - User Vote Handling", function () {
     let underlying, revenueToken, paymentToken;
     let governanceToken, voter;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, treasury] = await ethers.getSigners();
 
@@ -69,9 +67,9 @@ describe("Kill Strategy - User Vote Handling", function () {
         // Owner kills the strategy
         await voter.killStrategy(strategy);
 
-        // Strategy weight should still be there (so users can withdraw)
+        // Strategy weight should still be there (so users can withdraw), but no longer counts in totalWeight
         expect(await voter.strategy_Weight(strategy)).to.equal(ethers.utils.parseEther("100"));
-        expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("100"));
+        expect(await voter.totalWeight()).to.equal(0);
 
         // Advance to next epoch
         await ethers.provider.send("evm_increaseTime", [WEEK]);
@@ -138,14 +136,12 @@ describe("Kill Strategy - User Vote Handling", function () {
         // because _updateFor checks strategy_IsAlive
         expect(await voter.strategy_Claimable(strategy1)).to.equal(0);
 
-        // Strategy2 gets its share based on weight ratio (50%)
-        // But wait - totalWeight still includes strategy1's weight!
-        // So strategy2 only gets 500 WETH (50% of 1000)
-        expect(await voter.strategy_Claimable(strategy2)).to.equal(ethers.utils.parseEther("500"));
+        // killStrategy removed strategy1's weight from totalWeight, so strategy2 gets all 1000 WETH
+        expect(await voter.strategy_Claimable(strategy2)).to.equal(ethers.utils.parseEther("1000"));
     });
 
-    it("revenue sent after kill but before user reset: dead strategy share goes to treasury", async function () {
-        // After fix: revenue for dead strategy is redirected to treasury instead of being stuck
+    it("revenue sent after kill but before user reset: live strategies get all of it", async function () {
+        // LSG-02: dead weight no longer dilutes live strategies or routes their share to treasury
         const strategy1 = await createStrategy();
         const strategy2 = await createStrategy();
 
@@ -169,12 +165,11 @@ describe("Kill Strategy - User Vote Handling", function () {
         // Distribute all
         await voter.distributeAll();
 
-        // Strategy2 gets 500 (its 50% share)
-        expect(await revenueToken.balanceOf(strategy2)).to.equal(ethers.utils.parseEther("500"));
-
-        // Strategy1's 500 share goes to treasury (not stuck)
+        // Strategy2 gets everything, nothing goes to the treasury or the dead strategy
+        expect(await revenueToken.balanceOf(strategy2)).to.equal(ethers.utils.parseEther("1000"));
+        expect(await revenueToken.balanceOf(strategy1)).to.equal(0);
         const treasuryAfter = await revenueToken.balanceOf(treasury.address);
-        expect(treasuryAfter.sub(treasuryBefore)).to.equal(ethers.utils.parseEther("500"));
+        expect(treasuryAfter.sub(treasuryBefore)).to.equal(0);
 
         // No funds stuck in voter
         expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers, waffle } = require("hardhat");
+const { HOUR, WEEK } = require("../sdk");
 
 describe("Liquid Signal Governance", function () {
     let owner, user1, user2, user3, treasury;
@@ -7,9 +8,6 @@ describe("Liquid Signal Governance", function () {
     let governanceToken, voter, bribeFactory, strategyFactoryContract;
     let strategy, bribe, bribeRouter;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, user3, treasury] = await ethers.getSigners();
 
@@ -78,6 +76,11 @@ describe("Liquid Signal Governance", function () {
             await governanceToken.connect(user1).unstake(amount);
 
             expect(await governanceToken.balanceOf(user1.address)).to.equal(0);
+            expect(await governanceToken.account_PendingWithdrawal(user1.address)).to.equal(amount);
+
+            // The underlying comes back after the withdrawal delay
+            await ethers.provider.send("evm_increaseTime", [WEEK]);
+            await governanceToken.connect(user1).claimWithdrawal();
             expect(await underlying.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("1000"));
         });
 
@@ -645,6 +648,9 @@ describe("Liquid Signal Governance", function () {
 
             await governanceToken.connect(user1).unstake(ethers.utils.parseEther("300"));
             await governanceToken.connect(user2).unstake(ethers.utils.parseEther("100"));
+            await ethers.provider.send("evm_increaseTime", [WEEK]);
+            await governanceToken.connect(user1).claimWithdrawal();
+            await governanceToken.connect(user2).claimWithdrawal();
 
             expect(await underlying.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("1000"));
             expect(await underlying.balanceOf(user2.address)).to.equal(ethers.utils.parseEther("1000"));
@@ -1,58 +1,19 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, DAY, WEEK, deploySystem } = require("../sdk");
 
 describe("Multicall Contract", function () {
     let owner, user1, user2, user3, user4, treasury;
     let underlying, revenueToken, paymentToken, paymentToken2;
-    let governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
+    let system, governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
     let multicall;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-    const DAY = 24 * 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, user3, user4, treasury] = await ethers.getSigners();
 
-        // Deploy mock tokens
-        const MockERC20 = await ethers.getContractFactory("MockERC20");
-        underlying = await MockERC20.deploy("Underlying Token", "UNDERLYING", 18);
-        revenueToken = await MockERC20.deploy("Revenue Token", "WETH", 18);
-        paymentToken = await MockERC20.deploy("Payment Token", "USDC", 6);
-        paymentToken2 = await MockERC20.deploy("Payment Token 2", "DAI", 18);
-
-        // Deploy factories
-        const BribeFactory = await ethers.getContractFactory("BribeFactory");
-        bribeFactory = await BribeFactory.deploy();
-
-        const StrategyFactory = await ethers.getContractFactory("StrategyFactory");
-        strategyFactory = await StrategyFactory.deploy();
-
-        // Deploy GovernanceToken
-        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
-        governanceToken = await GovernanceToken.deploy(underlying.address, "Staked Underlying", "sUNDER");
-
-        // Deploy Voter
-        const Voter = await ethers.getContractFactory("Voter");
-        voter = await Voter.deploy(
-            governanceToken.address,
-            revenueToken.address,
-            treasury.address,
-            bribeFactory.address,
-            strategyFactory.address
-        );
-
-        // Set voter on governance token
-        await governanceToken.setVoter(voter.address);
-
-        // Deploy RevenueRouter and set as revenue source
-        const RevenueRouter = await ethers.getContractFactory("RevenueRouter");
-        revenueRouter = await RevenueRouter.deploy(revenueToken.address, voter.address);
-        await voter.setRevenueSource(revenueRouter.address);
-
-        // Deploy Multicall
-        const Multicall = await ethers.getContractFactory("Multicall");
-        multicall = await Multicall.deploy(voter.address);
+        system = await deploySystem({ tokens: { paymentToken2: ["Payment Token 2", "DAI", 18] }, treasury });
+        ({ underlying, revenueToken, paymentToken, paymentToken2, governanceToken, voter } = system);
+        ({ bribeFactory, strategyFactory, revenueRouter, multicall } = system);
 
         // Mint tokens to users
         await underlying.mint(user1.address, ethers.utils.parseEther("1000"));
@@ -70,20 +31,11 @@ describe("Multicall Contract", function () {
 
     // Helper functions
     async function createStrategy(payment = paymentToken) {
-        const initPrice = ethers.utils.parseUnits("100", payment.address === paymentToken.address ? 6 : 18);
-        const tx = await voter.addStrategy(payment.address, treasury.address, initPrice, HOUR, ethers.utils.parseEther("2"), initPrice);
-        const receipt = await tx.wait();
-        const event = receipt.events.find(e => e.event === "Voter__StrategyAdded");
-        return {
-            strategy: event.args.strategy,
-            bribe: event.args.bribe,
-            bribeRouter: event.args.bribeRouter
-        };
+        return system.addStrategy({ paymentToken: payment });
     }
 
     async function stakeTokens(user, amount) {
-        await underlying.connect(user).approve(governanceToken.address, amount);
-        await governanceToken.connect(user).stake(amount);
+        await system.stake(user, amount);
     }
 
     async function sendRevenue(amount) {
@@ -620,6 +572,27 @@ describe("Multicall Contract", function () {
         });
     });
 
+    describe("poke", function () {
+        it("should re-apply the votes of every account to its balance", async function () {
+            const { strategy } = await createStrategy();
+            const { strategy: strategy2 } = await createStrategy(paymentToken2);
+            await stakeTokens(user1, ethers.utils.parseEther("100"));
+            await stakeTokens(user2, ethers.utils.parseEther("100"));
+            await voter.connect(user1).vote([strategy], [100]);
+            await voter.connect(user2).vote([strategy, strategy2], [1, 1]);
+
+            await stakeTokens(user1, ethers.utils.parseEther("50"));
+            await stakeTokens(user2, ethers.utils.parseEther("100"));
+            // user3 has never voted and is skipped
+            await multicall.connect(user4).poke([user1.address, user2.address, user3.address]);
+
+            expect(await voter.account_UsedWeights(user1.address)).to.equal(ethers.utils.parseEther("150"));
+            expect(await voter.account_Strategy_Votes(user2.address, strategy2)).to.equal(ethers.utils.parseEther("100"));
+            expect(await voter.strategy_Weight(strategy)).to.equal(ethers.utils.parseEther("250"));
+            expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("350"));
+        });
+    });
+
     describe("distro", function () {
         let strategy1, strategy2, strategy3;
 
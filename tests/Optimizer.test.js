@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadBribes, expectedReward, marginalReward, optimizeVotes, renderOptimization } = require("../scripts/lib/optimizer");
+const { jsonPriceSource } = require("../scripts/lib/prices");
+const { parseOptions } = require("../scripts/optimize");
+const { DAY, WEEK, wrapVoter, deploySystem } = require("../sdk");
+
+describe("Vote Optimizer", function () {
+    let owner, user1, user2, treasury;
+    let usdc;
+    let voter, multicall;
+    let strategies, bribes, names;
+
+    // 1 USDC = 0.0004 ETH, 1 DONUT = 0.001 ETH
+    const PRICES = { USDC: "0.0004", DONUT: "0.001" };
+
+    const bribe = (strategy, value, others, extra = {}) => ({
+        strategy,
+        name: strategy,
+        isAlive: true,
+        value: ethers.utils.parseEther(value),
+        others: ethers.utils.parseEther(others),
+        accountVote: ethers.BigNumber.from(0),
+        unpriced: [],
+        ...extra,
+    });
+
+    before(async function () {
+        [owner, user1, user2, treasury] = await ethers.getSigners();
+
+        let addStrategy, stake;
+        ({ usdc, voter, multicall, addStrategy, stake } = await deploySystem({
+            tokens: {
+                underlying: ["DONUT", "DONUT", 18],
+                revenueToken: ["Wrapped Ether", "WETH", 18],
+                usdc: ["USD Coin", "USDC", 6],
+            },
+            treasury,
+            governanceToken: ["Governance DONUT", "gDONUT"],
+        }));
+
+        strategies = [];
+        bribes = [];
+        for (let i = 0; i < 4; i++) {
+            const added = await addStrategy({ paymentToken: usdc, initPrice: 1000e6, epochPeriod: DAY, priceMultiplier: "1.2" });
+            strategies.push(added.strategy);
+            bribes.push(await ethers.getContractAt("Bribe", added.bribe));
+        }
+        names = Object.fromEntries(strategies.map((s, i) => [s.toLowerCase(), ["Alpha", "Beta", "Gamma", "Delta"][i]]));
+        // Delta is dead, its rewards cannot be earned by new votes
+        await voter.killStrategy(strategies[3]);
+
+        for (const [user, amount] of [[user1, "300"], [user2, "100"], [owner, "100"]]) {
+            await stake(user, amount, { mint: true });
+        }
+        await voter.connect(user1).vote([strategies[0]], [1]);
+        await voter.connect(user2).vote([strategies[1]], [1]);
+
+        // Alpha and Beta have 0.4 ETH of rewards each, Gamma 0.04 ETH and no votes
+        await usdc.mint(owner.address, 3000e6);
+        await usdc.approve(bribes[0].address, 1000e6);
+        await usdc.approve(bribes[1].address, 1000e6);
+        await usdc.approve(bribes[2].address, 100e6);
+        await bribes[0].notifyRewardAmount(usdc.address, 1000e6);
+        await bribes[1].notifyRewardAmount(usdc.address, 1000e6);
+        await bribes[2].notifyRewardAmount(usdc.address, 100e6);
+    });
+
+    it("should read bribes and the account's voting power", async function () {
+        const state = await loadBribes({ voter, multicall, account: owner.address, prices: jsonPriceSource(PRICES), names });
+        expect(state.votingPower).to.equal(ethers.utils.parseEther("100"));
+        expect(state.underlying).to.deep.include({ symbol: "DONUT", price: ethers.utils.parseEther("0.001") });
+        expect(state.bribes.map((b) => [b.name, b.isAlive, ethers.utils.formatEther(b.others)])).to.deep.equal([
+            ["Alpha", true, "300.0"],
+            ["Beta", true, "100.0"],
+            ["Gamma", true, "0.0"],
+            ["Delta", false, "0.0"],
+        ]);
+        // Rewards left shrink every second, so the values are just under the notified amounts
+        expect(state.bribes[0].value).to.be.closeTo(ethers.utils.parseEther("0.4"), ethers.utils.parseEther("0.001"));
+        expect(state.bribes[2].rewards[0]).to.deep.include({ symbol: "USDC", decimals: 6 });
+
+        const unpriced = await loadBribes({ voter, multicall, account: owner.address, prices: jsonPriceSource({}), names });
+        expect(unpriced.bribes[0].value).to.equal(0);
+        expect(unpriced.bribes[0].unpriced).to.deep.equal(["USDC"]);
+    });
+
+    it("should equalize marginal returns across the chosen bribes", async function () {
+        const power = ethers.utils.parseEther("100");
+        const result = optimizeVotes([bribe("A", "0.4", "300"), bribe("B", "0.4", "100"), bribe("C", "0.04", "0")], power);
+
+        expect(result.strategies).to.deep.equal(["A", "B", "C"]);
+        expect(result.weights.reduce((a, b) => a + b, 0)).to.equal(10000);
+        // The uncontested bribe pays out in full to the smallest weight
+        expect(result.weights[2]).to.equal(1);
+        const [a, b, c] = result.allocations;
+        expect(a.marginal).to.be.closeTo(b.marginal, b.marginal * 0.001);
+        expect(c.expected).to.be.closeTo(0.04, 1e-9);
+
+        // Moving any weight between the contested bribes earns less
+        for (const shift of [-500, -50, 50, 500]) {
+            const votesA = ((result.weights[0] + shift) * 100) / 10000;
+            const votesB = ((result.weights[1] - shift) * 100) / 10000;
+            const shifted = expectedReward(a, votesA) + expectedReward(b, votesB) + c.expected;
+            expect(shifted).to.be.lessThan(result.expected);
+        }
+        // Diluting yourself: the marginal return is below the average on every bribe with votes
+        expect(a.marginal).to.be.lessThan(a.average);
+        expect(marginalReward(a, 0)).to.be.closeTo(0.4 / 300, 1e-12);
+    });
+
+    it("should leave out bribes whose first vote earns less than the optimum", async function () {
+        const result = optimizeVotes(
+            [
+                bribe("A", "1", "10"),
+                bribe("B", "0.01", "1000"),
+                bribe("Dead", "5", "0", { isAlive: false }),
+                bribe("Empty", "0", "50"),
+            ],
+            ethers.utils.parseEther("10")
+        );
+        expect(result.strategies).to.deep.equal(["A"]);
+        expect(result.weights).to.deep.equal([10000]);
+        expect(result.allocations.map((a) => a.strategy)).to.deep.equal(["A", "B", "Empty"]);
+
+        // Every bribe uncontested: any vote earns all of it, so the weight is split evenly
+        const even = optimizeVotes([bribe("A", "1", "0"), bribe("B", "2", "0")], ethers.utils.parseEther("10"));
+        expect(even.weights).to.deep.equal([5000, 5000]);
+        expect(even.expected).to.be.closeTo(3, 1e-9);
+
+        for (const [run, message] of [
+            [() => optimizeVotes([bribe("A", "1", "10")], 0), "no voting power"],
+            [() => optimizeVotes([bribe("A", "0", "10"), bribe("B", "5", "0", { isAlive: false })], 10), "nothing to optimize"],
+        ]) {
+            expect(run).to.throw(message);
+        }
+    });
+
+    it("should produce weights Voter.vote() accepts and earn what it expected", async function () {
+        const state = await loadBribes({ voter, multicall, account: owner.address, prices: jsonPriceSource(PRICES), names });
+        const result = optimizeVotes(state.bribes, state.votingPower);
+        expect(result.strategies).to.deep.equal(strategies.slice(0, 3));
+        expect(result.current).to.equal(0);
+
+        const rendered = renderOptimization(state, result);
+        expect(rendered).to.include("Voting power: 100.0 (DONUT at 0.001 ETH)");
+        expect(rendered).to.include("Dead strategies cannot be voted for: Delta");
+        expect(rendered).to.include(`Voter.vote(${JSON.stringify(result.strategies)}, ${JSON.stringify(result.weights)})`);
+
+        expect((await wrapVoter(voter).voteWindow(owner.address)).allowed).to.equal(true);
+        await voter.vote(result.strategies, result.weights);
+        const lastVoted = (await voter.account_LastVoted(owner.address)).toNumber();
+        expect(await wrapVoter(voter).voteWindow(owner.address)).to.deep.equal({
+            allowed: false,
+            nextAllowed: (Math.floor(lastVoted / WEEK) + 1) * WEEK,
+        });
+        for (const [i, a] of result.allocations.entries()) {
+            const votes = await voter.account_Strategy_Votes(owner.address, a.strategy);
+            expect(votes).to.equal(state.votingPower.mul(result.weights[i]).div(10000));
+        }
+
+        // Over the rest of the reward period the bribes pay what the optimizer expected
+        await network.provider.send("evm_increaseTime", [WEEK]);
+        await network.provider.send("evm_mine");
+        let earned = ethers.BigNumber.from(0);
+        for (const b of bribes.slice(0, 3)) earned = earned.add(await b.earned(owner.address, usdc.address));
+        const earnedEth = Number(ethers.utils.formatUnits(earned, 6)) * 0.0004;
+        expect(earnedEth).to.be.closeTo(result.expected, result.expected * 0.001);
+        expect((await wrapVoter(voter).voteWindow(owner.address)).allowed).to.equal(true);
+
+        // The account's current votes now earn what the optimum does
+        const after = await loadBribes({ voter, multicall, account: owner.address, prices: jsonPriceSource(PRICES), names });
+        expect(after.bribes[0].accountVote).to.equal(state.votingPower.mul(result.weights[0]).div(10000));
+        expect(after.bribes[0].others).to.equal(ethers.utils.parseEther("300"));
+    });
+
+    it("should parse command line options", async function () {
+        expect(parseOptions(["--prices", "p.json", "--execute"], {})).to.deep.equal({ prices: "p.json", account: undefined, execute: true });
+        expect(parseOptions([], { OPTIMIZE_PRICES: "p.json", OPTIMIZE_ACCOUNT: owner.address })).to.deep.include({
+            account: owner.address,
+            execute: false,
+        });
+        for (const [argv, message] of [
+            [[], "--prices <file>"],
+            [["--prices", "p.json", "--account", "0x12"], 'Invalid --account "0x12"'],
+        ]) {
+            expect(() => parseOptions(argv, {})).to.throw(message);
+        }
+    });
+});
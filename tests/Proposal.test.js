@@ -0,0 +1,360 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseAmount, parseDuration, parseMultiplier, parseBasisPoints, formatDuration } = require("../scripts/lib/parse");
+const {
+    STRATEGY_BOUNDS,
+    VOTER_BOUNDS,
+    validateProposal,
+    buildProposal,
+    renderAragon,
+    renderSafeBatch,
+    renderCalldata,
+    renderMarkdown,
+} = require("../scripts/lib/proposal");
+const { parseOptions } = require("../scripts/propose");
+const { DAY } = require("../sdk");
+const { DONUT_SYSTEM, DAILY_AUCTION, deployStaked } = require("./helpers");
+
+describe("Governance Proposals", function () {
+    let owner, user1, treasury, attacker;
+    let underlying, revenueToken, usdc, qr, rewardToken;
+    let voter, strategy1, strategy2;
+
+    const ADDRESSES = {};
+
+    function resolveAddress(ref) {
+        if (ethers.utils.isAddress(ref)) return ref;
+        if (ADDRESSES[ref] === undefined) throw new Error(`Unknown address reference "${ref}"`);
+        return ADDRESSES[ref];
+    }
+
+    function build(actions, extra = {}) {
+        return buildProposal(
+            { title: "Test Proposal", summary: "Testing.", actions, ...extra },
+            {
+                voter,
+                resolveAddress,
+                strategies: [
+                    { name: "USDC Buyback", strategy: strategy1 },
+                    { name: "Second Buyback", strategy: strategy2 },
+                ],
+            }
+        );
+    }
+
+    async function expectInvalid(actions, ...messages) {
+        try {
+            await build(actions);
+            expect.fail("proposal should be invalid");
+        } catch (error) {
+            for (const message of messages) expect(error.message).to.include(message);
+        }
+    }
+
+    // Executes the Aragon actions as the DAO (the Voter owner) would
+    async function execute(built) {
+        for (const action of JSON.parse(renderAragon(built))) {
+            await owner.sendTransaction({ to: action.to, value: action.value, data: action.data });
+        }
+    }
+
+    before(async function () {
+        [owner, user1, treasury, attacker] = await ethers.getSigners();
+
+        const system = await deployStaked(
+            {
+                ...DONUT_SYSTEM,
+                tokens: { ...DONUT_SYSTEM.tokens, qr: ["QR coin", "QR", 18], rewardToken: ["Reward", "RWD", 18] },
+                treasury,
+                bribeSplit: 2000,
+                strategies: [DAILY_AUCTION, DAILY_AUCTION],
+            },
+            [[user1, "100"]]
+        );
+        ({ underlying, revenueToken, paymentToken: usdc, qr, rewardToken, voter } = system);
+        [strategy1, strategy2] = system.strategies.map((s) => s.strategy);
+        await voter.connect(user1).vote([strategy1, strategy2], [1, 3]);
+
+        Object.assign(ADDRESSES, { DAO: treasury.address, USDC: usdc.address, QR: qr.address, RWD: rewardToken.address });
+    });
+
+    describe("Parsing", function () {
+        it("should parse human amounts into base units", async function () {
+            const QR = { symbol: "QR", decimals: 18 };
+            expect(parseAmount("35000000 QR", QR)).to.equal(ethers.utils.parseEther("35000000"));
+            expect(parseAmount("35,000,000", QR)).to.equal(ethers.utils.parseEther("35000000"));
+            expect(parseAmount("0.5 usdc", { symbol: "USDC", decimals: 6 })).to.equal(500000);
+
+            for (const [input, message] of [
+                ["100 DONUT", "is in DONUT, expected QR"],
+                ["lots", "Invalid amount"],
+                ["0.1234567", "more than 6 decimals"],
+            ]) {
+                try {
+                    parseAmount(input, input.startsWith("0.") ? { symbol: "USDC", decimals: 6 } : QR);
+                    expect.fail("should have thrown");
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+        });
+
+        it("should parse durations, multipliers and percentages", async function () {
+            expect(parseDuration("1 day")).to.equal(DAY);
+            expect(parseDuration("12h")).to.equal(12 * 3600);
+            expect(parseDuration("1 day 12 hours")).to.equal(DAY * 1.5);
+            expect(parseDuration("86400")).to.equal(DAY);
+            expect(parseMultiplier("1.2x")).to.equal(ethers.utils.parseEther("1.2"));
+            expect(parseMultiplier("120%")).to.equal(ethers.utils.parseEther("1.2"));
+            expect(parseBasisPoints("20%")).to.equal(2000);
+            expect(parseBasisPoints("2000 bps")).to.equal(2000);
+            expect(formatDuration(DAY * 1.5)).to.equal("1 day 12 hours");
+            expect(formatDuration(14 * DAY)).to.equal("2 weeks");
+            expect(formatDuration(8 * DAY)).to.equal("8 days");
+
+            for (const [parse, input] of [
+                [parseDuration, "1 fortnight"],
+                [parseDuration, "1.5 seconds"],
+                [parseMultiplier, "double"],
+                [parseBasisPoints, "20.001%"],
+            ]) {
+                expect(() => parse(input)).to.throw(input);
+            }
+        });
+
+        it("should mirror the contract bounds", async function () {
+            const strategy = await ethers.getContractAt("Strategy", strategy1);
+            expect(await strategy.MIN_EPOCH_PERIOD()).to.equal(STRATEGY_BOUNDS.MIN_EPOCH_PERIOD);
+            expect(await strategy.MAX_EPOCH_PERIOD()).to.equal(STRATEGY_BOUNDS.MAX_EPOCH_PERIOD);
+            expect(await strategy.MIN_PRICE_MULTIPLIER()).to.equal(STRATEGY_BOUNDS.MIN_PRICE_MULTIPLIER);
+            expect(await strategy.MAX_PRICE_MULTIPLIER()).to.equal(STRATEGY_BOUNDS.MAX_PRICE_MULTIPLIER);
+            expect(await strategy.ABS_MIN_INIT_PRICE()).to.equal(STRATEGY_BOUNDS.ABS_MIN_INIT_PRICE);
+            expect(await strategy.ABS_MAX_INIT_PRICE()).to.equal(STRATEGY_BOUNDS.ABS_MAX_INIT_PRICE);
+            expect(await voter.MAX_BRIBE_SPLIT()).to.equal(VOTER_BOUNDS.MAX_BRIBE_SPLIT);
+            expect(await voter.DIVISOR()).to.equal(VOTER_BOUNDS.DIVISOR);
+        });
+    });
+
+    describe("Validation", function () {
+        it("should reject malformed proposal specs", async function () {
+            for (const [proposal, message] of [
+                [{ summary: "x", actions: [] }, 'missing "title"'],
+                [{ title: "x", summary: "x", actions: [] }, "non-empty array"],
+                [{ title: "x", summary: "x", actions: [{ type: "mint" }] }, 'unknown type "mint"'],
+                [{ title: "x", summary: "x", actions: [{ type: "killStrategy" }] }, 'missing "strategy"'],
+            ]) {
+                expect(() => validateProposal(proposal)).to.throw(message);
+            }
+        });
+
+        it("should report every out of bounds parameter at once", async function () {
+            await expectInvalid(
+                [
+                    {
+                        type: "addStrategy",
+                        paymentToken: "USDC",
+                        paymentReceiver: "DAO",
+                        initPrice: "0.5 USDC",
+                        epochPeriod: "30 minutes",
+                        priceMultiplier: "1.05x",
+                        minInitPrice: "0.5 USDC",
+                    },
+                    { type: "setBribeSplit", bribeSplit: "60%" },
+                ],
+                "action 1 (addStrategy)",
+                "below MIN_EPOCH_PERIOD",
+                "below MIN_PRICE_MULTIPLIER",
+                "below ABS_MIN_INIT_PRICE",
+                "action 2 (setBribeSplit): bribeSplit 60% is above MAX_BRIBE_SPLIT (50%)"
+            );
+            await expectInvalid(
+                [
+                    {
+                        type: "addStrategy",
+                        paymentToken: "USDC",
+                        paymentReceiver: "DAO",
+                        initPrice: "50 USDC",
+                        epochPeriod: "400 days",
+                        priceMultiplier: "4x",
+                        minInitPrice: "100 USDC",
+                    },
+                ],
+                "above MAX_EPOCH_PERIOD",
+                "above MAX_PRICE_MULTIPLIER",
+                "initPrice 50 USDC is below minInitPrice 100 USDC"
+            );
+        });
+
+        it("should check actions against the live Voter", async function () {
+            await expectInvalid([{ type: "killStrategy", strategy: attacker.address }], "is not on the Voter");
+            await expectInvalid([{ type: "killStrategy", strategy: "Missing Buyback" }], 'Unknown address reference "Missing Buyback"');
+            await expectInvalid(
+                [{ type: "addBribeReward", strategy: "USDC Buyback", rewardToken: "USDC" }],
+                "USDC is already a reward token of the USDC Buyback bribe"
+            );
+            await expectInvalid(
+                [
+                    {
+                        type: "addStrategy",
+                        paymentToken: "DAO",
+                        paymentReceiver: "DAO",
+                        initPrice: "100",
+                        epochPeriod: "1 day",
+                        priceMultiplier: "1.2x",
+                        minInitPrice: "100",
+                    },
+                ],
+                "is not a contract"
+            );
+        });
+    });
+
+    describe("Output", function () {
+        it("should encode calldata that the DAO can execute", async function () {
+            const built = await build([
+                {
+                    type: "addStrategy",
+                    paymentToken: "QR",
+                    paymentReceiver: "DAO",
+                    initPrice: "35,000,000 QR",
+                    epochPeriod: "1 day",
+                    priceMultiplier: "1.2x",
+                    minInitPrice: "35,000,000 QR",
+                },
+                { type: "addBribeReward", strategy: "Second Buyback", rewardToken: "RWD" },
+                { type: "setBribeSplit", bribeSplit: "25%" },
+            ]);
+            expect(built.owner).to.equal(owner.address);
+            expect(built.actions[0].data).to.equal(
+                voter.interface.encodeFunctionData("addStrategy", [
+                    qr.address,
+                    treasury.address,
+                    ethers.utils.parseEther("35000000"),
+                    DAY,
+                    ethers.utils.parseEther("1.2"),
+                    ethers.utils.parseEther("35000000"),
+                ])
+            );
+
+            const before = (await voter.getStrategies()).length;
+            await execute(built);
+            const strategies = await voter.getStrategies();
+            expect(strategies.length).to.equal(before + 1);
+            const strategy = await ethers.getContractAt("Strategy", strategies[strategies.length - 1]);
+            expect(await strategy.paymentToken()).to.equal(qr.address);
+            expect(await strategy.initPrice()).to.equal(ethers.utils.parseEther("35000000"));
+            expect(await strategy.epochPeriod()).to.equal(DAY);
+            const bribe = await ethers.getContractAt("Bribe", await voter.strategy_Bribe(strategy2));
+            expect(await bribe.token_IsReward(rewardToken.address)).to.equal(true);
+            expect(await voter.bribeSplit()).to.equal(2500);
+
+            // The same proposal is now stale: the reward token is already added
+            await expectInvalid([{ type: "addBribeReward", strategy: "Second Buyback", rewardToken: "RWD" }], "already a reward token");
+        });
+
+        it("should pause and unpause a strategy", async function () {
+            const paused = await build([{ type: "pauseStrategy", strategy: "Second Buyback" }]);
+            expect(renderMarkdown(paused)).to.include(
+                "75 votes (75% of total weight) leave total weight until the strategy is unpaused"
+            );
+            await expectInvalid([{ type: "unpauseStrategy", strategy: "Second Buyback" }], "is not paused");
+
+            await execute(paused);
+            expect(await voter.strategy_IsPaused(strategy2)).to.equal(true);
+            await expectInvalid([{ type: "pauseStrategy", strategy: "Second Buyback" }], "already paused");
+
+            const unpaused = await build([{ type: "unpauseStrategy", strategy: "Second Buyback" }]);
+            expect(renderMarkdown(unpaused)).to.include("75 votes rejoin total weight and earn revenue again");
+            await execute(unpaused);
+            expect(await voter.strategy_IsPaused(strategy2)).to.equal(false);
+        });
+
+        it("should render a kill proposal for Aragon, Safe and the forum", async function () {
+            const built = await build([{ type: "killStrategy", strategy: "Second Buyback" }], {
+                rationale: ["Second Buyback is no longer needed."],
+            });
+            expect(renderCalldata(built)).to.equal(
+                `${voter.address} killStrategy ${voter.interface.encodeFunctionData("killStrategy", [strategy2])}`
+            );
+
+            const safe = JSON.parse(renderSafeBatch(built, { chainId: 8453, createdAt: 1700000000000 }));
+            expect(safe).to.deep.include({ version: "1.0", chainId: "8453", createdAt: 1700000000000 });
+            expect(safe.meta.createdFromSafeAddress).to.equal(owner.address);
+            expect(safe.transactions).to.deep.equal([
+                {
+                    to: voter.address,
+                    value: "0",
+                    data: null,
+                    contractMethod: {
+                        inputs: [{ internalType: "address", name: "_strategy", type: "address" }],
+                        name: "killStrategy",
+                        payable: false,
+                    },
+                    contractInputsValues: { _strategy: strategy2 },
+                },
+            ]);
+
+            const markdown = renderMarkdown(built);
+            for (const line of [
+                "TITLE: Test Proposal",
+                "Contract: Voter\nFunction: killStrategy",
+                `- Strategy: Second Buyback (${strategy2})`,
+                "RATIONALE:\nSecond Buyback is no longer needed.",
+                "75 votes (75% of total weight) leave total weight, new revenue is split among live strategies",
+                "VOTER ACTION REQUIRED:\nVoters who allocated weight to Second Buyback should call reset()",
+                "CALLDATA:",
+            ]) {
+                expect(markdown).to.include(line);
+            }
+
+            await execute(built);
+            expect(await voter.strategy_IsAlive(strategy2)).to.equal(false);
+            await expectInvalid([{ type: "killStrategy", strategy: "Second Buyback" }], "already dead");
+        });
+
+        it("should describe add strategy parameters like the governance template", async function () {
+            const built = await build([
+                {
+                    type: "addStrategy",
+                    paymentToken: "USDC",
+                    paymentReceiver: "DAO",
+                    initPrice: "100 USDC",
+                    epochPeriod: "1 day",
+                    priceMultiplier: "120%",
+                    minInitPrice: "100 USDC",
+                },
+            ]);
+            const markdown = renderMarkdown(built);
+            for (const line of [
+                `- Payment Token: USDC (${usdc.address})`,
+                `- Payment Receiver: DAO (${treasury.address})`,
+                "- Initial Price: 100 USDC (100000000 - 6 decimals)",
+                "- Epoch Period: 1 day (86400 seconds)",
+                "- Price Multiplier: 120% (1200000000000000000)",
+                "- Minimum Price: 100 USDC (100000000)",
+                "- Buyers can purchase revenue tokens by paying USDC",
+                "- 25% of payments go to voter bribes",
+                "- 75% of payments go to DAO",
+            ]) {
+                expect(markdown).to.include(line);
+            }
+        });
+
+        it("should parse command line options", async function () {
+            expect(parseOptions(["--proposal", "proposals/specs/add-qr.json"], {})).to.deep.equal({
+                proposal: "proposals/specs/add-qr.json",
+                out: "data/proposals/add-qr",
+            });
+            expect(parseOptions([], { PROPOSE_PROPOSAL: "a.json", PROPOSE_OUT: "out" })).to.deep.equal({
+                proposal: "a.json",
+                out: "out",
+            });
+            try {
+                parseOptions([], {});
+                expect.fail("should have thrown");
+            } catch (error) {
+                expect(error.message).to.include("--proposal <file>");
+            }
+        });
+    });
+});
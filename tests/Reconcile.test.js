@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { openDatabase, createIndexer } = require("../scripts/lib/indexer");
+const { replay, reconcile, renderReport } = require("../scripts/lib/reconcile");
+const { WEEK } = require("../sdk");
+const { DONUT_SYSTEM, DAILY_AUCTION, deployStaked } = require("./helpers");
+
+describe("Event Reconciler", function () {
+    let owner, user1, user2, user3, treasury;
+    let underlying, revenueToken, paymentToken;
+    let governanceToken, voter, revenueRouter, multicall;
+    let strategy1, strategy2, strategy3, bribe1;
+    let chainId, fromBlock, db, indexer;
+
+    async function check() {
+        await indexer.run();
+        return reconcile(replay(db), { voter, multicall });
+    }
+
+    before(async function () {
+        [owner, user1, user2, user3, treasury] = await ethers.getSigners();
+        ({ chainId } = await ethers.provider.getNetwork());
+
+        const system = await deployStaked(
+            { ...DONUT_SYSTEM, treasury, strategies: [DAILY_AUCTION, DAILY_AUCTION, DAILY_AUCTION] },
+            [
+                [user1, "3000"],
+                [user2, "1000"],
+                [user3, "1000"],
+            ]
+        );
+        ({ underlying, revenueToken, paymentToken, governanceToken, voter, revenueRouter, multicall } = system);
+        [strategy1, strategy2, strategy3] = system.strategies.map((s) => s.strategy);
+        bribe1 = system.strategies[0].bribe;
+        fromBlock = voter.deployTransaction.blockNumber;
+
+        await voter.connect(user1).vote([strategy1, strategy2], [2, 1]);
+        await voter.connect(user2).vote([strategy2], [1]);
+        await voter.connect(user3).vote([strategy3], [1]);
+
+        db = openDatabase(":memory:");
+        // Hardhat does not reorg, so the index can follow the head
+        indexer = createIndexer({ db, chainId, voter: voter.address, governanceToken: governanceToken.address, fromBlock, confirmations: 0 });
+    });
+
+    it("should match on-chain accounting after votes", async function () {
+        const report = await check();
+        expect(report.divergences).to.deep.equal([]);
+        expect(report.totalWeight).to.equal(ethers.utils.parseEther("5000").toString());
+        expect(renderReport(report)).to.include("OK: replayed events match Voter, Bribe and Multicall");
+    });
+
+    it("should replay resets and re-votes in a new epoch", async function () {
+        await ethers.provider.send("evm_increaseTime", [WEEK]);
+        await ethers.provider.send("evm_mine", []);
+        await voter.connect(user1).vote([strategy3], [1]);
+        await voter.connect(user3).reset();
+
+        const replayed = replay(db);
+        expect(replayed.strategyWeight.get(strategy1)).to.equal(ethers.utils.parseEther("2000"));
+
+        const report = await check();
+        expect(report.divergences).to.deep.equal([]);
+
+        const updated = replay(db);
+        expect(updated.totalWeight).to.equal(ethers.utils.parseEther("4000"));
+        expect(updated.strategyWeight.get(strategy1)).to.equal(0);
+        expect(updated.strategyWeight.get(strategy3)).to.equal(ethers.utils.parseEther("3000"));
+        expect(updated.usedWeights.get(user3.address)).to.equal(0);
+    });
+
+    it("should replay a kill taking the dead strategy's weight out of totalWeight", async function () {
+        await voter.killStrategy(strategy3);
+
+        const report = await check();
+        expect(report.divergences).to.deep.equal([]);
+        expect(report.totalWeight).to.equal(ethers.utils.parseEther("1000").toString());
+
+        const replayed = replay(db);
+        expect(replayed.totalWeight).to.equal(ethers.utils.parseEther("1000"));
+        expect(replayed.strategyWeight.get(strategy3)).to.equal(ethers.utils.parseEther("3000"));
+        expect(replayed.strategies.find((s) => s.strategy === strategy3).alive).to.equal(false);
+    });
+
+    it("should not count abstains from the dead strategy against totalWeight", async function () {
+        await ethers.provider.send("evm_increaseTime", [WEEK]);
+        await ethers.provider.send("evm_mine", []);
+        await voter.connect(user1).vote([strategy1], [1]);
+
+        const report = await check();
+        expect(report.divergences).to.deep.equal([]);
+        expect(report.totalWeight).to.equal(ethers.utils.parseEther("4000").toString());
+        expect(replay(db).strategyWeight.get(strategy3)).to.equal(0);
+    });
+
+    it("should replay pauses and unpauses", async function () {
+        await voter.pauseStrategy(strategy1);
+
+        let report = await check();
+        expect(report.divergences).to.deep.equal([]);
+        expect(report.totalWeight).to.equal(ethers.utils.parseEther("1000").toString());
+        expect(replay(db).strategies.find((s) => s.strategy === strategy1).paused).to.equal(true);
+
+        await voter.unpauseStrategy(strategy1);
+
+        report = await check();
+        expect(report.divergences).to.deep.equal([]);
+        expect(report.totalWeight).to.equal(ethers.utils.parseEther("4000").toString());
+        expect(replay(db).strategies.find((s) => s.strategy === strategy1).paused).to.equal(false);
+    });
+
+    it("should replay archives, leaving archived strategies out of Voter.getStrategies", async function () {
+        // strategy3 is dead and its voters moved away, so it is drained
+        await voter.archiveStrategy(strategy3);
+
+        const report = await check();
+        expect(report.divergences).to.deep.equal([]);
+        expect(report.totalWeight).to.equal(ethers.utils.parseEther("4000").toString());
+        expect(replay(db).strategies.find((s) => s.strategy === strategy3).archived).to.equal(true);
+        expect(replay(db).strategies.find((s) => s.strategy === strategy1).archived).to.equal(false);
+    });
+
+    it("should report divergences when the history is incomplete", async function () {
+        // Drop user1's current vote, as if the indexer had missed it
+        const missing = db
+            .prepare("SELECT * FROM voter_voted WHERE voter = ? ORDER BY block_number DESC LIMIT 1")
+            .get(user1.address);
+        db.prepare("DELETE FROM voter_voted WHERE block_number = ? AND log_index = ?").run(missing.block_number, missing.log_index);
+
+        const report = await reconcile(replay(db), { voter, multicall });
+        const checks = report.divergences.map((d) => d.check);
+        expect(checks).to.include("Voter.totalWeight");
+        expect(checks).to.include("Voter.strategy_Weight");
+        expect(checks).to.include("Bribe.totalSupply");
+        expect(checks).to.include("Multicall.strategyWeight");
+        expect(checks).to.include("Multicall.bribeTotalSupply");
+        expect(checks).to.include("Voter.account_UsedWeights");
+        expect(checks).to.include("Voter.account_Strategy_Votes");
+        expect(checks).to.not.include("sum(Voter.strategy_Weight) == Voter.totalWeight");
+
+        const weight = report.divergences.find((d) => d.check === "Voter.strategy_Weight");
+        expect(weight).to.deep.equal({
+            check: "Voter.strategy_Weight",
+            subject: strategy1,
+            expected: "0",
+            actual: ethers.utils.parseEther("3000").toString(),
+        });
+        expect(renderReport(report)).to.include(`Bribe.totalSupply ${bribe1}: replayed 0, on-chain ${ethers.utils.parseEther("3000")}`);
+    });
+
+    it("should refuse to replay an empty index", async function () {
+        try {
+            replay(openDatabase(":memory:"));
+            expect.fail("replay should have thrown");
+        } catch (error) {
+            expect(error.message).to.include("The index database is empty");
+        }
+    });
+});
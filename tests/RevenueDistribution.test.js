@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, WEEK } = require("../sdk");
 
 /**
  * Comprehensive tests for revenue distribution fairness in the Voter contract.
@@ -16,9 +17,6 @@ describe("Revenue Distribution Fairness Tests", function () {
     let underlying, revenueToken, paymentToken, paymentToken2;
     let governanceToken, voter, revenueRouter;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, user3, user4, treasury] = await ethers.getSigners();
 
@@ -502,7 +500,7 @@ describe("Revenue Distribution Fairness Tests", function () {
             expect(await revenueToken.balanceOf(strategy2)).to.equal(ethers.utils.parseEther("150"));
         });
 
-        it("killed strategy sends pending claimable to treasury, future revenue discarded until users reset", async function () {
+        it("killed strategy sends pending claimable to treasury, future revenue goes to live strategies", async function () {
             await stakeTokens(user1, ethers.utils.parseEther("100"));
             await stakeTokens(user2, ethers.utils.parseEther("100"));
 
@@ -516,7 +514,7 @@ describe("Revenue Distribution Fairness Tests", function () {
 
             const treasuryBefore = await revenueToken.balanceOf(treasury.address);
 
-            // Kill strategy1 - sends claimable to treasury but keeps weight (so users can reset)
+            // Kill strategy1 - sends claimable to treasury, drops its weight from totalWeight
             await voter.killStrategy(strategy1);
             expect(await voter.strategy_Claimable(strategy1)).to.equal(0);
 
@@ -524,20 +522,19 @@ describe("Revenue Distribution Fairness Tests", function () {
             // Treasury received strategy1's 50 WETH
             expect(treasuryAfter.sub(treasuryBefore)).to.equal(ethers.utils.parseEther("50"));
 
-            // Weight still there (so users can reset without underflow)
+            // Strategy weight still there (so users can reset without underflow), totalWeight only counts strategy2
             expect(await voter.strategy_Weight(strategy1)).to.equal(ethers.utils.parseEther("100"));
-            expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("200"));
+            expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("100"));
 
-            // More revenue - strategy1 still has weight but dead, so its share is discarded
+            // More revenue - all of it goes to the only live strategy
             await sendRevenue(ethers.utils.parseEther("100"));
             await voter.updateStrategy(strategy1);
             await voter.updateStrategy(strategy2);
 
             // Dead strategy doesn't accumulate claimable
             expect(await voter.strategy_Claimable(strategy1)).to.equal(0);
-            // strategy2 gets: 50 (first batch) + 50 (second batch, still 50% weight) = 100
-            // The other 50 from second batch is discarded (stuck in voter until user1 resets)
-            expect(await voter.strategy_Claimable(strategy2)).to.equal(ethers.utils.parseEther("100"));
+            // strategy2 gets: 50 (first batch, 50% weight) + 100 (second batch, 100% of live weight) = 150
+            expect(await voter.strategy_Claimable(strategy2)).to.equal(ethers.utils.parseEther("150"));
         });
     });
 
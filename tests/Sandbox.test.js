@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, DAY, WEEK } = require("../sdk");
 
 describe("Interactive Testing", function () {
     let owner, user1, user2, user3, user4, treasury;
@@ -7,10 +8,6 @@ describe("Interactive Testing", function () {
     let governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
     let multicall;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-    const DAY = 24 * 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, user3, user4, treasury] = await ethers.getSigners();
 
@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+    HOUR,
+    DAY,
+    WEEK,
+    toUnits,
+    divDec,
+    formatAmount,
+    formatTime,
+    EPOCH_DURATION,
+    epochStart,
+    nextEpochStart,
+    epochWindow,
+    errorInterface,
+    decodeError,
+    errorName,
+    describeError,
+    HINTS,
+    wrapVoter,
+    wrapStrategy,
+    wrapBribe,
+    wrapMulticall,
+    deploySystem,
+} = require("../sdk");
+
+describe("SDK", function () {
+    let owner, user1, user2, treasury;
+    let system, strategy1, strategy2;
+
+    async function revertOf(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        expect.fail("should have reverted");
+    }
+
+    before(async function () {
+        [owner, user1, user2, treasury] = await ethers.getSigners();
+        system = await deploySystem({
+            treasury,
+            bribeSplit: 2000,
+            strategies: [{}, { initPrice: "50", epochPeriod: DAY, priceMultiplier: "1.5", minInitPrice: "10" }],
+        });
+        [strategy1, strategy2] = system.strategies;
+        await system.stake(user1, "300", { mint: true });
+        await system.stake(user2, "100", { mint: true });
+    });
+
+    it("should convert and format token amounts by decimals", async function () {
+        expect(HOUR * 24).to.equal(DAY);
+        expect(WEEK).to.equal(EPOCH_DURATION);
+        expect(toUnits("1.5", 6)).to.equal(1500000);
+        expect(toUnits(1500000, 6)).to.equal(1500000);
+        expect(toUnits("2")).to.equal(ethers.utils.parseEther("2"));
+        expect(divDec(1500000, 6)).to.equal(1.5);
+        expect(divDec(undefined)).to.equal(0);
+        expect(formatAmount(1234567, 6)).to.equal("1.234567");
+        expect(formatAmount(1234567, 6, { symbol: "USDC", precision: 2 })).to.equal("1.23 USDC");
+        expect(formatAmount(ethers.utils.parseEther("3"), 18, { precision: 4 })).to.equal("3.0000");
+        expect(formatAmount(ethers.utils.parseEther("3.99"), 18, { precision: 0 })).to.equal("3");
+        expect(formatTime(DAY + 2 * HOUR + 5)).to.equal("1d 2h");
+        expect(formatTime(90)).to.equal("1m 30s");
+        expect(formatTime(0)).to.equal("0s");
+    });
+
+    it("should compute epochs like Voter.onlyNewEpoch", async function () {
+        expect(epochStart(5 * WEEK + 10)).to.equal(5 * WEEK);
+        expect(nextEpochStart(5 * WEEK)).to.equal(6 * WEEK);
+        expect(epochWindow(5 * WEEK + 10, 5 * WEEK + 20)).to.deep.equal({ allowed: false, nextAllowed: 6 * WEEK });
+
+        const voter = wrapVoter(system.voter);
+        expect(await voter.voteWindow(user1.address)).to.deep.equal({ allowed: true, nextAllowed: WEEK });
+        await system.voter.connect(user1).vote([strategy1.strategy, strategy2.strategy], [2, 1]);
+        const window = await voter.voteWindow(user1.address);
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        expect(window).to.deep.equal({ allowed: false, nextAllowed: nextEpochStart(timestamp) });
+        expect(errorName(await revertOf(system.voter.connect(user1).reset()))).to.equal("Voter__AlreadyVotedThisEpoch");
+
+        // One second before the next epoch the Voter still refuses, at the epoch start it accepts
+        await network.provider.send("evm_setNextBlockTimestamp", [window.nextAllowed - 1]);
+        expect(errorName(await revertOf(system.voter.connect(user1).reset()))).to.equal("Voter__AlreadyVotedThisEpoch");
+        expect((await voter.voteWindow(user1.address, window.nextAllowed)).allowed).to.equal(true);
+        await network.provider.send("evm_setNextBlockTimestamp", [window.nextAllowed]);
+        await system.voter.connect(user1).vote([strategy1.strategy, strategy2.strategy], [2, 1]);
+    });
+
+    it("should decode custom errors of every contract", async function () {
+        const iface = errorInterface();
+        for (const name of ["Voter__ZeroWeight", "Strategy__DeadlinePassed", "Bribe__NotAuthorizedVoter"]) {
+            expect(iface.getError(name).name).to.equal(name);
+        }
+        // Revert data nested the way JSON-RPC providers wrap it
+        const data = iface.encodeErrorResult("Bribe__NotRewardToken");
+        expect(decodeError({ error: { error: { data: { data } } } })).to.deep.include({
+            name: "Bribe__NotRewardToken",
+            signature: "Bribe__NotRewardToken()",
+        });
+
+        const bribe = await ethers.getContractAt("Bribe", strategy1.bribe);
+        expect(decodeError(await revertOf(bribe._deposit(1, owner.address)))).to.deep.include({
+            name: "Bribe__NotAuthorizedVoter",
+            signature: "Bribe__NotAuthorizedVoter()",
+        });
+        const strategy = await ethers.getContractAt("Strategy", strategy1.strategy);
+        expect(errorName(await revertOf(strategy.buy(owner.address, 0, 0, 0)))).to.equal("Strategy__DeadlinePassed");
+        expect(errorName(await revertOf(system.voter.connect(user2).vote([strategy1.strategy], [0])))).to.equal(
+            "Voter__ZeroTotalWeight"
+        );
+        expect(decodeError(new Error("execution reverted"))).to.equal(undefined);
+    });
+
+    it("should explain reverts with their arguments and a hint", async function () {
+        // Every custom error of every contract has a hint
+        const names = Object.values(errorInterface().errors).map((fragment) => fragment.name);
+        expect(names).to.include.members(["Voter__ZeroWeight", "Strategy__MaxPaymentAmountExceeded"]);
+        expect(names.filter((name) => !HINTS[name])).to.deep.equal([]);
+
+        const now = 5 * WEEK + DAY;
+        const error = await revertOf(system.voter.connect(user1).reset());
+        expect(describeError(error, { now })).to.equal(
+            "Voter__AlreadyVotedThisEpoch(): you already voted or reset this epoch; next epoch starts at " +
+                `${new Date(6 * WEEK * 1000).toISOString()} (in 6d)`
+        );
+        const unstake = await revertOf(system.governanceToken.connect(user1).unstake(1));
+        expect(describeError(unstake)).to.equal(
+            "GovernanceToken__VotesNotCleared(): the account still has votes; reset them with Voter.reset() first"
+        );
+
+        // require() reasons and panics decode from revert data with their arguments
+        const transfer = await revertOf(system.underlying.connect(user2).transferFrom(user1.address, user2.address, 1));
+        expect(describeError(transfer)).to.equal("Error(ERC20: insufficient allowance): ERC20: insufficient allowance");
+        const encode = (signature, types, values) =>
+            ethers.utils.id(signature).slice(0, 10) + ethers.utils.defaultAbiCoder.encode(types, values).slice(2);
+        const panic = { error: { data: encode("Panic(uint256)", ["uint256"], [0x11]) } };
+        expect(describeError(panic)).to.equal("Panic(17): arithmetic overflow or underflow");
+        expect(describeError(new Error("network down"))).to.equal(undefined);
+    });
+
+    it("should read strategies, votes, auctions and bribes through the wrappers", async function () {
+        const voter = wrapVoter(system.voter);
+        const strategies = await voter.strategies();
+        expect(strategies.map((s) => s.strategy)).to.deep.equal([strategy1.strategy, strategy2.strategy]);
+        expect(strategies[1]).to.deep.include({
+            bribe: strategy2.bribe,
+            bribeRouter: strategy2.bribeRouter,
+            paymentToken: system.paymentToken.address,
+            isAlive: true,
+        });
+        const votes = await voter.votes(user1.address);
+        expect(votes.map((v) => ethers.utils.formatEther(v.votes))).to.deep.equal(["200.0", "100.0"]);
+        expect(strategies[0].weight).to.equal(votes[0].votes);
+
+        const strategy = wrapStrategy(await ethers.getContractAt("Strategy", strategy2.strategy, user2));
+        const auction = await strategy.auction();
+        expect(auction).to.deep.include({ epochPeriod: DAY, paymentReceiver: treasury.address });
+        expect(auction.initPrice).to.equal(toUnits("50", 6));
+        expect(auction.minInitPrice).to.equal(toUnits("10", 6));
+        expect(auction.priceMultiplier).to.equal(toUnits("1.5"));
+
+        // The first auction decayed to nothing while the epochs passed, buying it restarts at minInitPrice
+        await system.flushRevenue("30");
+        await system.voter.distributeAll();
+        const revenue = (await strategy.auction()).revenueBalance;
+        expect(revenue).to.equal(toUnits("10"));
+        expect((await strategy.auction()).price).to.equal(0);
+        await (await strategy.buy()).wait();
+        expect(await system.revenueToken.balanceOf(user2.address)).to.equal(revenue);
+        expect(await strategy.auction()).to.deep.include({ epochId: ethers.BigNumber.from(1) });
+        expect((await strategy.auction()).initPrice).to.equal(toUnits("10", 6));
+
+        await system.flushRevenue("30");
+        await system.voter.distributeAll();
+        await system.paymentToken.mint(user2.address, toUnits("10", 6));
+        await (await strategy.buy()).wait();
+        expect((await strategy.auction()).epochId).to.equal(2);
+
+        // 20% of the payment went to the strategy's bribe router, which pays it to the bribe's voters over the week
+        await (await ethers.getContractAt("BribeRouter", strategy2.bribeRouter)).distribute();
+        const bribe = wrapBribe(await ethers.getContractAt("Bribe", strategy2.bribe));
+        expect(await bribe.balances(user1.address)).to.deep.equal({ account: votes[1].votes, total: votes[1].votes });
+        await network.provider.send("evm_increaseTime", [WEEK]);
+        await network.provider.send("evm_mine");
+        const [reward] = await bribe.rewards(user1.address);
+        expect(reward.token).to.equal(system.paymentToken.address);
+        expect(reward.left).to.equal(0);
+        expect(reward.earned).to.be.gt(0);
+
+        const multicall = wrapMulticall(system.multicall);
+        const { system: view, strategies: overviews } = await multicall.system();
+        expect(view.voterAddress).to.equal(system.voter.address);
+        expect(overviews).to.have.length(2);
+        expect((await multicall.voterData(user1.address)).accountUsedWeights).to.equal(toUnits("300"));
+        expect((await multicall.bribes(user1.address))[1].accountRewardsEarned[0]).to.equal(reward.earned);
+    });
+
+    it("should deploy a configurable system", async function () {
+        expect(await system.voter.bribeSplit()).to.equal(2000);
+        expect(await system.voter.treasury()).to.equal(treasury.address);
+        expect(await system.voter.revenueSource()).to.equal(system.revenueRouter.address);
+        expect(await system.governanceToken.voter()).to.equal(system.voter.address);
+        expect(await system.multicall.voter()).to.equal(system.voter.address);
+        expect(Object.keys(system.tokens)).to.deep.equal(["underlying", "revenueToken", "paymentToken"]);
+
+        const custom = await deploySystem({
+            tokens: { underlying: ["DONUT", "DONUT", 18], dai: ["Dai", "DAI", 18] },
+            governanceToken: ["Governance DONUT", "gDONUT"],
+        });
+        expect(await custom.underlying.symbol()).to.equal("DONUT");
+        expect(await custom.governanceToken.symbol()).to.equal("gDONUT");
+        expect(await custom.voter.bribeSplit()).to.equal(0);
+        const added = await custom.addStrategy({ paymentToken: custom.dai });
+        expect(added.paymentToken).to.equal(custom.dai.address);
+        expect(await (await ethers.getContractAt("Strategy", added.strategy)).initPrice()).to.equal(toUnits("100"));
+    });
+});
@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadState, deal, allocations, createSimulator, renderAllocations, renderRun } = require("../scripts/lib/simulate");
+const { buildProposal } = require("../scripts/lib/proposal");
+const { jsonPriceSource } = require("../scripts/lib/prices");
+const { parseOptions, parseVotes } = require("../scripts/simulate");
+const { DAY } = require("../sdk");
+const { DONUT_SYSTEM, DAILY_AUCTION, deployStaked } = require("./helpers");
+
+describe("Proposal Simulator", function () {
+    let owner, user1, user2, treasury;
+    let underlying, revenueToken, usdc;
+    let governanceToken, voter, revenueRouter, multicall;
+    let strategy1, strategy2;
+    let names;
+
+    // 1 USDC = 0.0004 ETH, so 1 WETH is worth 2500 USDC
+    const PRICES = { USDC: "0.0004" };
+
+    function simulator() {
+        return createSimulator({ voter, multicall, revenueRouter, governanceToken, prices: jsonPriceSource(PRICES), names });
+    }
+
+    before(async function () {
+        [owner, user1, user2, treasury] = await ethers.getSigners();
+
+        const daily = { ...DAILY_AUCTION, initPrice: "1000" };
+        const system = await deployStaked({ ...DONUT_SYSTEM, treasury, bribeSplit: 2000, strategies: [daily, daily] }, [
+            [user1, "300"],
+            [user2, "100"],
+        ]);
+        ({ underlying, revenueToken, paymentToken: usdc, governanceToken, voter, revenueRouter, multicall } = system);
+        [strategy1, strategy2] = system.strategies.map((s) => s.strategy);
+        names = { [strategy1.toLowerCase()]: "Alpha", [strategy2.toLowerCase()]: "Beta" };
+
+        await voter.connect(user1).vote([strategy1], [1]);
+        await voter.connect(user2).vote([strategy2], [1]);
+    });
+
+    it("should load an anvil state dump into the network", async function () {
+        // Copy a deployed token, code and storage, to a fresh address
+        const copy = ethers.utils.getAddress("0x00000000000000000000000000000000000c0b1e");
+        const balanceSlot = ethers.utils.solidityKeccak256(["uint256", "uint256"], [owner.address, 0]);
+        await usdc.mint(owner.address, 123e6);
+        const storage = {};
+        for (const slot of ["0x0", "0x2", "0x3", "0x4", "0x5", balanceSlot]) {
+            storage[slot] = await ethers.provider.getStorageAt(usdc.address, slot);
+        }
+        const latest = await ethers.provider.getBlock("latest");
+        await loadState({
+            block: { timestamp: ethers.utils.hexValue(latest.timestamp + 1000) },
+            accounts: {
+                [copy]: { nonce: 1, balance: "0x0", code: await ethers.provider.getCode(usdc.address), storage },
+            },
+        });
+
+        const loaded = await ethers.getContractAt("MockERC20", copy);
+        expect(await loaded.symbol()).to.equal("USDC");
+        expect(await loaded.decimals()).to.equal(6);
+        expect(await loaded.balanceOf(owner.address)).to.equal(123e6);
+        expect((await ethers.provider.getBlock("latest")).timestamp).to.equal(latest.timestamp + 1000);
+
+        try {
+            await loadState({ block: {} });
+            expect.fail("should have thrown");
+        } catch (error) {
+            expect(error.message).to.include('State dump has no "accounts"');
+        }
+    });
+
+    it("should set token balances through storage", async function () {
+        await deal(usdc.address, user1.address, 4242e6);
+        expect(await usdc.balanceOf(user1.address)).to.equal(4242e6);
+        await deal(revenueToken.address, revenueRouter.address, ethers.utils.parseEther("0.5"));
+        expect(await revenueToken.balanceOf(revenueRouter.address)).to.equal(ethers.utils.parseEther("0.5"));
+        await deal(revenueToken.address, revenueRouter.address, 0);
+    });
+
+    it("should execute the proposal as the Voter owner and report reverts", async function () {
+        const sim = simulator();
+        const before = await allocations(voter, names);
+        expect(before.strategies.map((s) => s.share)).to.deep.equal([75, 25]);
+
+        const built = await buildProposal(
+            {
+                title: "Kill Beta, add Gamma",
+                summary: "Testing.",
+                actions: [
+                    { type: "killStrategy", strategy: "Beta" },
+                    {
+                        type: "addStrategy",
+                        name: "Gamma",
+                        paymentToken: usdc.address,
+                        paymentReceiver: treasury.address,
+                        initPrice: "1000 USDC",
+                        epochPeriod: "1 day",
+                        priceMultiplier: "1.2x",
+                        minInitPrice: "1000 USDC",
+                    },
+                    { type: "setBribeSplit", bribeSplit: "30%" },
+                ],
+            },
+            {
+                voter,
+                resolveAddress: (ref) => ref,
+                strategies: [
+                    { name: "Alpha", strategy: strategy1 },
+                    { name: "Beta", strategy: strategy2 },
+                ],
+            }
+        );
+        // Executed twice: the second kill reverts because Beta is already dead
+        built.actions.push({ ...built.actions[0] });
+
+        const results = await sim.executeProposal(built);
+        expect(results.map((r) => r.ok)).to.deep.equal([true, true, true, false]);
+        expect(results[3].error).to.equal("Voter__StrategyIsDead");
+        expect(await voter.strategy_IsAlive(strategy2)).to.equal(false);
+        expect(await voter.bribeSplit()).to.equal(3000);
+
+        const gamma = results[1].strategy;
+        expect(names[gamma.toLowerCase()]).to.equal("Gamma");
+
+        // Gamma gets a fifth of the live weight from a simulated voter, Beta's votes no longer count
+        const [vote] = await sim.allocateVotes([{ name: "Gamma", strategy: gamma, bps: 2000 }]);
+        expect(vote.ok).to.equal(true);
+        expect(vote.votes).to.equal(ethers.utils.parseEther("75"));
+
+        const after = await allocations(voter, names);
+        expect(after.strategies.map((s) => [s.name, s.share, s.alive])).to.deep.equal([
+            ["Alpha", 80, true],
+            ["Beta", 0, false],
+            ["Gamma", 20, true],
+        ]);
+        const rendered = renderAllocations(before, after);
+        expect(rendered).to.include("Bribe split: 20% -> 30%");
+        expect(rendered).to.include("100.0 votes stay on dead strategies until their voters reset, they earn no revenue");
+    });
+
+    it("should simulate revenue, break-even buys and treasury inflows", async function () {
+        const sim = simulator();
+        const treasuryWeth = await revenueToken.balanceOf(treasury.address);
+        const treasuryUsdc = await usdc.balanceOf(treasury.address);
+
+        const result = await sim.run({ epochs: 2, epochLength: DAY, revenue: ethers.utils.parseEther("10"), steps: 4 });
+        expect(result.epochs).to.have.length(2);
+
+        // Beta is dead: its votes are out of totalWeight, so all revenue goes to the live auctions
+        const wethInflow = result.treasury.find((t) => t.token.symbol === "WETH").inflow;
+        expect(wethInflow).to.equal((await revenueToken.balanceOf(treasury.address)).sub(treasuryWeth));
+        expect(wethInflow).to.equal(0);
+        expect(result.epochs.flatMap((e) => e.buys).some((b) => b.name === "Beta")).to.equal(false);
+
+        // Buyers never pay more than the WETH is worth: at break-even, or below when the price fell past it
+        // before the revenue arrived
+        const buys = result.epochs.flatMap((e) => e.buys);
+        expect(buys.map((b) => b.name)).to.include.members(["Alpha", "Gamma"]);
+        for (const b of buys) {
+            const paid = b.paymentAmount.mul(ethers.utils.parseEther("0.0004")).div(1e6);
+            expect(paid.lte(b.revenueAmount)).to.equal(true);
+        }
+        // 70% of every payment goes to the payment receiver, the treasury here
+        const paidUsdc = buys.reduce((sum, b) => sum.add(b.paymentAmount), ethers.BigNumber.from(0));
+        const usdcInflow = result.treasury.find((t) => t.token.symbol === "USDC").inflow;
+        expect(usdcInflow).to.equal((await usdc.balanceOf(treasury.address)).sub(treasuryUsdc));
+        expect(usdcInflow).to.be.closeTo(paidUsdc.mul(7000).div(10000), 10);
+
+        const rendered = renderRun(result);
+        expect(rendered).to.include("Epoch 1: 10.0 WETH revenue");
+        expect(rendered).to.match(/bought {6}Alpha +[\d.]+ WETH for [\d.]+ USDC in \d+ buys?/);
+        expect(rendered).to.include("Treasury inflows:");
+    });
+
+    it("should report strategies without a price", async function () {
+        const sim = createSimulator({ voter, multicall, revenueRouter, governanceToken, prices: jsonPriceSource({}), names });
+        const result = await sim.run({ epochs: 1, epochLength: DAY, revenue: ethers.utils.parseEther("1"), steps: 2 });
+        expect(result.epochs[0].buys).to.have.length(0);
+        expect(result.epochs[0].skipped).to.deep.include({ name: "Alpha", reason: "no price for USDC" });
+    });
+
+    it("should parse command line options", async function () {
+        const options = parseOptions(["--fork", "http://rpc", "--block", "123", "--prices", "p.json", "--votes", "QR Buyback=5%"], {
+            SIMULATE_EPOCHS: "3",
+            SIMULATE_EPOCH: "12h",
+        });
+        expect(options).to.deep.include({ fork: "http://rpc", block: 123, prices: "p.json", epochs: 3, epochLength: 43200, steps: 24 });
+        expect(options.votes).to.deep.equal([{ name: "QR Buyback", bps: 500 }]);
+        expect(parseVotes("A=10%, B=2000 bps")).to.deep.equal([
+            { name: "A", bps: 1000 },
+            { name: "B", bps: 2000 },
+        ]);
+
+        for (const [argv, message] of [
+            [["--prices", "p.json", "--fork", "x", "--state", "s.json"], "Pass at most one snapshot"],
+            [["--prices", "p.json", "--block", "1"], "--block only applies to --fork"],
+            [[], "--prices <file>"],
+            [["--prices", "p.json", "--epochs", "0"], 'Invalid --epochs "0"'],
+            [["--prices", "p.json", "--votes", "QR"], 'Invalid --votes entry "QR"'],
+        ]) {
+            try {
+                parseOptions(argv, {});
+                expect.fail("should have thrown");
+            } catch (error) {
+                expect(error.message).to.include(message);
+            }
+        }
+    });
+});
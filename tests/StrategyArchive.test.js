@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployStaked, advanceToNextEpoch } = require("./helpers");
+
+/**
+ * Tests for archiving dead strategies.
+ *
+ * Killed strategies stay in Voter.strategies and every distributeAll/updateAll keeps iterating them (audit L-02).
+ * Once a dead strategy is drained (no votes, no claimable revenue) anyone may archive it:
+ * - it is swapped out of `strategies` with the last one and pushed to `archivedStrategies`
+ * - its mappings stay, so it can still be looked up by address
+ * - Multicall pages active and archived strategies separately, and the Lens lists the archived ones
+ */
+describe("Strategy Archive", function () {
+    let owner, user1, user2, treasury;
+    let system, revenueToken, voter, multicall, lens;
+    let strategy1, strategy2, strategy3;
+
+    const parseEther = ethers.utils.parseEther;
+
+    beforeEach(async function () {
+        [owner, user1, user2, treasury] = await ethers.getSigners();
+
+        system = await deployStaked({ treasury, strategies: [{}, {}, {}] }, [
+            [user1, "100"],
+            [user2, "100"],
+        ]);
+        ({ revenueToken, voter, multicall, lens } = system);
+        [strategy1, strategy2, strategy3] = system.strategies.map((s) => s.strategy);
+
+        await voter.connect(user1).vote([strategy1], [100]);
+        await voter.connect(user2).vote([strategy3], [100]);
+    });
+
+    describe("archiveStrategy", function () {
+        it("moves a drained dead strategy out of the active list, the last strategy taking its slot", async function () {
+            await voter.killStrategy(strategy2);
+            await expect(voter.connect(user1).archiveStrategy(strategy2))
+                .to.emit(voter, "Voter__StrategyArchived")
+                .withArgs(strategy2);
+
+            expect(await voter.getStrategies()).to.deep.equal([strategy1, strategy3]);
+            expect(await voter.length()).to.equal(2);
+            expect(await voter.getArchivedStrategies()).to.deep.equal([strategy2]);
+            expect(await voter.archivedLength()).to.equal(1);
+            expect(await voter.strategy_IsArchived(strategy2)).to.equal(true);
+
+            // Still known by address
+            expect(await voter.strategy_IsValid(strategy2)).to.equal(true);
+            expect(await voter.strategy_Bribe(strategy2)).to.equal(system.strategies[1].bribe);
+        });
+
+        it("keeps the index of the moved strategy so it can be archived in turn", async function () {
+            await voter.killStrategy(strategy1);
+            await voter.killStrategy(strategy3);
+            await advanceToNextEpoch();
+            await voter.connect(user1).reset();
+            await voter.connect(user2).reset();
+
+            await voter.archiveStrategy(strategy1);
+            expect(await voter.getStrategies()).to.deep.equal([strategy3, strategy2]);
+            await voter.archiveStrategy(strategy3);
+            expect(await voter.getStrategies()).to.deep.equal([strategy2]);
+            expect(await voter.getArchivedStrategies()).to.deep.equal([strategy1, strategy3]);
+        });
+
+        it("reverts for unknown, alive, paused, undrained and archived strategies", async function () {
+            await expect(voter.archiveStrategy(user1.address)).to.be.revertedWith("Voter__NotStrategy");
+            await expect(voter.archiveStrategy(strategy2)).to.be.revertedWith("Voter__StrategyIsAlive");
+
+            await voter.pauseStrategy(strategy2);
+            await expect(voter.archiveStrategy(strategy2)).to.be.revertedWith("Voter__StrategyIsAlive");
+
+            // user1's votes are still on strategy1
+            await voter.killStrategy(strategy1);
+            await expect(voter.archiveStrategy(strategy1)).to.be.revertedWith("Voter__StrategyNotDrained");
+
+            await advanceToNextEpoch();
+            await voter.connect(user1).reset();
+            await voter.archiveStrategy(strategy1);
+            await expect(voter.archiveStrategy(strategy1)).to.be.revertedWith("Voter__StrategyIsArchived");
+        });
+    });
+
+    describe("Distribution", function () {
+        it("distributeAll and updateAll skip archived strategies", async function () {
+            await voter.killStrategy(strategy2);
+            await voter.archiveStrategy(strategy2);
+
+            await system.flushRevenue("100");
+            await voter.updateAll();
+            await voter.distributeAll();
+            expect(await revenueToken.balanceOf(strategy1)).to.equal(parseEther("50"));
+            expect(await revenueToken.balanceOf(strategy3)).to.equal(parseEther("50"));
+            expect(await revenueToken.balanceOf(strategy2)).to.equal(0);
+            expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
+        });
+
+        it("an archived strategy cannot be voted for", async function () {
+            await voter.killStrategy(strategy2);
+            await voter.archiveStrategy(strategy2);
+            await advanceToNextEpoch();
+
+            await expect(voter.connect(user1).vote([strategy2], [1])).to.be.revertedWith("Voter__ZeroTotalWeight");
+        });
+    });
+
+    describe("Multicall and Lens", function () {
+        it("pages active and archived strategy overviews separately", async function () {
+            await voter.killStrategy(strategy2);
+            await voter.archiveStrategy(strategy2);
+
+            let [data, total] = await multicall.getStrategyOverviewsPage(false, 0, 10);
+            expect(total).to.equal(2);
+            expect(data.map((o) => o.strategy)).to.deep.equal([strategy1, strategy3]);
+            expect(data.map((o) => o.isArchived)).to.deep.equal([false, false]);
+
+            [data, total] = await multicall.getStrategyOverviewsPage(true, 0, 10);
+            expect(total).to.equal(1);
+            expect(data.map((o) => o.strategy)).to.deep.equal([strategy2]);
+            expect(data[0].isArchived).to.equal(true);
+            expect(data[0].isAlive).to.equal(false);
+
+            expect(await lens.getArchivedStrategies()).to.deep.equal([strategy2]);
+            expect(await lens.getArchivedStrategyCount()).to.equal(1);
+        });
+
+        it("clamps pages to the list", async function () {
+            let [data, total] = await multicall.getStrategyOverviewsPage(false, 1, 2);
+            expect(total).to.equal(3);
+            expect(data.map((o) => o.strategy)).to.deep.equal([strategy2]);
+
+            [data] = await multicall.getStrategyOverviewsPage(false, 2, 100);
+            expect(data.map((o) => o.strategy)).to.deep.equal([strategy3]);
+
+            [data] = await multicall.getStrategyOverviewsPage(false, 5, 3);
+            expect(data).to.have.length(0);
+
+            [data, total] = await multicall.getStrategyOverviewsPage(true, 0, 10);
+            expect(total).to.equal(0);
+            expect(data).to.have.length(0);
+        });
+    });
+});
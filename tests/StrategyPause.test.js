@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployStaked, advanceToNextEpoch } = require("./helpers");
+
+/**
+ * Tests for pausing and unpausing strategies.
+ *
+ * A paused strategy is alive but suspended:
+ * - its weight leaves totalWeight, so it earns no new revenue and live strategies get the whole split
+ * - revenue it earned before the pause stays claimable in the Voter until it is unpaused
+ * - its auction rejects buys
+ * - votes and bribe balances stay, and voters may keep voting for it
+ * Unpausing puts its weight back into totalWeight without paying it for revenue notified while paused.
+ */
+describe("Strategy Pause", function () {
+    let owner, user1, user2, buyer, treasury;
+    let system, revenueToken, paymentToken, voter, multicall;
+    let strategy1, strategy2, bribe1;
+
+    const parseEther = ethers.utils.parseEther;
+
+    beforeEach(async function () {
+        [owner, user1, user2, buyer, treasury] = await ethers.getSigners();
+
+        system = await deployStaked({ treasury, strategies: [{}, {}] }, [
+            [user1, "100"],
+            [user2, "100"],
+        ]);
+        ({ revenueToken, paymentToken, voter, multicall } = system);
+        [{ strategy: strategy1, bribe: bribe1 }, { strategy: strategy2 }] = system.strategies;
+
+        await voter.connect(user1).vote([strategy1], [100]);
+        await voter.connect(user2).vote([strategy2], [100]);
+    });
+
+    async function buy(strategy) {
+        const contract = await ethers.getContractAt("Strategy", strategy);
+        const price = await contract.getPrice();
+        await paymentToken.mint(buyer.address, price.mul(2));
+        await paymentToken.connect(buyer).approve(strategy, price.mul(2));
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        return contract.connect(buyer).buy(buyer.address, await contract.epochId(), timestamp + 3600, price.mul(2));
+    }
+
+    describe("pauseStrategy", function () {
+        it("pauses the strategy and takes its weight out of totalWeight", async function () {
+            await expect(voter.pauseStrategy(strategy1)).to.emit(voter, "Voter__StrategyPaused").withArgs(strategy1);
+
+            expect(await voter.strategy_IsPaused(strategy1)).to.equal(true);
+            expect(await voter.strategy_IsAlive(strategy1)).to.equal(true);
+            expect(await voter.totalWeight()).to.equal(parseEther("100"));
+
+            // Votes and bribe balances are intact
+            expect(await voter.strategy_Weight(strategy1)).to.equal(parseEther("100"));
+            expect(await voter.account_Strategy_Votes(user1.address, strategy1)).to.equal(parseEther("100"));
+            const bribe = await ethers.getContractAt("Bribe", bribe1);
+            expect(await bribe.account_Balance(user1.address)).to.equal(parseEther("100"));
+        });
+
+        it("reverts for non-owners, dead and already paused strategies", async function () {
+            await expect(voter.connect(user1).pauseStrategy(strategy1)).to.be.revertedWith("Ownable: caller is not the owner");
+
+            await voter.pauseStrategy(strategy1);
+            await expect(voter.pauseStrategy(strategy1)).to.be.revertedWith("Voter__StrategyIsPaused");
+
+            await voter.killStrategy(strategy2);
+            await expect(voter.pauseStrategy(strategy2)).to.be.revertedWith("Voter__StrategyIsDead");
+        });
+    });
+
+    describe("unpauseStrategy", function () {
+        it("restores the weight with votes and bribes intact", async function () {
+            await voter.pauseStrategy(strategy1);
+            await expect(voter.unpauseStrategy(strategy1)).to.emit(voter, "Voter__StrategyUnpaused").withArgs(strategy1);
+
+            expect(await voter.strategy_IsPaused(strategy1)).to.equal(false);
+            expect(await voter.totalWeight()).to.equal(parseEther("200"));
+            expect(await voter.strategy_Weight(strategy1)).to.equal(parseEther("100"));
+        });
+
+        it("reverts for non-owners and strategies that are not paused", async function () {
+            await expect(voter.unpauseStrategy(strategy1)).to.be.revertedWith("Voter__StrategyNotPaused");
+
+            await voter.pauseStrategy(strategy1);
+            await expect(voter.connect(user1).unpauseStrategy(strategy1)).to.be.revertedWith("Ownable: caller is not the owner");
+
+            // Killing clears the pause, a dead strategy cannot come back
+            await voter.killStrategy(strategy1);
+            expect(await voter.strategy_IsPaused(strategy1)).to.equal(false);
+            await expect(voter.unpauseStrategy(strategy1)).to.be.revertedWith("Voter__StrategyNotPaused");
+        });
+
+        it("killing a paused strategy does not take its weight out of totalWeight twice", async function () {
+            await voter.pauseStrategy(strategy1);
+            await voter.killStrategy(strategy1);
+            expect(await voter.totalWeight()).to.equal(parseEther("100"));
+
+            await advanceToNextEpoch();
+            await voter.connect(user1).reset();
+            expect(await voter.strategy_Weight(strategy1)).to.equal(0);
+            expect(await voter.totalWeight()).to.equal(parseEther("100"));
+        });
+    });
+
+    describe("Revenue", function () {
+        it("a paused strategy earns nothing new and keeps what it earned before the pause", async function () {
+            await system.flushRevenue("100");
+            await voter.pauseStrategy(strategy1);
+            expect(await voter.strategy_Claimable(strategy1)).to.equal(parseEther("50"));
+
+            // Revenue while paused goes to strategy2 only
+            await system.flushRevenue("100");
+            expect(await voter.getStrategyPendingRevenue(strategy1)).to.equal(0);
+            await voter.distributeAll();
+            expect(await revenueToken.balanceOf(strategy2)).to.equal(parseEther("150"));
+
+            // strategy1's 50 stays in the Voter while paused
+            expect(await revenueToken.balanceOf(strategy1)).to.equal(0);
+            expect(await voter.strategy_Claimable(strategy1)).to.equal(parseEther("50"));
+            expect(await revenueToken.balanceOf(voter.address)).to.equal(parseEther("50"));
+        });
+
+        it("after unpausing, the held claimable is distributed and new revenue is split by weight again", async function () {
+            await system.flushRevenue("100");
+            await voter.pauseStrategy(strategy1);
+            await system.flushRevenue("100");
+            await voter.unpauseStrategy(strategy1);
+
+            // Nothing from the paused period is owed to strategy1
+            expect(await voter.getStrategyPendingRevenue(strategy1)).to.equal(0);
+            expect(await voter.strategy_Claimable(strategy1)).to.equal(parseEther("50"));
+
+            await system.flushRevenue("100");
+            await voter.distributeAll();
+            // strategy1: 50 before the pause + 50 after; strategy2: 50 + 100 while strategy1 was paused + 50
+            expect(await revenueToken.balanceOf(strategy1)).to.equal(parseEther("100"));
+            expect(await revenueToken.balanceOf(strategy2)).to.equal(parseEther("200"));
+            expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
+        });
+
+        it("revenue goes to the treasury while every voted strategy is paused", async function () {
+            await voter.pauseStrategy(strategy1);
+            await voter.pauseStrategy(strategy2);
+            expect(await voter.totalWeight()).to.equal(0);
+
+            const treasuryBefore = await revenueToken.balanceOf(treasury.address);
+            await system.flushRevenue("100");
+            expect((await revenueToken.balanceOf(treasury.address)).sub(treasuryBefore)).to.equal(parseEther("100"));
+        });
+    });
+
+    describe("Auction", function () {
+        it("rejects buys while paused and accepts them after unpausing", async function () {
+            await system.flushRevenue("100");
+            await voter.distributeAll();
+
+            await voter.pauseStrategy(strategy1);
+            const strategy = await ethers.getContractAt("Strategy", strategy1);
+            await expect(buy(strategy1)).to.be.revertedWith("Strategy__Paused");
+
+            await voter.unpauseStrategy(strategy1);
+            await expect(buy(strategy1)).to.emit(strategy, "Strategy__Buy");
+            expect(await revenueToken.balanceOf(buyer.address)).to.equal(parseEther("50"));
+        });
+    });
+
+    describe("Votes", function () {
+        it("voters can vote for a paused strategy without adding to totalWeight", async function () {
+            await voter.pauseStrategy(strategy1);
+            await advanceToNextEpoch();
+
+            await voter.connect(user2).vote([strategy1, strategy2], [1, 1]);
+            expect(await voter.strategy_Weight(strategy1)).to.equal(parseEther("150"));
+            expect(await voter.strategy_Weight(strategy2)).to.equal(parseEther("50"));
+            expect(await voter.totalWeight()).to.equal(parseEther("50"));
+
+            // Resetting from the paused strategy leaves totalWeight alone too
+            await voter.connect(user1).reset();
+            expect(await voter.strategy_Weight(strategy1)).to.equal(parseEther("50"));
+            expect(await voter.totalWeight()).to.equal(parseEther("50"));
+
+            await voter.unpauseStrategy(strategy1);
+            expect(await voter.totalWeight()).to.equal(parseEther("100"));
+        });
+
+        it("poke keeps votes on a paused strategy", async function () {
+            await voter.pauseStrategy(strategy1);
+            await system.stake(user1, "50", { mint: true });
+            await voter.poke(user1.address);
+
+            expect(await voter.account_Strategy_Votes(user1.address, strategy1)).to.equal(parseEther("150"));
+            expect(await voter.totalWeight()).to.equal(parseEther("100"));
+        });
+    });
+
+    describe("Multicall", function () {
+        it("reports the paused status and no vote share", async function () {
+            await voter.pauseStrategy(strategy1);
+
+            const data = await multicall.getStrategyData(strategy1, user1.address);
+            expect(data.isAlive).to.equal(true);
+            expect(data.isPaused).to.equal(true);
+            expect(data.votePercent).to.equal(0);
+
+            const bribe = await multicall.getBribeData(strategy1, user1.address);
+            expect(bribe.isPaused).to.equal(true);
+            expect(bribe.accountVote).to.equal(parseEther("100"));
+
+            const overview = await multicall.getStrategyOverview(strategy1);
+            expect(overview.isPaused).to.equal(true);
+            expect(overview.votePercent).to.equal(0);
+            expect((await multicall.getStrategyOverview(strategy2)).isPaused).to.equal(false);
+        });
+    });
+});
@@ -1,30 +1,28 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, WEEK } = require("../sdk");
 
 /**
  * Tests for killStrategy behavior and revenue handling for dead strategies.
  *
  * Key Design Decision:
- * killStrategy does NOT remove weight from totalWeight/strategy_Weight because:
+ * killStrategy removes the strategy's weight from totalWeight but keeps strategy_Weight because:
  * - Users still have account_Strategy_Votes pointing to the strategy
  * - _reset() needs to subtract those votes from strategy_Weight
- * - If killStrategy zeroed weights, _reset() would underflow and users would be stuck forever
+ * - If killStrategy zeroed strategy_Weight, _reset() would underflow and users would be stuck forever
+ * - _reset() skips totalWeight for dead strategies, their weight already left it
  *
  * Revenue handling for dead strategies:
  * - killStrategy sends pending claimable to treasury
  * - Dead strategies don't accumulate new claimable (_updateFor checks isAlive)
- * - Revenue for dead strategy's weight proportion is redirected to treasury (not stuck)
- * - Weights are removed when users call reset() in the next epoch
- * - Once all users reset from dead strategy, weights are properly removed
+ * - Revenue after the kill is split among live strategies only, nothing is owed to the dead one
+ * - strategy_Weight is removed when users call reset() in the next epoch
  */
 describe("Stuck Funds Analysis", function () {
     let owner, user1, user2, treasury;
     let underlying, revenueToken, paymentToken;
     let governanceToken, voter, revenueRouter;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, treasury] = await ethers.getSigners();
 
@@ -115,7 +113,7 @@ describe("Stuck Funds Analysis", function () {
             expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
         });
 
-        it("killing strategy preserves weights so users can reset", async function () {
+        it("killing strategy drops its weight from totalWeight but keeps strategy weight so users can reset", async function () {
             const strategy = await createStrategy();
 
             await stakeTokens(user1, ethers.utils.parseEther("100"));
@@ -128,9 +126,9 @@ describe("Stuck Funds Analysis", function () {
             // Kill strategy
             await voter.killStrategy(strategy);
 
-            // Weights still there - users need to be able to reset!
+            // Strategy weight still there - users need to be able to reset!
             expect(await voter.strategy_Weight(strategy)).to.equal(ethers.utils.parseEther("100"));
-            expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("100"));
+            expect(await voter.totalWeight()).to.equal(0);
 
             // User can reset in next epoch
             await ethers.provider.send("evm_increaseTime", [WEEK]);
@@ -165,8 +163,8 @@ describe("Stuck Funds Analysis", function () {
             // because _updateFor checks strategy_IsAlive before adding to claimable
             expect(await voter.strategy_Claimable(strategy1)).to.equal(0);
 
-            // Strategy2 gets its share based on weight ratio (50% since totalWeight still includes dead strategy)
-            expect(await voter.strategy_Claimable(strategy2)).to.equal(ethers.utils.parseEther("500"));
+            // Strategy2 gets everything, totalWeight no longer includes the dead strategy
+            expect(await voter.strategy_Claimable(strategy2)).to.equal(ethers.utils.parseEther("1000"));
         });
 
         it("handles kill with no pending claimable", async function () {
@@ -183,8 +181,8 @@ describe("Stuck Funds Analysis", function () {
             // No change to treasury (no claimable to send)
             expect(treasuryAfter).to.equal(treasuryBefore);
 
-            // Weight still there (user needs to reset)
-            expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("100"));
+            // Strategy weight still there (user needs to reset), totalWeight drops it
+            expect(await voter.totalWeight()).to.equal(0);
             expect(await voter.strategy_Weight(strategy1)).to.equal(ethers.utils.parseEther("100"));
         });
 
@@ -221,10 +219,10 @@ describe("Stuck Funds Analysis", function () {
         });
     });
 
-    describe("Dead Strategy Revenue Goes to Treasury", function () {
+    describe("Revenue After Kill Goes to Live Strategies", function () {
 
-        it("revenue after kill but before user reset: dead strategy share goes to treasury", async function () {
-            // Revenue for dead strategy is redirected to treasury instead of being stuck
+        it("revenue after kill but before user reset: live strategies get all of it", async function () {
+            // The dead strategy's weight left totalWeight, so it does not dilute live strategies
             const strategy1 = await createStrategy();
             const strategy2 = await createStrategy();
 
@@ -235,7 +233,7 @@ describe("Stuck Funds Analysis", function () {
 
             const treasuryBefore = await revenueToken.balanceOf(treasury.address);
 
-            // Kill strategy1 (weight remains for user to withdraw)
+            // Kill strategy1 (strategy weight remains for user to withdraw)
             await voter.killStrategy(strategy1);
 
             // Send 1000 WETH revenue
@@ -244,12 +242,12 @@ describe("Stuck Funds Analysis", function () {
             // Distribute all
             await voter.distributeAll();
 
-            // Strategy2 gets 500 (its 50% share based on weight)
-            expect(await revenueToken.balanceOf(strategy2)).to.equal(ethers.utils.parseEther("500"));
+            // Strategy2 gets all 1000, it is the only live weight
+            expect(await revenueToken.balanceOf(strategy2)).to.equal(ethers.utils.parseEther("1000"));
 
-            // Strategy1's 500 share goes to treasury (not stuck)
+            // Nothing is owed to strategy1, so nothing goes to treasury
             const treasuryAfter = await revenueToken.balanceOf(treasury.address);
-            expect(treasuryAfter.sub(treasuryBefore)).to.equal(ethers.utils.parseEther("500"));
+            expect(treasuryAfter).to.equal(treasuryBefore);
 
             // No funds stuck in voter
             expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
@@ -287,7 +285,7 @@ describe("Stuck Funds Analysis", function () {
             expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
         });
 
-        it("multiple epochs: dead strategy revenue goes to treasury each time", async function () {
+        it("multiple epochs: live strategies get all revenue each time", async function () {
             const strategy1 = await createStrategy();
             const strategy2 = await createStrategy();
 
@@ -301,18 +299,18 @@ describe("Stuck Funds Analysis", function () {
             // Kill strategy1
             await voter.killStrategy(strategy1);
 
-            // Multiple revenue distributions - 50% goes to treasury each time
+            // Multiple revenue distributions - all of it goes to strategy2 each time
             for (let i = 0; i < 5; i++) {
                 await sendRevenue(ethers.utils.parseEther("100"));
                 await voter.distributeAll();
             }
 
-            // Strategy2 gets 250 WETH (50% of 500 total)
-            expect(await revenueToken.balanceOf(strategy2)).to.equal(ethers.utils.parseEther("250"));
+            // Strategy2 gets all 500 WETH
+            expect(await revenueToken.balanceOf(strategy2)).to.equal(ethers.utils.parseEther("500"));
 
-            // 250 WETH goes to treasury (strategy1's share redirected)
+            // Treasury gets nothing
             const treasuryAfter = await revenueToken.balanceOf(treasury.address);
-            expect(treasuryAfter.sub(treasuryBefore)).to.equal(ethers.utils.parseEther("250"));
+            expect(treasuryAfter).to.equal(treasuryBefore);
 
             // No funds stuck in voter
             expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
@@ -351,7 +349,7 @@ describe("Stuck Funds Analysis", function () {
             expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
         });
 
-        it("partial reset: some users reset, others don't - revenue goes to treasury", async function () {
+        it("partial reset: some users reset, others don't - no live weight, revenue goes to treasury", async function () {
             const strategy1 = await createStrategy();
             const strategy2 = await createStrategy();
 
@@ -370,17 +368,17 @@ describe("Stuck Funds Analysis", function () {
             // Only user1 resets - removes 100 from weight
             await voter.connect(user1).reset();
 
-            // User2 still has 100 weight on dead strategy
+            // User2 still has 100 weight on dead strategy, none of it in totalWeight
             expect(await voter.strategy_Weight(strategy1)).to.equal(ethers.utils.parseEther("100"));
-            expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("100"));
+            expect(await voter.totalWeight()).to.equal(0);
 
             const treasuryBefore = await revenueToken.balanceOf(treasury.address);
 
-            // Send revenue - 100% goes to dead strategy -> treasury
+            // Send revenue - totalWeight is 0, so notifyRevenue sends it to treasury
             await sendRevenue(ethers.utils.parseEther("1000"));
             await voter.distributeAll();
 
-            // All goes to treasury because only dead strategy has weight
+            // All goes to treasury because no live strategy has weight
             const treasuryAfter = await revenueToken.balanceOf(treasury.address);
             expect(treasuryAfter.sub(treasuryBefore)).to.equal(ethers.utils.parseEther("1000"));
 
@@ -392,7 +390,8 @@ describe("Stuck Funds Analysis", function () {
             await ethers.provider.send("evm_mine");
             await voter.connect(user2).reset();
 
-            // Now totalWeight is 0
+            // Now strategy weight is 0 too
+            expect(await voter.strategy_Weight(strategy1)).to.equal(0);
             expect(await voter.totalWeight()).to.equal(0);
         });
     });
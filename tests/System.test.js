@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, DAY, WEEK } = require("../sdk");
 
 /**
  * Comprehensive system-wide tests for Liquid Signal Governance
@@ -16,10 +17,6 @@ describe("System-Wide Tests", function () {
     let underlying, revenueToken, paymentToken, paymentToken2;
     let governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const DAY = 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, user3, user4, treasury, buyer1, buyer2] = await ethers.getSigners();
 
@@ -242,6 +239,8 @@ describe("System-Wide Tests", function () {
             await voter.connect(user1).reset();
 
             await governanceToken.connect(user1).unstake(ethers.utils.parseEther("100"));
+            await advanceTime(WEEK);
+            await governanceToken.connect(user1).claimWithdrawal();
             expect(await underlying.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("10000"));
         });
 
@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { WEEK, signVote, signReset, relayVote, relayReset, voterDomain } = require("../sdk");
+const { deployStaked, advanceToNextEpoch, failureOf } = require("./helpers");
+
+/**
+ * Tests for gasless voting: Voter.voteBySig and Voter.resetBySig with EIP-712 signatures.
+ *
+ * The account signs, a relayer sends and pays the gas. Signatures carry the account's nonce and a deadline,
+ * so each one works once and expires.
+ */
+describe("Vote By Signature", function () {
+    let user, relayer, other, curator;
+    let system, voter;
+    let strategy1, strategy2;
+
+    const parseEther = ethers.utils.parseEther;
+
+    beforeEach(async function () {
+        [, user, relayer, other, curator] = await ethers.getSigners();
+
+        system = await deployStaked({ strategies: [{}, {}] }, [[user, "100"]]);
+        ({ voter } = system);
+        [strategy1, strategy2] = system.strategies.map((s) => s.strategy);
+    });
+
+    describe("voteBySig", function () {
+        it("votes for the account with the relayer paying the gas", async function () {
+            const signed = await signVote(user, voter, { strategies: [strategy1, strategy2], weights: [3, 1] });
+            const balance = await ethers.provider.getBalance(user.address);
+
+            await expect(relayVote(voter.connect(relayer), signed))
+                .to.emit(voter, "Voter__Voted")
+                .withArgs(user.address, strategy1, parseEther("75"));
+
+            expect(await voter.account_Strategy_Votes(user.address, strategy2)).to.equal(parseEther("25"));
+            expect(await voter.account_UsedWeights(user.address)).to.equal(parseEther("100"));
+            expect(await voter.nonces(user.address)).to.equal(1);
+            expect(await ethers.provider.getBalance(user.address)).to.equal(balance);
+        });
+
+        it("signs JSON-friendly messages", async function () {
+            const signed = await signVote(user, voter, { strategies: [strategy1], weights: [1] });
+            expect(JSON.parse(JSON.stringify(signed))).to.deep.equal(signed);
+            expect(signed.nonce).to.equal("0");
+        });
+
+        it("rejects a replayed signature", async function () {
+            const signed = await signVote(user, voter, { strategies: [strategy1], weights: [1], validFor: 2 * WEEK });
+            await relayVote(voter.connect(relayer), signed);
+
+            // The same epoch is refused by the epoch rule, the next one by the used nonce
+            expect(await failureOf(relayVote(voter.connect(relayer), signed))).to.equal("Voter__AlreadyVotedThisEpoch");
+            await advanceToNextEpoch();
+            expect(await failureOf(relayVote(voter.connect(relayer), signed))).to.equal("Voter__InvalidSignature");
+        });
+
+        it("rejects an expired signature", async function () {
+            const signed = await signVote(user, voter, { strategies: [strategy1], weights: [1], validFor: 60 });
+            await network.provider.send("evm_increaseTime", [61]);
+            expect(await failureOf(relayVote(voter.connect(relayer), signed))).to.equal("Voter__SignatureExpired");
+            expect(await voter.nonces(user.address)).to.equal(0);
+        });
+
+        it("rejects signatures by another account or over other arguments", async function () {
+            const byOther = await signVote(other, voter, { strategies: [strategy1], weights: [1] });
+            expect(await failureOf(relayVote(voter.connect(relayer), { ...byOther, account: user.address }))).to.equal(
+                "Voter__InvalidSignature"
+            );
+
+            const signed = await signVote(user, voter, { strategies: [strategy1, strategy2], weights: [3, 1] });
+            expect(await failureOf(relayVote(voter.connect(relayer), { ...signed, weights: ["1", "3"] }))).to.equal(
+                "Voter__InvalidSignature"
+            );
+            const later = { ...signed, deadline: Number(signed.deadline) + 1 };
+            expect(await failureOf(relayVote(voter.connect(relayer), later))).to.equal("Voter__InvalidSignature");
+
+            // A signature for a future nonce is not valid yet
+            const ahead = await signVote(user, voter, { strategies: [strategy1], weights: [1], nonce: 1 });
+            expect(await failureOf(relayVote(voter.connect(relayer), ahead))).to.equal("Voter__InvalidSignature");
+        });
+
+        it("applies the delegation rules of the signing account", async function () {
+            await system.stake(curator, "100", { mint: true });
+            await voter.connect(curator).approveDelegator(user.address, true);
+            await voter.connect(user).delegate(curator.address);
+            await advanceToNextEpoch();
+
+            const byUser = await signVote(user, voter, { strategies: [strategy1], weights: [1] });
+            expect(await failureOf(relayVote(voter.connect(relayer), byUser))).to.equal("Voter__VotingPowerDelegated");
+
+            // A delegate's signed vote covers its delegators
+            const byCurator = await signVote(curator, voter, { strategies: [strategy2], weights: [1] });
+            await relayVote(voter.connect(relayer), byCurator);
+            expect(await voter.account_Strategy_Votes(user.address, strategy2)).to.equal(parseEther("100"));
+        });
+    });
+
+    describe("resetBySig", function () {
+        it("resets the account's votes, once", async function () {
+            await voter.connect(user).vote([strategy1], [1]);
+            await advanceToNextEpoch();
+
+            const signed = await signReset(user, voter, { validFor: 2 * WEEK });
+            await expect(relayReset(voter.connect(relayer), signed))
+                .to.emit(voter, "Voter__Abstained")
+                .withArgs(user.address, strategy1, parseEther("100"));
+            expect(await voter.account_UsedWeights(user.address)).to.equal(0);
+            expect(await voter.nonces(user.address)).to.equal(1);
+
+            await advanceToNextEpoch();
+            expect(await failureOf(relayReset(voter.connect(relayer), signed))).to.equal("Voter__InvalidSignature");
+        });
+
+        it("does not accept a vote signature", async function () {
+            const vote = await signVote(user, voter, { strategies: [strategy1], weights: [1] });
+            expect(await failureOf(relayReset(voter.connect(relayer), vote))).to.equal("Voter__InvalidSignature");
+        });
+
+        it("rejects an expired signature", async function () {
+            const signed = await signReset(user, voter, { deadline: (await ethers.provider.getBlock("latest")).timestamp });
+            expect(await failureOf(relayReset(voter.connect(relayer), signed))).to.equal("Voter__SignatureExpired");
+        });
+    });
+
+    it("exposes the EIP-712 domain", async function () {
+        const domain = await voterDomain(voter);
+        expect(domain.name).to.equal("Voter");
+        expect(domain.version).to.equal("1");
+        expect(domain.verifyingContract).to.equal(voter.address);
+        expect(await voter.DOMAIN_SEPARATOR()).to.equal(ethers.utils._TypedDataEncoder.hashDomain(domain));
+    });
+});
@@ -0,0 +1,342 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { WEEK } = require("../sdk");
+const { deployStaked, advanceToNextEpoch, failureOf } = require("./helpers");
+
+/**
+ * Tests for Voter-level vote delegation.
+ *
+ * A delegator hands its allocation to a delegate:
+ * - the delegate's vote is applied to its own balance and to each delegator's balance separately
+ * - delegators hold their own votes and bribe balances, so bribe rewards go to them pro-rata
+ * - delegators cannot vote or reset, and can revoke at any time; votes placed this epoch stay until the next
+ * - delegation is opt-in: the delegate approves each delegator and can drop it again
+ */
+describe("Vote Delegation", function () {
+    let owner, curator, alice, bob, carol;
+    let system, paymentToken, governanceToken, voter, lens;
+    let strategy1, strategy2, bribe1;
+
+    const parseEther = ethers.utils.parseEther;
+
+    beforeEach(async function () {
+        [owner, curator, alice, bob, carol] = await ethers.getSigners();
+
+        system = await deployStaked({ strategies: [{}, {}] }, [
+            [curator, "100"],
+            [alice, "300"],
+            [bob, "100"],
+        ]);
+        ({ paymentToken, governanceToken, voter, lens } = system);
+        [{ strategy: strategy1, bribe: bribe1 }, { strategy: strategy2 }] = system.strategies;
+
+        // curator and carol act as delegates for everyone else
+        for (const delegate of [curator, carol]) {
+            for (const account of [curator, alice, bob, carol]) {
+                if (account !== delegate) await voter.connect(delegate).approveDelegator(account.address, true);
+            }
+        }
+    });
+
+    describe("delegate", function () {
+        it("records the delegate and resets the delegator's own votes", async function () {
+            await voter.connect(alice).vote([strategy2], [1]);
+            await advanceToNextEpoch();
+
+            await expect(voter.connect(alice).delegate(curator.address))
+                .to.emit(voter, "Voter__Delegated")
+                .withArgs(alice.address, curator.address);
+
+            expect(await voter.account_Delegate(alice.address)).to.equal(curator.address);
+            expect(await voter.getDelegators(curator.address)).to.deep.equal([alice.address]);
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(0);
+            expect(await voter.strategy_Weight(strategy2)).to.equal(0);
+            expect(await voter.totalWeight()).to.equal(0);
+        });
+
+        it("moves the delegator when it delegates to someone else", async function () {
+            await voter.connect(alice).delegate(curator.address);
+            await voter.connect(bob).delegate(curator.address);
+            await advanceToNextEpoch();
+
+            await expect(voter.connect(alice).delegate(carol.address))
+                .to.emit(voter, "Voter__Undelegated")
+                .withArgs(alice.address, curator.address);
+            expect(await voter.getDelegators(curator.address)).to.deep.equal([bob.address]);
+            expect(await voter.getDelegators(carol.address)).to.deep.equal([alice.address]);
+        });
+
+        it("rejects self, zero, chained and repeated-in-epoch delegations", async function () {
+            await expect(voter.connect(alice).delegate(alice.address)).to.be.revertedWith("Voter__InvalidDelegate");
+            expect(await failureOf(voter.connect(alice).delegate(ethers.constants.AddressZero))).to.equal(
+                "Voter__InvalidZeroAddress"
+            );
+
+            await voter.connect(alice).delegate(curator.address);
+            // curator has a delegator, so it cannot delegate; nobody can delegate to alice, who delegated
+            await expect(voter.connect(curator).delegate(bob.address)).to.be.revertedWith("Voter__InvalidDelegate");
+            await expect(voter.connect(bob).delegate(alice.address)).to.be.revertedWith("Voter__InvalidDelegate");
+
+            // delegate counts as the epoch's vote
+            expect(await failureOf(voter.connect(alice).delegate(bob.address))).to.equal(
+                "Voter__AlreadyVotedThisEpoch"
+            );
+        });
+
+        it("caps the number of delegators", async function () {
+            const max = (await voter.MAX_DELEGATORS()).toNumber();
+            for (let i = 0; i <= max; i++) {
+                const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+                await network.provider.send("hardhat_setBalance", [wallet.address, "0xDE0B6B3A7640000"]);
+                await voter.connect(curator).approveDelegator(wallet.address, true);
+                const tx = voter.connect(wallet).delegate(curator.address);
+                if (i < max) await tx;
+                else await expect(tx).to.be.revertedWith("Voter__TooManyDelegators");
+            }
+            expect(await voter.getDelegators(curator.address)).to.have.length(max);
+        });
+    });
+
+    describe("approveDelegator", function () {
+        it("lets only approved accounts delegate", async function () {
+            await expect(voter.connect(owner).delegate(curator.address)).to.be.revertedWith("Voter__DelegatorNotApproved");
+
+            await expect(voter.connect(curator).approveDelegator(owner.address, true))
+                .to.emit(voter, "Voter__DelegatorApproved")
+                .withArgs(curator.address, owner.address, true);
+            expect(await voter.delegate_Account_IsApproved(curator.address, owner.address)).to.equal(true);
+            await voter.connect(owner).delegate(curator.address);
+            expect(await voter.account_Delegate(owner.address)).to.equal(curator.address);
+
+            expect(
+                await failureOf(voter.connect(curator).approveDelegator(ethers.constants.AddressZero, true))
+            ).to.equal("Voter__InvalidZeroAddress");
+        });
+
+        it("keeps dust accounts from filling a delegate's slots", async function () {
+            const max = (await voter.MAX_DELEGATORS()).toNumber();
+            for (let i = 0; i < max; i++) {
+                const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+                await network.provider.send("hardhat_setBalance", [wallet.address, "0xDE0B6B3A7640000"]);
+                await system.stake(wallet, "0.000000000000000001", { mint: true });
+                await expect(voter.connect(wallet).delegate(curator.address)).to.be.revertedWith("Voter__DelegatorNotApproved");
+            }
+            expect(await voter.getDelegators(curator.address)).to.deep.equal([]);
+
+            // The accounts curator approved still get in
+            await voter.connect(alice).delegate(curator.address);
+            await voter.connect(bob).delegate(curator.address);
+            expect(await voter.getDelegators(curator.address)).to.deep.equal([alice.address, bob.address]);
+        });
+
+        it("drops a current delegator and clears its votes when the approval is taken back", async function () {
+            await voter.connect(alice).delegate(curator.address);
+            await voter.connect(bob).delegate(curator.address);
+            await advanceToNextEpoch();
+            await voter.connect(curator).vote([strategy1], [1]);
+
+            await expect(voter.connect(curator).approveDelegator(alice.address, false))
+                .to.emit(voter, "Voter__Undelegated")
+                .withArgs(alice.address, curator.address);
+            expect(await voter.account_Delegate(alice.address)).to.equal(ethers.constants.AddressZero);
+            expect(await voter.getDelegators(curator.address)).to.deep.equal([bob.address]);
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(0);
+            expect(await voter.totalWeight()).to.equal(parseEther("200"));
+
+            // alice already used this epoch's vote through curator, and cannot come back unasked
+            expect(await failureOf(voter.connect(alice).vote([strategy2], [1]))).to.equal(
+                "Voter__AlreadyVotedThisEpoch"
+            );
+            await advanceToNextEpoch();
+            await expect(voter.connect(alice).delegate(curator.address)).to.be.revertedWith("Voter__DelegatorNotApproved");
+            await voter.connect(alice).vote([strategy2], [1]);
+            expect(await voter.strategy_Weight(strategy2)).to.equal(parseEther("300"));
+        });
+
+        it("only withdraws the approval of an account that is not delegating", async function () {
+            await voter.connect(alice).delegate(carol.address);
+            await expect(voter.connect(curator).approveDelegator(alice.address, false)).to.not.emit(voter, "Voter__Undelegated");
+            expect(await voter.account_Delegate(alice.address)).to.equal(carol.address);
+            expect(await voter.delegate_Account_IsApproved(curator.address, alice.address)).to.equal(false);
+        });
+    });
+
+    describe("Delegated votes", function () {
+        beforeEach(async function () {
+            await voter.connect(alice).delegate(curator.address);
+            await voter.connect(bob).delegate(curator.address);
+        });
+
+        it("applies the delegate's split to each delegator's balance", async function () {
+            await voter.connect(curator).vote([strategy1, strategy2], [3, 1]);
+
+            // curator 100 + alice 300 + bob 100, split 75/25
+            expect(await voter.strategy_Weight(strategy1)).to.equal(parseEther("375"));
+            expect(await voter.strategy_Weight(strategy2)).to.equal(parseEther("125"));
+            expect(await voter.totalWeight()).to.equal(parseEther("500"));
+
+            expect(await voter.account_Strategy_Votes(curator.address, strategy1)).to.equal(parseEther("75"));
+            expect(await voter.account_Strategy_Votes(alice.address, strategy1)).to.equal(parseEther("225"));
+            expect(await voter.account_Strategy_Votes(alice.address, strategy2)).to.equal(parseEther("75"));
+            expect(await voter.account_UsedWeights(bob.address)).to.equal(parseEther("100"));
+
+            const bribe = await ethers.getContractAt("Bribe", bribe1);
+            expect(await bribe.account_Balance(alice.address)).to.equal(parseEther("225"));
+            expect(await bribe.account_Balance(curator.address)).to.equal(parseEther("75"));
+        });
+
+        it("pays bribe rewards to the delegators pro-rata", async function () {
+            await voter.connect(curator).vote([strategy1], [1]);
+
+            const bribe = await ethers.getContractAt("Bribe", bribe1);
+            await paymentToken.mint(owner.address, 500e6);
+            await paymentToken.approve(bribe1, 500e6);
+            await bribe.notifyRewardAmount(paymentToken.address, 500e6);
+            await network.provider.send("evm_increaseTime", [WEEK]);
+            await network.provider.send("evm_mine");
+
+            await voter.connect(alice).claimBribes([bribe1]);
+            await voter.connect(bob).claimBribes([bribe1]);
+            await voter.connect(curator).claimBribes([bribe1]);
+            // 300 : 100 : 100 of what the per-second reward rate pays out over the week
+            const paid = Math.floor(500e6 / WEEK) * WEEK;
+            expect((await paymentToken.balanceOf(alice.address)).toNumber()).to.be.closeTo((paid * 3) / 5, 1e3);
+            expect((await paymentToken.balanceOf(bob.address)).toNumber()).to.be.closeTo(paid / 5, 1e3);
+            expect((await paymentToken.balanceOf(curator.address)).toNumber()).to.be.closeTo(paid / 5, 1e3);
+        });
+
+        it("lets a delegate without its own stake vote for its delegators", async function () {
+            // carol has no stake; alone, its vote reverts
+            await expect(voter.connect(carol).vote([strategy2], [1])).to.be.revertedWith("Voter__ZeroWeight");
+
+            await advanceToNextEpoch();
+            await voter.connect(alice).delegate(carol.address);
+            await voter.connect(carol).vote([strategy2], [1]);
+
+            expect(await voter.account_Strategy_Votes(alice.address, strategy2)).to.equal(parseEther("300"));
+            expect(await voter.account_UsedWeights(carol.address)).to.equal(0);
+        });
+
+        it("skips delegator shares that round to zero", async function () {
+            await system.stake(carol, "0.000000000000000001", { mint: true });
+            await voter.connect(carol).delegate(curator.address);
+
+            await voter.connect(curator).vote([strategy1, strategy2], [1, 1]);
+            expect(await voter.account_UsedWeights(carol.address)).to.equal(0);
+            expect(await voter.totalWeight()).to.equal(parseEther("500"));
+        });
+
+        it("resets the delegators with the delegate", async function () {
+            await voter.connect(curator).vote([strategy1], [1]);
+            await advanceToNextEpoch();
+
+            await voter.connect(curator).reset();
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(0);
+            expect(await voter.account_UsedWeights(bob.address)).to.equal(0);
+            expect(await voter.totalWeight()).to.equal(0);
+        });
+
+        it("blocks the delegators' own votes, resets and unstakes", async function () {
+            await voter.connect(curator).vote([strategy1], [1]);
+            await advanceToNextEpoch();
+
+            await expect(voter.connect(alice).vote([strategy2], [1])).to.be.revertedWith("Voter__VotingPowerDelegated");
+            await expect(voter.connect(alice).reset()).to.be.revertedWith("Voter__VotingPowerDelegated");
+            await expect(governanceToken.connect(alice).unstake(1)).to.be.revertedWith("GovernanceToken__VotesNotCleared");
+        });
+
+        it("keeps the delegate's split when a delegator is poked", async function () {
+            await voter.connect(curator).vote([strategy1, strategy2], [3, 1]);
+            await system.stake(alice, "100", { mint: true });
+            await voter.poke(alice.address);
+
+            expect(await voter.account_Strategy_Votes(alice.address, strategy1)).to.equal(parseEther("300"));
+            expect(await voter.account_Strategy_Votes(alice.address, strategy2)).to.equal(parseEther("100"));
+        });
+    });
+
+    describe("undelegate", function () {
+        beforeEach(async function () {
+            await voter.connect(alice).delegate(curator.address);
+            await voter.connect(bob).delegate(curator.address);
+        });
+
+        it("is allowed in the epoch the delegate voted, keeping the votes until the delegator resets next epoch", async function () {
+            await advanceToNextEpoch();
+            await voter.connect(curator).vote([strategy1], [1]);
+            expect(await voter.account_LastVoted(alice.address)).to.be.lt(await voter.account_LastVotedByDelegate(alice.address));
+
+            await expect(voter.connect(alice).undelegate())
+                .to.emit(voter, "Voter__Undelegated")
+                .withArgs(alice.address, curator.address);
+            expect(await voter.account_Delegate(alice.address)).to.equal(ethers.constants.AddressZero);
+            expect(await voter.getDelegators(curator.address)).to.deep.equal([bob.address]);
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(parseEther("300"));
+            expect(await failureOf(voter.connect(alice).reset())).to.equal("Voter__AlreadyVotedThisEpoch");
+
+            await advanceToNextEpoch();
+            await voter.connect(alice).reset();
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(0);
+            expect(await voter.strategy_Weight(strategy1)).to.equal(parseEther("200"));
+            await governanceToken.connect(alice).unstake(parseEther("300"));
+        });
+
+        it("gets the delegator out of a delegate that votes first thing every epoch", async function () {
+            for (let i = 0; i < 3; i++) {
+                await advanceToNextEpoch();
+                await voter.connect(curator).vote([strategy1], [1]);
+            }
+            await voter.connect(alice).undelegate();
+
+            // The curator votes again first thing next epoch, and no longer for alice
+            await advanceToNextEpoch();
+            await voter.connect(curator).vote([strategy2], [1]);
+            expect(await voter.account_Strategy_Votes(alice.address, strategy2)).to.equal(0);
+            expect(await voter.account_Strategy_Votes(alice.address, strategy1)).to.equal(parseEther("300"));
+
+            await voter.connect(alice).reset();
+            await governanceToken.connect(alice).unstake(parseEther("300"));
+            expect(await governanceToken.balanceOf(alice.address)).to.equal(0);
+        });
+
+        it("withdraws the delegated votes at once if the delegate has not voted this epoch", async function () {
+            await voter.connect(curator).vote([strategy1], [1]);
+            await advanceToNextEpoch();
+            await expect(voter.connect(alice).undelegate())
+                .to.emit(voter, "Voter__Undelegated")
+                .withArgs(alice.address, curator.address);
+
+            expect(await voter.account_Delegate(alice.address)).to.equal(ethers.constants.AddressZero);
+            expect(await voter.getDelegators(curator.address)).to.deep.equal([bob.address]);
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(0);
+            expect(await voter.strategy_Weight(strategy1)).to.equal(parseEther("200"));
+            expect(await voter.totalWeight()).to.equal(parseEther("200"));
+
+            // No longer delegated: alice can unstake, and vote on its own from the next epoch
+            await governanceToken.connect(alice).unstake(parseEther("100"));
+            await advanceToNextEpoch();
+            await voter.connect(alice).vote([strategy2], [1]);
+            expect(await voter.strategy_Weight(strategy2)).to.equal(parseEther("200"));
+        });
+
+        it("reverts when the account has not delegated", async function () {
+            await expect(voter.connect(carol).undelegate()).to.be.revertedWith("Voter__NotDelegated");
+        });
+    });
+
+    describe("Lens", function () {
+        it("shows a delegate's power and delegators", async function () {
+            await voter.connect(alice).delegate(curator.address);
+            await voter.connect(bob).delegate(curator.address);
+            await voter.connect(curator).vote([strategy1], [1]);
+
+            const data = await lens.getDelegateData(curator.address);
+            expect(data.delegate).to.equal(curator.address);
+            expect(data.ownPower).to.equal(parseEther("100"));
+            expect(data.delegatedPower).to.equal(parseEther("400"));
+            expect(data.votingPower).to.equal(parseEther("500"));
+            expect(data.delegators).to.deep.equal([alice.address, bob.address]);
+            expect(data.delegatorPowers).to.deep.equal([parseEther("300"), parseEther("100")]);
+        });
+    });
+});
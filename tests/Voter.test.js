@@ -1,53 +1,19 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, DAY, WEEK, deploySystem } = require("../sdk");
+const { failureOf } = require("./helpers");
 
 describe("Voter Contract - Comprehensive Tests", function () {
     let owner, user1, user2, user3, user4, treasury, attacker;
     let underlying, revenueToken, paymentToken, paymentToken2;
-    let governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
-
-    const WEEK = 7 * 24 * 60 * 60;
-    const HOUR = 60 * 60;
-    const DAY = 24 * 60 * 60;
+    let system, governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
 
     beforeEach(async function () {
         [owner, user1, user2, user3, user4, treasury, attacker] = await ethers.getSigners();
 
-        // Deploy mock tokens
-        const MockERC20 = await ethers.getContractFactory("MockERC20");
-        underlying = await MockERC20.deploy("Underlying Token", "UNDERLYING", 18);
-        revenueToken = await MockERC20.deploy("Revenue Token", "WETH", 18);
-        paymentToken = await MockERC20.deploy("Payment Token", "USDC", 6);
-        paymentToken2 = await MockERC20.deploy("Payment Token 2", "DAI", 18);
-
-        // Deploy factories
-        const BribeFactory = await ethers.getContractFactory("BribeFactory");
-        bribeFactory = await BribeFactory.deploy();
-
-        const StrategyFactory = await ethers.getContractFactory("StrategyFactory");
-        strategyFactory = await StrategyFactory.deploy();
-
-        // Deploy GovernanceToken
-        const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
-        governanceToken = await GovernanceToken.deploy(underlying.address, "Staked Underlying", "sUNDER");
-
-        // Deploy Voter
-        const Voter = await ethers.getContractFactory("Voter");
-        voter = await Voter.deploy(
-            governanceToken.address,
-            revenueToken.address,
-            treasury.address,
-            bribeFactory.address,
-            strategyFactory.address
-        );
-
-        // Set voter on governance token
-        await governanceToken.setVoter(voter.address);
-
-        // Deploy RevenueRouter and set as revenue source
-        const RevenueRouter = await ethers.getContractFactory("RevenueRouter");
-        revenueRouter = await RevenueRouter.deploy(revenueToken.address, voter.address);
-        await voter.setRevenueSource(revenueRouter.address);
+        system = await deploySystem({ tokens: { paymentToken2: ["Payment Token 2", "DAI", 18] }, treasury });
+        ({ underlying, revenueToken, paymentToken, paymentToken2, governanceToken, voter } = system);
+        ({ bribeFactory, strategyFactory, revenueRouter } = system);
 
         // Mint tokens to users
         await underlying.mint(user1.address, ethers.utils.parseEther("1000"));
@@ -62,20 +28,11 @@ describe("Voter Contract - Comprehensive Tests", function () {
 
     // Helper functions
     async function createStrategy(payment = paymentToken) {
-        const initPrice = ethers.utils.parseUnits("100", payment.address === paymentToken.address ? 6 : 18);
-        const tx = await voter.addStrategy(payment.address, treasury.address, initPrice, HOUR, ethers.utils.parseEther("2"), initPrice);
-        const receipt = await tx.wait();
-        const event = receipt.events.find(e => e.event === "Voter__StrategyAdded");
-        return {
-            strategy: event.args.strategy,
-            bribe: event.args.bribe,
-            bribeRouter: event.args.bribeRouter
-        };
+        return system.addStrategy({ paymentToken: payment });
     }
 
     async function stakeTokens(user, amount) {
-        await underlying.connect(user).approve(governanceToken.address, amount);
-        await governanceToken.connect(user).stake(amount);
+        await system.stake(user, amount);
     }
 
     async function advanceToNextEpoch() {
@@ -545,6 +502,100 @@ describe("Voter Contract - Comprehensive Tests", function () {
                 expect(await bribeContract2.account_Balance(user1.address)).to.equal(ethers.utils.parseEther("100"));
             });
         });
+
+        describe("poke", function () {
+            it("should re-apply the split to a larger balance", async function () {
+                await voter.connect(user1).vote([strategy1, strategy2], [60, 40]);
+                await stakeTokens(user1, ethers.utils.parseEther("100"));
+
+                // Stale until poked
+                expect(await voter.account_UsedWeights(user1.address)).to.equal(ethers.utils.parseEther("100"));
+
+                await voter.connect(user2).poke(user1.address);
+
+                expect(await voter.account_Strategy_Votes(user1.address, strategy1)).to.equal(ethers.utils.parseEther("120"));
+                expect(await voter.account_Strategy_Votes(user1.address, strategy2)).to.equal(ethers.utils.parseEther("80"));
+                expect(await voter.account_UsedWeights(user1.address)).to.equal(ethers.utils.parseEther("200"));
+                expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("200"));
+
+                const bribeContract1 = await ethers.getContractAt("Bribe", bribe1);
+                expect(await bribeContract1.account_Balance(user1.address)).to.equal(ethers.utils.parseEther("120"));
+            });
+
+            it("should not count as the epoch's vote", async function () {
+                await voter.connect(user1).vote([strategy1], [100]);
+                const lastVoted = await voter.account_LastVoted(user1.address);
+
+                await voter.poke(user1.address);
+                await voter.poke(user1.address);
+
+                expect(await voter.account_LastVoted(user1.address)).to.equal(lastVoted);
+                expect(await failureOf(voter.connect(user1).reset())).to.equal("Voter__AlreadyVotedThisEpoch");
+            });
+
+            it("should emit Abstained and Voted events", async function () {
+                await voter.connect(user1).vote([strategy1], [100]);
+                await stakeTokens(user1, ethers.utils.parseEther("50"));
+
+                await expect(voter.poke(user1.address))
+                    .to.emit(voter, "Voter__Abstained")
+                    .withArgs(user1.address, strategy1, ethers.utils.parseEther("100"))
+                    .and.to.emit(voter, "Voter__Voted")
+                    .withArgs(user1.address, strategy1, ethers.utils.parseEther("150"));
+            });
+
+            it("should do nothing for an account without votes", async function () {
+                await expect(voter.poke(user1.address)).to.not.emit(voter, "Voter__Voted");
+                expect(await voter.account_UsedWeights(user1.address)).to.equal(0);
+            });
+
+            it("should drop votes on dead strategies", async function () {
+                await voter.connect(user1).vote([strategy1, strategy2], [50, 50]);
+                await voter.killStrategy(strategy2);
+
+                await voter.poke(user1.address);
+
+                expect(await voter.account_Strategy_Votes(user1.address, strategy1)).to.equal(ethers.utils.parseEther("100"));
+                expect(await voter.account_Strategy_Votes(user1.address, strategy2)).to.equal(0);
+                expect(await voter.strategy_Weight(strategy2)).to.equal(0);
+                expect(await voter.getStrategyVote(user1.address)).to.deep.equal([strategy1]);
+            });
+
+            it("should clear votes when every strategy voted for is dead", async function () {
+                await voter.connect(user1).vote([strategy1], [100]);
+                await voter.killStrategy(strategy1);
+
+                await voter.poke(user1.address);
+
+                expect(await voter.account_UsedWeights(user1.address)).to.equal(0);
+                expect(await voter.totalWeight()).to.equal(0);
+                expect((await voter.getStrategyVote(user1.address)).length).to.equal(0);
+            });
+
+            it("should be applied on stake when the account enables auto-poke", async function () {
+                await voter.connect(user1).vote([strategy1, strategy2], [3, 1]);
+
+                await expect(governanceToken.connect(user1).setAutoPoke(true))
+                    .to.emit(governanceToken, "GovernanceToken__AutoPokeSet")
+                    .withArgs(user1.address, true);
+                await stakeTokens(user1, ethers.utils.parseEther("100"));
+
+                expect(await voter.account_Strategy_Votes(user1.address, strategy1)).to.equal(ethers.utils.parseEther("150"));
+                expect(await voter.account_Strategy_Votes(user1.address, strategy2)).to.equal(ethers.utils.parseEther("50"));
+
+                await governanceToken.connect(user1).setAutoPoke(false);
+                await stakeTokens(user1, ethers.utils.parseEther("100"));
+                expect(await voter.account_UsedWeights(user1.address)).to.equal(ethers.utils.parseEther("200"));
+            });
+
+            it("should let auto-poke accounts stake before voting", async function () {
+                await governanceToken.connect(user1).setAutoPoke(true);
+                await stakeTokens(user1, ethers.utils.parseEther("100"));
+
+                expect(await governanceToken.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("200"));
+                expect(await voter.account_UsedWeights(user1.address)).to.equal(0);
+            });
+        });
     });
 
     // ==================== REVENUE DISTRIBUTION ====================
@@ -867,21 +918,57 @@ describe("Voter Contract - Comprehensive Tests", function () {
 
             expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("100"));
 
-            // Kill strategy1 - weight preserved so users can reset without underflow
+            // Kill strategy1 - its weight leaves totalWeight, strategy weight stays so users can reset without underflow
             await voter.killStrategy(strategy1);
 
-            // Weights unchanged (user still has votes pointing to strategy1)
-            expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("100"));
+            expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("50"));
             expect(await voter.strategy_Weight(strategy1)).to.equal(ethers.utils.parseEther("50"));
             expect(await voter.strategy_Weight(strategy2)).to.equal(ethers.utils.parseEther("50"));
             expect(await voter.account_UsedWeights(user1.address)).to.equal(ethers.utils.parseEther("100"));
 
-            // Revenue: strategy2 gets 50%, strategy1's 50% is discarded (dead strategy)
+            // Revenue: strategy2 is the only live weight and gets all of it
             await sendRevenue(ethers.utils.parseEther("100"));
             await voter.updateAll();
 
             expect(await voter.strategy_Claimable(strategy1)).to.equal(0);
+            expect(await voter.strategy_Claimable(strategy2)).to.equal(ethers.utils.parseEther("100"));
+
+            // Resetting next epoch takes the dead votes out of strategy weight without touching totalWeight again
+            await advanceToNextEpoch();
+            await voter.connect(user1).reset();
+
+            expect(await voter.strategy_Weight(strategy1)).to.equal(0);
+            expect(await voter.strategy_Weight(strategy2)).to.equal(0);
+            expect(await voter.totalWeight()).to.equal(0);
+        });
+
+        it("should split revenue among live strategies only, before and after a kill", async function () {
+            await stakeTokens(user1, ethers.utils.parseEther("100"));
+            await stakeTokens(user2, ethers.utils.parseEther("100"));
+            await voter.connect(user1).vote([strategy1, strategy2], [50, 50]);
+            await voter.connect(user2).vote([strategy3], [100]);
+
+            // Before the kill: 50 / 50 / 100 of 200
+            await sendRevenue(ethers.utils.parseEther("200"));
+            await voter.updateAll();
+            expect(await voter.strategy_Claimable(strategy1)).to.equal(ethers.utils.parseEther("50"));
             expect(await voter.strategy_Claimable(strategy2)).to.equal(ethers.utils.parseEther("50"));
+            expect(await voter.strategy_Claimable(strategy3)).to.equal(ethers.utils.parseEther("100"));
+
+            await voter.killStrategy(strategy1);
+            expect(await voter.totalWeight()).to.equal(ethers.utils.parseEther("150"));
+
+            // After the kill: 50 / 100 of 150, nothing for strategy1 and nothing stuck
+            await sendRevenue(ethers.utils.parseEther("150"));
+            await voter.distributeAll();
+            expect(await voter.strategy_Claimable(strategy1)).to.equal(0);
+            expect(await revenueToken.balanceOf(strategy2)).to.equal(ethers.utils.parseEther("100"));
+            expect(await revenueToken.balanceOf(strategy3)).to.equal(ethers.utils.parseEther("200"));
+            expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
+
+            // Sum of live strategy weights matches totalWeight
+            const live = (await voter.strategy_Weight(strategy2)).add(await voter.strategy_Weight(strategy3));
+            expect(await voter.totalWeight()).to.equal(live);
         });
 
         it("should handle user resetting then voting for different strategies", async function () {
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { HOUR, DAY, WEEK } = require("../sdk");
 
 /**
  * Comprehensive Voter Contract Tests
@@ -16,10 +17,6 @@ describe("Voter Contract - Comprehensive Tests", function () {
     let underlying, revenueToken, paymentToken, paymentToken2, paymentToken3;
     let governanceToken, voter, bribeFactory, strategyFactory, revenueRouter;
 
-    const WEEK = 7 * 24 * 60 * 60;
-    const DAY = 24 * 60 * 60;
-    const HOUR = 60 * 60;
-
     beforeEach(async function () {
         [owner, user1, user2, user3, user4, user5, treasury, attacker] = await ethers.getSigners();
 
@@ -691,7 +688,7 @@ describe("Voter Contract - Comprehensive Tests", function () {
             expect(await voter.strategy_Claimable(strategy)).to.equal(0);
         });
 
-        it("killStrategy should preserve weights (for user reset)", async function () {
+        it("killStrategy should preserve strategy weight (for user reset) and drop it from totalWeight", async function () {
             const { strategy } = await createStrategy();
             await stakeTokens(user1, ethers.utils.parseEther("100"));
             await voter.connect(user1).vote([strategy], [1]);
@@ -702,7 +699,7 @@ describe("Voter Contract - Comprehensive Tests", function () {
             await voter.killStrategy(strategy);
 
             expect(await voter.strategy_Weight(strategy)).to.equal(weightBefore);
-            expect(await voter.totalWeight()).to.equal(totalBefore);
+            expect(await voter.totalWeight()).to.equal(totalBefore.sub(weightBefore));
         });
 
         it("killStrategy should emit StrategyKilled event", async function () {
@@ -1125,23 +1122,23 @@ describe("Voter Contract - Comprehensive Tests", function () {
             const treasuryAfterKill = await revenueToken.balanceOf(treasury.address);
             expect(treasuryAfterKill.sub(treasuryBefore)).to.equal(ethers.utils.parseEther("100"));
 
-            // Second revenue - s1 dead but weight still counts, its share goes to treasury
+            // Second revenue - s1 dead and its weight left totalWeight, s2 gets all of it
             await sendRevenue(ethers.utils.parseEther("200"));
             await voter.updateStrategy(s1);
             await voter.updateStrategy(s2);
 
-            // s1 doesn't accumulate (dead) - its share went to treasury
+            // s1 doesn't accumulate (dead)
             expect(await voter.strategy_Claimable(s1)).to.equal(0);
-            // s2 gets its 50% share
-            expect(await voter.strategy_Claimable(s2)).to.equal(ethers.utils.parseEther("200"));
+            // s2 gets 100 from the first round and all 200 of the second
+            expect(await voter.strategy_Claimable(s2)).to.equal(ethers.utils.parseEther("300"));
 
-            // s1's 100 from second round went to treasury (not stuck)
+            // Nothing from the second round went to treasury
             const treasuryAfterSecond = await revenueToken.balanceOf(treasury.address);
-            expect(treasuryAfterSecond.sub(treasuryAfterKill)).to.equal(ethers.utils.parseEther("100"));
+            expect(treasuryAfterSecond).to.equal(treasuryAfterKill);
 
             // Distribute s2
             await voter["distribute(address)"](s2);
-            expect(await revenueToken.balanceOf(s2)).to.equal(ethers.utils.parseEther("200"));
+            expect(await revenueToken.balanceOf(s2)).to.equal(ethers.utils.parseEther("300"));
 
             // No funds stuck in voter
             expect(await revenueToken.balanceOf(voter.address)).to.equal(0);
@@ -0,0 +1,223 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { WEEK, signVote, relayVote } = require("../sdk");
+const { deployStaked, advanceToNextEpoch, failureOf } = require("./helpers");
+
+/**
+ * Tests for binding GovernanceToken to its Voter (audit L-03 / LSG-01).
+ *
+ * setVoter used to be a plain setter: pointing it at address(0) or another Voter let accounts unstake with
+ * votes still counted in the old Voter. Now:
+ * - setVoter binds the first Voter once
+ * - migrateVoter moves to a new Voter and logs it; every Voter ever bound stays registered
+ * - unstake and withdrawLock require zero used weight in every registered Voter
+ * - a Voter that is no longer current takes no votes or pokes, only resets
+ * - the current Voter takes no votes from a balance that still has votes in an old one
+ */
+describe("Voter Migration", function () {
+    let alice, bob;
+    let system, governanceToken, underlying, voter, newVoter;
+    let strategy1;
+
+    const parseEther = ethers.utils.parseEther;
+
+    // A strategy on the new voter, which starts with none
+    async function addNewVoterStrategy() {
+        const tx = await newVoter.addStrategy(
+            system.paymentToken.address,
+            alice.address,
+            parseEther("1"),
+            3600,
+            parseEther("2"),
+            parseEther("1")
+        );
+        return (await tx.wait()).events.find((e) => e.event === "Voter__StrategyAdded").args.strategy;
+    }
+
+    beforeEach(async function () {
+        [, alice, bob] = await ethers.getSigners();
+
+        system = await deployStaked({ strategies: [{}] }, [[alice, "100"]]);
+        ({ governanceToken, underlying, voter } = system);
+        [strategy1] = system.strategies.map((s) => s.strategy);
+
+        const Voter = await ethers.getContractFactory("Voter");
+        newVoter = await Voter.deploy(
+            governanceToken.address,
+            await voter.revenueToken(),
+            await voter.treasury(),
+            await voter.bribeFactory(),
+            await voter.strategyFactory()
+        );
+
+        await voter.connect(alice).vote([strategy1], [1]);
+    });
+
+    describe("setVoter", function () {
+        it("binds the first voter only", async function () {
+            expect(await governanceToken.getVoters()).to.deep.equal([voter.address]);
+            expect(await governanceToken.voter_IsRegistered(voter.address)).to.equal(true);
+
+            await expect(governanceToken.setVoter(newVoter.address)).to.be.revertedWith("GovernanceToken__VoterAlreadySet");
+            await expect(governanceToken.setVoter(ethers.constants.AddressZero)).to.be.revertedWith(
+                "GovernanceToken__InvalidZeroAddress"
+            );
+        });
+
+        it("emits the binding on a fresh token", async function () {
+            const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+            const fresh = await GovernanceToken.deploy(underlying.address, "Fresh", "FRESH");
+
+            await expect(fresh.connect(alice).setVoter(voter.address)).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(fresh.setVoter(voter.address)).to.emit(fresh, "GovernanceToken__VoterSet").withArgs(voter.address);
+            expect(await fresh.voter()).to.equal(voter.address);
+        });
+    });
+
+    describe("migrateVoter", function () {
+        it("makes the new voter current and keeps the old one registered", async function () {
+            await expect(governanceToken.migrateVoter(newVoter.address))
+                .to.emit(governanceToken, "GovernanceToken__VoterMigrated")
+                .withArgs(voter.address, newVoter.address);
+
+            expect(await governanceToken.voter()).to.equal(newVoter.address);
+            expect(await governanceToken.getVoters()).to.deep.equal([voter.address, newVoter.address]);
+            expect(await governanceToken.voter_IsRegistered(voter.address)).to.equal(true);
+        });
+
+        it("rejects zero, registered and unbound cases, and non-owners", async function () {
+            await expect(governanceToken.connect(alice).migrateVoter(newVoter.address)).to.be.revertedWith(
+                "Ownable: caller is not the owner"
+            );
+            await expect(governanceToken.migrateVoter(ethers.constants.AddressZero)).to.be.revertedWith(
+                "GovernanceToken__InvalidZeroAddress"
+            );
+            await expect(governanceToken.migrateVoter(voter.address)).to.be.revertedWith(
+                "GovernanceToken__VoterAlreadyRegistered"
+            );
+
+            const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
+            const fresh = await GovernanceToken.deploy(underlying.address, "Fresh", "FRESH");
+            await expect(fresh.migrateVoter(voter.address)).to.be.revertedWith("GovernanceToken__VoterNotSet");
+        });
+
+        it("caps the number of voters", async function () {
+            const max = (await governanceToken.MAX_VOTERS()).toNumber();
+            for (let i = 1; i < max; i++) {
+                await governanceToken.migrateVoter(ethers.Wallet.createRandom().address);
+            }
+            expect(await governanceToken.getVoters()).to.have.length(max);
+            await expect(governanceToken.migrateVoter(newVoter.address)).to.be.revertedWith(
+                "GovernanceToken__TooManyVoters"
+            );
+        });
+    });
+
+    describe("Voting after a migration", function () {
+        beforeEach(async function () {
+            await governanceToken.migrateVoter(newVoter.address);
+            await advanceToNextEpoch();
+        });
+
+        it("closes the old voter to votes and pokes", async function () {
+            expect(await failureOf(voter.connect(alice).vote([strategy1], [1]))).to.equal("Voter__NotCurrentVoter");
+            await system.stake(bob, "100", { mint: true });
+            expect(await failureOf(voter.connect(bob).vote([strategy1], [1]))).to.equal("Voter__NotCurrentVoter");
+            expect(await failureOf(voter.poke(alice.address))).to.equal("Voter__NotCurrentVoter");
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(parseEther("100"));
+        });
+
+        it("closes the old voter to signed votes", async function () {
+            const signed = await signVote(alice, voter, { strategies: [strategy1], weights: [1] });
+            expect(await failureOf(relayVote(voter.connect(bob), signed))).to.equal("Voter__NotCurrentVoter");
+        });
+
+        it("keeps resets open in the old voter", async function () {
+            await voter.connect(alice).reset();
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(0);
+            expect(await voter.totalWeight()).to.equal(0);
+        });
+
+        it("does not count a balance again in the new voter while its votes in the old one stand", async function () {
+            const strategy = await addNewVoterStrategy();
+
+            expect(await failureOf(newVoter.connect(alice).vote([strategy], [1]))).to.equal("Voter__VotesInOtherVoter");
+            const signed = await signVote(alice, newVoter, { strategies: [strategy], weights: [1] });
+            expect(await failureOf(relayVote(newVoter.connect(bob), signed))).to.equal("Voter__VotesInOtherVoter");
+            expect(await newVoter.totalWeight()).to.equal(0);
+            expect(await voter.totalWeight()).to.equal(parseEther("100"));
+
+            // Once reset in the old voter, the balance counts in the new one only
+            await voter.connect(alice).reset();
+            await newVoter.connect(alice).vote([strategy], [1]);
+            expect(await voter.totalWeight()).to.equal(0);
+            expect(await newVoter.totalWeight()).to.equal(parseEther("100"));
+        });
+
+        it("leaves delegators with votes in the old voter out of a delegate's vote", async function () {
+            const strategy = await addNewVoterStrategy();
+            await system.stake(bob, "100", { mint: true });
+            await newVoter.connect(bob).approveDelegator(alice.address, true);
+            await newVoter.connect(alice).delegate(bob.address);
+
+            await newVoter.connect(bob).vote([strategy], [1]);
+            expect(await newVoter.account_UsedWeights(alice.address)).to.equal(0);
+            expect(await newVoter.account_LastVotedByDelegate(alice.address)).to.equal(0);
+            expect(await newVoter.totalWeight()).to.equal(parseEther("100"));
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(parseEther("100"));
+        });
+    });
+
+    describe("Unstaking after a migration", function () {
+        beforeEach(async function () {
+            await governanceToken.migrateVoter(newVoter.address);
+        });
+
+        it("requires the votes in the old voter to be reset", async function () {
+            await expect(governanceToken.connect(alice).unstake(parseEther("100"))).to.be.revertedWith(
+                "GovernanceToken__VotesNotCleared"
+            );
+
+            await advanceToNextEpoch();
+            await voter.connect(alice).reset();
+            await governanceToken.connect(alice).unstake(parseEther("100"));
+            expect(await governanceToken.account_PendingWithdrawal(alice.address)).to.equal(parseEther("100"));
+        });
+
+        it("requires the votes in the new voter to be reset", async function () {
+            await advanceToNextEpoch();
+            await voter.connect(alice).reset();
+
+            const strategy = await addNewVoterStrategy();
+            await newVoter.connect(alice).vote([strategy], [1]);
+
+            await expect(governanceToken.connect(alice).unstake(parseEther("100"))).to.be.revertedWith(
+                "GovernanceToken__VotesNotCleared"
+            );
+        });
+
+        it("applies to withdrawLock too", async function () {
+            await underlying.mint(alice.address, parseEther("10"));
+            await underlying.connect(alice).approve(governanceToken.address, parseEther("10"));
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            await governanceToken.connect(alice).createLock(parseEther("10"), timestamp + 2 * WEEK);
+
+            await advanceToNextEpoch();
+            await advanceToNextEpoch();
+            expect(await failureOf(governanceToken.connect(alice).withdrawLock())).to.equal(
+                "GovernanceToken__VotesNotCleared"
+            );
+            await voter.connect(alice).reset();
+            await governanceToken.connect(alice).withdrawLock();
+        });
+
+        it("auto-pokes the new voter", async function () {
+            await governanceToken.connect(alice).setAutoPoke(true);
+            await system.stake(alice, "50", { mint: true });
+
+            // The old voter keeps the votes alice cast there; the new one has none to poke
+            expect(await voter.account_UsedWeights(alice.address)).to.equal(parseEther("100"));
+            expect(await newVoter.account_UsedWeights(alice.address)).to.equal(0);
+        });
+    });
+});
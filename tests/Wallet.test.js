@@ -0,0 +1,307 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { resolveStrategy, parseAllocation, createWallet, renderStatus } = require("../scripts/lib/wallet");
+const { parseCommand } = require("../scripts/lsg");
+const { DAY, WEEK, epochWindow, deploySystem } = require("../sdk");
+
+describe("Wallet CLI", function () {
+    let owner, user, treasury;
+    let underlying, usdc;
+    let governanceToken, voter, multicall, lens;
+    let addStrategy, strategies, wallet, logs;
+
+    async function expectError(promise, ...messages) {
+        try {
+            await promise;
+            expect.fail("should have thrown");
+        } catch (error) {
+            for (const message of messages) expect(error.message).to.include(message);
+        }
+    }
+
+    async function nextEpoch() {
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        await network.provider.send("evm_setNextBlockTimestamp", [(Math.floor(timestamp / WEEK) + 1) * WEEK + 1]);
+        await network.provider.send("evm_mine");
+    }
+
+    before(async function () {
+        [owner, user, treasury] = await ethers.getSigners();
+
+        ({ underlying, usdc, governanceToken, voter, multicall, lens, addStrategy } = await deploySystem({
+            tokens: {
+                underlying: ["DONUT", "DONUT", 18],
+                revenueToken: ["Wrapped Ether", "WETH", 18],
+                usdc: ["USD Coin", "USDC", 6],
+            },
+            treasury,
+            governanceToken: ["Governance DONUT", "gDONUT"],
+        }));
+
+        strategies = [];
+        for (const [name, token] of [["DONUT Buyback", underlying], ["USDC Buyback", usdc], ["cbBTC Buyback", usdc]]) {
+            const added = await addStrategy({ paymentToken: token, initPrice: 1000e6, epochPeriod: DAY, priceMultiplier: "1.2" });
+            strategies.push({ name, strategy: added.strategy, bribe: added.bribe });
+        }
+        await voter.killStrategy(strategies[2].strategy);
+
+        await underlying.mint(user.address, ethers.utils.parseEther("1000"));
+        logs = [];
+        wallet = createWallet({ signer: user, voter, governanceToken, multicall, lens, strategies, log: (line) => logs.push(line) });
+    });
+
+    it("should resolve strategies by name, first word or address", async function () {
+        const [donut, usdcBuyback] = strategies;
+        expect(resolveStrategy("DONUT", strategies)).to.equal(donut);
+        expect(resolveStrategy("usdc buyback", strategies)).to.equal(usdcBuyback);
+        expect(resolveStrategy(donut.strategy.toLowerCase(), strategies)).to.equal(donut);
+        expect(() => resolveStrategy("QR", strategies)).to.throw('Unknown strategy "QR" (known: "DONUT Buyback"');
+
+        const twice = [...strategies, { name: "USDC Weekly", strategy: ethers.constants.AddressZero }];
+        expect(() => resolveStrategy("USDC", twice)).to.throw('"USDC" matches "USDC Buyback" and "USDC Weekly"');
+        expect(resolveStrategy("USDC Weekly", twice).name).to.equal("USDC Weekly");
+    });
+
+    it("should parse vote allocations", async function () {
+        expect(parseAllocation(["DONUT=60", "USDC=40%", "cbbtc=0.5"], strategies)).to.deep.equal({
+            strategies: strategies.map((s) => s.strategy),
+            weights: [6000, 4000, 50],
+            names: ["DONUT Buyback", "USDC Buyback", "cbBTC Buyback"],
+        });
+        for (const [args, message] of [
+            [[], "Pass at least one <strategy>=<weight>"],
+            [["DONUT"], 'Invalid vote "DONUT"'],
+            [["DONUT=0"], 'Invalid vote "DONUT=0"'],
+            [["DONUT=60", "donut buyback=40"], "DONUT Buyback is listed twice (Voter__AlreadyVotedForStrategy)"],
+        ]) {
+            expect(() => parseAllocation(args, strategies)).to.throw(message);
+        }
+    });
+
+    it("should mirror Voter.onlyNewEpoch", async function () {
+        expect(epochWindow(0, 5 * WEEK)).to.deep.equal({ allowed: true, nextAllowed: WEEK });
+        expect(epochWindow(5 * WEEK + 10, 5 * WEEK + 20)).to.deep.equal({ allowed: false, nextAllowed: 6 * WEEK });
+        // A vote exactly at the epoch start still blocks that whole epoch
+        expect(epochWindow(5 * WEEK, 5 * WEEK + 20).allowed).to.equal(false);
+        expect(epochWindow(5 * WEEK, 6 * WEEK).allowed).to.equal(true);
+    });
+
+    it("should stake, vote and explain when the next vote is allowed", async function () {
+        await wallet.stake("400 DONUT");
+        expect(logs).to.include("Approving DONUT...");
+        expect(await governanceToken.balanceOf(user.address)).to.equal(ethers.utils.parseEther("400"));
+        await expectError(wallet.stake("601"), "Cannot stake 601.0 DONUT: the balance is 600.0");
+        await expectError(wallet.vote(["cbBTC=1"]), "cbBTC Buyback has been killed");
+
+        await wallet.vote(["DONUT=60", "USDC=40"]);
+        expect(await voter.account_Strategy_Votes(user.address, strategies[0].strategy)).to.equal(ethers.utils.parseEther("240"));
+        expect(await voter.account_Strategy_Votes(user.address, strategies[1].strategy)).to.equal(ethers.utils.parseEther("160"));
+        expect(logs).to.include("Voting DONUT Buyback 60.00%, USDC Buyback 40.00%...");
+
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const next = new Date((Math.floor(timestamp / WEEK) + 1) * WEEK * 1000).toISOString();
+        await expectError(wallet.vote(["DONUT=1"]), "Voter__AlreadyVotedThisEpoch", `allowed from ${next}`);
+        await expectError(wallet.reset(), "Cannot reset", `allowed from ${next}`);
+        await expectError(wallet.unstake("all"), "GovernanceToken__VotesNotCleared", "Run `lsg reset` first", `allowed from ${next}`);
+
+        const status = await wallet.status();
+        expect(status.votes.map((v) => [v.name, ethers.utils.formatEther(v.votes)])).to.deep.equal([
+            ["DONUT Buyback", "240.0"],
+            ["USDC Buyback", "160.0"],
+        ]);
+        const rendered = renderStatus(status);
+        expect(rendered).to.include("DONUT balance     600.0");
+        expect(rendered).to.include(`Next vote/reset   ${next}`);
+    });
+
+    it("should claim bribe rewards", async function () {
+        await expectError(wallet.claim(), "Nothing to claim");
+
+        const bribe = await ethers.getContractAt("Bribe", strategies[1].bribe);
+        await usdc.mint(owner.address, 700e6);
+        await usdc.approve(bribe.address, 700e6);
+        await bribe.notifyRewardAmount(usdc.address, 700e6);
+        await network.provider.send("evm_increaseTime", [WEEK]);
+        await network.provider.send("evm_mine");
+
+        const status = await wallet.status();
+        expect(status.rewards.map((r) => [r.name, r.symbol])).to.deep.equal([["USDC Buyback", "USDC"]]);
+        expect(renderStatus(status)).to.include("Bribe rewards earned:");
+        await wallet.claim();
+        // The only voter on the bribe gets all of it, less what the per-second reward rate rounds off
+        expect((await usdc.balanceOf(user.address)).toNumber()).to.be.closeTo(Math.floor(700e6 / WEEK) * WEEK, 1e3);
+    });
+
+    it("should poke existing votes to a larger stake", async function () {
+        await expectError(wallet.poke("curator"), "Pass the address to poke");
+        await expectError(wallet.poke(owner.address), `Nothing to poke: ${owner.address} has no votes`);
+        await expectError(wallet.poke(), "Nothing to poke: the votes of this account already use its voting power");
+
+        logs = [];
+        await wallet.stake("100");
+        expect(logs).to.include("  Existing votes keep their old weight until poked, run `lsg poke` to apply the new stake");
+        await wallet.poke();
+        expect(logs).to.include("Poking this account: votes 400.0 -> voting power 500.0...");
+        expect(await voter.account_UsedWeights(user.address)).to.equal(ethers.utils.parseEther("500"));
+        expect(await voter.account_Strategy_Votes(user.address, strategies[0].strategy)).to.equal(ethers.utils.parseEther("300"));
+
+        await governanceToken.connect(user).setAutoPoke(true);
+        await wallet.stake("100");
+        expect(logs).to.include("  Existing votes were poked to the new stake (auto-poke is on)");
+        expect(await voter.account_UsedWeights(user.address)).to.equal(ethers.utils.parseEther("600"));
+        await governanceToken.connect(user).setAutoPoke(false);
+    });
+
+    it("should reset in the next epoch and unstake", async function () {
+        await nextEpoch();
+        await wallet.reset();
+        expect(await voter.account_UsedWeights(user.address)).to.equal(0);
+        expect((await wallet.status()).votes).to.have.length(0);
+
+        await expectError(wallet.unstake("601"), "only 600.0 is staked");
+        await expectError(wallet.unstake(), 'Pass the amount to unstake, e.g. "lsg unstake 1000"');
+        await wallet.unstake("all");
+        expect(await governanceToken.account_PendingWithdrawal(user.address)).to.equal(ethers.utils.parseEther("600"));
+        await expectError(wallet.unstake("all"), "Nothing to unstake");
+        await network.provider.send("evm_increaseTime", [WEEK]);
+        await network.provider.send("evm_mine");
+        await wallet.withdraw();
+        expect(await underlying.balanceOf(user.address)).to.equal(ethers.utils.parseEther("1000"));
+        await expectError(wallet.vote(["DONUT=1"]), "run `lsg stake <amount>` first");
+
+        await wallet.stake("all");
+        expect(await governanceToken.balanceOf(user.address)).to.equal(ethers.utils.parseEther("1000"));
+    });
+
+    it("should delegate, refuse own votes while delegated, and undelegate", async function () {
+        await expectError(wallet.delegate("curator"), "Pass the address to delegate to");
+        await expectError(wallet.delegate(user.address), "Cannot delegate to this account itself");
+        await expectError(wallet.undelegate(), "This account has not delegated its votes");
+        await expectError(wallet.delegate(owner.address), "it has not accepted this account", `lsg accept ${user.address}`);
+
+        const curator = createWallet({ signer: owner, voter, governanceToken, multicall, lens, strategies, log: () => {} });
+        await expectError(curator.accept("curator"), "Pass the address to accept as a delegator");
+        await curator.accept(user.address);
+        await expectError(curator.accept(user.address), "already accepted");
+
+        await nextEpoch();
+        await wallet.delegate(owner.address);
+        expect(await voter.account_Delegate(user.address)).to.equal(owner.address);
+        expect(renderStatus(await wallet.status())).to.include(`Delegated to      ${owner.address}`);
+        await expectError(wallet.vote(["DONUT=1"]), "Cannot vote", "Voter__VotingPowerDelegated", "Run `lsg undelegate`");
+        await expectError(wallet.reset(), "Cannot reset", "Run `lsg undelegate`");
+
+        // The owner has no stake of its own and votes with the user's
+        await voter.connect(owner).vote([strategies[0].strategy], [1]);
+        expect(await voter.account_Strategy_Votes(user.address, strategies[0].strategy)).to.equal(ethers.utils.parseEther("1000"));
+        await expectError(wallet.unstake("all"), "Run `lsg undelegate`, then `lsg reset`, which is allowed from");
+
+        // Revoking is allowed right after the owner's vote, which stays on the user's stake until the next epoch
+        await wallet.undelegate();
+        expect(logs).to.include(`Revoking the delegation to ${owner.address}...`);
+        expect(logs.some((line) => line.includes("This epoch's votes stay until the epoch ends"))).to.equal(true);
+        expect(await voter.account_Delegate(user.address)).to.equal(ethers.constants.AddressZero);
+        await expectError(wallet.reset(), "Cannot reset", "Voter__AlreadyVotedThisEpoch");
+
+        await nextEpoch();
+        await wallet.reset();
+        expect(await voter.account_UsedWeights(user.address)).to.equal(0);
+
+        await curator.dismiss(user.address);
+        expect(await voter.delegate_Account_IsApproved(owner.address, user.address)).to.equal(false);
+        await expectError(curator.dismiss(user.address), "is not a delegator of this account");
+    });
+
+    it("should show a lock and keep it out of unstake", async function () {
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        await underlying.mint(user.address, ethers.utils.parseEther("100"));
+        await underlying.connect(user).approve(governanceToken.address, ethers.utils.parseEther("100"));
+        await governanceToken.connect(user).createLock(ethers.utils.parseEther("100"), timestamp + 52 * WEEK);
+
+        const status = await wallet.status();
+        expect(status.locked).to.equal(ethers.utils.parseEther("100"));
+        expect(status.votingPower).to.be.gt(ethers.utils.parseEther("1149"));
+        expect(renderStatus(status)).to.include("Locked            100.0 until");
+        expect(renderStatus(status)).to.include("Voting power      11");
+
+        await expectError(wallet.unstake("1001"), "only 1000.0 is staked, 100.0 more is locked until", "GovernanceToken__AmountLocked");
+        await wallet.unstake("all");
+        expect(await governanceToken.balanceOf(user.address)).to.equal(ethers.utils.parseEther("100"));
+        expect(await governanceToken.account_PendingWithdrawal(user.address)).to.equal(ethers.utils.parseEther("1000"));
+    });
+
+    it("should queue unstakes behind the withdrawal delay and withdraw them", async function () {
+        // The unstake above waits out the default delay of one epoch
+        await network.provider.send("evm_increaseTime", [WEEK]);
+        await network.provider.send("evm_mine");
+        await wallet.withdraw();
+        await expectError(wallet.withdraw(), "Nothing to withdraw");
+        await governanceToken.setWithdrawalDelay(2 * WEEK);
+        await wallet.stake("all");
+
+        logs = [];
+        await wallet.unstake("all");
+        expect(logs.some((line) => line.includes("1000.0 DONUT can be withdrawn from"))).to.equal(true);
+        expect(await underlying.balanceOf(user.address)).to.equal(0);
+
+        const status = await wallet.status();
+        expect(status.pendingWithdrawal).to.equal(ethers.utils.parseEther("1000"));
+        expect(renderStatus(status)).to.include("Unstaking         1000.0, withdrawable from");
+        await expectError(wallet.withdraw(), "Cannot withdraw yet (GovernanceToken__WithdrawalNotReady)");
+
+        await network.provider.send("evm_increaseTime", [2 * WEEK]);
+        await network.provider.send("evm_mine");
+        expect(renderStatus(await wallet.status())).to.include("withdrawable now");
+        await wallet.withdraw();
+        expect(await underlying.balanceOf(user.address)).to.equal(ethers.utils.parseEther("1000"));
+        await governanceToken.setWithdrawalDelay(WEEK);
+    });
+
+    it("should refuse to vote or unstake while votes are left in a previous Voter", async function () {
+        const system = await deploySystem({ strategies: [{}] });
+        await system.stake(user, "100", { mint: true });
+        await system.voter.connect(user).vote([system.strategies[0].strategy], [1]);
+
+        const Voter = await ethers.getContractFactory("Voter");
+        const newVoter = await Voter.deploy(
+            system.governanceToken.address,
+            await system.voter.revenueToken(),
+            await system.voter.treasury(),
+            await system.voter.bribeFactory(),
+            await system.voter.strategyFactory()
+        );
+        const parseEther = ethers.utils.parseEther;
+        const tx = await newVoter.addStrategy(system.paymentToken.address, owner.address, parseEther("1"), DAY, parseEther("2"), parseEther("1"));
+        const { strategy } = (await tx.wait()).events.find((e) => e.event === "Voter__StrategyAdded").args;
+        await system.governanceToken.migrateVoter(newVoter.address);
+
+        const migrated = createWallet({
+            signer: user,
+            voter: newVoter,
+            governanceToken: system.governanceToken,
+            multicall: system.multicall,
+            lens: system.lens,
+            strategies: [{ name: "New Buyback", strategy }],
+            log: () => {},
+        });
+        await expectError(migrated.vote(["New=1"]), `votes in the previous Voter ${system.voter.address} (Voter__VotesInOtherVoter)`);
+        await expectError(migrated.unstake("all"), `votes in the previous Voter ${system.voter.address}`);
+    });
+
+    it("should parse commands", async function () {
+        expect(parseCommand(["vote", "DONUT=60", "USDC=40"])).to.deep.equal({ command: "vote", args: ["DONUT=60", "USDC=40"] });
+        expect(parseCommand(["unstake", "all"])).to.deep.equal({ command: "unstake", args: ["all"] });
+        expect(parseCommand(["delegate", owner.address])).to.deep.equal({ command: "delegate", args: [owner.address] });
+        expect(parseCommand(["accept", user.address])).to.deep.equal({ command: "accept", args: [user.address] });
+        expect(parseCommand(["withdraw"])).to.deep.equal({ command: "withdraw", args: [] });
+        expect(parseCommand(["poke"])).to.deep.equal({ command: "poke", args: [] });
+        for (const [argv, message] of [
+            [[], "Usage: lsg"],
+            [["bridge"], 'Unknown command "bridge"'],
+            [["withdraw", "all"], 'Too many arguments for "withdraw"'],
+            [["claim", "now"], 'Too many arguments for "claim"'],
+        ]) {
+            expect(() => parseCommand(argv)).to.throw(message);
+        }
+    });
+});
@@ -0,0 +1,60 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { DAY, WEEK, deploySystem, errorName } = require("../sdk");
+
+/**
+ * Shared helpers for the hardhat tests: a staked system fixture, block time control and custom error assertions.
+ */
+
+// deploySystem options with the tokens named as on mainnet, for the script tests whose output shows them
+const DONUT_SYSTEM = {
+    tokens: {
+        underlying: ["DONUT", "DONUT", 18],
+        revenueToken: ["Wrapped Ether", "WETH", 18],
+        paymentToken: ["USD Coin", "USDC", 6],
+    },
+    governanceToken: ["Governance DONUT", "gDONUT"],
+};
+
+// addStrategy options for the daily auctions the scripts are tuned for: 100 payment tokens, 1.2x after a buy
+const DAILY_AUCTION = { epochPeriod: DAY, priceMultiplier: "1.2" };
+
+/**
+ * deploySystem with `stakes`, a list of [signer, amount] pairs, staked from freshly minted underlying.
+ */
+async function deployStaked(options, stakes = []) {
+    const system = await deploySystem(options);
+    for (const [signer, amount] of stakes) await system.stake(signer, amount, { mint: true });
+    return system;
+}
+
+// Timestamp of the latest block
+async function latest() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+// Mines the next transaction at `timestamp`
+async function at(timestamp) {
+    await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+}
+
+// Mines a block one second into the next voting epoch
+async function advanceToNextEpoch() {
+    await at((Math.floor((await latest()) / WEEK) + 1) * WEEK + 1);
+    await network.provider.send("evm_mine");
+}
+
+/**
+ * Name of the custom error `promise` reverted with. Unlike `revertedWith`, this also decodes errors raised in
+ * modifiers and in nested calls.
+ */
+async function failureOf(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return errorName(error);
+    }
+    expect.fail("should have reverted");
+}
+
+module.exports = { DONUT_SYSTEM, DAILY_AUCTION, deployStaked, latest, at, advanceToNextEpoch, failureOf };